@@ -0,0 +1,149 @@
+/**
+ * Field Room AI Request Queue
+ *
+ * Each AI persona gets its own queue so a burst of mentions doesn't open
+ * several racing sessions on the same gateway session user. Requests wait
+ * their turn (up to `concurrency` run at once), can be cancelled while
+ * queued or running, and gateway calls get a timeout and retries with
+ * exponential backoff for transient failures.
+ */
+
+function abortError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Create a queue running at most `concurrency` jobs at a time.
+ *
+ * A job is `{ id, run(signal), onStart() }` plus any fields callers want to
+ * match on when cancelling. `push` resolves or rejects with the job's result
+ * and returns the job's position in the queue (0 = started straight away).
+ */
+function createRequestQueue({ concurrency = 1 } = {}) {
+  const queue = {
+    concurrency: Math.max(1, concurrency),
+    running: new Set(),
+    waiting: []
+  };
+
+  function drain() {
+    while (queue.running.size < queue.concurrency && queue.waiting.length) {
+      const entry = queue.waiting.shift();
+      queue.running.add(entry);
+      Promise.resolve()
+        .then(() => {
+          if (entry.job.onStart) entry.job.onStart();
+          return entry.job.run(entry.controller.signal);
+        })
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          queue.running.delete(entry);
+          drain();
+        });
+    }
+  }
+
+  queue.push = (job) => {
+    let entry;
+    const done = new Promise((resolve, reject) => {
+      entry = { job, controller: new AbortController(), resolve, reject };
+    });
+    queue.waiting.push(entry);
+    const position = queue.running.size < queue.concurrency ? 0 : queue.waiting.length;
+    drain();
+    return { position, done };
+  };
+
+  /**
+   * Cancel every job for which `match(job)` is true. Queued jobs are dropped
+   * (their promise rejects with code 'cancelled'); running jobs are aborted
+   * through their signal. Returns the cancelled jobs.
+   */
+  queue.cancel = (match) => {
+    const cancelled = [];
+    queue.waiting = queue.waiting.filter(entry => {
+      if (!match(entry.job)) return true;
+      entry.reject(abortError('cancelled', 'Request cancelled'));
+      cancelled.push(entry.job);
+      return false;
+    });
+    for (const entry of queue.running) {
+      if (match(entry.job) && !entry.controller.signal.aborted) {
+        entry.controller.abort(abortError('cancelled', 'Request cancelled'));
+        cancelled.push(entry.job);
+      }
+    }
+    return cancelled;
+  };
+
+  return queue;
+}
+
+/**
+ * A signal that aborts when `parent` does, or after `ms` (code 'timeout').
+ * Call `clear()` once the work is finished.
+ */
+function withTimeout(parent, ms) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent.aborted) onAbort();
+  else parent.addEventListener('abort', onAbort, { once: true });
+
+  const timer = ms > 0
+    ? setTimeout(() => controller.abort(abortError('timeout', `Gateway timed out after ${ms / 1000}s`)), ms)
+    : null;
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      parent.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+// Network failures, rate limiting and gateway-side errors are worth retrying
+function isTransientError(err) {
+  if (err.code === 'cancelled' || err.code === 'timeout') return false;
+  if (err.status) return err.status === 429 || err.status >= 500;
+  return err.name === 'TypeError' || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(err.cause && err.cause.code);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Call `fn(attempt)` until it succeeds, retrying transient errors up to
+ * `retries` times with exponential backoff (plus jitter) from `baseDelay` ms.
+ * `canRetry(err)` can veto a retry (e.g. once output has been streamed).
+ */
+async function withRetry(fn, { retries = 2, baseDelay = 1000, signal, canRetry = () => true, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt > retries || !isTransientError(err) || !canRetry(err) || (signal && signal.aborted)) throw err;
+      const delay = err.retryAfter
+        ? Math.min(err.retryAfter * 1000, baseDelay * 2 ** retries)
+        : baseDelay * 2 ** (attempt - 1) * (0.75 + Math.random() / 2);
+      if (onRetry) onRetry(err, attempt, delay);
+      await sleep(delay, signal || new AbortController().signal);
+    }
+  }
+}
+
+module.exports = {
+  createRequestQueue,
+  withTimeout,
+  withRetry,
+  isTransientError,
+};
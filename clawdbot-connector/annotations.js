@@ -0,0 +1,136 @@
+/**
+ * Field Room Annotations
+ *
+ * Comment pins on the map. Each is attached to a coordinate or to a drawing,
+ * opens with a comment and carries a thread of replies, and is either open
+ * or resolved:
+ *
+ *   { id, text, location: { lat, lon } | null, drawingId | null,
+ *     status: 'open' | 'resolved', resolvedBy, resolvedAt,
+ *     replies: [{ id, from, text, timestamp }],
+ *     createdBy, createdAt, updatedBy, updatedAt, revision }
+ *
+ * Like drawings, annotations are revisioned records, persisted one at a time
+ * and broadcast whole on every change. The functions here are pure and
+ * return new records; the service persists and broadcasts them.
+ */
+
+const MAX_REPLIES = 500;
+
+function annotationError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function toLocation(location) {
+  if (!location) return null;
+  return { lat: location.lat, lon: location.lon ?? location.lng };
+}
+
+/**
+ * A new, open annotation by `by`, pinned to `location` or `drawingId`.
+ */
+function createAnnotation({ id, text, location = null, drawingId = null, by, now = Date.now() }) {
+  return {
+    id,
+    text,
+    location: toLocation(location),
+    drawingId: drawingId || null,
+    status: 'open',
+    resolvedBy: null,
+    resolvedAt: null,
+    replies: [],
+    createdBy: by,
+    createdAt: now,
+    updatedBy: by,
+    updatedAt: now,
+    revision: 1
+  };
+}
+
+/**
+ * Add a reply to the thread. Returns { annotation, reply }; throws
+ * `limit_exceeded` once the thread holds MAX_REPLIES.
+ */
+function addReply(annotation, { id, text, by, now = Date.now() }) {
+  if (annotation.replies.length >= MAX_REPLIES) {
+    throw annotationError('limit_exceeded', `Annotation ${annotation.id} already has ${MAX_REPLIES} replies`);
+  }
+  const reply = { id, from: by, text, timestamp: now };
+  return {
+    annotation: {
+      ...annotation,
+      replies: [...annotation.replies, reply],
+      updatedBy: by,
+      updatedAt: now,
+      revision: annotation.revision + 1
+    },
+    reply
+  };
+}
+
+/**
+ * Resolve (or reopen) an annotation. Returns the same record if it already
+ * has that status.
+ */
+function setResolved(annotation, resolved, by, now = Date.now()) {
+  const status = resolved ? 'resolved' : 'open';
+  if (annotation.status === status) return annotation;
+  return {
+    ...annotation,
+    status,
+    resolvedBy: resolved ? by : null,
+    resolvedAt: resolved ? now : null,
+    updatedBy: by,
+    updatedAt: now,
+    revision: annotation.revision + 1
+  };
+}
+
+/**
+ * An annotation from the shared-state `annotations` array older versions of
+ * the add_annotation tool appended to, or null if it isn't one.
+ */
+function fromLegacy(entry) {
+  if (!entry || typeof entry.id !== 'string' || typeof entry.text !== 'string') return null;
+  const location = entry.location && Number.isFinite(entry.location.lat) ? entry.location : null;
+  return createAnnotation({
+    id: entry.id,
+    text: entry.text,
+    location,
+    drawingId: entry.drawingId,
+    by: entry.createdBy || 'unknown',
+    now: entry.createdAt || Date.now()
+  });
+}
+
+/**
+ * The thread as text for the AI: what it is pinned to, its status, then the
+ * opening comment and replies in order. `drawing` is the drawing it is
+ * attached to, if any.
+ */
+function describeThread(annotation, drawing = null) {
+  let target;
+  if (annotation.drawingId) {
+    target = `drawing "${(drawing && drawing.name) || 'untitled'}" (id ${annotation.drawingId})`;
+  } else if (annotation.location) {
+    target = `${annotation.location.lat.toFixed(5)}, ${annotation.location.lon.toFixed(5)}`;
+  } else {
+    target = 'the map';
+  }
+  return [
+    `Annotation ${annotation.id} on ${target}, ${annotation.status}:`,
+    `- ${annotation.createdBy}: ${annotation.text}`,
+    ...annotation.replies.map(r => `- ${r.from}: ${r.text}`)
+  ].join('\n');
+}
+
+module.exports = {
+  MAX_REPLIES,
+  createAnnotation,
+  addReply,
+  setResolved,
+  fromLegacy,
+  describeThread,
+};
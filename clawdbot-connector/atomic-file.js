@@ -0,0 +1,32 @@
+/**
+ * Atomic File Writes
+ *
+ * Write to a temporary file in the same directory, flush it to disk, then
+ * rename it over the target. A crash leaves either the old file or the new
+ * one, never a half-written mix.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+async function writeFileAtomic(file, data) {
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  const handle = await fs.open(temp, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  try {
+    await fs.rename(temp, file);
+  } catch (err) {
+    await fs.unlink(temp).catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+};
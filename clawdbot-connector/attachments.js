@@ -0,0 +1,321 @@
+/**
+ * Field Room Attachments
+ *
+ * Photos and documents uploaded with POST /attachments and shared in the chat
+ * as messages carrying their metadata:
+ *
+ *   { id, name, type, size, uploadedBy, uploadedAt,
+ *     location: { lat, lon, alt? } | null,   (from a JPEG's EXIF GPS tags)
+ *     takenAt: 'YYYY-MM-DDTHH:MM:SS[±HH:MM]' | null,   (camera clock)
+ *     thumbnail: boolean,                    (stored as `{id}-thumb`)
+ *     description: string | null }           (written by ATTACHMENT_DESCRIBE's persona)
+ *
+ * File types are told by their content, not the name or Content-Type given.
+ * Thumbnails are made with the optional sharp package; without it a JPEG's
+ * embedded EXIF thumbnail is used, if it has one.
+ */
+
+const path = require('path');
+
+// Types attachments may have, by MIME type
+const TYPES = {
+  'image/jpeg': { extension: 'jpg', image: true },
+  'image/png': { extension: 'png', image: true },
+  'image/webp': { extension: 'webp', image: true },
+  'application/pdf': { extension: 'pdf', image: false }
+};
+
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_SUFFIX = '-thumb';
+const MAX_NAME_LENGTH = 100;
+
+let sharp;
+
+// sharp is optional; load it on first use
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch {
+      sharp = null;
+      console.warn('[Attachments] sharp is not installed (npm install sharp); only embedded EXIF thumbnails are used');
+    }
+  }
+  return sharp;
+}
+
+/**
+ * The MIME type of `data` from its first bytes, or null if it isn't one of TYPES.
+ */
+function sniffType(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  if (data.length >= 5 && data.toString('latin1', 0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+}
+
+function isImage(type) {
+  return Boolean(TYPES[type] && TYPES[type].image);
+}
+
+// Bytes per value of each TIFF field type
+const FIELD_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+// The tags read here hold a few values at most; longer numeric fields are skipped
+const MAX_FIELD_VALUES = 64;
+
+// EXIF tags read here
+const TAG = {
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011,
+  THUMBNAIL_OFFSET: 0x0201,
+  THUMBNAIL_LENGTH: 0x0202,
+  GPS_LAT_REF: 1,
+  GPS_LAT: 2,
+  GPS_LON_REF: 3,
+  GPS_LON: 4,
+  GPS_ALT_REF: 5,
+  GPS_ALT: 6
+};
+
+// The TIFF structure inside a JPEG's APP1 "Exif" segment, or null
+function findTiff(data) {
+  let offset = 2;
+  while (offset + 4 <= data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    // Start of scan: the image data follows, no more metadata
+    if (marker === 0xda || marker === 0xd9) break;
+    const length = data.readUInt16BE(offset + 2);
+    if (marker === 0xe1 && data.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      return data.subarray(offset + 10, offset + 2 + length);
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function readTiff(tiff) {
+  const little = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (o) => (little ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (little ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const s32 = (o) => (little ? tiff.readInt32LE(o) : tiff.readInt32BE(o));
+
+  function value(type, count, at) {
+    if (type === 2) return tiff.toString('latin1', at, at + count).replace(/\0+$/, '').trim();
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      const o = at + i * FIELD_SIZES[type];
+      if (type === 1 || type === 7) values.push(tiff[o]);
+      else if (type === 3) values.push(u16(o));
+      else if (type === 4) values.push(u32(o));
+      else if (type === 9) values.push(s32(o));
+      else if (type === 5) values.push(u32(o) / u32(o + 4));
+      else if (type === 10) values.push(s32(o) / s32(o + 4));
+    }
+    return count === 1 ? values[0] : values;
+  }
+
+  // An IFD as Map<tag, value>, and the offset of the next IFD (0 if none)
+  function readIFD(start) {
+    const tags = new Map();
+    const count = u16(start);
+    for (let i = 0; i < count; i++) {
+      const entry = start + 2 + i * 12;
+      const type = u16(entry + 2);
+      const n = u32(entry + 4);
+      if (!FIELD_SIZES[type] || (type !== 2 && n > MAX_FIELD_VALUES)) continue;
+      const at = FIELD_SIZES[type] * n > 4 ? u32(entry + 8) : entry + 8;
+      // Values pointing outside the segment are skipped, not read as undefined
+      if (at + FIELD_SIZES[type] * n > tiff.length) continue;
+      tags.set(u16(entry), value(type, n, at));
+    }
+    return { tags, next: u32(start + 2 + count * 12) };
+  }
+
+  const ifd0 = readIFD(u32(4));
+  const exif = ifd0.tags.has(TAG.EXIF_IFD) ? readIFD(ifd0.tags.get(TAG.EXIF_IFD)).tags : new Map();
+  const gps = ifd0.tags.has(TAG.GPS_IFD) ? readIFD(ifd0.tags.get(TAG.GPS_IFD)).tags : new Map();
+  const ifd1 = ifd0.next ? readIFD(ifd0.next).tags : new Map();
+  return { ifd0: ifd0.tags, exif, gps, ifd1, tiff };
+}
+
+function toDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3) return NaN;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+function gpsLocation(gps) {
+  const lat = toDegrees(gps.get(TAG.GPS_LAT), gps.get(TAG.GPS_LAT_REF));
+  const lon = toDegrees(gps.get(TAG.GPS_LON), gps.get(TAG.GPS_LON_REF));
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  const location = { lat, lon };
+  const alt = gps.get(TAG.GPS_ALT);
+  if (Number.isFinite(alt)) location.alt = gps.get(TAG.GPS_ALT_REF) === 1 ? -alt : alt;
+  return location;
+}
+
+// "2024:05:01 10:22:03" (camera clock), with its UTC offset if recorded
+function exifTime(value, offset) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/.exec(value || '');
+  if (!match) return null;
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+  return `${match[1]}-${match[2]}-${match[3]}T${match[4]}${zone}`;
+}
+
+/**
+ * What a JPEG's EXIF data says about where and when it was taken:
+ * `{ location, takenAt, thumbnail }` (each null if not recorded). Other
+ * files, and EXIF data that can't be read, give all nulls.
+ */
+function readExif(data) {
+  const none = { location: null, takenAt: null, thumbnail: null };
+  if (sniffType(data) !== 'image/jpeg') return none;
+  try {
+    const tiff = findTiff(data);
+    if (!tiff) return none;
+    const { ifd0, exif, gps, ifd1 } = readTiff(tiff);
+
+    const offset = ifd1.get(TAG.THUMBNAIL_OFFSET);
+    const length = ifd1.get(TAG.THUMBNAIL_LENGTH);
+    const thumbnail = offset && length && offset + length <= tiff.length
+      ? Buffer.from(tiff.subarray(offset, offset + length))
+      : null;
+
+    return {
+      location: gpsLocation(gps),
+      takenAt: exifTime(exif.get(TAG.DATE_TIME_ORIGINAL) || ifd0.get(TAG.DATE_TIME), exif.get(TAG.OFFSET_TIME_ORIGINAL)),
+      thumbnail: thumbnail && sniffType(thumbnail) === 'image/jpeg' ? thumbnail : null
+    };
+  } catch {
+    // Offsets pointing outside the segment: treat as no EXIF
+    return none;
+  }
+}
+
+/**
+ * A JPEG thumbnail (at most THUMBNAIL_SIZE px a side) of an image, or null
+ * for other files or when none can be made.
+ */
+async function createThumbnail(data, type, exif = readExif(data)) {
+  if (!isImage(type)) return null;
+  const resizer = loadSharp();
+  if (!resizer) return exif.thumbnail;
+  return resizer(data)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 75 })
+    .toBuffer();
+}
+
+function thumbnailId(id) {
+  return `${id}${THUMBNAIL_SUFFIX}`;
+}
+
+// A file name safe to show and to send back in Content-Disposition
+function cleanName(name, id, type) {
+  const base = path.basename(String(name || '')).replace(/[^\w .()+-]/g, '_').trim().slice(0, MAX_NAME_LENGTH);
+  return base || `${id}.${TYPES[type].extension}`;
+}
+
+/**
+ * Metadata for an uploaded file (see the top of this file).
+ */
+function createAttachment({ id, name, type, size, by, exif, thumbnail, now = Date.now() }) {
+  return {
+    id,
+    name: cleanName(name, id, type),
+    type,
+    size,
+    uploadedBy: by,
+    uploadedAt: now,
+    location: exif.location,
+    takenAt: exif.takenAt,
+    thumbnail: Boolean(thumbnail),
+    description: null
+  };
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * The attachment as a line of text for the AI: what it is, when and where it
+ * was taken, and its description when there is one.
+ */
+function describeAttachment(meta) {
+  let text = `[${isImage(meta.type) ? 'Photo' : 'File'} "${meta.name}", ${meta.type}, ${formatSize(meta.size)}`;
+  if (meta.takenAt) text += `, taken ${meta.takenAt}`;
+  if (meta.location) text += ` at ${meta.location.lat.toFixed(5)}, ${meta.location.lon.toFixed(5)}`;
+  text += ']';
+  if (meta.description) text += ` ${meta.description}`;
+  return text;
+}
+
+/**
+ * Gateway messages asking for a short description of an image attachment.
+ * Only vision-capable gateways can answer.
+ */
+function descriptionPrompt(meta, data) {
+  return [
+    {
+      role: 'system',
+      content: 'Describe this photo from a field site in one or two plain sentences, for people in the room who cannot see it. ' +
+        'Mention what matters on site (damage, hazards, equipment, signs, conditions). Reply with the description only.'
+    },
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: describeAttachment(meta) },
+        { type: 'image_url', image_url: { url: `data:${meta.type};base64,${data.toString('base64')}` } }
+      ]
+    }
+  ];
+}
+
+/**
+ * Located attachments as a GeoJSON FeatureCollection of points.
+ */
+function toFeatureCollection(metas) {
+  return {
+    type: 'FeatureCollection',
+    features: metas.filter(m => m.location).map(m => ({
+      type: 'Feature',
+      id: m.id,
+      geometry: {
+        type: 'Point',
+        coordinates: m.location.alt === undefined
+          ? [m.location.lon, m.location.lat]
+          : [m.location.lon, m.location.lat, m.location.alt]
+      },
+      properties: {
+        name: m.name,
+        type: m.type,
+        uploadedBy: m.uploadedBy,
+        uploadedAt: m.uploadedAt,
+        takenAt: m.takenAt,
+        description: m.description
+      }
+    }))
+  };
+}
+
+module.exports = {
+  TYPES,
+  THUMBNAIL_SIZE,
+  sniffType,
+  isImage,
+  readExif,
+  createThumbnail,
+  thumbnailId,
+  createAttachment,
+  describeAttachment,
+  descriptionPrompt,
+  toFeatureCollection,
+};
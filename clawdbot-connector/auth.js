@@ -0,0 +1,124 @@
+/**
+ * Field Room Auth
+ *
+ * Signed room tokens (HS256 JWTs) and shared room secrets.
+ *
+ * Token claims:
+ * - sub:  userId the connection is bound to
+ * - type: 'human' | 'ai'
+ * - room: room name the token is valid for, or '*' for any room
+ * - iat / exp: issue and expiry times (seconds since epoch)
+ *
+ * Usage (mint a token from the command line):
+ *   AUTH_SECRET=... node auth.js mint --user rob --room site-a
+ *   AUTH_SECRET=... node auth.js mint --user pauline --type ai --room '*' --ttl 2592000
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60;
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Sign a token for the given claims. `ttl` is in seconds.
+ */
+function signToken({ sub, type = 'human', room = '*' }, secret, ttl = DEFAULT_TTL_SECONDS) {
+  if (!secret) throw new Error('AUTH_SECRET is not configured');
+  if (!sub) throw new Error('Token subject (userId) is required');
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub, type, room, iat: now, exp: now + ttl }));
+  return `${header}.${payload}.${hmac(`${header}.${payload}`, secret)}`;
+}
+
+/**
+ * Verify a token's signature and expiry. Returns its claims or throws.
+ */
+function verifyToken(token, secret) {
+  if (!secret) throw new Error('AUTH_SECRET is not configured');
+
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  const [header, payload, signature] = parts;
+  if (!safeEqual(signature, hmac(`${header}.${payload}`, secret))) {
+    throw new Error('Invalid token signature');
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    if (alg !== 'HS256') throw new Error();
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    throw new Error('Malformed token');
+  }
+
+  if (typeof claims.exp === 'number' && claims.exp * 1000 < Date.now()) {
+    throw new Error('Token expired');
+  }
+  if (!claims.sub) throw new Error('Token has no subject');
+
+  return claims;
+}
+
+function looksLikeToken(value) {
+  return typeof value === 'string' && value.split('.').length === 3;
+}
+
+/**
+ * Parse ROOM_SECRETS ("site-a=abc,site-b=def") into a Map<room, secret>.
+ */
+function parseRoomSecrets(value) {
+  const secrets = new Map();
+  (value || '').split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+    const idx = entry.indexOf('=');
+    if (idx > 0) secrets.set(entry.slice(0, idx).trim(), entry.slice(idx + 1).trim());
+  });
+  return secrets;
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  signToken,
+  verifyToken,
+  looksLikeToken,
+  parseRoomSecrets,
+  safeEqual,
+};
+
+// CLI: node auth.js mint --user <id> [--type human|ai] [--room <name>|*] [--ttl <seconds>]
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const opts = {};
+  for (let i = 0; i < args.length; i += 2) {
+    opts[args[i].replace(/^--/, '')] = args[i + 1];
+  }
+
+  if (command !== 'mint' || !opts.user) {
+    console.error('Usage: node auth.js mint --user <id> [--type human|ai] [--room <name>|*] [--ttl <seconds>]');
+    process.exit(1);
+  }
+
+  try {
+    const ttl = opts.ttl ? parseInt(opts.ttl, 10) : DEFAULT_TTL_SECONDS;
+    console.log(signToken({ sub: opts.user, type: opts.type || 'human', room: opts.room || '*' }, process.env.AUTH_SECRET, ttl));
+  } catch (err) {
+    console.error('[Error]', err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * Field Room Presence Benchmark
+ *
+ * Runs the sync service with a room full of moving users and counts the bytes
+ * their connections receive, for:
+ *
+ * - baseline:    the full presence list on every change, every move sent
+ *                (PRESENCE_DELTAS=false MOVE_THROTTLE_MS=0)
+ * - deltas:      presence_delta and moves throttled per user (the defaults)
+ * - compressed:  the same, with clients opting into permessage-deflate
+ *
+ * Only the moving phase is counted, not the joins before it.
+ *
+ * Usage:
+ *   node bench-presence.js [--users 20] [--rate 2] [--seconds 10] [--port 3790]
+ *   (rate: moves per user per second)
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const SCENARIOS = [
+  { name: 'baseline', env: { PRESENCE_DELTAS: 'false', MOVE_THROTTLE_MS: '0' } },
+  { name: 'deltas', env: {} },
+  { name: 'compressed', env: {}, compress: true }
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitForService(port, deadline) {
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(`http://127.0.0.1:${port}/health`);
+      if (res.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    await sleep(100);
+  }
+  throw new Error(`Sync service did not start on port ${port}`);
+}
+
+// Connect and authenticate one user. The socket is kept so its bytes can be counted.
+function join(port, userId, compress) {
+  return new Promise((resolve, reject) => {
+    let socket = null;
+    const user = { userId, messages: 0 };
+    user.ws = new WebSocket(`ws://127.0.0.1:${port}/bench${compress ? '?compress=1' : ''}`, {
+      createConnection: (opts) => (socket = net.connect({ host: opts.host, port: opts.port }))
+    });
+    user.bytesRead = () => socket.bytesRead;
+    user.ws.on('open', () => user.ws.send(JSON.stringify({ type: 'auth', userId, userType: 'human' })));
+    user.ws.on('message', (data) => {
+      user.messages++;
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'auth_ok') resolve(user);
+      if (msg.type === 'error') reject(new Error(`${userId}: ${msg.error}`));
+    });
+    user.ws.on('error', reject);
+  });
+}
+
+async function runScenario(scenario, { users, rate, seconds, port }) {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'field-room-bench-'));
+  const service = spawn(process.execPath, [path.join(__dirname, 'sync-service.js')], {
+    env: {
+      ...process.env,
+      SYNC_PORT: String(port),
+      WORKSPACE_PATH: workspace,
+      STORAGE: 'file',
+      PUBSUB: 'local',
+      AUTH_MODE: 'open',
+      LOG_CHAT: 'false',
+      RATE_CONNECTION_MESSAGES: '0',
+      RATE_USER_MESSAGES: '0',
+      ...scenario.env
+    },
+    stdio: 'ignore'
+  });
+
+  const members = [];
+  try {
+    await waitForService(port, Date.now() + 10000);
+    for (let i = 0; i < users; i++) {
+      members.push(await join(port, `walker-${i}`, scenario.compress));
+    }
+    await sleep(500);
+
+    const startBytes = members.map(m => m.bytesRead());
+    const startMessages = members.map(m => m.messages);
+
+    // Everyone wanders around a site, a few metres at a time
+    const timers = members.map((member, i) => {
+      const location = { lat: 51.5 + i * 0.001, lon: -0.12, accuracy: 5, name: `Plot ${i}` };
+      return setInterval(() => {
+        location.lat += (Math.random() - 0.5) * 0.0001;
+        location.lon += (Math.random() - 0.5) * 0.0001;
+        member.ws.send(JSON.stringify({ type: 'move', location }));
+      }, 1000 / rate);
+    });
+    await sleep(seconds * 1000);
+    timers.forEach(clearInterval);
+    // Let throttled moves go out
+    await sleep(1500);
+
+    return {
+      bytes: members.reduce((sum, m, i) => sum + m.bytesRead() - startBytes[i], 0),
+      messages: members.reduce((sum, m, i) => sum + m.messages - startMessages[i], 0)
+    };
+  } finally {
+    members.forEach(m => m.ws.terminate());
+    service.kill();
+    await new Promise(resolve => service.exitCode !== null ? resolve() : service.once('exit', resolve));
+    fs.rmSync(workspace, { recursive: true, force: true });
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const opts = {};
+  for (let i = 0; i < args.length; i += 2) {
+    opts[args[i].replace(/^--/, '')] = args[i + 1];
+  }
+  const options = {
+    users: parseInt(opts.users || '20', 10),
+    rate: parseFloat(opts.rate || '2'),
+    seconds: parseFloat(opts.seconds || '10'),
+    port: parseInt(opts.port || '3790', 10)
+  };
+  console.log(`[Bench] ${options.users} users, ${options.rate} moves/s each, ${options.seconds}s per scenario`);
+
+  let baseline = null;
+  for (const scenario of SCENARIOS) {
+    const { bytes, messages } = await runScenario(scenario, options);
+    if (baseline === null) baseline = bytes;
+    const reduction = bytes === baseline ? '' : `  (-${((1 - bytes / baseline) * 100).toFixed(1)}%)`;
+    console.log(`[Bench] ${scenario.name.padEnd(10)} ${String(messages).padStart(8)} messages ${formatBytes(bytes).padStart(10)} received${reduction}`);
+  }
+}
+
+main().catch(err => {
+  console.error('[Error]', err.message);
+  process.exit(1);
+});
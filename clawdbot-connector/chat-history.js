@@ -0,0 +1,160 @@
+/**
+ * Field Room Chat History
+ *
+ * Reads a room's daily chat logs (chat-logs/YYYY-MM-DD.jsonl, written by
+ * logChat) back as history, newest first, so it survives restarts and
+ * clients can scroll back page by page.
+ *
+ * Logs are append-only, so a message that changes later (edited, deleted,
+ * reacted to) gets a `message_update` record with its new version, and
+ * readers show that version in the original's place.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const LOG_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+const UPDATE_TYPE = 'message_update';
+// The furthest from 1970 a Date reaches, in ms
+const MAX_TIME = 8.64e15;
+// An ISO 8601 date, with or without a time
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// The log record for a new version of a message
+function updateRecord(message, now = Date.now()) {
+  return { type: UPDATE_TYPE, id: message.id, message, timestamp: now };
+}
+
+// Whether `ms` is a timestamp a Date can hold
+function isValidTime(ms) {
+  return Number.isFinite(ms) && Math.abs(ms) <= MAX_TIME;
+}
+
+// Date.parse rolls days past the end of a month over (Feb 30 → Mar 2)
+function parseDate(text) {
+  const [year, month, day] = text.slice(0, 10).split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return day >= 1 && day <= lastDay ? Date.parse(text) : NaN;
+}
+
+/**
+ * Read a client's `before` cursor: a timestamp (ms, as a number or digits)
+ * or an ISO date becomes a time, anything else is a message id. Returns null
+ * for none; throws a RangeError for a time no Date can hold or a date that
+ * doesn't exist.
+ */
+function parseCursor(value) {
+  if (value === undefined || value === null || value === '') return null;
+  let time = value;
+  if (typeof value === 'string') {
+    if (/^\d+$/.test(value)) time = Number(value);
+    else if (DATE_PATTERN.test(value)) time = parseDate(value);
+    else return value;
+  }
+  if (!isValidTime(time)) throw new RangeError(`Not a valid time: ${value}`);
+  return time;
+}
+
+async function listLogFiles(logDir) {
+  try {
+    return (await fs.readdir(logDir)).filter(f => LOG_FILE_PATTERN.test(f)).sort();
+  } catch {
+    return [];
+  }
+}
+
+async function readLogFile(file) {
+  const messages = [];
+  const lines = (await fs.readFile(file, 'utf8')).split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      messages.push(JSON.parse(line));
+    } catch {
+      // A torn final line from a crash mid-append; skip it
+    }
+  }
+  return messages;
+}
+
+/**
+ * Read one page of history older than `before`, oldest first, each message
+ * in its latest version.
+ *
+ * `before` is either a timestamp (ms) or a message id; omit it for the most
+ * recent messages. Only messages `filter` accepts are counted, if given, and
+ * with `sinceDay` ('YYYY-MM-DD') no older days are read.
+ * Returns `{ messages, hasMore }`; throws a RangeError for a timestamp no
+ * Date can hold.
+ */
+async function readHistoryPage(logDir, { before = null, limit = 50, filter = null, sinceDay = null } = {}) {
+  if (typeof before === 'number' && !isValidTime(before)) throw new RangeError(`Not a valid time: ${before}`);
+  const byId = typeof before === 'string';
+  const beforeDay = typeof before === 'number' ? new Date(before).toISOString().split('T')[0] : null;
+
+  // Walking backwards: with an id cursor, skip everything until we pass it.
+  // Later versions are met before the messages they replace.
+  let cursorPassed = !byId;
+  const latest = new Map();
+  const page = [];
+
+  const files = (await listLogFiles(logDir)).reverse();
+  for (const file of files) {
+    if (sinceDay && file.slice(0, 10) < sinceDay) break;
+    // Days after `before` only matter for the updates they hold
+    const updatesOnly = beforeDay && file.slice(0, 10) > beforeDay;
+
+    const records = await readLogFile(path.join(logDir, file));
+    for (let i = records.length - 1; i >= 0 && page.length <= limit; i--) {
+      const record = records[i];
+      if (record.type === UPDATE_TYPE) {
+        if (!latest.has(record.id)) latest.set(record.id, record.message);
+        continue;
+      }
+      if (updatesOnly) continue;
+      const msg = latest.get(record.id) || record;
+      if (!cursorPassed) {
+        if (msg.id === before) cursorPassed = true;
+        continue;
+      }
+      if (beforeDay && msg.timestamp >= before) continue;
+      if (filter && !filter(msg)) continue;
+      page.push(msg);
+    }
+    if (page.length > limit) break;
+  }
+
+  return {
+    messages: page.slice(0, limit).reverse(),
+    hasMore: page.length > limit
+  };
+}
+
+/**
+ * Every logged message in its latest version, oldest first.
+ */
+async function* readLog(logDir) {
+  const files = await listLogFiles(logDir);
+  const latest = new Map();
+  for (const file of files) {
+    for (const record of await readLogFile(path.join(logDir, file))) {
+      if (record.type === UPDATE_TYPE) latest.set(record.id, record.message);
+    }
+  }
+  for (const file of files) {
+    for (const record of await readLogFile(path.join(logDir, file))) {
+      if (record.type !== UPDATE_TYPE) yield latest.get(record.id) || record;
+    }
+  }
+}
+
+module.exports = {
+  UPDATE_TYPE,
+  isValidTime,
+  parseCursor,
+  updateRecord,
+  readHistoryPage,
+  readLog,
+  listLogFiles,
+  readLogFile,
+};
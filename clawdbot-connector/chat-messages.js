@@ -0,0 +1,95 @@
+/**
+ * Field Room Chat Messages
+ *
+ * What can happen to a chat message after it is sent: its author edits or
+ * deletes it, anyone reacts to it, and replies gather in a thread under it.
+ *
+ *   { type: 'chat' | 'ai_response', id, from, text, timestamp,
+ *     attachment,                        (a shared file's metadata, see attachments.js)
+ *     inReplyTo,                         (the message it answers, if any)
+ *     threadId,                          (in a thread only)
+ *     editedAt,                          (edited only)
+ *     deleted: true, deletedAt,          (deleted only; text is then '')
+ *     reactions: { [emoji]: [userId] } } (reacted to only)
+ *
+ * A thread is one level deep: a reply to a reply joins the thread of the
+ * message that started it, and `threadId` is that message's id.
+ *
+ * The functions here are pure and return new messages (or the same one when
+ * nothing changes); the service persists and broadcasts them.
+ */
+
+// Most different emoji on one message
+const MAX_REACTIONS = 20;
+
+function messageError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Check that `userId` may edit or delete `msg`: only the author may, and only
+ * human chat (AI replies are kept as given).
+ */
+function checkAuthor(msg, userId) {
+  if (msg.type !== 'chat' || msg.from !== userId) {
+    throw messageError('forbidden', `Only the author can change message ${msg.id}`);
+  }
+  if (msg.deleted) throw messageError('not_found', `Message ${msg.id} was deleted`);
+}
+
+function editMessage(msg, text, now = Date.now()) {
+  if (msg.text === text) return msg;
+  return { ...msg, text, editedAt: now };
+}
+
+// The message stays as a tombstone, so replies keep their place in the thread.
+// A shared file stays uploaded, but the message no longer points to it.
+function deleteMessage(msg, now = Date.now()) {
+  const { reactions, actions, editedAt, attachment, ...rest } = msg;
+  return { ...rest, text: '', deleted: true, deletedAt: now };
+}
+
+/**
+ * Add (`on`) or remove `userId`'s `emoji` reaction. Throws `limit_exceeded`
+ * for a new emoji once the message has MAX_REACTIONS different ones.
+ */
+function setReaction(msg, emoji, userId, on) {
+  if (msg.deleted) throw messageError('not_found', `Message ${msg.id} was deleted`);
+  const reactions = msg.reactions || {};
+  // Emoji are any short string, 'constructor' and '__proto__' included
+  const known = Object.hasOwn(reactions, emoji);
+  const users = known ? reactions[emoji] : [];
+  if (users.includes(userId) === on) return msg;
+
+  if (on && !known && Object.keys(reactions).length >= MAX_REACTIONS) {
+    throw messageError('limit_exceeded', `Message ${msg.id} already has ${MAX_REACTIONS} different reactions`);
+  }
+  const next = { ...reactions, [emoji]: on ? [...users, userId] : users.filter(id => id !== userId) };
+  if (next[emoji].length === 0) delete next[emoji];
+  const updated = { ...msg, reactions: next };
+  if (Object.keys(next).length === 0) delete updated.reactions;
+  return updated;
+}
+
+/**
+ * The thread a reply to `parent` belongs to.
+ */
+function threadOf(parent) {
+  return parent.threadId || parent.id;
+}
+
+function belongsToThread(msg, threadId) {
+  return msg.id === threadId || msg.threadId === threadId;
+}
+
+module.exports = {
+  MAX_REACTIONS,
+  checkAuthor,
+  editMessage,
+  deleteMessage,
+  setReaction,
+  threadOf,
+  belongsToThread,
+};
@@ -9,6 +9,12 @@
  * 
  * Usage:
  *   SYNC_URL=ws://localhost:3738 AI_USER_ID=pauline node clawdbot-client.js
+ *   SYNC_URL=ws://localhost:3738/site-a AI_USER_ID=pauline node clawdbot-client.js
+ *
+ * When the sync service requires auth, mint an AI token and pass it as ROOM_TOKEN:
+ *   ROOM_TOKEN=$(AUTH_SECRET=... node auth.js mint --user pauline --type ai) node clawdbot-client.js
+ *
+ * COMPRESS=true asks the service for permessage-deflate (see WS_COMPRESSION).
  */
 
 const WebSocket = require('ws');
@@ -17,18 +23,33 @@ const CONFIG = {
   SYNC_URL: process.env.SYNC_URL || 'ws://localhost:3738',
   AI_USER_ID: process.env.AI_USER_ID || 'pauline',
   SESSION_KEY: process.env.SESSION_KEY || 'field-room',
+  ROOM: process.env.ROOM || null,
+  ROOM_TOKEN: process.env.ROOM_TOKEN || null,
   AUTO_RESPOND: process.env.AUTO_RESPOND === 'true',
+  COMPRESS: process.env.COMPRESS === 'true',
 };
 
 let ws = null;
 let reconnectTimer = null;
-const RECONNECT_DELAY = 5000;
+let reconnectAttempts = 0;
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+// Session resumption: the server replays what we missed since lastSeq
+let resumeToken = null;
+let lastSeq = 0;
+
+// Who is in the room: Map<presenceId, user>, from full presence lists and
+// the presence_delta and move events in between
+const members = new Map();
 
 console.log('[OpenClaw Client] Starting...');
-console.log('[Config]', JSON.stringify(CONFIG, null, 2));
+console.log('[Config]', JSON.stringify({ ...CONFIG, ROOM_TOKEN: CONFIG.ROOM_TOKEN ? '***' : '(none)' }, null, 2));
 
 function connect() {
-  ws = new WebSocket(CONFIG.SYNC_URL);
+  const url = new URL(CONFIG.SYNC_URL);
+  if (CONFIG.COMPRESS) url.searchParams.set('compress', '1');
+  ws = new WebSocket(url);
 
   ws.on('open', () => {
     console.log('[Connected] Joined room as', CONFIG.AI_USER_ID);
@@ -36,6 +57,9 @@ function connect() {
       type: 'auth',
       userId: CONFIG.AI_USER_ID,
       userType: 'ai',
+      room: CONFIG.ROOM,
+      token: CONFIG.ROOM_TOKEN,
+      ...(resumeToken && { resume: resumeToken, lastSeq }),
       metadata: {
         sessionKey: CONFIG.SESSION_KEY,
         capabilities: ['research', 'analysis', 'coding', 'conversation']
@@ -46,15 +70,23 @@ function connect() {
   ws.on('message', (data) => {
     try {
       const msg = JSON.parse(data.toString());
+      if (msg.seq && msg.type !== 'auth_ok') lastSeq = Math.max(lastSeq, msg.seq);
       handleMessage(msg);
     } catch (err) {
       console.error('[Message Error]', err);
     }
   });
 
-  ws.on('close', () => {
-    console.log('[Disconnected] Reconnecting in', RECONNECT_DELAY, 'ms');
-    reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+  ws.on('close', (code) => {
+    if (code === 1008) {
+      console.error('[Auth] Rejected by sync service — check ROOM_TOKEN');
+      return;
+    }
+    // Exponential backoff with jitter
+    const delay = Math.round(Math.min(MAX_RECONNECT_DELAY, RECONNECT_DELAY * 2 ** reconnectAttempts) * (0.5 + Math.random() / 2));
+    reconnectAttempts++;
+    console.log('[Disconnected] Reconnecting in', delay, 'ms');
+    reconnectTimer = setTimeout(connect, delay);
   });
 
   ws.on('error', (err) => {
@@ -64,35 +96,113 @@ function connect() {
 
 function handleMessage(msg) {
   switch (msg.type) {
+    case 'auth_ok':
+      resumeToken = msg.resumeToken;
+      reconnectAttempts = 0;
+      if (msg.resumed && msg.replayed !== null) {
+        console.log(`[Auth] Resumed in ${msg.room}; replaying ${msg.replayed} missed events`);
+      } else {
+        lastSeq = msg.seq;
+        console.log(`[Auth] Authenticated as ${msg.userId} (${msg.userType}) in ${msg.room}`);
+      }
+      break;
+    case 'error':
+      console.error('[Error]', msg.error || msg.text);
+      break;
     case 'state':
-      console.log('[State] Received workspace state');
+      console.log('[State] Received workspace state for room', msg.room);
       break;
     case 'history':
       console.log('[History]', msg.messages.length, 'recent messages');
       break;
     case 'chat':
-      console.log(`[Chat] ${msg.from}: ${msg.text}`);
+      console.log(`[Chat] ${msg.from}: ${msg.text}` +
+        (msg.attachment ? ` [${msg.attachment.name}${msg.attachment.location ? ' (located)' : ''}]` : ''));
+      break;
+    case 'attachment_update':
+      console.log(`[Attachment] ${msg.attachment.name}: ${msg.attachment.description}`);
+      break;
+    case 'dm':
+      console.log(`[DM] ${msg.from} → ${msg.to.join(', ')}: ${msg.text}`);
+      break;
+    case 'chat_edit':
+      console.log(`[Edit] ${msg.message.from}: ${msg.message.text}`);
+      break;
+    case 'chat_delete':
+      console.log(`[Delete] ${msg.message.from}'s message ${msg.messageId}`);
+      break;
+    case 'reaction':
+      console.log(`[Reaction] ${msg.userId} ${msg.action === 'remove' ? 'removed' : 'added'} ${msg.emoji} on ${msg.messageId}`);
+      break;
+    case 'thread_page':
+      console.log(`[Thread ${msg.threadId}]`, msg.messages.length, 'messages');
       break;
     case 'ai_response':
-      console.log(`[AI] ${msg.from}: ${msg.text}`);
+    case 'ai_response_end':
+      if (msg.error) console.log(`[AI] ${msg.from} failed: ${msg.error}`);
+      else console.log(`[AI] ${msg.from}: ${msg.text}`);
+      break;
+    case 'ai_response_start':
+    case 'ai_response_delta':
+      // Streaming fragments — the full text arrives with ai_response_end
       break;
     case 'presence':
+      members.clear();
+      msg.users.forEach(u => members.set(u.presenceId, u));
       console.log('[Presence]', msg.users.map(u => u.userId).join(', '));
       break;
+    case 'presence_delta':
+      applyPresenceDelta(msg);
+      console.log('[Presence]', Array.from(members.values(), u => u.userId).join(', '));
+      break;
     case 'join':
       console.log(`[Join] ${msg.userId} (${msg.userType})`);
       break;
     case 'move':
+      if (members.has(msg.presenceId)) {
+        Object.assign(members.get(msg.presenceId), { location: msg.location, locationUpdatedAt: msg.timestamp });
+      }
       console.log(`[Move] ${msg.userId} →`, msg.location?.name || 'unknown');
       break;
     case 'drawing':
       console.log('[Drawing]', msg.drawing.id, msg.drawing.type);
       break;
+    case 'drawing_update':
+      console.log('[Drawing Update]', msg.drawing.id, 'rev', msg.drawing.revision);
+      break;
+    case 'drawing_delete':
+      console.log('[Drawing Delete]', msg.id);
+      break;
+    case 'annotation':
+      console.log(`[Annotation] ${msg.annotation.createdBy}:`, msg.annotation.text);
+      break;
+    case 'annotation_reply':
+      console.log(`[Annotation ${msg.annotationId}] ${msg.reply.from}:`, msg.reply.text);
+      break;
+    case 'annotation_resolve':
+      console.log(`[Annotation ${msg.annotationId}] ${msg.status} by ${msg.annotation.updatedBy}`);
+      break;
+    case 'geofence_enter':
+    case 'geofence_exit':
+      console.log(`[Geofence] ${msg.userId} ${msg.type === 'geofence_enter' ? 'entered' : 'left'}`, msg.name || msg.drawingId);
+      break;
+    case 'proximity_enter':
+    case 'proximity_exit':
+      console.log(`[Proximity] ${msg.userIds.join(' & ')} ${msg.type === 'proximity_enter' ? 'within' : 'beyond'} ${msg.within} m (${msg.distance} m)`);
+      break;
     default:
       console.log('[Unknown]', msg.type);
   }
 }
 
+function applyPresenceDelta({ joined, left, changed }) {
+  joined.forEach(u => members.set(u.presenceId, u));
+  left.forEach(presenceId => members.delete(presenceId));
+  changed.forEach(({ presenceId, ...fields }) => {
+    if (members.has(presenceId)) Object.assign(members.get(presenceId), fields);
+  });
+}
+
 function send(message) {
   if (ws && ws.readyState === WebSocket.OPEN) {
     ws.send(JSON.stringify(message));
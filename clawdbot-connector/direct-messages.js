@@ -0,0 +1,37 @@
+/**
+ * Field Room Direct Messages
+ *
+ * DMs go only to the users they are addressed to (and the sender's other
+ * connections) and are logged apart from the room's chat log, in dm-logs/
+ * (the direct_messages table with SQLite). Private AI requests live there
+ * too: the question as a dm to the persona, the answer as an ai_response
+ * with `to` and `private: true`.
+ *
+ * A thread is everyone taking part (sender and recipients), whoever sent
+ * each message: rob → sarah and sarah → rob are the same thread.
+ */
+
+/**
+ * Everyone taking part in a DM or private reply: its sender and `to`,
+ * without duplicates, sorted.
+ */
+function participantsOf(msg) {
+  return Array.from(new Set([msg.from, ...(msg.to || [])])).sort();
+}
+
+/**
+ * A stable key for the thread between `userIds`.
+ */
+function threadKey(userIds) {
+  return JSON.stringify(Array.from(new Set(userIds)).sort());
+}
+
+function inThread(msg, key) {
+  return threadKey(participantsOf(msg)) === key;
+}
+
+module.exports = {
+  participantsOf,
+  threadKey,
+  inThread,
+};
@@ -0,0 +1,61 @@
+/**
+ * Field Room Event Log
+ *
+ * Every event broadcast to a room gets the next sequence number. The most
+ * recent ones are kept in memory so a client that reconnects can be sent
+ * exactly what it missed, instead of starting over.
+ *
+ * Ephemeral events (typing, streamed deltas, presence) get a sequence number
+ * but are not kept: replaying them later would be stale. Private events (DMs,
+ * private AI replies) are kept with their audience and replayed only to it.
+ */
+
+const EPHEMERAL_TYPES = new Set(['typing', 'ai_response_delta', 'presence', 'presence_delta']);
+
+/**
+ * Create a room's event log keeping the last `limit` replayable events.
+ */
+function createEventLog({ limit = 500 } = {}) {
+  const log = {
+    seq: 0,
+    events: [],
+    // Events with seq below this may have been dropped from the buffer
+    replayableFrom: 1
+  };
+
+  /**
+   * Number `message` and keep it for replay. `exclude` is the client it was
+   * not sent to (e.g. the mover of a move), so it isn't replayed to them
+   * either; `audience` the userIds it was only sent to, if any. Returns the
+   * message with its `seq`.
+   */
+  log.append = (message, exclude = null, audience = null) => {
+    const event = { ...message, seq: ++log.seq };
+    if (!EPHEMERAL_TYPES.has(event.type)) {
+      log.events.push({ event, exclude, audience });
+      if (log.events.length > limit) {
+        log.replayableFrom = log.events.shift().event.seq + 1;
+      }
+    }
+    return event;
+  };
+
+  /**
+   * Events after `seq` that weren't sent by `client` and were meant for it,
+   * oldest first, or null if some of them are no longer buffered (the client
+   * needs a full resync).
+   */
+  log.since = (seq, client = null) => {
+    if (!Number.isInteger(seq) || seq > log.seq || seq + 1 < log.replayableFrom) return null;
+    return log.events
+      .filter(({ event, exclude, audience }) => event.seq > seq && exclude !== client &&
+        (!audience || (client && audience.has(client.userId))))
+      .map(({ event }) => event);
+  };
+
+  return log;
+}
+
+module.exports = {
+  createEventLog,
+};
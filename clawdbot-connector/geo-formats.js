@@ -0,0 +1,527 @@
+/**
+ * Field Room Geo Formats
+ *
+ * Drawings in and out of GIS tools (QGIS, Google Earth, GPS units) as GeoJSON
+ * FeatureCollections, KML and GPX.
+ *
+ * A drawing keeps its shape as a GeoJSON Feature (`geojson`) next to room
+ * metadata: name, description, type, style, createdBy, revision... Exported,
+ * each drawing becomes one feature whose properties carry that metadata.
+ * Imported, name / description / type / style become the new drawing's fields
+ * and any other properties stay with its feature; ids, authors and revisions
+ * come from the room, not the file.
+ *
+ * - GeoJSON: metadata as feature properties, style as an object
+ * - KML: name and description as such, style as a KML Style (and, exactly,
+ *   as ExtendedData), everything else as ExtendedData
+ * - GPX: points as waypoints, lines as tracks and polygons as closed tracks
+ *   (GPX has no areas); metadata in <extensions>
+ */
+
+const { geometryError } = require('./protocol');
+
+const FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' }
+};
+
+// Feature properties that are drawing fields
+const DRAWING_FIELDS = ['name', 'description', 'type', 'style'];
+// Exported for reference, but owned by the room on import
+const ROOM_FIELDS = ['id', 'createdBy', 'createdAt', 'updatedBy', 'updatedAt', 'revision', 'deleted'];
+
+const GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+const GPX_NAMESPACE = 'urn:field-room:gpx';
+
+// Export
+
+/**
+ * The drawings as one GeoJSON FeatureCollection. Drawings without a usable
+ * shape are left out.
+ */
+function toFeatureCollection(drawings) {
+  return {
+    type: 'FeatureCollection',
+    features: drawings.map(toFeature).filter(Boolean)
+  };
+}
+
+function toFeature(drawing) {
+  const shape = drawing.geojson;
+  if (!shape || typeof shape !== 'object') return null;
+  const geometry = shape.type === 'Feature' ? shape.geometry : shape;
+  // A shape stored before drawings were validated may be broken: skip it
+  if (geometryError(geometry)) return null;
+
+  const properties = { ...(shape.type === 'Feature' && shape.properties) };
+  for (const field of [...DRAWING_FIELDS, ...ROOM_FIELDS]) {
+    if (field !== 'deleted' && drawing[field] !== undefined) properties[field] = drawing[field];
+  }
+  return { type: 'Feature', id: drawing.id, geometry, properties };
+}
+
+/**
+ * Serialise drawings as `format` ('geojson', 'kml' or 'gpx'). `name` names
+ * the document (the room).
+ */
+function exportDrawings(drawings, format, { name = 'Field Room' } = {}) {
+  const collection = toFeatureCollection(drawings);
+  if (format === 'geojson') return JSON.stringify(collection, null, 2);
+  if (format === 'kml') return toKML(collection.features, name);
+  if (format === 'gpx') return toGPX(collection.features, name);
+  throw new Error(`Unknown format: ${format}`);
+}
+
+function escapeXML(value) {
+  return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+// Property values as text: strings as they are, anything else as JSON
+function propertyText(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// '#3b82f6' and an opacity as KML's aabbggrr
+function kmlColor(hex, opacity = 1) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return null;
+  const alpha = Math.round(Math.min(1, Math.max(0, opacity)) * 255).toString(16).padStart(2, '0');
+  return `${alpha}${match[3]}${match[2]}${match[1]}`.toLowerCase();
+}
+
+function kmlStyle(style) {
+  if (!style || typeof style !== 'object') return '';
+  const parts = [];
+  const line = kmlColor(style.color, style.opacity ?? 1);
+  if (line || style.weight) {
+    parts.push(`<LineStyle>${line ? `<color>${line}</color>` : ''}${style.weight ? `<width>${Number(style.weight)}</width>` : ''}</LineStyle>`);
+  }
+  const fill = kmlColor(style.fillColor || style.color, style.fillOpacity ?? 0.2);
+  if (fill) parts.push(`<PolyStyle><color>${fill}</color></PolyStyle>`);
+  if (line) parts.push(`<IconStyle><color>${line}</color></IconStyle>`);
+  return parts.length ? `<Style>${parts.join('')}</Style>` : '';
+}
+
+function kmlCoordinates(positions) {
+  return `<coordinates>${positions.map(p => p.map(Number).join(',')).join(' ')}</coordinates>`;
+}
+
+function kmlGeometry(geometry) {
+  const { type, coordinates } = geometry;
+  const ring = (positions) => `<LinearRing>${kmlCoordinates(positions)}</LinearRing>`;
+  const polygon = (rings) => `<Polygon><outerBoundaryIs>${ring(rings[0])}</outerBoundaryIs>` +
+    rings.slice(1).map(r => `<innerBoundaryIs>${ring(r)}</innerBoundaryIs>`).join('') + '</Polygon>';
+
+  switch (type) {
+    case 'Point': return `<Point>${kmlCoordinates([coordinates])}</Point>`;
+    case 'LineString': return `<LineString>${kmlCoordinates(coordinates)}</LineString>`;
+    case 'Polygon': return polygon(coordinates);
+    case 'MultiPoint': return `<MultiGeometry>${coordinates.map(c => `<Point>${kmlCoordinates([c])}</Point>`).join('')}</MultiGeometry>`;
+    case 'MultiLineString': return `<MultiGeometry>${coordinates.map(c => `<LineString>${kmlCoordinates(c)}</LineString>`).join('')}</MultiGeometry>`;
+    case 'MultiPolygon': return `<MultiGeometry>${coordinates.map(polygon).join('')}</MultiGeometry>`;
+    case 'GeometryCollection': return `<MultiGeometry>${geometry.geometries.map(kmlGeometry).join('')}</MultiGeometry>`;
+    default: return '';
+  }
+}
+
+function toKML(features, name) {
+  const placemarks = features.filter(f => f.geometry).map(feature => {
+    const { name: title, description, style, ...rest } = feature.properties;
+    const data = Object.entries({ ...rest, ...(style && { style }) })
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `<Data name="${escapeXML(key)}"><value>${escapeXML(propertyText(value))}</value></Data>`)
+      .join('');
+    return '  <Placemark>' +
+      (title ? `<name>${escapeXML(title)}</name>` : '') +
+      (description ? `<description>${escapeXML(description)}</description>` : '') +
+      kmlStyle(style) +
+      (data ? `<ExtendedData>${data}</ExtendedData>` : '') +
+      kmlGeometry(feature.geometry) +
+      '</Placemark>';
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `  <name>${escapeXML(name)}</name>`,
+    ...placemarks,
+    '</Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+// GPX items (waypoints and tracks) for a feature; collections are split up
+function gpxItems(geometry, properties) {
+  switch (geometry.type) {
+    case 'Point':
+      return [{ kind: 'wpt', point: geometry.coordinates, properties }];
+    case 'MultiPoint':
+      return geometry.coordinates.map(point => ({ kind: 'wpt', point, properties }));
+    case 'LineString':
+      return [{ kind: 'trk', segments: [geometry.coordinates], properties }];
+    case 'MultiLineString':
+      return [{ kind: 'trk', segments: geometry.coordinates, properties }];
+    case 'Polygon':
+      return [{ kind: 'trk', segments: geometry.coordinates, properties, polygon: true }];
+    case 'MultiPolygon':
+      return geometry.coordinates.map(rings => ({ kind: 'trk', segments: rings, properties, polygon: true }));
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(g => gpxItems(g, properties));
+    default:
+      return [];
+  }
+}
+
+function gpxPoint(tag, [lon, lat, ele], inner = '') {
+  return `<${tag} lat="${Number(lat)}" lon="${Number(lon)}">${ele !== undefined ? `<ele>${Number(ele)}</ele>` : ''}${inner}</${tag}>`;
+}
+
+function gpxDetails({ name, description, type, ...rest }, polygon) {
+  const extensions = Object.entries(rest)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `<fieldroom:property name="${escapeXML(key)}">${escapeXML(propertyText(value))}</fieldroom:property>`);
+  if (polygon) extensions.push('<fieldroom:geometry>Polygon</fieldroom:geometry>');
+  return (name ? `<name>${escapeXML(name)}</name>` : '') +
+    (description ? `<desc>${escapeXML(description)}</desc>` : '') +
+    (type ? `<type>${escapeXML(type)}</type>` : '') +
+    (extensions.length ? `<extensions>${extensions.join('')}</extensions>` : '');
+}
+
+function toGPX(features, name) {
+  const items = features.filter(f => f.geometry).flatMap(f => gpxItems(f.geometry, f.properties));
+  // GPX wants all waypoints before the tracks
+  const waypoints = items.filter(i => i.kind === 'wpt').map(i => '  ' + gpxPoint('wpt', i.point, gpxDetails(i.properties)));
+  const tracks = items.filter(i => i.kind === 'trk').map(i => '  <trk>' + gpxDetails(i.properties, i.polygon) +
+    i.segments.map(segment => `<trkseg>${segment.map(p => gpxPoint('trkpt', p)).join('')}</trkseg>`).join('') + '</trk>');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="Field Room" xmlns="http://www.topografix.com/GPX/1/1" xmlns:fieldroom="${GPX_NAMESPACE}">`,
+    `  <metadata><name>${escapeXML(name)}</name></metadata>`,
+    ...waypoints,
+    ...tracks,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+// Import
+
+/**
+ * Guess a file's format from its content: 'geojson', 'kml', 'gpx' or null.
+ */
+function detectFormat(text) {
+  const head = text.replace(/^\uFEFF/, '').trimStart().slice(0, 2048);
+  if (head.startsWith('{')) return 'geojson';
+  if (/<(?:\w+:)?kml[\s>]/.test(head)) return 'kml';
+  if (/<gpx[\s>]/.test(head)) return 'gpx';
+  return null;
+}
+
+/**
+ * Read the drawings in a GeoJSON, KML or GPX file. Returns
+ * { drawings: [{ index, drawing }], skipped: [{ index, reason }] }, where
+ * `index` counts features / placemarks / waypoints and tracks in file order
+ * and each drawing is ready to send as a `drawing` message. Throws if the file
+ * can't be read at all.
+ */
+function parseDrawings(text, format) {
+  text = text.replace(/^\uFEFF/, '');
+  let features;
+  if (format === 'geojson') features = geojsonFeatures(text);
+  else if (format === 'kml') features = kmlFeatures(parseXML(text));
+  else if (format === 'gpx') features = gpxFeatures(parseXML(text));
+  else throw new Error(`Unknown format: ${format}`);
+
+  const drawings = [];
+  const skipped = [];
+  features.forEach((feature, index) => {
+    const reason = checkGeometry(feature.geometry);
+    if (reason) skipped.push({ index, reason });
+    else drawings.push({ index, drawing: fromFeature(feature) });
+  });
+  return { drawings, skipped };
+}
+
+function fromFeature({ geometry, properties }) {
+  const drawing = {};
+  const rest = {};
+  for (const [key, value] of Object.entries(properties || {})) {
+    if (DRAWING_FIELDS.includes(key)) drawing[key] = value;
+    else if (!ROOM_FIELDS.includes(key)) rest[key] = value;
+  }
+  // KML and GPX carry the style as text
+  if (typeof drawing.style === 'string') {
+    try {
+      drawing.style = JSON.parse(drawing.style);
+    } catch {
+      delete drawing.style;
+    }
+  }
+  if (drawing.type === undefined) drawing.type = defaultType(geometry);
+  drawing.geojson = { type: 'Feature', geometry, properties: rest };
+  return drawing;
+}
+
+// What the room calls a shape that doesn't say
+function defaultType(geometry) {
+  if (/Point$/.test(geometry.type)) return 'marker';
+  if (/LineString$/.test(geometry.type)) return 'route';
+  if (/Polygon$/.test(geometry.type)) return 'zone';
+  return 'shape';
+}
+
+// Returns why a geometry can't be a drawing, or null if it can
+function checkGeometry(geometry) {
+  const reason = geometryError(geometry);
+  if (reason) return reason;
+  const inRange = positionsOf(geometry).every(([lon, lat]) => Math.abs(lon) <= 180 && Math.abs(lat) <= 90);
+  return inRange ? null : `Invalid ${geometry.type} coordinates`;
+}
+
+// Every position in a valid geometry
+function positionsOf(geometry) {
+  if (geometry.type === 'GeometryCollection') return geometry.geometries.flatMap(positionsOf);
+  const flatten = (value) => (typeof value[0] === 'number' ? [value] : value.flatMap(flatten));
+  return flatten(geometry.coordinates);
+}
+
+function geojsonFeatures(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error('Not valid JSON');
+  }
+  if (json && json.type === 'FeatureCollection' && Array.isArray(json.features)) {
+    return json.features.map(f => (f && f.type === 'Feature' ? f : { geometry: null }));
+  }
+  if (json && json.type === 'Feature') return [json];
+  if (json && GEOMETRY_TYPES.includes(json.type)) return [{ geometry: json, properties: {} }];
+  throw new Error('Expected a GeoJSON FeatureCollection, Feature or geometry');
+}
+
+// KML
+
+function kmlPositions(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => tuple.split(',').map(Number));
+}
+
+function kmlToGeometry(el) {
+  switch (el.name) {
+    case 'Point': return { type: 'Point', coordinates: kmlPositions(textOf(child(el, 'coordinates')))[0] };
+    case 'LineString':
+    case 'LinearRing': return { type: 'LineString', coordinates: kmlPositions(textOf(child(el, 'coordinates'))) };
+    case 'Polygon': {
+      const ring = (boundary) => kmlPositions(textOf(child(child(boundary, 'LinearRing'), 'coordinates')));
+      const outer = child(el, 'outerBoundaryIs');
+      return { type: 'Polygon', coordinates: outer ? [ring(outer), ...children(el, 'innerBoundaryIs').map(ring)] : [] };
+    }
+    case 'MultiGeometry': {
+      const parts = el.children.map(kmlToGeometry).filter(Boolean);
+      // QGIS wraps single shapes in a MultiGeometry too
+      if (parts.length === 1) return parts[0];
+      const types = new Set(parts.map(p => p.type));
+      if (types.size === 1 && ['Point', 'LineString', 'Polygon'].includes(parts[0].type)) {
+        return { type: `Multi${parts[0].type}`, coordinates: parts.map(p => p.coordinates) };
+      }
+      return { type: 'GeometryCollection', geometries: parts };
+    }
+    default: return null;
+  }
+}
+
+// '#aabbggrr' → { color: '#rrggbb', opacity }
+function fromKmlColor(text) {
+  const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec((text || '').trim());
+  if (!match) return null;
+  return { color: `#${match[4]}${match[3]}${match[2]}`.toLowerCase(), opacity: Math.round(parseInt(match[1], 16) / 255 * 100) / 100 };
+}
+
+function kmlStyleToStyle(styleEl) {
+  if (!styleEl) return null;
+  const style = {};
+  const line = child(styleEl, 'LineStyle');
+  const poly = child(styleEl, 'PolyStyle');
+  const icon = child(styleEl, 'IconStyle');
+  const stroke = fromKmlColor(textOf(child(line, 'color'))) || fromKmlColor(textOf(child(icon, 'color')));
+  if (stroke) Object.assign(style, stroke);
+  const width = parseFloat(textOf(child(line, 'width')));
+  if (width) style.weight = width;
+  const fill = fromKmlColor(textOf(child(poly, 'color')));
+  if (fill) {
+    style.fillColor = fill.color;
+    style.fillOpacity = fill.opacity;
+  }
+  return Object.keys(style).length ? style : null;
+}
+
+function kmlFeatures(doc) {
+  const root = doc.children[0];
+  if (!root || root.name !== 'kml') throw new Error('Not a KML document');
+
+  // Shared styles, by id; a StyleMap stands for its normal style
+  const styles = new Map();
+  for (const el of descendants(root, 'Style')) if (el.attrs.id) styles.set(el.attrs.id, el);
+  for (const map of descendants(root, 'StyleMap')) {
+    const pair = children(map, 'Pair').find(p => textOf(child(p, 'key')) === 'normal');
+    const url = pair && textOf(child(pair, 'styleUrl'));
+    if (map.attrs.id && url) styles.set(map.attrs.id, styles.get(url.replace(/^#/, '')));
+  }
+
+  return descendants(root, 'Placemark').map(placemark => {
+    const properties = {};
+    for (const data of descendants(placemark, 'Data')) {
+      if (data.attrs.name) properties[data.attrs.name] = textOf(child(data, 'value'));
+    }
+    for (const data of descendants(placemark, 'SimpleData')) {
+      if (data.attrs.name) properties[data.attrs.name] = textOf(data);
+    }
+    const name = textOf(child(placemark, 'name'));
+    const description = textOf(child(placemark, 'description'));
+    if (name) properties.name = name;
+    if (description) properties.description = description;
+
+    // An exact style from ExtendedData wins over one read back from KML styles
+    if (properties.style === undefined) {
+      const url = textOf(child(placemark, 'styleUrl'));
+      const style = kmlStyleToStyle(child(placemark, 'Style') || (url && styles.get(url.replace(/^#/, ''))));
+      if (style) properties.style = style;
+    }
+
+    const geometryEl = placemark.children.find(el => ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry'].includes(el.name));
+    return { geometry: geometryEl ? kmlToGeometry(geometryEl) : null, properties };
+  });
+}
+
+// GPX
+
+function gpxPosition(el) {
+  const position = [parseFloat(el.attrs.lon), parseFloat(el.attrs.lat)];
+  const ele = parseFloat(textOf(child(el, 'ele')));
+  if (Number.isFinite(ele)) position.push(ele);
+  return position;
+}
+
+function gpxProperties(el) {
+  const properties = {};
+  const extensions = child(el, 'extensions');
+  for (const property of children(extensions, 'property')) {
+    if (property.attrs.name) properties[property.attrs.name] = textOf(property);
+  }
+  const name = textOf(child(el, 'name'));
+  const description = textOf(child(el, 'desc'));
+  const type = textOf(child(el, 'type'));
+  if (name) properties.name = name;
+  if (description) properties.description = description;
+  if (type) properties.type = type;
+  return properties;
+}
+
+function gpxFeatures(doc) {
+  const root = doc.children[0];
+  if (!root || root.name !== 'gpx') throw new Error('Not a GPX document');
+
+  return root.children.flatMap(el => {
+    if (el.name === 'wpt') {
+      return [{ geometry: { type: 'Point', coordinates: gpxPosition(el) }, properties: gpxProperties(el) }];
+    }
+    if (el.name === 'rte') {
+      return [{ geometry: { type: 'LineString', coordinates: children(el, 'rtept').map(gpxPosition) }, properties: gpxProperties(el) }];
+    }
+    if (el.name === 'trk') {
+      const segments = children(el, 'trkseg').map(seg => children(seg, 'trkpt').map(gpxPosition));
+      const polygon = textOf(child(child(el, 'extensions'), 'geometry')) === 'Polygon';
+      let geometry;
+      if (polygon) geometry = { type: 'Polygon', coordinates: segments };
+      else if (segments.length === 1) geometry = { type: 'LineString', coordinates: segments[0] };
+      else geometry = { type: 'MultiLineString', coordinates: segments };
+      return [{ geometry, properties: gpxProperties(el) }];
+    }
+    return [];
+  });
+}
+
+// A small XML reader: enough for KML and GPX. Elements are
+// { name, attrs, children, text } with namespace prefixes dropped.
+
+const XML_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^[>]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</g;
+const XML_ATTRIBUTE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function localName(name) {
+  return name.replace(/^.*:/, '');
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[entity.toLowerCase()];
+  });
+}
+
+function parseXML(text) {
+  const doc = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [doc];
+  let match;
+  XML_TOKEN.lastIndex = 0;
+  while ((match = XML_TOKEN.exec(text))) {
+    const [token, cdata, closing, opening, attributes, selfClosing, chars] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (chars !== undefined) {
+      current.text += decodeEntities(chars);
+    } else if (closing) {
+      const name = localName(closing);
+      const at = stack.map(el => el.name).lastIndexOf(name);
+      if (at > 0) stack.length = at;
+    } else if (opening) {
+      const el = { name: localName(opening), attrs: {}, children: [], text: '' };
+      for (const [, key, double, single] of (attributes || '').matchAll(XML_ATTRIBUTE)) {
+        el.attrs[localName(key)] = decodeEntities(double ?? single);
+      }
+      current.children.push(el);
+      if (!selfClosing) stack.push(el);
+    } else if (token === '<') {
+      throw new Error('Malformed XML');
+    }
+  }
+  if (doc.children.length !== 1) throw new Error('Not an XML document');
+  return doc;
+}
+
+function child(el, name) {
+  return (el && el.children.find(c => c.name === name)) || null;
+}
+
+function children(el, name) {
+  return el ? el.children.filter(c => c.name === name) : [];
+}
+
+function descendants(el, name) {
+  const found = [];
+  for (const c of el.children) {
+    if (c.name === name) found.push(c);
+    found.push(...descendants(c, name));
+  }
+  return found;
+}
+
+function textOf(el) {
+  return el ? el.text.trim() : '';
+}
+
+module.exports = {
+  FORMATS,
+  escapeXML,
+  toFeatureCollection,
+  exportDrawings,
+  detectFormat,
+  parseDrawings,
+};
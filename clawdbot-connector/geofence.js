@@ -0,0 +1,147 @@
+/**
+ * Field Room Geofences
+ *
+ * Zone-like drawings (GEOFENCE_TYPES, 'boundary' and 'zone' by default)
+ * act as geofences: every move is checked against them and the service
+ * emits geofence_enter / geofence_exit when someone crosses one. Pairs of
+ * users coming within PROXIMITY_METERS of each other get proximity_enter /
+ * proximity_exit.
+ *
+ * Both use a margin (GEOFENCE_MARGIN_METERS) so GPS jitter along an edge
+ * doesn't flap: you leave a fence only once you're that far outside it, and
+ * a pair is apart again only at PROXIMITY_METERS plus the margin.
+ *
+ * The functions here are pure; the service keeps the state (which fences
+ * each connection is inside, which pairs are near) and sends the events.
+ */
+
+const { distance, toPoint, polygonsOf, insidePolygon } = require('./room-context');
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+// Distance in metres from a point to a segment, on a flat projection
+// around the point (fine at the scale of a site)
+function distanceToSegment(point, [lng1, lat1], [lng2, lat2]) {
+  const kx = toRad(1) * EARTH_RADIUS_M * Math.cos(toRad(point.lat));
+  const ky = toRad(1) * EARTH_RADIUS_M;
+  const ax = (lng1 - point.lng) * kx;
+  const ay = (lat1 - point.lat) * ky;
+  const bx = (lng2 - point.lng) * kx;
+  const by = (lat2 - point.lat) * ky;
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// Distance in metres from a point to the nearest edge of a polygon drawing
+function distanceToEdge(point, geojson) {
+  let min = Infinity;
+  for (const rings of polygonsOf(geojson)) {
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i++) {
+        min = Math.min(min, distanceToSegment(point, ring[i - 1], ring[i]));
+      }
+    }
+  }
+  return min;
+}
+
+/**
+ * Whether a drawing acts as a geofence: not deleted, one of `types`, and
+ * with an area to be inside of.
+ */
+function isFence(drawing, types) {
+  return Boolean(drawing) && !drawing.deleted && types.includes(drawing.type) &&
+    polygonsOf(drawing.geojson).length > 0;
+}
+
+/**
+ * Check a location against the room's fences. `inside` is the set of fence
+ * ids the user was inside; it's updated in place. Fences that no longer
+ * exist (deleted, or no longer a fence type) count as exited.
+ *
+ * Returns { entered: [drawing], exited: [id] }.
+ */
+function checkFences(inside, location, fences, { margin = 0 } = {}) {
+  const point = toPoint(location);
+  const entered = [];
+  const exited = [];
+  if (!point) return { entered, exited };
+
+  const byId = new Map(fences.map(f => [f.id, f]));
+  for (const id of inside) {
+    if (!byId.has(id)) {
+      inside.delete(id);
+      exited.push(id);
+    }
+  }
+
+  for (const fence of fences) {
+    const within = insidePolygon(point, fence.geojson);
+    if (within && !inside.has(fence.id)) {
+      inside.add(fence.id);
+      entered.push(fence);
+    } else if (!within && inside.has(fence.id) && distanceToEdge(point, fence.geojson) > margin) {
+      inside.delete(fence.id);
+      exited.push(fence.id);
+    }
+  }
+  return { entered, exited };
+}
+
+// Pair keys don't depend on who moved
+function pairKey(a, b) {
+  return JSON.stringify(a < b ? [a, b] : [b, a]);
+}
+
+/**
+ * Check one user's location against everyone else's. `near` is the room's
+ * set of pair keys currently within range; it's updated in place. `others`
+ * is [{ userId, location }], one entry per user.
+ *
+ * Returns { entered: [{ userId, distance }], exited: [{ userId, distance }] }.
+ */
+function checkProximity(near, userId, location, others, { meters, margin = 0 }) {
+  const point = toPoint(location);
+  const entered = [];
+  const exited = [];
+  if (!point || !meters) return { entered, exited };
+
+  for (const other of others) {
+    if (other.userId === userId) continue;
+    const otherPoint = toPoint(other.location);
+    if (!otherPoint) continue;
+
+    const key = pairKey(userId, other.userId);
+    const dist = distance(point, otherPoint);
+    if (!near.has(key) && dist <= meters) {
+      near.add(key);
+      entered.push({ userId: other.userId, distance: dist });
+    } else if (near.has(key) && dist > meters + margin) {
+      near.delete(key);
+      exited.push({ userId: other.userId, distance: dist });
+    }
+  }
+  return { entered, exited };
+}
+
+// Forget every pair involving `userId` (when they leave the room)
+function forgetUser(near, userId) {
+  for (const key of near) {
+    if (JSON.parse(key).includes(userId)) near.delete(key);
+  }
+}
+
+module.exports = {
+  isFence,
+  checkFences,
+  checkProximity,
+  pairKey,
+  forgetUser,
+};
@@ -0,0 +1,90 @@
+/**
+ * Field Room AI Personas
+ *
+ * The AI participants the sync service speaks for. Each persona has its own
+ * identity, system prompt and gateway backend, loaded from a JSON file
+ * (PERSONAS_FILE):
+ *
+ *   [
+ *     { "id": "pauline", "api": "http://127.0.0.1:18789", "tokenEnv": "PAULINE_TOKEN" },
+ *     { "id": "oracle", "systemPrompt": "You are oracle, ...", "model": "openclaw:oracle" }
+ *   ]
+ *
+ * Fields left out fall back to the OPENCLAW_* / AI_* environment settings.
+ * Without a personas file there is a single persona, AI_USER_ID.
+ */
+
+const fs = require('fs').promises;
+
+const PERSONA_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createPersona(entry, defaults) {
+  if (!entry || typeof entry.id !== 'string' || !PERSONA_ID_PATTERN.test(entry.id)) {
+    throw new Error(`Invalid persona id: ${JSON.stringify(entry && entry.id)}`);
+  }
+
+  const token = entry.tokenEnv ? (process.env[entry.tokenEnv] || '') : entry.token;
+  if (entry.tokenEnv && !token) {
+    console.warn(`[Personas] ${entry.id}: ${entry.tokenEnv} is not set`);
+  }
+
+  return {
+    id: entry.id,
+    systemPrompt: entry.systemPrompt || null,
+    api: entry.api || defaults.api,
+    // Never send the default gateway token to a different gateway
+    token: token ?? (entry.api && entry.api !== defaults.api ? '' : defaults.token),
+    model: entry.model || defaults.model,
+    sessionUser: entry.sessionUser || defaults.sessionUser,
+    // Offer room tools (drawings, annotations, state, search) to this persona
+    tools: entry.tools ?? defaults.tools,
+    // Requests this persona's gateway handles at once (the rest queue)
+    concurrency: entry.concurrency ?? defaults.concurrency,
+    mentionPattern: new RegExp(`\\b${escapeRegExp(entry.id)}\\b`, 'i')
+  };
+}
+
+/**
+ * Load personas from `file`, or fall back to a single default persona when
+ * no file is configured. `defaults` supplies { id, api, token, model, sessionUser, tools, concurrency }.
+ */
+async function loadPersonas(file, defaults) {
+  if (!file) return [createPersona({ id: defaults.id }, defaults)];
+
+  const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed.personas;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`${file} must contain a non-empty array of personas`);
+  }
+
+  const personas = entries.map(entry => createPersona(entry, defaults));
+  const seen = new Set();
+  for (const persona of personas) {
+    const key = persona.id.toLowerCase();
+    if (seen.has(key)) throw new Error(`Duplicate persona id: ${persona.id}`);
+    seen.add(key);
+  }
+  return personas;
+}
+
+/**
+ * Every persona addressed in `text` (by @name or plain name), in config order.
+ */
+function mentionedPersonas(personas, text) {
+  return personas.filter(p => p.mentionPattern.test(String(text || '')));
+}
+
+function findPersona(personas, id) {
+  const key = String(id || '').toLowerCase();
+  return personas.find(p => p.id.toLowerCase() === key) || null;
+}
+
+module.exports = {
+  loadPersonas,
+  mentionedPersonas,
+  findPersona,
+};
@@ -0,0 +1,375 @@
+/**
+ * Field Room Protocol
+ *
+ * Declared schemas for every client → server message, and the stable error
+ * codes the server answers with. Messages are checked against their schema
+ * before any handler sees them; unknown fields are allowed (and ignored), so
+ * clients can add their own metadata.
+ *
+ * Any message may carry a request id, echoed as `requestId` in the reply or
+ * error it causes: `requestId` if given, otherwise `id` (drawing_delete,
+ * invoke_cancel and track_replay_control use `id` for their target, so they
+ * need `requestId`).
+ *
+ * Field spec: { type, required, enum, pattern, notBlank, min, max, maxLength, maxItems, items, properties, geojson }
+ * `type` is 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'any',
+ * or an array of those. `items` is the spec every element of an array must fit.
+ * `geojson` requires a GeoJSON geometry, or a Feature with one (see geometryError).
+ */
+
+// Error codes sent in { type: 'error', code, error, requestId }
+const ERROR_CODES = [
+  'invalid_json',        // Not parseable JSON
+  'invalid_message',     // Fails its schema (see `field`)
+  'unknown_type',        // No such message type
+  'payload_too_large',   // Larger than MAX_MESSAGE_BYTES
+  'rate_limited',        // Too many messages / AI requests (see `retryAfter`)
+  'not_authenticated',   // Needs a successful auth first
+  'auth_failed',         // Credentials rejected (connection is then closed)
+  'invalid_room',        // Bad room name
+  'not_found',           // Drawing, annotation, message, pinned fact or AI request doesn't exist
+  'forbidden',           // Not yours to change (e.g. someone else's message)
+  'conflict',            // Stale revision (drawings, state) or annotation id taken
+  'invalid_path',        // Bad state path
+  'invalid_ops',         // Bad state ops
+  'unknown_persona',     // No AI persona with that id
+  'limit_exceeded',      // A fixed capacity is full (e.g. pinned facts)
+  'disabled',            // Turned off on this server (e.g. track recording)
+  'ai_failed',           // The AI request failed (broadcast to the room)
+  'internal_error'       // Unexpected server error
+];
+
+const MAX_TEXT_LENGTH = 8000;
+const ID = { type: ['string', 'number'], maxLength: 128 };
+// Drawing and annotation ids become file names, so keep them to a safe character set
+const DRAWING_ID = { type: 'string', pattern: /^[a-z0-9_-]{1,64}$/i };
+// A timestamp (ms, within what a Date can hold) or a date string
+const TIME = { type: ['string', 'number'], maxLength: 64, min: -8.64e15, max: 8.64e15 };
+const USER_ID = { type: 'string', maxLength: 64, notBlank: true };
+const MESSAGE_ID = { type: 'string', maxLength: 64, notBlank: true };
+// Most recipients of one direct message
+const MAX_DM_RECIPIENTS = 20;
+// How deeply each geometry type nests its positions
+const POSITION_DEPTHS = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 };
+
+const MESSAGE_SCHEMAS = {
+  auth: {
+    userId: { type: 'string', maxLength: 64 },
+    userType: { type: 'string', enum: ['human', 'ai'] },
+    room: { type: 'string', maxLength: 64 },
+    token: { type: 'string', maxLength: 4096 },
+    metadata: { type: 'object' },
+    resume: { type: 'string', maxLength: 64 },
+    lastSeq: { type: 'integer', min: 0 },
+    // Record this user's track (see track_recording)
+    track: { type: 'boolean' }
+  },
+  chat: {
+    text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH, notBlank: true },
+    // Reply to this message, in its thread
+    inReplyTo: MESSAGE_ID
+  },
+  // Share a file uploaded with POST /attachments, with an optional caption
+  attachment: {
+    attachmentId: { ...MESSAGE_ID, required: true },
+    text: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+    inReplyTo: MESSAGE_ID
+  },
+  chat_edit: {
+    messageId: { ...MESSAGE_ID, required: true },
+    text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH, notBlank: true }
+  },
+  chat_delete: {
+    messageId: { ...MESSAGE_ID, required: true }
+  },
+  reaction: {
+    messageId: { ...MESSAGE_ID, required: true },
+    emoji: { type: 'string', required: true, maxLength: 32, notBlank: true },
+    action: { type: 'string', enum: ['add', 'remove'] }
+  },
+  invoke: {
+    command: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH, notBlank: true },
+    persona: { type: 'string', maxLength: 64 },
+    // Answer only the requester (see dm)
+    private: { type: 'boolean' }
+  },
+  invoke_cancel: {
+    id: { ...ID, required: true },
+    persona: { type: 'string', maxLength: 64 }
+  },
+  move: {
+    location: {
+      type: 'object',
+      required: true,
+      properties: {
+        lat: { type: 'number', required: true, min: -90, max: 90 },
+        lon: { type: 'number', min: -180, max: 180 },
+        lng: { type: 'number', min: -180, max: 180 },
+        accuracy: { type: 'number', min: 0 },
+        name: { type: 'string', maxLength: 200 }
+      }
+    }
+  },
+  status: {
+    text: { type: 'string', maxLength: 100 },
+    dnd: { type: 'boolean' }
+  },
+  track_recording: {
+    enabled: { type: 'boolean', required: true }
+  },
+  track_replay: {
+    id: ID,
+    userId: { type: 'string', maxLength: 64 },
+    session: { type: 'string', maxLength: 64 },
+    from: TIME,
+    to: TIME,
+    speed: { type: 'number', min: 0.1, max: 1000 }
+  },
+  track_replay_control: {
+    id: { ...ID, required: true },
+    speed: { type: 'number', min: 0.1, max: 1000 },
+    paused: { type: 'boolean' },
+    stop: { type: 'boolean' }
+  },
+  state_update: {
+    // Individual ops are checked by the state store (invalid_ops / invalid_path)
+    ops: { type: 'array', maxItems: 100 },
+    update: { type: 'object' },
+    baseRevision: { type: 'integer', min: 0 },
+    strict: { type: 'boolean' }
+  },
+  state_diff: {
+    since: { type: 'integer', required: true, min: 0 }
+  },
+  history_request: {
+    before: TIME,
+    limit: { type: 'integer', min: 1 }
+  },
+  thread_request: {
+    threadId: { ...MESSAGE_ID, required: true },
+    before: TIME,
+    limit: { type: 'integer', min: 1 }
+  },
+  dm: {
+    // A userId, or several for a group DM
+    to: { type: ['string', 'array'], required: true, maxItems: MAX_DM_RECIPIENTS, items: USER_ID, maxLength: 64, notBlank: true },
+    text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH, notBlank: true }
+  },
+  dm_history: {
+    // The other participant(s) of the thread
+    with: { type: ['string', 'array'], required: true, maxItems: MAX_DM_RECIPIENTS, items: USER_ID, maxLength: 64, notBlank: true },
+    before: TIME,
+    limit: { type: 'integer', min: 1 }
+  },
+  search: {
+    query: { type: 'string', maxLength: 500 },
+    from: { type: 'string', maxLength: 64 },
+    since: TIME,
+    until: TIME,
+    messageType: { type: 'string', enum: ['chat', 'ai_response'] },
+    limit: { type: 'integer', min: 1 },
+    offset: { type: 'integer', min: 0 }
+  },
+  drawing: {
+    drawing: {
+      type: 'object',
+      required: true,
+      properties: {
+        id: DRAWING_ID,
+        name: { type: 'string', maxLength: 200 },
+        description: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+        type: { type: 'string', maxLength: 32 },
+        geojson: { type: 'object', geojson: true },
+        style: { type: 'object' }
+      }
+    }
+  },
+  drawing_update: {
+    drawing: {
+      type: 'object',
+      required: true,
+      properties: {
+        id: { ...DRAWING_ID, required: true },
+        name: { type: 'string', maxLength: 200 },
+        description: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+        geojson: { type: 'object', geojson: true },
+        style: { type: 'object' }
+      }
+    },
+    baseRevision: { type: 'integer', min: 0 }
+  },
+  drawing_delete: {
+    id: { ...DRAWING_ID, required: true },
+    baseRevision: { type: 'integer', min: 0 }
+  },
+  annotation_create: {
+    // Optional: chosen by the client (the server assigns one otherwise)
+    annotationId: DRAWING_ID,
+    text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH, notBlank: true },
+    location: {
+      type: 'object',
+      properties: {
+        lat: { type: 'number', required: true, min: -90, max: 90 },
+        lon: { type: 'number', min: -180, max: 180 },
+        lng: { type: 'number', min: -180, max: 180 }
+      }
+    },
+    drawingId: DRAWING_ID
+  },
+  annotation_reply: {
+    annotationId: { ...DRAWING_ID, required: true },
+    text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH, notBlank: true }
+  },
+  annotation_resolve: {
+    annotationId: { ...DRAWING_ID, required: true },
+    // false reopens it
+    resolved: { type: 'boolean' }
+  },
+  ping: {}
+};
+
+// At least one of these fields (dotted paths) must be present
+const ONE_OF = {
+  move: ['location.lon', 'location.lng'],
+  annotation_create: ['location', 'drawingId'],
+  state_update: ['ops', 'update']
+};
+
+function protocolError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return type === 'any' || actual === type || (type === 'number' && actual === 'integer');
+}
+
+function validPositions(value, depth) {
+  if (!Array.isArray(value)) return false;
+  if (depth === 0) return value.length >= 2 && value.every(Number.isFinite);
+  return value.length > 0 && value.every(v => validPositions(v, depth - 1));
+}
+
+/**
+ * Why `geometry` isn't a usable GeoJSON geometry, or null if it is: a known
+ * type, coordinates nested as that type needs and positions of finite numbers.
+ * Collections must hold at least one geometry and may not nest.
+ */
+function geometryError(geometry, nested = false) {
+  if (typeOf(geometry) !== 'object') return 'No geometry';
+  if (geometry.type === 'GeometryCollection' && !nested) {
+    if (!Array.isArray(geometry.geometries) || !geometry.geometries.length) return 'Empty geometry collection';
+    for (const part of geometry.geometries) {
+      const reason = geometryError(part, true);
+      if (reason) return reason;
+    }
+    return null;
+  }
+  if (!Object.hasOwn(POSITION_DEPTHS, geometry.type)) return `Unsupported geometry type: ${String(geometry.type).slice(0, 64)}`;
+  return validPositions(geometry.coordinates, POSITION_DEPTHS[geometry.type]) ? null : `Invalid ${geometry.type} coordinates`;
+}
+
+function checkField(value, spec, field) {
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  if (!types.some(t => matchesType(value, t))) {
+    throw protocolError('invalid_message', `${field} must be ${types.join(' or ')}`, { field });
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    throw protocolError('invalid_message', `${field} must be one of ${spec.enum.join(', ')}`, { field });
+  }
+  if (typeof value === 'string') {
+    if (spec.maxLength && value.length > spec.maxLength) {
+      throw protocolError('invalid_message', `${field} is longer than ${spec.maxLength} characters`, { field });
+    }
+    if (spec.notBlank && !value.trim()) {
+      throw protocolError('invalid_message', `${field} must not be blank`, { field });
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      throw protocolError('invalid_message', `${field} is not valid`, { field });
+    }
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw protocolError('invalid_message', `${field} must be finite`, { field });
+    if (spec.min !== undefined && value < spec.min) {
+      throw protocolError('invalid_message', `${field} must be at least ${spec.min}`, { field });
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      throw protocolError('invalid_message', `${field} must be at most ${spec.max}`, { field });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (spec.maxItems && value.length > spec.maxItems) {
+      throw protocolError('invalid_message', `${field} has more than ${spec.maxItems} items`, { field });
+    }
+    if (spec.items) value.forEach((item, i) => checkField(item, spec.items, `${field}[${i}]`));
+  }
+  if (spec.properties && typeOf(value) === 'object') {
+    checkObject(value, spec.properties, `${field}.`);
+  }
+  if (spec.geojson) {
+    const reason = geometryError(value.type === 'Feature' ? value.geometry : value);
+    if (reason) throw protocolError('invalid_message', `${field} is not valid GeoJSON: ${reason}`, { field });
+  }
+}
+
+function checkObject(obj, properties, prefix = '') {
+  for (const [key, spec] of Object.entries(properties)) {
+    const value = obj[key];
+    if (value === undefined || value === null) {
+      if (spec.required) throw protocolError('invalid_message', `${prefix}${key} is required`, { field: `${prefix}${key}` });
+      continue;
+    }
+    checkField(value, spec, `${prefix}${key}`);
+  }
+}
+
+// The id a reply or error should echo for `msg`
+function requestIdOf(msg) {
+  return (msg && (msg.requestId ?? msg.id)) ?? null;
+}
+
+/**
+ * Check a parsed client message against its schema. Throws an error with
+ * `code` ('invalid_message' or 'unknown_type') and `field` if it doesn't fit.
+ */
+function validateMessage(msg) {
+  if (typeOf(msg) !== 'object') {
+    throw protocolError('invalid_message', 'Message must be a JSON object');
+  }
+  if (typeof msg.type !== 'string') {
+    throw protocolError('invalid_message', 'type is required', { field: 'type' });
+  }
+  if (!Object.hasOwn(MESSAGE_SCHEMAS, msg.type)) {
+    throw protocolError('unknown_type', `Unknown message type: ${msg.type.slice(0, 64)}`, { field: 'type' });
+  }
+
+  for (const key of ['id', 'requestId']) {
+    if (msg[key] !== undefined && msg[key] !== null) checkField(msg[key], ID, key);
+  }
+  checkObject(msg, MESSAGE_SCHEMAS[msg.type]);
+
+  const oneOf = ONE_OF[msg.type];
+  const lookup = (field) => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), msg);
+  if (oneOf && oneOf.every(field => lookup(field) == null)) {
+    throw protocolError('invalid_message', `${oneOf.join(' or ')} is required`, { field: oneOf[0] });
+  }
+  return msg;
+}
+
+module.exports = {
+  ERROR_CODES,
+  MESSAGE_SCHEMAS,
+  validateMessage,
+  requestIdOf,
+  geometryError,
+};
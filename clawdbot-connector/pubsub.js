@@ -0,0 +1,180 @@
+/**
+ * Field Room Pub/Sub Adapters
+ *
+ * Everything sync-service instances must share to serve the same rooms from
+ * behind a load balancer, behind one interface:
+ *
+ * - Fan-out: events broadcast in a room reach members on every instance
+ * - Presence registry: who is connected to the other instances
+ * - Signals: control messages for whichever instance can act on them
+ *   (e.g. cancelling an AI request that runs elsewhere)
+ * - Claims: exactly one instance wins a key (e.g. answering an AI request)
+ *
+ * Adapter:
+ *   instanceId, distributed
+ *   publish(room, event, audience?)   onEvent(handler(room, event, audience))
+ *                                     (audience: the only userIds to deliver to)
+ *   announcePresence(room, users)     remotePresence(room) → users
+ *                                     onPresence(handler(room))
+ *   signal(room, message)             onSignal(handler(room, message))
+ *   claim(key, ttlMs) → Promise<boolean>
+ *   close()
+ *
+ * The local adapter is for a single instance. The Redis adapter speaks the
+ * Redis protocol (see redis.js): one pub/sub channel for fan-out, presence and
+ * signals, and SET NX for claims.
+ */
+
+const { createRedisConnection } = require('./redis');
+
+// Instances re-announce their presence this often; silent instances expire
+const PRESENCE_REFRESH_MS = 10000;
+const PRESENCE_EXPIRE_MS = 3 * PRESENCE_REFRESH_MS;
+const MAX_LOCAL_CLAIMS = 10000;
+
+function createLocalAdapter({ instanceId }) {
+  // key → expiry time
+  const claims = new Map();
+
+  return {
+    instanceId,
+    distributed: false,
+    publish() {},
+    onEvent() {},
+    announcePresence() {},
+    remotePresence: () => [],
+    onPresence() {},
+    signal() {},
+    onSignal() {},
+    // Still useful alone: a request that arrives twice is only handled once
+    async claim(key, ttlMs) {
+      const now = Date.now();
+      if (claims.size > MAX_LOCAL_CLAIMS) {
+        for (const [k, expires] of claims) if (expires <= now) claims.delete(k);
+      }
+      if (claims.get(key) > now) return false;
+      claims.set(key, now + ttlMs);
+      return true;
+    },
+    close() {}
+  };
+}
+
+function createRedisAdapter({ url, instanceId, prefix = 'fieldroom:' }) {
+  const commands = createRedisConnection(url, { name: 'commands' });
+  const subscriber = createRedisConnection(url, { name: 'subscriber' });
+  const channel = `${prefix}bus`;
+  const handlers = { event: [], presence: [], signal: [] };
+  // Our own members per room, as last announced
+  const local = new Map();
+  // room → Map<instanceId, { users, expiresAt }>
+  const remote = new Map();
+
+  const send = (envelope) => commands
+    .command('PUBLISH', channel, JSON.stringify({ ...envelope, from: instanceId }))
+    .catch(err => console.error('[PubSub] Publish failed:', err.message));
+
+  const emit = (kind, ...args) => handlers[kind].forEach(handler => {
+    try {
+      handler(...args);
+    } catch (err) {
+      console.error(`[PubSub] ${kind} handler failed:`, err);
+    }
+  });
+
+  function setRemote(room, from, users) {
+    let instances = remote.get(room);
+    if (!instances) remote.set(room, instances = new Map());
+    if (users.length) instances.set(from, { users, expiresAt: Date.now() + PRESENCE_EXPIRE_MS });
+    else instances.delete(from);
+    emit('presence', room);
+  }
+
+  subscriber.subscribe(channel, (payload) => {
+    let envelope;
+    try {
+      envelope = JSON.parse(payload);
+    } catch {
+      return;
+    }
+    if (envelope.from === instanceId) return;
+
+    switch (envelope.kind) {
+      case 'event':
+        emit('event', envelope.room, envelope.event, envelope.audience || null);
+        break;
+      case 'signal':
+        emit('signal', envelope.room, envelope.message);
+        break;
+      case 'presence':
+        setRemote(envelope.room, envelope.from, envelope.users || []);
+        break;
+      case 'presence_request':
+        // A new instance wants to know who is where
+        for (const [room, users] of local) send({ kind: 'presence', room, users });
+        break;
+    }
+  });
+  send({ kind: 'presence_request' });
+
+  // Re-announce what we have, and forget instances that stopped announcing
+  const timer = setInterval(() => {
+    for (const [room, users] of local) send({ kind: 'presence', room, users });
+    const now = Date.now();
+    for (const [room, instances] of remote) {
+      let expired = false;
+      for (const [id, entry] of instances) {
+        if (entry.expiresAt <= now) {
+          instances.delete(id);
+          expired = true;
+        }
+      }
+      if (expired) emit('presence', room);
+    }
+  }, PRESENCE_REFRESH_MS);
+  timer.unref();
+
+  return {
+    instanceId,
+    distributed: true,
+    publish: (room, event, audience = null) => send({ kind: 'event', room, event, ...(audience && { audience }) }),
+    onEvent: (handler) => handlers.event.push(handler),
+    announcePresence(room, users) {
+      if (users.length) local.set(room, users);
+      else if (!local.delete(room)) return;
+      send({ kind: 'presence', room, users });
+    },
+    remotePresence: (room) => Array.from((remote.get(room) || new Map()).values()).flatMap(entry => entry.users),
+    onPresence: (handler) => handlers.presence.push(handler),
+    signal: (room, message) => send({ kind: 'signal', room, message }),
+    onSignal: (handler) => handlers.signal.push(handler),
+    async claim(key, ttlMs) {
+      try {
+        return (await commands.command('SET', `${prefix}claim:${key}`, instanceId, 'NX', 'PX', ttlMs)) === 'OK';
+      } catch (err) {
+        // Better a duplicate answer than none at all
+        console.error('[PubSub] Claim failed:', err.message);
+        return true;
+      }
+    },
+    close() {
+      clearInterval(timer);
+      for (const room of local.keys()) send({ kind: 'presence', room, users: [] });
+      commands.close();
+      subscriber.close();
+    }
+  };
+}
+
+/**
+ * Create the adapter named by `type` ('local' or 'redis').
+ */
+function createPubSub(type, options) {
+  if (type === 'local') return createLocalAdapter(options);
+  if (type === 'redis') return createRedisAdapter(options);
+  throw new Error(`Unknown PUBSUB adapter: ${type}`);
+}
+
+module.exports = {
+  createPubSub,
+};
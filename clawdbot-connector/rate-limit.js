@@ -0,0 +1,62 @@
+/**
+ * Field Room Rate Limits
+ *
+ * Token buckets keyed by connection or user. A bucket holds up to `limit`
+ * tokens and refills at `limit` per `windowMs`, so short bursts are fine
+ * but a sustained flood is not.
+ */
+
+// Once this many keys are tracked, buckets that have refilled are dropped
+const PRUNE_AFTER_BUCKETS = 10000;
+
+/**
+ * Create a limiter allowing `limit` actions per `windowMs` for each key.
+ * A limit of 0 disables it (every `take` succeeds).
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const buckets = new Map();
+  const perMs = limit / windowMs;
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * perMs);
+    bucket.updatedAt = now;
+  }
+
+  function prune(now) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= limit) buckets.delete(key);
+    }
+  }
+
+  return {
+    /**
+     * Spend `cost` tokens for `key`. Returns 0 if allowed, otherwise how many
+     * milliseconds until it would be.
+     */
+    take(key, cost = 1) {
+      if (!limit) return 0;
+      const now = Date.now();
+      if (buckets.size > PRUNE_AFTER_BUCKETS) prune(now);
+
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: limit, updatedAt: now };
+        buckets.set(key, bucket);
+      }
+      refill(bucket, now);
+
+      if (bucket.tokens < cost) return Math.ceil((cost - bucket.tokens) / perMs);
+      bucket.tokens -= cost;
+      return 0;
+    },
+
+    forget(key) {
+      buckets.delete(key);
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+};
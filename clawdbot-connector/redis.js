@@ -0,0 +1,222 @@
+/**
+ * Minimal Redis Client
+ *
+ * Just enough of the Redis protocol (RESP) for the pub/sub adapter: commands
+ * with replies, and subscriber connections. Works with Redis, Valkey, KeyDB
+ * or anything else that speaks RESP2. No dependencies.
+ *
+ * Connections reconnect with backoff and restore their subscriptions. Commands
+ * issued before the first connection wait for it; once a connection is lost
+ * (or the first attempt fails), commands fail at once until it is back, so
+ * callers can fall back rather than hang. Every command fails after
+ * `commandTimeout` without a reply.
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+const MAX_RECONNECT_DELAY = 10000;
+const COMMAND_TIMEOUT_MS = 5000;
+
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Incremental RESP2 parser. Feed it chunks; it calls `onReply(value)` for
+ * every complete reply. Error replies are delivered as Error instances.
+ */
+function createParser(onReply) {
+  let buffer = Buffer.alloc(0);
+
+  // Parse one value starting at `offset`; returns [value, nextOffset] or null if incomplete
+  function parse(offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const prefix = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (prefix) {
+      case '+': return [line, next];
+      case '-': return [new Error(line), next];
+      case ':': return [parseInt(line, 10), next];
+      case '$': {
+        const length = parseInt(line, 10);
+        if (length === -1) return [null, next];
+        if (buffer.length < next + length + 2) return null;
+        return [buffer.toString('utf8', next, next + length), next + length + 2];
+      }
+      case '*': {
+        const count = parseInt(line, 10);
+        if (count === -1) return [null, next];
+        const items = [];
+        let position = next;
+        for (let i = 0; i < count; i++) {
+          const parsed = parse(position);
+          if (!parsed) return null;
+          items.push(parsed[0]);
+          position = parsed[1];
+        }
+        return [items, position];
+      }
+      default:
+        throw new Error(`Unexpected Redis reply type: ${prefix}`);
+    }
+  }
+
+  return (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      const parsed = parse(offset);
+      if (!parsed) break;
+      offset = parsed[1];
+      onReply(parsed[0]);
+    }
+    buffer = buffer.subarray(offset);
+  };
+}
+
+/**
+ * Connect to `url` (redis://[:password@]host[:port][/db], or rediss:// for TLS).
+ *
+ * Returns { command(...args) → Promise, subscribe(channel, onMessage), close() }.
+ * A connection that has subscribed is used for nothing else (a Redis rule), so
+ * callers keep one connection for commands and another for subscriptions.
+ */
+function createRedisConnection(url, { name = 'redis', commandTimeout = COMMAND_TIMEOUT_MS } = {}) {
+  const target = new URL(url);
+  const options = {
+    host: target.hostname || '127.0.0.1',
+    port: parseInt(target.port || '6379', 10)
+  };
+  const password = target.password ? decodeURIComponent(target.password) : null;
+  const username = target.username ? decodeURIComponent(target.username) : null;
+  const db = parseInt(target.pathname.slice(1) || '0', 10);
+
+  const conn = {
+    socket: null,
+    ready: false,
+    closed: false,
+    attempts: 0,
+    // Replies arrive in command order
+    pending: [],
+    // Commands waiting for the connection
+    queued: [],
+    subscriptions: new Map()
+  };
+
+  function onReply(reply) {
+    // Pushed pub/sub messages: ['message', channel, payload]
+    if (conn.subscriptions.size && Array.isArray(reply) && reply[0] === 'message' && reply.length === 3) {
+      const handler = conn.subscriptions.get(reply[1]);
+      if (handler) handler(reply[2]);
+      return;
+    }
+    // A waiter that timed out still takes its reply, keeping the rest in order
+    const waiter = conn.pending.shift();
+    if (!waiter) return;
+    if (reply instanceof Error) waiter.reject(reply);
+    else waiter.resolve(reply);
+  }
+
+  function write(args) {
+    return new Promise((resolve, reject) => {
+      conn.pending.push({ resolve, reject });
+      conn.socket.write(encodeCommand(args));
+    });
+  }
+
+  function connect() {
+    const socket = target.protocol === 'rediss:'
+      ? tls.connect({ ...options, servername: options.host })
+      : net.connect(options);
+    conn.socket = socket;
+    const feed = createParser(onReply);
+
+    socket.on(target.protocol === 'rediss:' ? 'secureConnect' : 'connect', async () => {
+      try {
+        if (password) await write(username ? ['AUTH', username, password] : ['AUTH', password]);
+        if (db) await write(['SELECT', db]);
+        for (const channel of conn.subscriptions.keys()) await write(['SUBSCRIBE', channel]);
+      } catch (err) {
+        console.error(`[Redis] ${name}: setup failed: ${err.message}`);
+        socket.destroy();
+        return;
+      }
+      if (conn.attempts > 0) console.log(`[Redis] ${name}: reconnected`);
+      conn.attempts = 0;
+      conn.ready = true;
+      for (const { args, resolve, reject } of conn.queued.splice(0)) write(args).then(resolve, reject);
+    });
+
+    socket.on('data', (chunk) => {
+      try {
+        feed(chunk);
+      } catch (err) {
+        console.error(`[Redis] ${name}: ${err.message}`);
+        socket.destroy();
+      }
+    });
+
+    socket.on('error', (err) => {
+      if (conn.attempts === 0) console.error(`[Redis] ${name}: ${err.message}`);
+    });
+
+    socket.on('close', () => {
+      conn.ready = false;
+      for (const waiter of [...conn.pending.splice(0), ...conn.queued.splice(0)]) waiter.reject(new Error('Redis connection lost'));
+      if (conn.closed) return;
+      const delay = Math.min(MAX_RECONNECT_DELAY, 200 * 2 ** conn.attempts++);
+      setTimeout(connect, delay);
+    });
+  }
+
+  conn.command = (...args) => {
+    if (conn.closed) return Promise.reject(new Error('Redis connection closed'));
+    // Reconnecting after losing the connection: fail now rather than pile up
+    if (!conn.ready && conn.attempts > 0) return Promise.reject(new Error('Redis connection lost'));
+
+    return new Promise((resolve, reject) => {
+      const entry = { args, resolve, reject };
+      const timer = setTimeout(() => {
+        const at = conn.queued.indexOf(entry);
+        if (at !== -1) conn.queued.splice(at, 1);
+        reject(new Error(`Redis command timed out: ${args[0]}`));
+      }, commandTimeout);
+      entry.resolve = (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      };
+      entry.reject = (err) => {
+        clearTimeout(timer);
+        reject(err);
+      };
+      if (conn.ready) write(args).then(entry.resolve, entry.reject);
+      else conn.queued.push(entry);
+    });
+  };
+
+  conn.subscribe = (channel, onMessage) => {
+    conn.subscriptions.set(channel, onMessage);
+    return conn.ready ? write(['SUBSCRIBE', channel]) : Promise.resolve();
+  };
+
+  conn.close = () => {
+    conn.closed = true;
+    if (conn.socket) conn.socket.end();
+  };
+
+  connect();
+  return conn;
+}
+
+module.exports = {
+  createRedisConnection,
+};
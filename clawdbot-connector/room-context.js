@@ -0,0 +1,266 @@
+/**
+ * Field Room Context Summary
+ *
+ * A compact, plain-text picture of the room for the AI's prompt: who is
+ * present and where, drawings near the person speaking, and key shared-state
+ * fields. Sections are added in order until the character budget runs out,
+ * so the summary never crowds out the conversation itself.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+const MAX_VALUE_LENGTH = 80;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function hasCoords(location) {
+  return Boolean(location) && Number.isFinite(location.lat) && Number.isFinite(location.lng);
+}
+
+// Clients report locations as { lat, lon } (older ones as { lat, lng })
+function toPoint(location) {
+  if (!location) return null;
+  const point = { ...location, lng: location.lng ?? location.lon };
+  return hasCoords(point) ? point : null;
+}
+
+// Great-circle distance in metres
+function distance(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+function formatDistance(m) {
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+function formatAge(timestamp, now) {
+  if (!timestamp) return 'unknown';
+  const minutes = Math.round((now - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.round(minutes / 60)} h ago`;
+}
+
+function formatPoint({ lat, lng }) {
+  return `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
+}
+
+// All [lng, lat] positions in a GeoJSON geometry or Feature
+function positions(geojson) {
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+  if (!geometry) return [];
+  if (geometry.type === 'GeometryCollection') return (geometry.geometries || []).flatMap(positions);
+
+  const out = [];
+  const walk = (coords) => {
+    if (!Array.isArray(coords)) return;
+    if (typeof coords[0] === 'number') out.push({ lng: coords[0], lat: coords[1] });
+    else coords.forEach(walk);
+  };
+  walk(geometry.coordinates);
+  return out.filter(hasCoords);
+}
+
+function geometryType(geojson) {
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+  return geometry ? geometry.type : 'unknown';
+}
+
+// A ring ray casting can use: three or more positions of finite numbers
+function validRing(ring) {
+  return Array.isArray(ring) && ring.length >= 3 &&
+    ring.every(p => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+}
+
+// The rings of each polygon in a GeoJSON geometry or Feature. Broken rings
+// are dropped, and polygons whose outer ring is broken with them.
+function polygonsOf(geojson) {
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+  if (!geometry) return [];
+  let polygons = [];
+  if (geometry.type === 'Polygon') polygons = [geometry.coordinates];
+  else if (geometry.type === 'MultiPolygon') polygons = geometry.coordinates;
+  if (!Array.isArray(polygons)) return [];
+  return polygons
+    .filter(rings => Array.isArray(rings) && validRing(rings[0]))
+    .map(rings => rings.filter(validRing));
+}
+
+// Ray casting against one ring
+function insideRing(point, ring) {
+  if (!validRing(ring)) return false;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point.lat) !== (yj > point.lat) &&
+        point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Inside a polygon's outer ring and none of its holes
+function insidePolygon(point, geojson) {
+  return polygonsOf(geojson).some(([outer, ...holes]) =>
+    insideRing(point, outer) && !holes.some(hole => insideRing(point, hole)));
+}
+
+// Distance from a point to the nearest vertex of a drawing (0 if inside it)
+function distanceToDrawing(point, drawing) {
+  if (insidePolygon(point, drawing.geojson)) return 0;
+  // Not Math.min(...): an imported shape can have more vertices than a call has arguments
+  return positions(drawing.geojson).reduce((nearest, p) => Math.min(nearest, distance(point, p)), Infinity);
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    const simple = value.every(v => v === null || typeof v !== 'object');
+    const text = simple ? JSON.stringify(value) : `[${value.length} item${value.length === 1 ? '' : 's'}]`;
+    return text.length > MAX_VALUE_LENGTH ? `[${value.length} items]` : text;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+// Flatten state into "a.b.c: value" lines, a few levels deep
+function stateLines(data, keys, depth = 3) {
+  const lines = [];
+  const walk = (value, prefix, level) => {
+    if (value === undefined || (Array.isArray(value) && value.length === 0)) return;
+    if (value && typeof value === 'object' && !Array.isArray(value) && level < depth && Object.keys(value).length) {
+      for (const [k, v] of Object.entries(value)) walk(v, prefix ? `${prefix}.${k}` : k, level + 1);
+    } else {
+      lines.push(`- ${prefix}: ${formatValue(value)}`);
+    }
+  };
+  for (const key of keys) {
+    if (data[key] !== undefined) walk(data[key], key, 1);
+  }
+  return lines;
+}
+
+/**
+ * Summarise a room for the AI.
+ *
+ * - `room`: { name, members: [{ userId, userType, location, locationUpdatedAt, status, statusText, dnd, lastActive }],
+ *   drawings: [...], state: {...} }
+ * - `speaker`: userId of the person addressing the AI
+ * - `options`:
+ *   - sections: which of 'presence', 'drawings', 'state' to include, in order
+ *   - budget: maximum length of the summary in characters
+ *   - nearbyMeters: drawings within this distance of the speaker count as nearby
+ *   - maxDrawings: most drawings to list
+ *   - stateKeys: top-level state keys to include (default: all except drawings/annotations/users)
+ *
+ * Returns '' when there is nothing worth saying.
+ */
+function summarizeRoom(room, speaker, options = {}) {
+  const {
+    sections = ['presence', 'drawings', 'state'],
+    budget = 2000,
+    nearbyMeters = 2000,
+    maxDrawings = 10,
+    stateKeys = null,
+    now = Date.now()
+  } = options;
+
+  const lines = [];
+  let length = 0;
+  let full = false;
+  // Add lines until the budget is reached; returns false once it is
+  const add = (line) => {
+    if (full) return false;
+    if (length + line.length + 1 > budget) {
+      full = true;
+      lines.push('…');
+      return false;
+    }
+    lines.push(line);
+    length += line.length + 1;
+    return true;
+  };
+  // Add a heading and its items, noting how many didn't fit
+  const addSection = (heading, items) => {
+    if (items.length === 0 || !add(heading)) return;
+    for (let i = 0; i < items.length; i++) {
+      if (!add(items[i])) {
+        lines[lines.length - 1] = `- … and ${items.length - i} more`;
+        return;
+      }
+    }
+  };
+
+  const members = room.members || [];
+  const speakerInfo = members.find(m => m.userId === speaker);
+  const origin = speakerInfo ? toPoint(speakerInfo.location) : null;
+
+  add(`Room "${room.name}" at ${new Date(now).toISOString().slice(0, 16).replace('T', ' ')} UTC.`);
+
+  for (const section of sections) {
+    if (section === 'presence') {
+      const items = members.map(m => {
+        const notes = [m.userType];
+        if (m.userId === speaker) notes.push('speaking to you');
+        // Who is actually active: idle/away users may not see a reply soon
+        if (m.status && m.status !== 'online') notes.push(`${m.status}, last active ${formatAge(m.lastActive, now)}`);
+        if (m.statusText) notes.push(`"${m.statusText}"`);
+        if (m.dnd) notes.push('do not disturb');
+        let line = `- ${m.userId} (${notes.join(', ')})`;
+        const point = toPoint(m.location);
+        if (point) {
+          line += `: ${point.name ? `${point.name} ` : ''}${formatPoint(point)}, ${formatAge(m.locationUpdatedAt, now)}`;
+          if (origin && m.userId !== speaker) line += `, ${formatDistance(distance(origin, point))} from ${speaker}`;
+        } else if (m.userType !== 'ai') {
+          line += ': location unknown';
+        }
+        return line;
+      });
+      addSection('People in the room:', items);
+    } else if (section === 'drawings') {
+      const drawings = (room.drawings || []).filter(d => !d.deleted);
+      let chosen;
+      let heading;
+      if (origin) {
+        chosen = drawings
+          .map(d => ({ d, dist: distanceToDrawing(origin, d) }))
+          .filter(x => x.dist <= nearbyMeters)
+          .sort((a, b) => a.dist - b.dist);
+        heading = `Drawings within ${formatDistance(nearbyMeters)} of ${speaker} (${chosen.length} of ${drawings.length}):`;
+      } else {
+        chosen = drawings
+          .map(d => ({ d, dist: null }))
+          .sort((a, b) => (b.d.updatedAt || 0) - (a.d.updatedAt || 0));
+        heading = `Drawings (${drawings.length}, most recently changed first):`;
+      }
+      const items = chosen.slice(0, maxDrawings).map(({ d, dist }) => {
+        let line = `- "${d.name || 'untitled'}" (${d.type || 'drawing'}, ${geometryType(d.geojson)}, id ${d.id})`;
+        if (dist === 0) line += ` — ${speaker} is inside it`;
+        else if (dist !== null) line += ` — ${formatDistance(dist)} away`;
+        return line;
+      });
+      if (chosen.length > maxDrawings) items.push(`- … and ${chosen.length - maxDrawings} more`);
+      if (drawings.length) addSection(heading, items.length ? items : ['- none nearby']);
+    } else if (section === 'state') {
+      const data = room.state || {};
+      const keys = stateKeys || Object.keys(data).filter(k => !['drawings', 'annotations', 'users'].includes(k));
+      addSection('Shared state:', stateLines(data, keys));
+    }
+  }
+
+  return lines.length > 1 ? lines.join('\n') : '';
+}
+
+module.exports = {
+  summarizeRoom,
+  distance,
+  toPoint,
+  polygonsOf,
+  insidePolygon,
+  formatDistance,
+};
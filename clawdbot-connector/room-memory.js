@@ -0,0 +1,181 @@
+/**
+ * Field Room Memory
+ *
+ * Long-term conversational memory for a room, so the AI doesn't forget what
+ * was said earlier in a long field session:
+ *
+ * - A rolling summary: once enough messages have scrolled out of the AI's
+ *   recent-context window, they are folded into the summary by the gateway.
+ * - Pinned facts: "remember: client is Birmingham CC" pins a fact that always
+ *   stays in context; "forget: client is Birmingham CC" (or its id) removes it.
+ *
+ * Persisted through the room's storage (memory.json with the file driver):
+ *   { summary, summarizedThrough, summaryUpdatedAt, pinned: [{ id, text, by, timestamp }] }
+ */
+
+const crypto = require('crypto');
+
+const MAX_PINNED = 50;
+const MAX_FACT_LENGTH = 500;
+
+// "remember: ..." / "forget: ...", optionally after an @mention
+const COMMAND_PATTERN = /^\s*(?:@[\w-]+[\s,:]*)?(remember|forget)\s*:\s*(.+)$/is;
+
+function memoryError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Recognise a memory command in a chat message.
+ * Returns { action: 'pin' | 'unpin', text } or null.
+ */
+function parseMemoryCommand(text) {
+  const match = COMMAND_PATTERN.exec(String(text || ''));
+  if (!match) return null;
+  return { action: match[1].toLowerCase() === 'remember' ? 'pin' : 'unpin', text: match[2].trim() };
+}
+
+/**
+ * Gateway messages asking for the running summary to be extended with
+ * `messages` (oldest first).
+ */
+function summaryPrompt(previousSummary, messages, maxWords) {
+  const transcript = messages
+    .map(m => `[${new Date(m.timestamp).toISOString().slice(0, 16).replace('T', ' ')}] ${m.from}: ${m.text}`)
+    .join('\n');
+
+  return [
+    {
+      role: 'system',
+      content: 'You maintain the running summary of a collaborative Field Room conversation. ' +
+        'Merge the earlier summary and the new messages into one updated summary. ' +
+        'Keep decisions, open questions, places and grid references, names, numbers and who said what when it matters. ' +
+        `Drop small talk. Write plain prose or short bullets, at most ${maxWords} words. Reply with the summary only.`
+    },
+    {
+      role: 'user',
+      content: `Earlier summary:\n${previousSummary || '(none yet)'}\n\nNew messages:\n${transcript}`
+    }
+  ];
+}
+
+/**
+ * Create the memory for a room's storage. Call `load()` once before use.
+ */
+function createRoomMemory(storage) {
+  const memory = {
+    summary: '',
+    // Timestamp of the newest message folded into the summary
+    summarizedThrough: 0,
+    summaryUpdatedAt: null,
+    pinned: [],
+    summarizing: false,
+    writing: Promise.resolve()
+  };
+
+  memory.load = async () => {
+    try {
+      const saved = await storage.readMemory();
+      if (saved) memory.restore(saved);
+    } catch (err) {
+      console.error('[Memory] Unreadable memory, starting empty:', err.message);
+    }
+  };
+
+  memory.snapshot = () => ({
+    summary: memory.summary,
+    summarizedThrough: memory.summarizedThrough,
+    summaryUpdatedAt: memory.summaryUpdatedAt,
+    pinned: memory.pinned
+  });
+
+  // Take on a snapshot saved by another instance sharing this room
+  memory.restore = (saved) => {
+    memory.summary = saved.summary || '';
+    memory.summarizedThrough = saved.summarizedThrough || 0;
+    memory.summaryUpdatedAt = saved.summaryUpdatedAt || null;
+    memory.pinned = Array.isArray(saved.pinned) ? saved.pinned : [];
+  };
+
+  memory.save = () => {
+    const snapshot = structuredClone(memory.snapshot());
+    memory.writing = memory.writing
+      .then(() => storage.writeMemory(snapshot))
+      .catch(err => console.error('[Memory] Failed to save memory:', err));
+    return memory.writing;
+  };
+
+  /**
+   * Pin a fact. Returns the fact, or null if it was already pinned.
+   * Throws when the fact is empty or too long (code 'invalid_message'), or
+   * the pin list is full ('limit_exceeded').
+   */
+  memory.pin = (text, by) => {
+    const fact = String(text || '').trim();
+    if (!fact) throw memoryError('invalid_message', 'Nothing to remember');
+    if (fact.length > MAX_FACT_LENGTH) throw memoryError('invalid_message', `Pinned facts are limited to ${MAX_FACT_LENGTH} characters`);
+    if (memory.pinned.some(p => p.text.toLowerCase() === fact.toLowerCase())) return null;
+    if (memory.pinned.length >= MAX_PINNED) throw memoryError('limit_exceeded', `At most ${MAX_PINNED} facts can be pinned; forget one first`);
+
+    const entry = { id: crypto.randomBytes(4).toString('hex'), text: fact, by, timestamp: Date.now() };
+    memory.pinned.push(entry);
+    memory.save();
+    return entry;
+  };
+
+  /**
+   * Unpin the fact with id or text (case-insensitive) `query`; only a whole
+   * fact matches, so "forget: a" can't wipe every fact with an a in it.
+   * Returns the removed facts.
+   */
+  memory.unpin = (query) => {
+    const q = String(query || '').trim().toLowerCase();
+    if (!q) return [];
+    const removed = memory.pinned.filter(p => p.id === q || p.text.toLowerCase() === q);
+    if (removed.length) {
+      memory.pinned = memory.pinned.filter(p => !removed.includes(p));
+      memory.save();
+    }
+    return removed;
+  };
+
+  /**
+   * Messages from `history` that have left the recent window (the last
+   * `keepRecent`) but are not yet in the summary.
+   */
+  memory.pending = (history, keepRecent) => {
+    const older = history.slice(0, Math.max(0, history.length - keepRecent));
+    return older.filter(m => m.timestamp > memory.summarizedThrough && m.text);
+  };
+
+  /**
+   * Fold `messages` into the summary. `complete(promptMessages)` sends the
+   * prompt to the gateway and resolves with the new summary text.
+   * Only one summary runs at a time; returns false if one was already running.
+   */
+  memory.summarize = async (messages, complete, maxWords = 300) => {
+    if (memory.summarizing || messages.length === 0) return false;
+    memory.summarizing = true;
+    try {
+      const summary = (await complete(summaryPrompt(memory.summary, messages, maxWords))).trim();
+      if (summary) {
+        memory.summary = summary;
+        memory.summarizedThrough = messages[messages.length - 1].timestamp;
+        memory.summaryUpdatedAt = Date.now();
+        await memory.save();
+      }
+      return Boolean(summary);
+    } finally {
+      memory.summarizing = false;
+    }
+  };
+
+  return memory;
+}
+
+module.exports = {
+  createRoomMemory,
+  parseMemoryCommand,
+};
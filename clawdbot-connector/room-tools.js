@@ -0,0 +1,287 @@
+/**
+ * Field Room AI Tools
+ *
+ * Room actions offered to AI personas as OpenAI-style function tools. Every
+ * action is turned into an ordinary protocol message (drawing, state_update,
+ * search, ...) and dispatched through the same handlers human clients use, so
+ * it is validated, persisted and broadcast exactly like a human's edit.
+ */
+
+const ROOM_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'create_drawing',
+      description: 'Draw a new shape on the shared map (site boundary, zone, route or marker). Everyone in the room sees it.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Short label, e.g. "Site boundary"' },
+          description: { type: 'string' },
+          type: { type: 'string', enum: ['boundary', 'zone', 'route', 'marker'] },
+          geometry: {
+            type: 'object',
+            description: 'GeoJSON geometry (Polygon, LineString or Point) in WGS84 [lng, lat] coordinates'
+          },
+          style: {
+            type: 'object',
+            description: 'Optional style, e.g. { "color": "#3b82f6", "weight": 3, "opacity": 0.8 }'
+          }
+        },
+        required: ['name', 'type', 'geometry']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_drawings',
+      description: 'The drawings on the shared map, with the revision each is at (update_drawing needs it). Give an id to get one drawing with its geometry.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Only this drawing, with its geometry' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'update_drawing',
+      description: 'Change an existing drawing. Only the fields given are changed.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Drawing id' },
+          revision: {
+            type: 'integer',
+            description: 'Revision your change is based on, from get_drawings or create_drawing. If the drawing has changed since, the update fails with a conflict and the current revision.'
+          },
+          name: { type: 'string' },
+          description: { type: 'string' },
+          geometry: { type: 'object', description: 'Replacement GeoJSON geometry' },
+          style: { type: 'object' }
+        },
+        required: ['id', 'revision']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'add_annotation',
+      description: 'Pin a comment to a point on the map or to a drawing. Everyone in the room can reply to it and resolve it.',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          lat: { type: 'number' },
+          lng: { type: 'number' },
+          drawingId: { type: 'string', description: 'Attach it to this drawing instead of a point' }
+        },
+        required: ['text']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'update_state',
+      description: 'Change the room\'s shared state with path operations (set, delete, append).',
+      parameters: {
+        type: 'object',
+        properties: {
+          ops: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                op: { type: 'string', enum: ['set', 'delete', 'append'] },
+                path: { type: 'string', description: 'Dot-separated path, e.g. "site.name"' },
+                value: { description: 'New value (not used by delete)' }
+              },
+              required: ['op', 'path']
+            }
+          }
+        },
+        required: ['ops']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_user_locations',
+      description: 'Where everyone in the room currently is (last reported location), and whether they are online, idle or away.',
+      parameters: { type: 'object', properties: {} }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'search_chat',
+      description: 'Full-text search of the room\'s chat history. Words must all match; "quoted phrases" and word* prefixes are supported.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          from: { type: 'string', description: 'Only messages from this user' },
+          since: { type: 'string', description: 'ISO date or time' },
+          until: { type: 'string', description: 'ISO date or time' },
+          limit: { type: 'integer', description: 'Max results (default 10)' }
+        }
+      }
+    }
+  }
+];
+
+// Accept either a bare geometry or a whole Feature (anything else is left for
+// the drawing handlers to reject)
+function toFeature(geometry, name) {
+  if (!geometry || typeof geometry !== 'object') return geometry;
+  if (geometry.type === 'Feature') return geometry;
+  return { type: 'Feature', geometry, properties: { name } };
+}
+
+function drawingSummary(drawing) {
+  return drawing && { id: drawing.id, name: drawing.name, type: drawing.type, revision: drawing.revision };
+}
+
+// The first error the handlers sent back, as a tool result. A conflict
+// carries the drawing as it is now, so the model can redo its change.
+function failure(replies) {
+  const err = replies.find(r => r.type === 'error');
+  return err && { ok: false, error: err.error, code: err.code, ...(err.drawing && { drawing: drawingSummary(err.drawing) }) };
+}
+
+/**
+ * Run one tool call from the model.
+ *
+ * - `room`: the room the persona is acting in (read-only lookups)
+ * - `members()`: everyone present in the room, on this instance or another
+ * - `actor`: the persona's user id
+ * - `dispatch(msg)`: send a protocol message through the room's handlers as the
+ *   persona; resolves with the messages the handlers sent back to it
+ * - `newId()`: generate an id for a new drawing or annotation
+ *
+ * Always resolves with a JSON-serialisable result for the model, never throws.
+ */
+async function runTool(call, { room, members, actor, dispatch, newId }) {
+  const name = call.function && call.function.name;
+  let args;
+  try {
+    args = JSON.parse((call.function && call.function.arguments) || '{}');
+  } catch {
+    return { ok: false, error: 'Tool arguments are not valid JSON' };
+  }
+
+  switch (name) {
+    case 'create_drawing': {
+      if (!args.geometry) return { ok: false, error: 'geometry is required' };
+      const id = newId();
+      const replies = await dispatch({
+        type: 'drawing',
+        drawing: {
+          id,
+          name: args.name,
+          description: args.description,
+          type: args.type,
+          geojson: toFeature(args.geometry, args.name),
+          ...(args.style && { style: args.style })
+        }
+      });
+      return failure(replies) || { ok: true, drawing: drawingSummary(room.drawings.get(id)) };
+    }
+
+    case 'get_drawings': {
+      const drawings = Array.from(room.drawings.values()).filter(d => !d.deleted);
+      if (args.id === undefined) return { ok: true, drawings: drawings.map(drawingSummary) };
+      const drawing = drawings.find(d => d.id === args.id);
+      if (!drawing) return { ok: false, error: `Drawing not found: ${args.id}`, code: 'not_found' };
+      const { geojson } = drawing;
+      return {
+        ok: true,
+        drawing: {
+          ...drawingSummary(drawing),
+          description: drawing.description,
+          geometry: geojson && geojson.type === 'Feature' ? geojson.geometry : geojson
+        }
+      };
+    }
+
+    case 'update_drawing': {
+      if (!Number.isInteger(args.revision)) {
+        return { ok: false, error: 'revision is required: the revision of the drawing your change is based on (see get_drawings)' };
+      }
+      const current = room.drawings.get(args.id) || {};
+      const changes = { id: args.id };
+      if (args.name !== undefined) changes.name = args.name;
+      if (args.description !== undefined) changes.description = args.description;
+      if (args.geometry !== undefined) changes.geojson = toFeature(args.geometry, args.name || current.name);
+      if (args.style !== undefined) changes.style = args.style;
+      const replies = await dispatch({ type: 'drawing_update', baseRevision: args.revision, drawing: changes });
+      return failure(replies) || { ok: true, drawing: drawingSummary(room.drawings.get(args.id)) };
+    }
+
+    case 'add_annotation': {
+      if (!args.drawingId && (typeof args.lat !== 'number' || typeof args.lng !== 'number')) {
+        return { ok: false, error: 'lat and lng must be numbers, or drawingId given' };
+      }
+      const id = newId();
+      const replies = await dispatch({
+        type: 'annotation_create',
+        annotationId: id,
+        text: String(args.text || ''),
+        ...(args.drawingId ? { drawingId: args.drawingId } : { location: { lat: args.lat, lng: args.lng } })
+      });
+      return failure(replies) || { ok: true, annotationId: id };
+    }
+
+    case 'update_state': {
+      const replies = await dispatch({ type: 'state_update', ops: args.ops });
+      return failure(replies) || { ok: true, revision: room.state.revision };
+    }
+
+    case 'get_user_locations':
+      return {
+        ok: true,
+        users: members().map(c => ({
+          userId: c.userId,
+          userType: c.userType,
+          location: c.location || null,
+          locationUpdatedAt: c.locationUpdatedAt,
+          status: c.status,
+          statusText: c.statusText,
+          dnd: c.dnd,
+          lastActive: c.lastActive
+        }))
+      };
+
+    case 'search_chat': {
+      const replies = await dispatch({
+        type: 'search',
+        query: args.query,
+        from: args.from,
+        since: args.since,
+        until: args.until,
+        limit: args.limit || 10
+      });
+      const found = replies.find(r => r.type === 'search_results');
+      if (!found) return failure(replies) || { ok: false, error: 'Search failed' };
+      return {
+        ok: true,
+        total: found.total,
+        results: found.results.map(r => ({ id: r.id, from: r.from, text: r.text, timestamp: new Date(r.timestamp).toISOString() }))
+      };
+    }
+
+    default:
+      return { ok: false, error: `Unknown tool: ${name}` };
+  }
+}
+
+module.exports = {
+  ROOM_TOOLS,
+  runTool,
+};
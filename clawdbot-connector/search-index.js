@@ -0,0 +1,374 @@
+/**
+ * Field Room Search Index
+ *
+ * Full-text search over a room's chat logs (chat-logs/*.jsonl).
+ *
+ * The index is maintained incrementally: for each log file we remember how
+ * many bytes have been indexed, and each refresh only reads what has been
+ * appended since. What each log file contributed is persisted next to it in
+ * search-index/YYYY-MM-DD.json, so a refresh only rewrites the days that
+ * grew (in practice today's), and in the background; the inverted index is
+ * rebuilt in memory on load. A later version of a message (see
+ * chat-history.js) replaces its text in place, so edits are found by their
+ * new words and deleted messages not at all.
+ *
+ * Query syntax: plain words (all must match, prefix match with a trailing *)
+ * and "quoted phrases" (matched as a substring).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { UPDATE_TYPE, listLogFiles } = require('./chat-history');
+const { writeFileAtomic } = require('./atomic-file');
+
+const INDEX_VERSION = 2;
+const INDEXED_TYPES = new Set(['chat', 'ai_response']);
+const CONTEXT_SIZE = 2;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function parseQuery(query) {
+  const phrases = [];
+  const rest = String(query || '').replace(/"([^"]+)"/g, (_, phrase) => {
+    phrases.push(phrase.toLowerCase());
+    return ' ';
+  });
+  const terms = [];
+  const prefixes = [];
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    const tokens = tokenize(word);
+    if (word.endsWith('*') && tokens.length === 1) prefixes.push(tokens[0]);
+    else terms.push(...tokens);
+  }
+  // Phrase words also have to be present as terms
+  phrases.forEach(p => terms.push(...tokenize(p)));
+  return { terms: [...new Set(terms)], prefixes, phrases };
+}
+
+/**
+ * Parse a time filter: ms timestamp, or any Date-parsable string.
+ * A bare date (YYYY-MM-DD) used as an upper bound covers the whole day.
+ */
+function parseTime(value, endOfDay = false) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return null;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+function createSearchIndex(roomDir) {
+  const logDir = path.join(roomDir, 'chat-logs');
+  const segmentDir = path.join(roomDir, 'search-index');
+
+  const index = {
+    // Per log file: bytes indexed so far
+    files: {},
+    // Indexed messages in log order: { id, type, from, text, timestamp, file }
+    docs: [],
+    // Inverted index: term → Map<docIndex, termFrequency>
+    postings: new Map(),
+    // Message id → docIndex
+    byId: new Map(),
+    docLengths: [],
+    totalLength: 0,
+    loaded: false,
+    refreshing: Promise.resolve(),
+    // Segment writes, one at a time, behind the refreshes that queue them
+    saving: Promise.resolve()
+  };
+
+  function addDoc(doc) {
+    const docIndex = index.docs.length;
+    index.docs.push(doc);
+    index.byId.set(doc.id, docIndex);
+    addPostings(docIndex, doc.text);
+  }
+
+  function addPostings(docIndex, text) {
+    const tokens = tokenize(text);
+    index.docLengths[docIndex] = tokens.length;
+    index.totalLength += tokens.length;
+    for (const token of tokens) {
+      let posting = index.postings.get(token);
+      if (!posting) {
+        posting = new Map();
+        index.postings.set(token, posting);
+      }
+      posting.set(docIndex, (posting.get(docIndex) || 0) + 1);
+    }
+  }
+
+  // A new version of an indexed message: swap its words for the new text
+  function updateDoc(msg) {
+    const docIndex = index.byId.get(msg.id);
+    if (docIndex === undefined) return;
+    const doc = index.docs[docIndex];
+    for (const token of new Set(tokenize(doc.text))) {
+      const posting = index.postings.get(token);
+      posting.delete(docIndex);
+      if (posting.size === 0) index.postings.delete(token);
+    }
+    index.totalLength -= index.docLengths[docIndex];
+    doc.text = msg.text || '';
+    addPostings(docIndex, doc.text);
+  }
+
+  function reset() {
+    index.files = {};
+    index.docs = [];
+    index.postings = new Map();
+    index.byId = new Map();
+    index.docLengths = [];
+    index.totalLength = 0;
+  }
+
+  // Index one log record; returns what the file's segment keeps of it, if anything
+  function indexRecord(msg, file) {
+    if (msg.type === UPDATE_TYPE) {
+      updateDoc(msg.message);
+      return { update: { id: msg.message.id, text: msg.message.text || '' } };
+    }
+    if (!INDEXED_TYPES.has(msg.type)) return null;
+    // Messages without text are kept too, for dayOf
+    const entry = { id: msg.id, type: msg.type, from: msg.from, text: msg.text || '', timestamp: msg.timestamp };
+    addDoc({ ...entry, file });
+    return entry;
+  }
+
+  function segmentPath(file) {
+    return path.join(segmentDir, file.replace(/\.jsonl$/, '.json'));
+  }
+
+  async function readSegment(file) {
+    const saved = JSON.parse(await fs.readFile(segmentPath(file), 'utf8'));
+    if (saved.version !== INDEX_VERSION) throw new Error(`Index version ${saved.version}`);
+    return saved;
+  }
+
+  // Segments are replayed in log order; if one is missing or unreadable,
+  // that day and every later one are indexed again from the logs
+  async function load() {
+    for (const file of await listLogFiles(logDir)) {
+      let saved;
+      try {
+        saved = await readSegment(file);
+      } catch {
+        break;
+      }
+      for (const entry of saved.entries) {
+        if (entry.update) updateDoc(entry.update);
+        else addDoc({ ...entry, file });
+      }
+      index.files[file] = saved.size;
+    }
+    index.loaded = true;
+  }
+
+  // Add the entries indexed from bytes `from` to `size` of `file` to its
+  // segment. A segment that doesn't end at `from` (an earlier write failed)
+  // is dropped instead, so the day is indexed again on the next load.
+  async function saveSegment(file, entries, from, size) {
+    let saved = { size: 0, entries: [] };
+    try {
+      saved = await readSegment(file);
+    } catch {
+      // The day's first entries
+    }
+    if (saved.size !== from) {
+      await fs.rm(segmentPath(file), { force: true });
+      return;
+    }
+    await fs.mkdir(segmentDir, { recursive: true });
+    await writeFileAtomic(segmentPath(file), JSON.stringify({ version: INDEX_VERSION, size, entries: saved.entries.concat(entries) }));
+  }
+
+  function queueSave(file, entries, from, size) {
+    index.saving = index.saving
+      .then(() => saveSegment(file, entries, from, size))
+      .catch(err => console.error(`[Search] Saving the index of ${file} failed:`, err.message));
+  }
+
+  // Index the bytes appended to a log file since it was last indexed, and
+  // queue them for its segment. Returns the new offset.
+  async function indexLogFile(file, fromOffset, size) {
+    const handle = await fs.open(path.join(logDir, file), 'r');
+    let text;
+    try {
+      const buffer = Buffer.alloc(size - fromOffset);
+      await handle.read(buffer, 0, buffer.length, fromOffset);
+      text = buffer.toString('utf8');
+    } finally {
+      await handle.close();
+    }
+
+    // Only consume complete lines; a partially written line waits for next time
+    const end = text.lastIndexOf('\n');
+    if (end === -1) return fromOffset;
+
+    const entries = [];
+    for (const line of text.slice(0, end).split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = indexRecord(JSON.parse(line), file);
+        if (entry) entries.push(entry);
+      } catch {
+        // Skip malformed lines
+      }
+    }
+    const offset = fromOffset + Buffer.byteLength(text.slice(0, end + 1));
+    queueSave(file, entries, fromOffset, offset);
+    return offset;
+  }
+
+  async function doRefresh() {
+    if (!index.loaded) await load();
+
+    const files = await listLogFiles(logDir);
+    const sizes = {};
+    for (const file of files) {
+      sizes[file] = (await fs.stat(path.join(logDir, file))).size;
+    }
+
+    // Logs are append-only; if one shrank or vanished, start over
+    const stale = Object.keys(index.files).some(f => sizes[f] === undefined || sizes[f] < index.files[f]);
+    if (stale) {
+      console.log(`[Search] Rebuilding index for ${roomDir}`);
+      reset();
+      index.saving = index.saving.then(() => fs.rm(segmentDir, { recursive: true, force: true })).catch(() => {});
+    }
+
+    for (const file of files) {
+      const offset = index.files[file] || 0;
+      if (sizes[file] > offset) index.files[file] = await indexLogFile(file, offset, sizes[file]);
+    }
+  }
+
+  /**
+   * Bring the index up to date with the logs. Concurrent callers share one refresh.
+   */
+  index.refresh = () => {
+    index.refreshing = index.refreshing.then(doRefresh).catch(err => {
+      console.error('[Search] Index refresh failed:', err);
+    });
+    return index.refreshing;
+  };
+
+  // Resolves once every queued segment write has finished
+  index.flush = () => index.saving;
+
+  /**
+   * The day ('YYYY-MM-DD') message `id` was logged on, or null if it never
+   * was, so lookups by id only read the logs from that day on.
+   */
+  index.dayOf = async (id) => {
+    await index.refresh();
+    const docIndex = index.byId.get(id);
+    return docIndex === undefined ? null : index.docs[docIndex].file.slice(0, 10);
+  };
+
+  /**
+   * Search indexed messages. Returns `{ total, results }`, best match first.
+   */
+  index.search = async ({ query = '', from, since, until, messageType, limit = 20, offset = 0 } = {}) => {
+    await index.refresh();
+
+    const { terms, prefixes, phrases } = parseQuery(query);
+    const sinceTime = parseTime(since);
+    const untilTime = parseTime(until, true);
+    const fromLower = from ? String(from).toLowerCase() : null;
+
+    const accepts = (doc) =>
+      doc.text &&
+      (!fromLower || String(doc.from).toLowerCase() === fromLower) &&
+      (!messageType || doc.type === messageType) &&
+      (sinceTime === null || doc.timestamp >= sinceTime) &&
+      (untilTime === null || doc.timestamp <= untilTime) &&
+      phrases.every(p => doc.text.toLowerCase().includes(p));
+
+    // Candidate documents: intersection of every term's postings
+    const termPostings = terms.map(t => [t, index.postings.get(t) || new Map()]);
+    const prefixPostings = prefixes.map(p => {
+      const merged = new Map();
+      for (const [term, posting] of index.postings) {
+        if (term.startsWith(p)) posting.forEach((tf, doc) => merged.set(doc, (merged.get(doc) || 0) + tf));
+      }
+      return [p, merged];
+    });
+    const allPostings = [...termPostings, ...prefixPostings];
+
+    let candidates;
+    if (allPostings.length === 0) {
+      // Filters only (no words): everything matches, newest first
+      candidates = index.docs.map((_, i) => i);
+    } else {
+      const [smallest, ...others] = allPostings.map(([, p]) => p).sort((a, b) => a.size - b.size);
+      candidates = Array.from(smallest.keys()).filter(doc => others.every(p => p.has(doc)));
+    }
+
+    const n = index.docs.length;
+    const avgLength = n ? index.totalLength / n : 0;
+    const scored = [];
+    for (const docIndex of candidates) {
+      const doc = index.docs[docIndex];
+      if (!accepts(doc)) continue;
+
+      let score = 0;
+      for (const [, posting] of allPostings) {
+        const tf = posting.get(docIndex) || 0;
+        const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+        const norm = tf + K1 * (1 - B + B * (index.docLengths[docIndex] / (avgLength || 1)));
+        score += idf * (tf * (K1 + 1)) / norm;
+      }
+      scored.push({ docIndex, score });
+    }
+
+    // Best score first; ties (and filter-only searches) newest first
+    scored.sort((a, b) => (b.score - a.score) || (index.docs[b.docIndex].timestamp - index.docs[a.docIndex].timestamp));
+
+    const results = scored.slice(offset, offset + limit).map(({ docIndex, score }) => ({
+      ...index.docs[docIndex],
+      score: Math.round(score * 1000) / 1000,
+      context: {
+        before: index.docs.slice(Math.max(0, docIndex - CONTEXT_SIZE), docIndex).filter(d => d.text),
+        after: index.docs.slice(docIndex + 1, docIndex + 1 + CONTEXT_SIZE).filter(d => d.text)
+      }
+    }));
+
+    return { total: scored.length, results };
+  };
+
+  return index;
+}
+
+// One index per room directory, shared by WebSocket and HTTP searches
+const indexes = new Map();
+
+function getSearchIndex(roomDir) {
+  let index = indexes.get(roomDir);
+  if (!index) {
+    index = createSearchIndex(roomDir);
+    indexes.set(roomDir, index);
+  }
+  return index;
+}
+
+// Drop a room's index from memory (it is loaded again when next used)
+function releaseSearchIndex(roomDir) {
+  indexes.delete(roomDir);
+}
+
+module.exports = {
+  getSearchIndex,
+  releaseSearchIndex,
+  tokenize,
+  parseQuery,
+  parseTime,
+};
@@ -0,0 +1,294 @@
+/**
+ * Field Room State Store
+ *
+ * Versioned shared state for a room. State is changed only through
+ * path-based operations, and every accepted update bumps a monotonically
+ * increasing revision:
+ *
+ *   { op: 'set',    path: 'site.name', value: 'Digbeth' }
+ *   { op: 'delete', path: ['layers', 'flood'] }
+ *   { op: 'append', path: 'checklist', value: { item: 'Photos' } }
+ *
+ * Concurrent edits are merged at path granularity: an update based on an
+ * older revision is still applied unless an intervening update touched an
+ * overlapping path (same key, ancestor or descendant), in which case it is
+ * rejected with a `conflict` error. `append` never conflicts.
+ *
+ * Persisted through the room's storage (see storage.js): the snapshot
+ * { revision, updatedAt, data } and the applied operations (for diffs after
+ * restart), written together.
+ */
+
+const MAX_RECENT_OPS = 1000;
+const OPS = ['set', 'delete', 'append'];
+const FORBIDDEN_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+
+function defaultState() {
+  return { drawings: [], annotations: [], users: [] };
+}
+
+function stateError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * Normalise 'a.b.c' or ['a', 'b', 'c'] into an array of keys.
+ */
+function parsePath(p) {
+  const keys = Array.isArray(p) ? p.map(String) : String(p ?? '').split('.');
+  if (keys.length === 0 || keys.some(k => k === '')) {
+    throw stateError('invalid_path', `Invalid state path: ${JSON.stringify(p)}`);
+  }
+  if (keys.some(k => FORBIDDEN_KEYS.has(k))) {
+    throw stateError('invalid_path', `Forbidden key in state path: ${keys.join('.')}`);
+  }
+  return keys;
+}
+
+function pathsOverlap(a, b) {
+  const len = Math.min(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Turn a legacy `{ update: {...} }` object into set operations on its leaf
+ * paths, so nested keys are merged rather than replaced wholesale.
+ */
+function opsFromUpdate(update, prefix = []) {
+  const ops = [];
+  for (const [key, value] of Object.entries(update || {})) {
+    const p = [...prefix, key];
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      ops.push(...opsFromUpdate(value, p));
+    } else {
+      ops.push({ op: 'set', path: p, value });
+    }
+  }
+  return ops;
+}
+
+function validateOps(ops) {
+  if (!Array.isArray(ops) || ops.length === 0) {
+    throw stateError('invalid_ops', 'ops must be a non-empty array');
+  }
+  return ops.map(o => {
+    if (!o || !OPS.includes(o.op)) {
+      throw stateError('invalid_ops', `Unknown state op: ${o && o.op}`);
+    }
+    if (o.op !== 'delete' && o.value === undefined) {
+      throw stateError('invalid_ops', `${o.op} requires a value`);
+    }
+    return { op: o.op, path: parsePath(o.path), ...(o.op !== 'delete' && { value: o.value }) };
+  });
+}
+
+/**
+ * Apply one validated op to `data` in place.
+ */
+function applyOp(data, { op, path: keys, value }) {
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] === undefined) {
+      if (op === 'delete') return;
+      target[key] = {};
+    }
+    if (target[key] === null || typeof target[key] !== 'object') {
+      throw stateError('invalid_path', `Cannot descend into non-object at ${key} in ${keys.join('.')}`);
+    }
+    target = target[key];
+  }
+
+  const last = keys[keys.length - 1];
+  if (op === 'set') {
+    target[last] = value;
+  } else if (op === 'delete') {
+    if (Array.isArray(target)) {
+      // Only an existing element: NaN or -1 would splice some other one
+      const index = /^\d+$/.test(last) ? Number(last) : -1;
+      if (index < 0 || index >= target.length) {
+        throw stateError('invalid_path', `No element ${last} to delete in ${keys.join('.')}`);
+      }
+      target.splice(index, 1);
+    } else {
+      delete target[last];
+    }
+  } else if (op === 'append') {
+    if (target[last] === undefined) target[last] = [];
+    if (!Array.isArray(target[last])) {
+      throw stateError('invalid_path', `Cannot append to non-array at ${keys.join('.')}`);
+    }
+    target[last].push(value);
+  }
+}
+
+// A room's saved state snapshot, or the empty state for a new room
+async function readState(storage) {
+  let saved;
+  try {
+    saved = await storage.readState();
+  } catch (err) {
+    console.error('[State] Unreadable state, starting empty:', err.message);
+  }
+  if (!isPlainObject(saved)) return { revision: 0, updatedAt: null, data: defaultState() };
+  // state.json written before revisions existed is the bare data object
+  if (typeof saved.revision === 'number' && isPlainObject(saved.data)) return saved;
+  return { revision: 0, updatedAt: null, data: { ...defaultState(), ...saved } };
+}
+
+async function readRecentOps(storage, maxRevision) {
+  const records = await storage.readStateOps(MAX_RECENT_OPS * 2);
+
+  // Group by revision. A batch logged without its snapshot (crash in between)
+  // is newer than the snapshot and gets dropped, or replaced if its revision was reused.
+  const batches = new Map();
+  let current = null;
+  for (const record of records) {
+    if (record.revision > maxRevision) continue;
+    if (record.revision !== current) {
+      batches.set(record.revision, []);
+      current = record.revision;
+    }
+    batches.get(record.revision).push(record);
+  }
+  return Array.from(batches.keys()).sort((a, b) => a - b).flatMap(rev => batches.get(rev)).slice(-MAX_RECENT_OPS);
+}
+
+// Oldest revision whose ops are all retained; diffs and merges need base >= this
+function oldestCompleteRevision(store) {
+  return store.recentOps.length ? store.recentOps[0].revision : store.revision + 1;
+}
+
+/**
+ * Create the state store for a room's storage. Call `load()` once before use.
+ */
+function createStateStore(storage) {
+  const store = {
+    revision: 0,
+    updatedAt: null,
+    data: defaultState(),
+    // Applied op records, oldest first: { revision, op, path, value?, by, timestamp }
+    recentOps: [],
+    // Serialises writes so snapshots never interleave on disk
+    writing: Promise.resolve()
+  };
+
+  store.load = async () => {
+    const snapshot = await readState(storage);
+    store.revision = snapshot.revision;
+    store.updatedAt = snapshot.updatedAt;
+    store.data = snapshot.data;
+    store.recentOps = await readRecentOps(storage, store.revision);
+  };
+
+  store.snapshot = () => ({ revision: store.revision, updatedAt: store.updatedAt, data: store.data });
+
+  /**
+   * Apply a batch of ops atomically as one new revision.
+   * `baseRevision` is the revision the client's edit was based on; if newer
+   * updates touched overlapping paths (or any path, with `strict`), the batch
+   * is rejected with a `conflict` error and nothing is changed.
+   */
+  store.apply = (rawOps, { baseRevision, strict = false, by = null } = {}) => {
+    const ops = validateOps(rawOps);
+
+    if (baseRevision !== undefined && baseRevision !== null && baseRevision !== store.revision) {
+      if (baseRevision > store.revision) {
+        throw stateError('conflict', `Unknown base revision ${baseRevision} (current is ${store.revision})`, { revision: store.revision });
+      }
+      // The oldest retained revision may have lost some of its ops to trimming
+      if (strict || baseRevision < oldestCompleteRevision(store)) {
+        throw stateError('conflict', `State is at revision ${store.revision}, not ${baseRevision}`, { revision: store.revision });
+      }
+      const intervening = store.recentOps.filter(r => r.revision > baseRevision);
+      const conflicts = ops
+        .filter(o => o.op !== 'append')
+        .flatMap(o => intervening.filter(r => r.op !== 'append' && pathsOverlap(r.path, o.path)).map(r => r.path.join('.')));
+      if (conflicts.length) {
+        throw stateError('conflict', `Concurrent change to ${[...new Set(conflicts)].join(', ')} since revision ${baseRevision}`,
+          { revision: store.revision, conflicts: [...new Set(conflicts)] });
+      }
+    }
+
+    // Apply to a copy first so a failing op leaves the state untouched
+    const next = structuredClone(store.data);
+    ops.forEach(o => applyOp(next, o));
+
+    const timestamp = Date.now();
+    store.revision += 1;
+    store.updatedAt = timestamp;
+    store.data = next;
+
+    const records = ops.map(o => ({ revision: store.revision, ...o, by, timestamp }));
+    retain(records);
+
+    // store.data is replaced on every update, never changed in place, so this
+    // snapshot stays as it is while the write waits its turn
+    const snapshot = store.snapshot();
+    store.writing = store.writing
+      .then(() => storage.writeState(snapshot, records))
+      .catch(err => console.error('[State] Failed to persist state:', err));
+
+    return { revision: store.revision, ops: records };
+  };
+
+  /**
+   * Apply a revision made (and persisted) by another instance sharing this
+   * state. Returns false, changing nothing, unless it is the next revision;
+   * the caller should then reload.
+   */
+  store.mirror = ({ revision, ops }) => {
+    if (revision !== store.revision + 1 || !Array.isArray(ops)) return false;
+    const next = structuredClone(store.data);
+    try {
+      ops.forEach(o => applyOp(next, o));
+    } catch {
+      return false;
+    }
+
+    store.revision = revision;
+    store.updatedAt = ops.length ? ops[0].timestamp : Date.now();
+    store.data = next;
+    retain(ops);
+    return true;
+  };
+
+  function retain(records) {
+    store.recentOps.push(...records);
+    if (store.recentOps.length > MAX_RECENT_OPS) {
+      store.recentOps.splice(0, store.recentOps.length - MAX_RECENT_OPS);
+    }
+  }
+
+  /**
+   * Everything that changed after `since`. Returns `{ full: true, ... }` with
+   * the whole state when the ops needed are no longer retained.
+   */
+  store.diffSince = (since) => {
+    const base = { since, revision: store.revision };
+    if (since >= store.revision) return { ...base, full: false, ops: [] };
+
+    if (since < oldestCompleteRevision(store)) return { ...base, full: true, data: store.data };
+    return { ...base, full: false, ops: store.recentOps.filter(r => r.revision > since) };
+  };
+
+  store.flush = () => store.writing;
+
+  return store;
+}
+
+module.exports = {
+  createStateStore,
+  readState,
+  opsFromUpdate,
+  parsePath,
+};
@@ -0,0 +1,307 @@
+/**
+ * Field Room File Storage
+ *
+ * The default storage driver: plain, inspectable files in the workspace.
+ * The default room lives in the workspace root (so older workspaces carry
+ * over); every other room in rooms/{name}/:
+ *
+ * - state.json              { revision, updatedAt, data }
+ * - state-ops.jsonl         applied state operations, one per line
+ * - drawings/{id}.geojson   one file per drawing
+ * - annotations/{id}.json   one file per annotation, with its thread
+ * - chat-logs/YYYY-MM-DD.jsonl  chat messages, one per line, and later
+ *                               versions of them (see chat-history.js)
+ * - dm-logs/YYYY-MM-DD.jsonl    direct messages and private AI replies
+ * - memory.json             rolling summary + pinned facts
+ * - attachments/{id}        uploaded files, with {id}.json metadata
+ * - tracks/YYYY-MM-DD.jsonl   recorded track points, one per line
+ *
+ * Whole-file writes go through a temp file and a rename (atomic-file.js);
+ * logs are append-only, and a torn last line is skipped when reading.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-file');
+const { isValidTime, updateRecord, readHistoryPage, readLog, listLogFiles, readLogFile } = require('./chat-history');
+const { getSearchIndex, releaseSearchIndex } = require('./search-index');
+const { threadKey, inThread } = require('./direct-messages');
+const { belongsToThread } = require('./chat-messages');
+
+// Attachment ids become file names
+const ATTACHMENT_ID = /^[a-z0-9_-]{1,64}$/i;
+
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Parse JSON lines, skipping a torn line from a crash mid-append
+function parseLines(text) {
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Skip it
+    }
+  }
+  return records;
+}
+
+function createFileStorage({ root, defaultRoom }) {
+  const stores = new Map();
+
+  function roomDir(name) {
+    return name === defaultRoom ? root : path.join(root, 'rooms', name);
+  }
+
+  function createRoomStorage(name) {
+    const dir = roomDir(name);
+    const logDir = path.join(dir, 'chat-logs');
+    const dmDir = path.join(dir, 'dm-logs');
+    const drawingsDir = path.join(dir, 'drawings');
+    const annotationsDir = path.join(dir, 'annotations');
+    const attachmentsDir = path.join(dir, 'attachments');
+    const tracksDir = path.join(dir, 'tracks');
+
+    return {
+      location: dir,
+
+      async init() {
+        await fs.mkdir(drawingsDir, { recursive: true });
+        await fs.mkdir(logDir, { recursive: true });
+      },
+
+      readState: () => readJSON(path.join(dir, 'state.json')),
+
+      async readStateOps(limit) {
+        let text;
+        try {
+          text = await fs.readFile(path.join(dir, 'state-ops.jsonl'), 'utf8');
+        } catch {
+          return [];
+        }
+        return parseLines(text).slice(-limit);
+      },
+
+      // The ops are logged before the snapshot, so a crash in between leaves
+      // ops newer than state.json, which readers drop
+      async writeState(snapshot, records) {
+        await fs.appendFile(path.join(dir, 'state-ops.jsonl'), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+        await writeFileAtomic(path.join(dir, 'state.json'), JSON.stringify(snapshot, null, 2));
+      },
+
+      async readDrawings() {
+        let files;
+        try {
+          files = (await fs.readdir(drawingsDir)).filter(f => f.endsWith('.geojson'));
+        } catch {
+          return [];
+        }
+
+        const drawings = [];
+        for (const file of files) {
+          try {
+            const drawing = JSON.parse(await fs.readFile(path.join(drawingsDir, file), 'utf8'));
+            // Drawings saved before revisions existed start at revision 1
+            drawings.push({ revision: 1, deleted: false, ...drawing, id: drawing.id || path.basename(file, '.geojson') });
+          } catch (err) {
+            console.warn(`[Drawings] Skipping unreadable ${file}: ${err.message}`);
+          }
+        }
+        return drawings;
+      },
+
+      writeDrawing: (drawing) => writeFileAtomic(path.join(drawingsDir, `${drawing.id}.geojson`), JSON.stringify(drawing, null, 2)),
+
+      async readAnnotations() {
+        let files;
+        try {
+          files = (await fs.readdir(annotationsDir)).filter(f => f.endsWith('.json'));
+        } catch {
+          return [];
+        }
+
+        const annotations = [];
+        for (const file of files) {
+          try {
+            annotations.push(JSON.parse(await fs.readFile(path.join(annotationsDir, file), 'utf8')));
+          } catch (err) {
+            console.warn(`[Annotations] Skipping unreadable ${file}: ${err.message}`);
+          }
+        }
+        return annotations;
+      },
+
+      async writeAnnotation(annotation) {
+        await fs.mkdir(annotationsDir, { recursive: true });
+        await writeFileAtomic(path.join(annotationsDir, `${annotation.id}.json`), JSON.stringify(annotation, null, 2));
+      },
+
+      async appendMessage(msg) {
+        const day = new Date(msg.timestamp || Date.now()).toISOString().split('T')[0];
+        await fs.appendFile(path.join(logDir, `${day}.jsonl`), JSON.stringify(msg) + '\n');
+      },
+
+      // Appended to the day it changed on, like any other record
+      async updateMessage(msg) {
+        const record = updateRecord(msg);
+        const day = new Date(record.timestamp).toISOString().split('T')[0];
+        await fs.appendFile(path.join(logDir, `${day}.jsonl`), JSON.stringify(record) + '\n');
+      },
+
+      // The search index knows the day each message was logged on, so an
+      // unknown id reads no logs and a known one only that day's and later
+      async readMessage(id) {
+        const sinceDay = await getSearchIndex(dir).dayOf(id);
+        if (!sinceDay) return null;
+        const { messages } = await readHistoryPage(logDir, { limit: 1, sinceDay, filter: msg => msg.id === id });
+        return messages[0] || null;
+      },
+
+      readHistory: (options) => readHistoryPage(logDir, options),
+
+      // A thread starts with its first message
+      async readThread({ threadId, ...options }) {
+        const sinceDay = await getSearchIndex(dir).dayOf(threadId);
+        if (!sinceDay) return { messages: [], hasMore: false };
+        return readHistoryPage(logDir, { ...options, sinceDay, filter: msg => belongsToThread(msg, threadId) });
+      },
+
+      search: (params) => getSearchIndex(dir).search(params),
+
+      // Every logged message in its latest version, oldest first
+      messages: () => readLog(logDir),
+
+      async appendDirectMessage(msg) {
+        await fs.mkdir(dmDir, { recursive: true });
+        const day = new Date(msg.timestamp || Date.now()).toISOString().split('T')[0];
+        await fs.appendFile(path.join(dmDir, `${day}.jsonl`), JSON.stringify(msg) + '\n');
+      },
+
+      readDirectMessages({ participants, ...options }) {
+        const key = threadKey(participants);
+        return readHistoryPage(dmDir, { ...options, filter: msg => inThread(msg, key) });
+      },
+
+      async *directMessages() {
+        for (const file of await listLogFiles(dmDir)) {
+          yield* await readLogFile(path.join(dmDir, file));
+        }
+      },
+
+      readMemory: () => readJSON(path.join(dir, 'memory.json')),
+
+      writeMemory: (snapshot) => writeFileAtomic(path.join(dir, 'memory.json'), JSON.stringify(snapshot, null, 2)),
+
+      async writeAttachment(id, data, meta) {
+        if (!ATTACHMENT_ID.test(id)) throw new Error(`Invalid attachment id: ${id}`);
+        await fs.mkdir(attachmentsDir, { recursive: true });
+        await writeFileAtomic(path.join(attachmentsDir, id), data);
+        await writeFileAtomic(path.join(attachmentsDir, `${id}.json`), JSON.stringify(meta, null, 2));
+      },
+
+      async listAttachments() {
+        try {
+          return (await fs.readdir(attachmentsDir)).filter(f => ATTACHMENT_ID.test(f));
+        } catch {
+          return [];
+        }
+      },
+
+      async readAttachment(id) {
+        if (!ATTACHMENT_ID.test(id)) return null;
+        const meta = await readJSON(path.join(attachmentsDir, `${id}.json`));
+        if (!meta) return null;
+        return { meta, data: await fs.readFile(path.join(attachmentsDir, id)) };
+      },
+
+      async readAttachmentMeta(id) {
+        if (!ATTACHMENT_ID.test(id)) return null;
+        return readJSON(path.join(attachmentsDir, `${id}.json`));
+      },
+
+      async appendTrackPoint(point) {
+        await fs.mkdir(tracksDir, { recursive: true });
+        const day = new Date(point.timestamp).toISOString().split('T')[0];
+        await fs.appendFile(path.join(tracksDir, `${day}.jsonl`), JSON.stringify(point) + '\n');
+      },
+
+      // Only the days inside [from, to] are read; a time no Date can hold is a RangeError
+      async readTrack({ userId, session, from = null, to = null, limit = Infinity } = {}) {
+        for (const time of [from, to]) {
+          if (time !== null && !isValidTime(time)) throw new RangeError(`Not a valid time: ${time}`);
+        }
+        let files;
+        try {
+          files = (await fs.readdir(tracksDir)).filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f)).sort();
+        } catch {
+          return { points: [], hasMore: false };
+        }
+        const fromDay = from !== null ? new Date(from).toISOString().split('T')[0] : null;
+        const toDay = to !== null ? new Date(to).toISOString().split('T')[0] : null;
+
+        const points = [];
+        for (const file of files) {
+          const day = file.slice(0, 10);
+          if ((fromDay && day < fromDay) || (toDay && day > toDay)) continue;
+          const records = parseLines(await fs.readFile(path.join(tracksDir, file), 'utf8'))
+            .filter(p => (!userId || p.userId === userId) && (!session || p.session === session) &&
+              (from === null || p.timestamp >= from) && (to === null || p.timestamp <= to))
+            .sort((a, b) => a.timestamp - b.timestamp);
+          for (const point of records) {
+            if (points.length === limit) return { points, hasMore: true };
+            points.push(point);
+          }
+        }
+        return { points, hasMore: false };
+      }
+    };
+  }
+
+  return {
+    type: 'file',
+
+    init: () => fs.mkdir(root, { recursive: true }),
+
+    room(name) {
+      let store = stores.get(name);
+      if (!store) {
+        store = createRoomStorage(name);
+        stores.set(name, store);
+      }
+      return store;
+    },
+
+    // Forget an unloaded room's storage and search index; room() makes them
+    // again when needed
+    release(name) {
+      stores.delete(name);
+      releaseSearchIndex(roomDir(name));
+    },
+
+    // Rooms with anything stored (the default room always exists)
+    async listRooms() {
+      const names = [defaultRoom];
+      try {
+        const entries = await fs.readdir(path.join(root, 'rooms'), { withFileTypes: true });
+        entries.filter(e => e.isDirectory()).forEach(e => names.push(e.name));
+      } catch {
+        // No rooms directory yet
+      }
+      return names;
+    },
+
+    close() {}
+  };
+}
+
+module.exports = {
+  createFileStorage,
+};
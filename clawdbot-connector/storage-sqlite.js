@@ -0,0 +1,483 @@
+/**
+ * Field Room SQLite Storage
+ *
+ * Storage driver keeping every room in one SQLite database (STORAGE=sqlite),
+ * for deployments that want transactions, indexed history and search, and
+ * online backups. Needs the optional better-sqlite3 package.
+ *
+ * Tables (all keyed by room):
+ * - state        current revision and data
+ * - state_ops    applied state operations, written in the same transaction
+ * - drawings     one row per drawing (tombstones included)
+ * - annotations  one row per annotation, with its thread
+ * - messages     chat log, with messages_fts (FTS5) over chat / AI text;
+ *                edits, deletions and reactions update the row in place
+ * - direct_messages  DMs and private AI replies, by thread
+ * - memory       rolling summary + pinned facts
+ * - attachments  uploaded files and their metadata
+ * - track_points recorded track points
+ *
+ * Import an existing file workspace with `node storage.js migrate`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseQuery, parseTime } = require('./search-index');
+const { participantsOf, threadKey } = require('./direct-messages');
+
+const SCHEMA_VERSION = 1;
+const SEARCHABLE_TYPES = "('chat', 'ai_response')";
+const CONTEXT_SIZE = 2;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS rooms (
+    name TEXT PRIMARY KEY,
+    created_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS state (
+    room TEXT PRIMARY KEY,
+    revision INTEGER NOT NULL,
+    updated_at INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS state_ops (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    room TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS state_ops_room ON state_ops (room, id);
+  CREATE TABLE IF NOT EXISTS drawings (
+    room TEXT NOT NULL,
+    id TEXT NOT NULL,
+    updated_at INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (room, id)
+  );
+  CREATE TABLE IF NOT EXISTS annotations (
+    room TEXT NOT NULL,
+    id TEXT NOT NULL,
+    updated_at INTEGER,
+    data TEXT NOT NULL,
+    PRIMARY KEY (room, id)
+  );
+  CREATE TABLE IF NOT EXISTS messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    room TEXT NOT NULL,
+    id TEXT,
+    type TEXT,
+    sender TEXT,
+    text TEXT,
+    timestamp INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS messages_room ON messages (room, seq);
+  CREATE INDEX IF NOT EXISTS messages_room_id ON messages (room, id);
+  CREATE INDEX IF NOT EXISTS messages_thread ON messages (room, json_extract(data, '$.threadId'));
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5 (
+    text, content = 'messages', content_rowid = 'seq', tokenize = 'unicode61 remove_diacritics 0'
+  );
+  CREATE TRIGGER IF NOT EXISTS messages_index AFTER INSERT ON messages
+  WHEN new.type IN ${SEARCHABLE_TYPES} AND new.text IS NOT NULL
+  BEGIN
+    INSERT INTO messages_fts (rowid, text) VALUES (new.seq, new.text);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_reindex AFTER UPDATE OF text ON messages
+  WHEN new.type IN ${SEARCHABLE_TYPES}
+  BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text) SELECT 'delete', old.seq, old.text WHERE old.text IS NOT NULL;
+    INSERT INTO messages_fts (rowid, text) SELECT new.seq, new.text WHERE new.text IS NOT NULL;
+  END;
+  CREATE TABLE IF NOT EXISTS direct_messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    room TEXT NOT NULL,
+    id TEXT,
+    thread TEXT NOT NULL,
+    timestamp INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS direct_messages_thread ON direct_messages (room, thread, seq);
+  CREATE TABLE IF NOT EXISTS memory (
+    room TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS attachments (
+    room TEXT NOT NULL,
+    id TEXT NOT NULL,
+    meta TEXT NOT NULL,
+    data BLOB NOT NULL,
+    PRIMARY KEY (room, id)
+  );
+  CREATE TABLE IF NOT EXISTS track_points (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    room TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    session TEXT,
+    timestamp INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS track_points_room ON track_points (room, timestamp);
+  CREATE INDEX IF NOT EXISTS track_points_user ON track_points (room, user_id, timestamp);
+`;
+
+function openDatabase(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('STORAGE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('busy_timeout = 5000');
+
+  const version = db.pragma('user_version', { simple: true });
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`${file} was written by a newer version (schema ${version})`);
+  }
+  db.exec(SCHEMA);
+  db.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+  // SQLite's lower() only folds ASCII; match the file driver's search
+  db.function('js_lower', { deterministic: true }, (value) => (value === null ? null : String(value).toLowerCase()));
+  return db;
+}
+
+// The fields search results carry, as in the file driver
+function toDoc(row) {
+  const { id, type, from, text, timestamp } = JSON.parse(row.data);
+  return { id, type, from, text, timestamp };
+}
+
+function createSqliteStorage({ file, defaultRoom }) {
+  const db = openDatabase(file);
+  const stores = new Map();
+
+  const sql = {
+    addRoom: db.prepare('INSERT OR IGNORE INTO rooms (name, created_at) VALUES (?, ?)'),
+    listRooms: db.prepare('SELECT name FROM rooms ORDER BY name'),
+    readState: db.prepare('SELECT revision, updated_at, data FROM state WHERE room = ?'),
+    writeState: db.prepare(`INSERT INTO state (room, revision, updated_at, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (room) DO UPDATE SET revision = excluded.revision, updated_at = excluded.updated_at, data = excluded.data`),
+    addStateOp: db.prepare('INSERT INTO state_ops (room, revision, record) VALUES (?, ?, ?)'),
+    readStateOps: db.prepare('SELECT record FROM state_ops WHERE room = ? ORDER BY id DESC LIMIT ?'),
+    readDrawings: db.prepare('SELECT data FROM drawings WHERE room = ?'),
+    writeDrawing: db.prepare(`INSERT INTO drawings (room, id, updated_at, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (room, id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data`),
+    readAnnotations: db.prepare('SELECT data FROM annotations WHERE room = ?'),
+    writeAnnotation: db.prepare(`INSERT INTO annotations (room, id, updated_at, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (room, id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data`),
+    addMessage: db.prepare('INSERT INTO messages (room, id, type, sender, text, timestamp, data) VALUES (?, ?, ?, ?, ?, ?, ?)'),
+    updateMessage: db.prepare('UPDATE messages SET text = ?, data = ? WHERE room = ? AND id = ?'),
+    readMessage: db.prepare('SELECT data FROM messages WHERE room = ? AND id = ? ORDER BY seq DESC LIMIT 1'),
+    messageSeq: db.prepare('SELECT seq FROM messages WHERE room = ? AND id = ? ORDER BY seq DESC LIMIT 1'),
+    historyBeforeSeq: db.prepare('SELECT data FROM messages WHERE room = ? AND seq < ? ORDER BY seq DESC LIMIT ?'),
+    historyBeforeTime: db.prepare('SELECT data FROM messages WHERE room = ? AND timestamp < ? ORDER BY seq DESC LIMIT ?'),
+    allMessages: db.prepare('SELECT data FROM messages WHERE room = ? ORDER BY seq'),
+    threadBeforeSeq: db.prepare(`SELECT data FROM messages WHERE room = ? AND (id = ? OR json_extract(data, '$.threadId') = ?)
+      AND seq < ? ORDER BY seq DESC LIMIT ?`),
+    threadBeforeTime: db.prepare(`SELECT data FROM messages WHERE room = ? AND (id = ? OR json_extract(data, '$.threadId') = ?)
+      AND timestamp < ? ORDER BY seq DESC LIMIT ?`),
+    contextBefore: db.prepare(`SELECT data FROM messages WHERE room = ? AND seq < ? AND type IN ${SEARCHABLE_TYPES} AND text != ''
+      ORDER BY seq DESC LIMIT ${CONTEXT_SIZE}`),
+    contextAfter: db.prepare(`SELECT data FROM messages WHERE room = ? AND seq > ? AND type IN ${SEARCHABLE_TYPES} AND text != ''
+      ORDER BY seq LIMIT ${CONTEXT_SIZE}`),
+    addDirectMessage: db.prepare('INSERT INTO direct_messages (room, id, thread, timestamp, data) VALUES (?, ?, ?, ?, ?)'),
+    directMessageSeq: db.prepare('SELECT seq FROM direct_messages WHERE room = ? AND thread = ? AND id = ? ORDER BY seq DESC LIMIT 1'),
+    directBeforeSeq: db.prepare('SELECT data FROM direct_messages WHERE room = ? AND thread = ? AND seq < ? ORDER BY seq DESC LIMIT ?'),
+    directBeforeTime: db.prepare('SELECT data FROM direct_messages WHERE room = ? AND thread = ? AND timestamp < ? ORDER BY seq DESC LIMIT ?'),
+    allDirectMessages: db.prepare('SELECT data FROM direct_messages WHERE room = ? ORDER BY seq'),
+    readMemory: db.prepare('SELECT data FROM memory WHERE room = ?'),
+    writeMemory: db.prepare('INSERT INTO memory (room, data) VALUES (?, ?) ON CONFLICT (room) DO UPDATE SET data = excluded.data'),
+    writeAttachment: db.prepare(`INSERT INTO attachments (room, id, meta, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (room, id) DO UPDATE SET meta = excluded.meta, data = excluded.data`),
+    readAttachment: db.prepare('SELECT meta, data FROM attachments WHERE room = ? AND id = ?'),
+    readAttachmentMeta: db.prepare('SELECT meta FROM attachments WHERE room = ? AND id = ?'),
+    listAttachments: db.prepare('SELECT id FROM attachments WHERE room = ? ORDER BY id'),
+    addTrackPoint: db.prepare('INSERT INTO track_points (room, user_id, session, timestamp, data) VALUES (?, ?, ?, ?, ?)')
+  };
+
+  const writeState = db.transaction((room, snapshot, records) => {
+    for (const record of records) sql.addStateOp.run(room, record.revision, JSON.stringify(record));
+    sql.writeState.run(room, snapshot.revision, snapshot.updatedAt, JSON.stringify(snapshot.data));
+  });
+
+  // Full-text search with the same query syntax and result shape as search-index.js
+  function search(room, { query = '', from, since, until, messageType, limit = 20, offset = 0 } = {}) {
+    const { terms, prefixes, phrases } = parseQuery(query);
+    const sinceTime = parseTime(since);
+    const untilTime = parseTime(until, true);
+
+    const where = ['m.room = ?', `m.type IN ${SEARCHABLE_TYPES}`, "m.text != ''"];
+    const params = [room];
+    if (from) {
+      where.push('js_lower(m.sender) = ?');
+      params.push(String(from).toLowerCase());
+    }
+    if (messageType) {
+      where.push('m.type = ?');
+      params.push(messageType);
+    }
+    if (sinceTime !== null) {
+      where.push('m.timestamp >= ?');
+      params.push(sinceTime);
+    }
+    if (untilTime !== null) {
+      where.push('m.timestamp <= ?');
+      params.push(untilTime);
+    }
+    for (const phrase of phrases) {
+      where.push('instr(js_lower(m.text), ?) > 0');
+      params.push(phrase);
+    }
+
+    // Tokens are letters and digits only, so quoting them is enough
+    const match = [...terms.map(t => `"${t}"`), ...prefixes.map(p => `"${p}"*`)].join(' ');
+    let source = 'messages m';
+    let score = '0';
+    if (match) {
+      source = 'messages_fts JOIN messages m ON m.seq = messages_fts.rowid';
+      score = '-bm25(messages_fts)';
+      where.unshift('messages_fts MATCH ?');
+      params.unshift(match);
+    }
+
+    const condition = where.join(' AND ');
+    const total = db.prepare(`SELECT count(*) AS n FROM ${source} WHERE ${condition}`).get(...params).n;
+    const rows = db.prepare(`SELECT m.seq, m.data, ${score} AS score FROM ${source} WHERE ${condition}
+      ORDER BY score DESC, m.timestamp DESC LIMIT ? OFFSET ?`).all(...params, limit, offset);
+
+    const results = rows.map(row => ({
+      ...toDoc(row),
+      score: Math.round(row.score * 1000) / 1000,
+      context: {
+        before: sql.contextBefore.all(room, row.seq).reverse().map(toDoc),
+        after: sql.contextAfter.all(room, row.seq).map(toDoc)
+      }
+    }));
+    return { total, results };
+  }
+
+  function readDirectMessages(room, { participants, before = null, limit = 50 }) {
+    const thread = threadKey(participants);
+    let rows;
+    if (typeof before === 'string') {
+      const cursor = sql.directMessageSeq.get(room, thread, before);
+      rows = cursor ? sql.directBeforeSeq.all(room, thread, cursor.seq, limit + 1) : [];
+    } else if (typeof before === 'number') {
+      rows = sql.directBeforeTime.all(room, thread, before, limit + 1);
+    } else {
+      rows = sql.directBeforeSeq.all(room, thread, Number.MAX_SAFE_INTEGER, limit + 1);
+    }
+    return {
+      messages: rows.slice(0, limit).reverse().map(row => JSON.parse(row.data)),
+      hasMore: rows.length > limit
+    };
+  }
+
+  function readTrack(room, { userId, session, from = null, to = null, limit = Infinity } = {}) {
+    const where = ['room = ?'];
+    const params = [room];
+    if (userId) {
+      where.push('user_id = ?');
+      params.push(userId);
+    }
+    if (session) {
+      where.push('session = ?');
+      params.push(session);
+    }
+    if (from !== null) {
+      where.push('timestamp >= ?');
+      params.push(from);
+    }
+    if (to !== null) {
+      where.push('timestamp <= ?');
+      params.push(to);
+    }
+    const rows = db.prepare(`SELECT data FROM track_points WHERE ${where.join(' AND ')} ORDER BY timestamp, seq LIMIT ?`)
+      .all(...params, Number.isFinite(limit) ? limit + 1 : -1);
+    return {
+      points: rows.slice(0, limit).map(row => JSON.parse(row.data)),
+      hasMore: rows.length > limit
+    };
+  }
+
+  function readHistory(room, { before = null, limit = 50 } = {}) {
+    let rows;
+    if (typeof before === 'string') {
+      const cursor = sql.messageSeq.get(room, before);
+      rows = cursor ? sql.historyBeforeSeq.all(room, cursor.seq, limit + 1) : [];
+    } else if (typeof before === 'number') {
+      rows = sql.historyBeforeTime.all(room, before, limit + 1);
+    } else {
+      rows = sql.historyBeforeSeq.all(room, Number.MAX_SAFE_INTEGER, limit + 1);
+    }
+    return {
+      messages: rows.slice(0, limit).reverse().map(row => JSON.parse(row.data)),
+      hasMore: rows.length > limit
+    };
+  }
+
+  function readThread(room, { threadId, before = null, limit = 50 }) {
+    let rows;
+    if (typeof before === 'string') {
+      const cursor = sql.messageSeq.get(room, before);
+      rows = cursor ? sql.threadBeforeSeq.all(room, threadId, threadId, cursor.seq, limit + 1) : [];
+    } else if (typeof before === 'number') {
+      rows = sql.threadBeforeTime.all(room, threadId, threadId, before, limit + 1);
+    } else {
+      rows = sql.threadBeforeSeq.all(room, threadId, threadId, Number.MAX_SAFE_INTEGER, limit + 1);
+    }
+    return {
+      messages: rows.slice(0, limit).reverse().map(row => JSON.parse(row.data)),
+      hasMore: rows.length > limit
+    };
+  }
+
+  function createRoomStorage(room) {
+    return {
+      location: `${file}#${room}`,
+
+      async init() {
+        sql.addRoom.run(room, Date.now());
+      },
+
+      async readState() {
+        const row = sql.readState.get(room);
+        return row ? { revision: row.revision, updatedAt: row.updated_at, data: JSON.parse(row.data) } : null;
+      },
+
+      async readStateOps(limit) {
+        return sql.readStateOps.all(room, Number.isFinite(limit) ? limit : -1).reverse().map(row => JSON.parse(row.record));
+      },
+
+      async writeState(snapshot, records) {
+        writeState(room, snapshot, records);
+      },
+
+      async readDrawings() {
+        return sql.readDrawings.all(room).map(row => JSON.parse(row.data));
+      },
+
+      async writeDrawing(drawing) {
+        sql.writeDrawing.run(room, drawing.id, drawing.updatedAt || null, JSON.stringify(drawing));
+      },
+
+      async readAnnotations() {
+        return sql.readAnnotations.all(room).map(row => JSON.parse(row.data));
+      },
+
+      async writeAnnotation(annotation) {
+        sql.writeAnnotation.run(room, annotation.id, annotation.updatedAt || null, JSON.stringify(annotation));
+      },
+
+      async appendMessage(msg) {
+        sql.addMessage.run(room, msg.id ?? null, msg.type ?? null, msg.from ?? null,
+          typeof msg.text === 'string' ? msg.text : null, msg.timestamp ?? Date.now(), JSON.stringify(msg));
+      },
+
+      async updateMessage(msg) {
+        sql.updateMessage.run(typeof msg.text === 'string' ? msg.text : null, JSON.stringify(msg), room, msg.id);
+      },
+
+      async readMessage(id) {
+        const row = sql.readMessage.get(room, id);
+        return row ? JSON.parse(row.data) : null;
+      },
+
+      readHistory: async (options) => readHistory(room, options),
+
+      readThread: async (options) => readThread(room, options),
+
+      search: async (params) => search(room, params),
+
+      async *messages() {
+        for (const row of sql.allMessages.iterate(room)) yield JSON.parse(row.data);
+      },
+
+      async appendDirectMessage(msg) {
+        sql.addDirectMessage.run(room, msg.id ?? null, threadKey(participantsOf(msg)), msg.timestamp ?? Date.now(), JSON.stringify(msg));
+      },
+
+      readDirectMessages: async (options) => readDirectMessages(room, options),
+
+      async *directMessages() {
+        for (const row of sql.allDirectMessages.iterate(room)) yield JSON.parse(row.data);
+      },
+
+      async readMemory() {
+        const row = sql.readMemory.get(room);
+        return row ? JSON.parse(row.data) : null;
+      },
+
+      async writeMemory(snapshot) {
+        sql.writeMemory.run(room, JSON.stringify(snapshot));
+      },
+
+      async writeAttachment(id, data, meta) {
+        sql.writeAttachment.run(room, id, JSON.stringify(meta), data);
+      },
+
+      async listAttachments() {
+        return sql.listAttachments.all(room).map(row => row.id);
+      },
+
+      async readAttachment(id) {
+        const row = sql.readAttachment.get(room, id);
+        return row ? { meta: JSON.parse(row.meta), data: row.data } : null;
+      },
+
+      async readAttachmentMeta(id) {
+        const row = sql.readAttachmentMeta.get(room, id);
+        return row ? JSON.parse(row.meta) : null;
+      },
+
+      async appendTrackPoint(point) {
+        sql.addTrackPoint.run(room, point.userId, point.session ?? null, point.timestamp, JSON.stringify(point));
+      },
+
+      readTrack: async (options) => readTrack(room, options)
+    };
+  }
+
+  return {
+    type: 'sqlite',
+
+    async init() {
+      sql.addRoom.run(defaultRoom, Date.now());
+    },
+
+    room(name) {
+      let store = stores.get(name);
+      if (!store) {
+        store = createRoomStorage(name);
+        stores.set(name, store);
+      }
+      return store;
+    },
+
+    // Forget an unloaded room's storage; room() makes it again when needed
+    release(name) {
+      stores.delete(name);
+    },
+
+    async listRooms() {
+      const names = sql.listRooms.all().map(row => row.name);
+      return names.includes(defaultRoom) ? names : [defaultRoom, ...names];
+    },
+
+    // Consistent copy of the whole database, safe while it is in use
+    backup: (destination) => db.backup(destination),
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  createSqliteStorage,
+};
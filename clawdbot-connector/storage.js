@@ -0,0 +1,173 @@
+/**
+ * Field Room Storage
+ *
+ * Everything a room persists goes through a storage driver, chosen with
+ * STORAGE: 'file' (default, see storage-file.js) or 'sqlite'
+ * (storage-sqlite.js).
+ *
+ * Driver: { type, init(), room(name) → RoomStorage, release(name), listRooms(), backup?(to), close() }
+ *
+ * RoomStorage (all methods async):
+ *   location                        where the room lives, for /health
+ *   init()                          create whatever a new room needs
+ *   readState() → { revision, updatedAt, data } | null
+ *   readStateOps(limit) → records   the last `limit` state op records, oldest first
+ *   writeState(snapshot, records)   new snapshot and the op records that made it
+ *   readDrawings() / writeDrawing(drawing)
+ *   readAnnotations() / writeAnnotation(annotation)   (see annotations.js)
+ *   appendMessage(msg)              chat log
+ *   updateMessage(msg)              a new version of a logged message (see chat-messages.js)
+ *   readMessage(id) → msg | null    a logged message, in its latest version
+ *   readHistory({ before, limit }) → { messages, hasMore }   (see chat-history.js)
+ *   readThread({ threadId, before, limit }) → { messages, hasMore }   a thread, starting message included
+ *   search(params) → { total, results }                     (see search-index.js)
+ *   messages()                      async iterator over the whole log, oldest first
+ *   appendDirectMessage(msg)        DM log, kept apart from the chat log (see direct-messages.js)
+ *   readDirectMessages({ participants, before, limit }) → { messages, hasMore }   one thread
+ *   directMessages()                async iterator over the whole DM log, oldest first
+ *   readMemory() / writeMemory(snapshot)
+ *   writeAttachment(id, data, meta) / readAttachment(id) → { meta, data } | null
+ *   readAttachmentMeta(id) → meta | null   without reading the file (see attachments.js)
+ *   listAttachments() → ids
+ *   appendTrackPoint(point)         location track (see tracks.js)
+ *   readTrack({ userId, session, from, to, limit }) → { points, hasMore }   oldest first
+ *
+ * Usage (import a file workspace into SQLite, or back a database up):
+ *   node storage.js migrate --from ./workspace --to ./workspace/field-room.db
+ *   node storage.js backup --db ./workspace/field-room.db --to ./backup.db
+ */
+
+const path = require('path');
+const { createFileStorage } = require('./storage-file');
+const { readState } = require('./state-store');
+
+/**
+ * Create the driver named by `type`. `root` is the workspace directory; the
+ * SQLite database defaults to field-room.db inside it.
+ */
+function createStorage({ type = 'file', root, defaultRoom, sqlitePath }) {
+  if (type === 'file') return createFileStorage({ root, defaultRoom });
+  if (type === 'sqlite') {
+    const { createSqliteStorage } = require('./storage-sqlite');
+    return createSqliteStorage({ file: sqlitePath || path.join(root, 'field-room.db'), defaultRoom });
+  }
+  throw new Error(`Unknown STORAGE driver: ${type}`);
+}
+
+/**
+ * Copy every room from one driver to another. Rooms the target already has
+ * data for are skipped, so an interrupted migration can be run again.
+ */
+async function migrateStorage(source, target, { log = console.log } = {}) {
+  await target.init();
+  const summary = { rooms: 0, skipped: 0, messages: 0, directMessages: 0, drawings: 0, annotations: 0, attachments: 0, trackPoints: 0 };
+
+  for (const name of await source.listRooms()) {
+    const from = source.room(name);
+    const to = target.room(name);
+
+    const existing = (await to.readState()) || (await to.readHistory({ limit: 1 })).messages.length;
+    if (existing) {
+      log(`[Migrate] ${name}: already has data, skipped`);
+      summary.skipped++;
+      continue;
+    }
+    await to.init();
+
+    const state = await readState(from);
+    await to.writeState(state, await from.readStateOps(Infinity));
+
+    const drawings = await from.readDrawings();
+    for (const drawing of drawings) await to.writeDrawing(drawing);
+
+    const annotations = await from.readAnnotations();
+    for (const annotation of annotations) await to.writeAnnotation(annotation);
+
+    let messages = 0;
+    for await (const msg of from.messages()) {
+      await to.appendMessage(msg);
+      messages++;
+    }
+
+    let directMessages = 0;
+    for await (const msg of from.directMessages()) {
+      await to.appendDirectMessage(msg);
+      directMessages++;
+    }
+
+    const memory = await from.readMemory();
+    if (memory) await to.writeMemory(memory);
+
+    const attachments = await from.listAttachments();
+    for (const id of attachments) {
+      const { data, meta } = await from.readAttachment(id);
+      await to.writeAttachment(id, data, meta);
+    }
+
+    const { points } = await from.readTrack({ limit: Infinity });
+    for (const point of points) await to.appendTrackPoint(point);
+
+    log(`[Migrate] ${name}: state revision ${state.revision}, ${messages} messages, ${directMessages} DMs, ${drawings.length} drawings, ` +
+      `${annotations.length} annotations, ${attachments.length} attachments, ${points.length} track points`);
+    summary.rooms++;
+    summary.messages += messages;
+    summary.directMessages += directMessages;
+    summary.drawings += drawings.length;
+    summary.annotations += annotations.length;
+    summary.attachments += attachments.length;
+    summary.trackPoints += points.length;
+  }
+  return summary;
+}
+
+module.exports = {
+  createStorage,
+  migrateStorage,
+};
+
+// CLI: node storage.js migrate --from <workspace> --to <database>
+//      node storage.js backup --db <database> --to <file>
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  const opts = {};
+  for (let i = 0; i < args.length; i += 2) {
+    opts[args[i].replace(/^--/, '')] = args[i + 1];
+  }
+  const defaultRoom = opts['default-room'] || process.env.DEFAULT_ROOM || 'default';
+
+  const usage = () => {
+    console.error('Usage: node storage.js migrate --from <workspace> --to <database> [--default-room <name>]');
+    console.error('       node storage.js backup --db <database> --to <file>');
+    process.exit(1);
+  };
+
+  const run = async () => {
+    if (command === 'migrate' && opts.from && opts.to) {
+      const source = createStorage({ type: 'file', root: opts.from, defaultRoom });
+      const target = createStorage({ type: 'sqlite', sqlitePath: opts.to, defaultRoom });
+      try {
+        const { rooms, skipped, messages, directMessages, drawings, annotations, attachments, trackPoints } = await migrateStorage(source, target);
+        console.log(`[Migrate] ${rooms} room(s) imported (${messages} messages, ${directMessages} DMs, ${drawings} drawings, ` +
+          `${annotations} annotations, ${attachments} attachments, ${trackPoints} track points), ${skipped} skipped`);
+        console.log(`[Migrate] Start the service with STORAGE=sqlite SQLITE_PATH=${opts.to}`);
+      } finally {
+        target.close();
+      }
+    } else if (command === 'backup' && opts.db && opts.to) {
+      const storage = createStorage({ type: 'sqlite', sqlitePath: opts.db, defaultRoom });
+      try {
+        await storage.backup(opts.to);
+        console.log(`[Backup] ${opts.db} → ${opts.to}`);
+      } finally {
+        storage.close();
+      }
+    } else {
+      usage();
+    }
+  };
+
+  run().catch(err => {
+    console.error('[Error]', err.message);
+    process.exit(1);
+  });
+}
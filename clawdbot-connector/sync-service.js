@@ -10,8 +10,32 @@
 
 const WebSocket = require('ws');
 const http = require('http');
-const fs = require('fs').promises;
-const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const { DEFAULT_TTL_SECONDS, signToken, verifyToken, looksLikeToken, parseRoomSecrets, safeEqual } = require('./auth');
+const { createStateStore, readState, opsFromUpdate } = require('./state-store');
+const { createStorage } = require('./storage');
+const { loadPersonas, mentionedPersonas, findPersona } = require('./personas');
+const { ROOM_TOOLS, runTool } = require('./room-tools');
+const { summarizeRoom } = require('./room-context');
+const { createRoomMemory, parseMemoryCommand } = require('./room-memory');
+const { createRequestQueue, withTimeout, withRetry } = require('./ai-queue');
+const { validateMessage, requestIdOf } = require('./protocol');
+const { createRateLimiter } = require('./rate-limit');
+const { createEventLog } = require('./event-log');
+const { createPubSub } = require('./pubsub');
+const { FORMATS, exportDrawings, detectFormat, parseDrawings } = require('./geo-formats');
+const { toTrackPoint, exportTracks, createReplay } = require('./tracks');
+const { parseTime } = require('./search-index');
+const { isFence, checkFences, checkProximity, pairKey, forgetUser } = require('./geofence');
+const { isValidTime, parseCursor } = require('./chat-history');
+const { createAnnotation, addReply, setResolved, fromLegacy, describeThread } = require('./annotations');
+const { participantsOf } = require('./direct-messages');
+const { checkAuthor, editMessage, deleteMessage, setReaction, threadOf, belongsToThread } = require('./chat-messages');
+const {
+  TYPES: ATTACHMENT_TYPES, sniffType, isImage, readExif, createThumbnail, thumbnailId,
+  createAttachment, describeAttachment, descriptionPrompt, toFeatureCollection
+} = require('./attachments');
 
 // Configuration
 const CONFIG = {
@@ -19,27 +43,188 @@ const CONFIG = {
   OPENCLAW_API: process.env.OPENCLAW_API || 'http://127.0.0.1:18789',
   OPENCLAW_TOKEN: process.env.OPENCLAW_TOKEN || '',
   WORKSPACE_PATH: process.env.WORKSPACE_PATH || './workspace',
+  // Where rooms are persisted: 'file' (plain files in WORKSPACE_PATH) or 'sqlite'
+  // (one database, SQLITE_PATH, default WORKSPACE_PATH/field-room.db)
+  STORAGE: process.env.STORAGE || 'file',
+  SQLITE_PATH: process.env.SQLITE_PATH || '',
   AI_USER_ID: process.env.AI_USER_ID || 'pauline',
   AI_SESSION_USER: process.env.AI_SESSION_USER || 'field-room',
+  AI_MODEL: process.env.AI_MODEL || 'openclaw:main',
+  // Offer room tools (draw, annotate, update state, search) to the AI
+  AI_TOOLS: process.env.AI_TOOLS !== 'false',
+  AI_MAX_TOOL_ROUNDS: parseInt(process.env.AI_MAX_TOOL_ROUNDS || '5', 10),
+  // Per-persona request queue: concurrent requests, per-call gateway timeout,
+  // and retries (with exponential backoff) for transient gateway errors
+  AI_CONCURRENCY: parseInt(process.env.AI_CONCURRENCY || '1', 10),
+  AI_TIMEOUT_MS: parseInt(process.env.AI_TIMEOUT_MS || '120000', 10),
+  AI_RETRIES: parseInt(process.env.AI_RETRIES || '2', 10),
+  AI_RETRY_DELAY_MS: parseInt(process.env.AI_RETRY_DELAY_MS || '1000', 10),
+  // JSON file listing the AI personas; without one AI_USER_ID is the only persona
+  PERSONAS_FILE: process.env.PERSONAS_FILE || '',
+  // How many times in a row AIs may address each other before a human speaks
+  AI_MAX_CHAIN: parseInt(process.env.AI_MAX_CHAIN || '3', 10),
   LOG_CHAT: process.env.LOG_CHAT !== 'false',
   CONTEXT_MESSAGES: parseInt(process.env.CONTEXT_MESSAGES || '10', 10),
+  // Room summary in the AI's prompt: sections (presence, drawings, state; empty = off),
+  // size budget in characters, and what counts as near the speaker
+  CONTEXT_SECTIONS: (process.env.CONTEXT_SECTIONS ?? 'presence,drawings,state').split(',').map(s => s.trim()).filter(Boolean),
+  CONTEXT_BUDGET: parseInt(process.env.CONTEXT_BUDGET || '2000', 10),
+  CONTEXT_NEARBY_METERS: parseInt(process.env.CONTEXT_NEARBY_METERS || '2000', 10),
+  CONTEXT_MAX_DRAWINGS: parseInt(process.env.CONTEXT_MAX_DRAWINGS || '10', 10),
+  CONTEXT_STATE_KEYS: process.env.CONTEXT_STATE_KEYS ? process.env.CONTEXT_STATE_KEYS.split(',').map(s => s.trim()) : null,
+  // Rolling summary: fold messages older than the recent context into it once
+  // this many have accumulated (0 disables); written by SUMMARY_PERSONA's gateway
+  SUMMARY_BATCH: parseInt(process.env.SUMMARY_BATCH || '20', 10),
+  SUMMARY_MAX_WORDS: parseInt(process.env.SUMMARY_MAX_WORDS || '300', 10),
+  SUMMARY_PERSONA: process.env.SUMMARY_PERSONA || '',
+  AI_STREAM: process.env.AI_STREAM !== 'false',
+  DEFAULT_ROOM: process.env.DEFAULT_ROOM || 'default',
+  // A room nobody has been in for this long is unloaded from memory (0 keeps
+  // rooms loaded); it is read back from storage when next joined
+  ROOM_IDLE_MS: parseInt(process.env.ROOM_IDLE_MS || '600000', 10),
+  // open: self-asserted identities (development only)
+  // secret: shared room secret or signed token required
+  // token: signed token required
+  AUTH_MODE: process.env.AUTH_MODE || 'open',
+  AUTH_SECRET: process.env.AUTH_SECRET || '',
+  ROOM_SECRET: process.env.ROOM_SECRET || '',
+  ROOM_SECRETS: parseRoomSecrets(process.env.ROOM_SECRETS),
+  TOKEN_TTL: parseInt(process.env.TOKEN_TTL || String(DEFAULT_TTL_SECONDS), 10),
+  // Abuse limits (0 disables a rate limit): messages per RATE_WINDOW_MS per
+  // connection and per user, AI requests (invokes and mentions) per user per
+  // minute, and the largest message accepted
+  RATE_WINDOW_MS: parseInt(process.env.RATE_WINDOW_MS || '10000', 10),
+  RATE_CONNECTION_MESSAGES: parseInt(process.env.RATE_CONNECTION_MESSAGES || '50', 10),
+  RATE_USER_MESSAGES: parseInt(process.env.RATE_USER_MESSAGES || '100', 10),
+  RATE_AI_REQUESTS: parseInt(process.env.RATE_AI_REQUESTS || '10', 10),
+  MAX_MESSAGE_BYTES: parseInt(process.env.MAX_MESSAGE_BYTES || '262144', 10),
+  // Largest file accepted by POST /drawings/import
+  IMPORT_MAX_BYTES: parseInt(process.env.IMPORT_MAX_BYTES || '10485760', 10),
+  // Attachments (POST /attachments): largest file and the types accepted
+  ATTACHMENT_MAX_BYTES: parseInt(process.env.ATTACHMENT_MAX_BYTES || '10485760', 10),
+  ATTACHMENT_TYPES: (process.env.ATTACHMENT_TYPES ?? Object.keys(ATTACHMENT_TYPES).join(',')).split(',').map(s => s.trim()).filter(Boolean),
+  // A persona whose (vision-capable) gateway describes uploaded photos for the
+  // AI ('true' for the first persona, empty disables)
+  ATTACHMENT_DESCRIBE: process.env.ATTACHMENT_DESCRIBE || '',
+  // Liveness: ping every connection this often and drop those that miss a pong (0 disables)
+  HEARTBEAT_INTERVAL_MS: parseInt(process.env.HEARTBEAT_INTERVAL_MS || '30000', 10),
+  // Presence goes online → idle → away after this long without activity (0 disables a step)
+  IDLE_AFTER_MS: parseInt(process.env.IDLE_AFTER_MS || '300000', 10),
+  AWAY_AFTER_MS: parseInt(process.env.AWAY_AFTER_MS || '900000', 10),
+  // A client that reconnects within this window resumes its session: no join,
+  // and the events it missed (up to REPLAY_BUFFER per room) are replayed (0 disables)
+  RESUME_GRACE_MS: parseInt(process.env.RESUME_GRACE_MS || '60000', 10),
+  REPLAY_BUFFER: parseInt(process.env.REPLAY_BUFFER || '500', 10),
+  // Presence goes out as presence_delta (joined / left / changed) with a full
+  // snapshot every PRESENCE_SNAPSHOT_MS (0: only on join and resume);
+  // PRESENCE_DELTAS=false sends the full list on every change instead
+  PRESENCE_DELTAS: process.env.PRESENCE_DELTAS !== 'false',
+  PRESENCE_SNAPSHOT_MS: parseInt(process.env.PRESENCE_SNAPSHOT_MS || '60000', 10),
+  // A user's moves are sent at most once per window, the latest location winning (0 disables)
+  MOVE_THROTTLE_MS: parseInt(process.env.MOVE_THROTTLE_MS || '1000', 10),
+  // Drawings of these types are geofences (empty disables), and users within
+  // PROXIMITY_METERS of each other get proximity events (0 disables); both are
+  // left only once the margin further out, so GPS jitter doesn't flap
+  GEOFENCE_TYPES: (process.env.GEOFENCE_TYPES ?? 'boundary,zone').split(',').map(s => s.trim()).filter(Boolean),
+  GEOFENCE_MARGIN_METERS: parseFloat(process.env.GEOFENCE_MARGIN_METERS || '10'),
+  PROXIMITY_METERS: parseFloat(process.env.PROXIMITY_METERS || '0'),
+  // A persona that tells whoever enters a fence what its description says
+  // ('true' for the first persona, empty disables), at most once per user and
+  // fence per GEOFENCE_AI_COOLDOWN_MS
+  GEOFENCE_AI: process.env.GEOFENCE_AI || '',
+  GEOFENCE_AI_COOLDOWN_MS: parseInt(process.env.GEOFENCE_AI_COOLDOWN_MS || '1800000', 10),
+  // Location tracks: 'opt-in' (recorded once a user turns recording on),
+  // 'opt-out' (recorded unless they turn it off) or 'off'
+  TRACKS: process.env.TRACKS || 'opt-in',
+  // permessage-deflate: 'opt-in' (clients connecting with ?compress=1), 'on' or 'off'
+  WS_COMPRESSION: process.env.WS_COMPRESSION || 'opt-in',
+  // Several instances serving the same rooms: 'local' (one instance) or 'redis'
+  // (instances sharing REDIS_URL and WORKSPACE_PATH act as one service)
+  PUBSUB: process.env.PUBSUB || 'local',
+  REDIS_URL: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+  REDIS_PREFIX: process.env.REDIS_PREFIX || 'fieldroom:',
+  INSTANCE_ID: process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`,
 };
 
 console.log('[Sync Service] Starting...');
-console.log('[Config]', JSON.stringify({ ...CONFIG, OPENCLAW_TOKEN: CONFIG.OPENCLAW_TOKEN ? '***' : '(none)' }, null, 2));
+console.log('[Config]', JSON.stringify({
+  ...CONFIG,
+  OPENCLAW_TOKEN: CONFIG.OPENCLAW_TOKEN ? '***' : '(none)',
+  AUTH_SECRET: CONFIG.AUTH_SECRET ? '***' : '(none)',
+  ROOM_SECRET: CONFIG.ROOM_SECRET ? '***' : '(none)',
+  ROOM_SECRETS: Array.from(CONFIG.ROOM_SECRETS.keys()),
+  REDIS_URL: CONFIG.REDIS_URL.replace(/\/\/[^@/]*@/, '//***@'),
+}, null, 2));
 
 // Connected clients: Map<clientId, ClientInfo>
 const clients = new Map();
 
-// Recent chat history (for late joiners and AI context)
-const chatHistory = [];
-const MAX_HISTORY = 100;
+// Active rooms: Map<roomName, Room>
+// Each room has its own members, recent chat history and workspace directory.
+const rooms = new Map();
+
+// AI personas the service speaks for (loaded from PERSONAS_FILE at startup)
+let personas = [];
+
+// The persona announcing fence notes (GEOFENCE_AI), if any
+let fencePersona = null;
+
+// The persona describing uploaded photos (ATTACHMENT_DESCRIBE), if any
+let describePersona = null;
+
+// Resumable sessions: Map<resumeToken, clientId>
+const sessions = new Map();
+
+// Fan-out, presence and AI ownership shared with other instances (see pubsub.js)
+let bus = null;
+
+// Persistence for every room (see storage.js)
+let storage = null;
+
+// Request queue per persona: Map<personaId, Queue>
+const aiQueues = new Map();
 
-// HTTP server for health checks
+// Rate limits, keyed by client id (connections) or user id
+const connectionLimiter = createRateLimiter({ limit: CONFIG.RATE_CONNECTION_MESSAGES, windowMs: CONFIG.RATE_WINDOW_MS });
+const userLimiter = createRateLimiter({ limit: CONFIG.RATE_USER_MESSAGES, windowMs: CONFIG.RATE_WINDOW_MS });
+const aiLimiter = createRateLimiter({ limit: CONFIG.RATE_AI_REQUESTS, windowMs: 60 * 1000 });
+
+// In-memory history per room (rebuilt from chat logs on startup)
+const MAX_HISTORY = 100;
+const ROOM_CHECK_MS = 60000;
+const HISTORY_ON_JOIN = 20;
+const MAX_HISTORY_PAGE = 200;
+const MAX_SEARCH_RESULTS = 100;
+const MAX_IMPORT_DRAWINGS = 1000;
+const MAX_TRACK_POINTS = 100000;
+const MAX_REPLAY_POINTS = 20000;
+const MAX_REPLAYS = 3;
+const DEFAULT_REPLAY_SPEED = 10;
+const ACTIVITY_CHECK_MS = 15000;
+// How long an AI request stays claimed by the instance answering it
+const AI_CLAIM_TTL_MS = 10 * 60 * 1000;
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+// Presence fields a presence_delta reports changes to. Locations travel in
+// move events and timestamps in snapshots.
+const PRESENCE_DELTA_FIELDS = ['status', 'statusText', 'dnd', 'recording'];
+
+// HTTP server for health checks and the REST API. A failing route is logged
+// and answered with a 500 rather than left to crash the process.
 const server = http.createServer(async (req, res) => {
+  try {
+    await handleHttpRequest(req, res);
+  } catch (err) {
+    console.error(`[HTTP Error] ${req.method} ${req.url}:`, err);
+    if (!res.headersSent) sendJSON(res, 500, { error: 'Internal server error' });
+    else res.destroy();
+  }
+});
+
+async function handleHttpRequest(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'X-State-Revision');
 
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -47,47 +232,541 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  if (req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({
-      status: 'ok',
-      clients: clients.size,
-      workspace: CONFIG.WORKSPACE_PATH,
-      uptime: process.uptime()
-    }));
-  } else if (req.url === '/state') {
-    const state = await loadState();
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(state));
+  const url = new URL(req.url, 'http://localhost');
+  const roomName = url.searchParams.get('room');
+  // /attachments/{id} and /attachments/{id}/thumbnail
+  const attachmentPath = /^\/attachments\/([a-z0-9_-]{1,64})(\/thumbnail)?$/i.exec(url.pathname);
+
+  if (roomName !== null && !isValidRoomName(roomName)) {
+    sendJSON(res, 400, { error: `Invalid room name: ${roomName}` });
+    return;
+  }
+
+  if (url.pathname === '/health') {
+    if (roomName) {
+      const room = rooms.get(roomName);
+      sendJSON(res, 200, {
+        status: 'ok',
+        room: roomName,
+        clients: room ? room.clients.size : 0,
+        workspace: storage.room(roomName).location,
+        uptime: process.uptime()
+      });
+    } else {
+      sendJSON(res, 200, {
+        status: 'ok',
+        clients: clients.size,
+        rooms: rooms.size,
+        instance: CONFIG.INSTANCE_ID,
+        pubsub: CONFIG.PUBSUB,
+        storage: CONFIG.STORAGE,
+        workspace: CONFIG.WORKSPACE_PATH,
+        uptime: process.uptime()
+      });
+    }
+  } else if (url.pathname === '/state') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    const room = rooms.get(name);
+    const snapshot = room ? room.state.snapshot() : await readState(storage.room(name));
+    res.setHeader('X-State-Revision', String(snapshot.revision));
+
+    // ?since=<revision> returns only what changed after that revision
+    if (url.searchParams.has('since')) {
+      const since = parseInt(url.searchParams.get('since'), 10) || 0;
+      const diff = room
+        ? room.state.diffSince(since)
+        : { since, revision: snapshot.revision, full: true, data: snapshot.data };
+      sendJSON(res, 200, diff);
+      return;
+    }
+
+    sendJSON(res, 200, { ...snapshot.data, drawings: await currentDrawings(name), annotations: await currentAnnotations(name) });
+  } else if (url.pathname === '/history') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    // ?before= is a timestamp (ms), a date or a message id
+    let before;
+    try {
+      before = parseCursor(url.searchParams.get('before'));
+    } catch (err) {
+      sendJSON(res, 400, { error: err.message });
+      return;
+    }
+    const page = await storage.room(name).readHistory({
+      before,
+      limit: clampHistoryLimit(url.searchParams.get('limit'))
+    });
+    sendJSON(res, 200, { room: name, before, ...page });
+  } else if (url.pathname === '/search') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    const q = url.searchParams;
+    const params = searchParams({
+      query: q.get('q'),
+      from: q.get('from'),
+      since: q.get('since'),
+      until: q.get('until'),
+      messageType: q.get('type'),
+      limit: q.get('limit'),
+      offset: q.get('offset')
+    });
+    const { total, results } = await storage.room(name).search(params);
+    sendJSON(res, 200, { room: name, query: params.query, total, results });
+  } else if (url.pathname === '/memory') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    let memory = rooms.has(name) && rooms.get(name).memory;
+    if (!memory) {
+      memory = createRoomMemory(storage.room(name));
+      await memory.load();
+    }
+    sendJSON(res, 200, { room: name, ...memory.snapshot() });
+  } else if (url.pathname === '/drawings') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    // ?since=<ms> returns everything changed since then, tombstones included (for incremental sync)
+    const since = parseInt(url.searchParams.get('since') || '0', 10);
+    const includeDeleted = url.searchParams.get('includeDeleted') === 'true' || since > 0;
+    const room = rooms.get(name);
+    let drawings = room ? Array.from(room.drawings.values()) : await storage.room(name).readDrawings();
+    drawings = drawings.filter(d => (includeDeleted || !d.deleted) && (!since || d.updatedAt > since));
+    sendJSON(res, 200, { room: name, drawings });
+  } else if (url.pathname === '/annotations') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    // ?status=open|resolved, ?drawingId=..., ?since=<ms> (changed after then)
+    const q = url.searchParams;
+    const since = parseInt(q.get('since') || '0', 10);
+    const annotations = (await currentAnnotations(name))
+      .filter(a => (!q.get('status') || a.status === q.get('status')) &&
+        (!q.get('drawingId') || a.drawingId === q.get('drawingId')) &&
+        (!since || a.updatedAt > since))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    sendJSON(res, 200, { room: name, annotations });
+  } else if (url.pathname === '/drawings/export') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    const format = url.searchParams.get('format') || 'geojson';
+    if (!Object.hasOwn(FORMATS, format)) {
+      sendJSON(res, 400, { error: `Unknown format: ${format} (geojson, kml or gpx)` });
+      return;
+    }
+    const body = exportDrawings(await currentDrawings(name), format, { name });
+    res.writeHead(200, {
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${name}-drawings.${FORMATS[format].extension}"`
+    });
+    res.end(body);
+  } else if (url.pathname === '/drawings/import' && req.method === 'POST') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    await handleDrawingImport(req, res, url, name);
+  } else if (url.pathname === '/tracks') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    const q = url.searchParams;
+    const format = q.get('format') || 'geojson';
+    if (format !== 'geojson' && format !== 'gpx') {
+      sendJSON(res, 400, { error: `Unknown format: ${format} (geojson or gpx)` });
+      return;
+    }
+    const from = parseTime(q.get('from'));
+    const to = parseTime(q.get('to'), true);
+    if ([from, to].some(time => time !== null && !isValidTime(time))) {
+      sendJSON(res, 400, { error: 'from and to must be valid times' });
+      return;
+    }
+    const { points, hasMore } = await storage.room(name).readTrack({
+      userId: q.get('user') || undefined,
+      session: q.get('session') || undefined,
+      from,
+      to,
+      limit: MAX_TRACK_POINTS
+    });
+    res.writeHead(200, {
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${name}-tracks.${FORMATS[format].extension}"`,
+      // Only the first MAX_TRACK_POINTS are exported; narrow the time range for the rest
+      'X-Truncated': String(hasMore)
+    });
+    res.end(exportTracks(points, format, { name }));
+  } else if (url.pathname === '/attachments') {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    if (req.method === 'POST') {
+      await handleAttachmentUpload(req, res, url, name);
+      return;
+    }
+    const attachments = await listAttachments(name);
+    // ?format=geojson: the photos that know where they were taken, as map points
+    if (url.searchParams.get('format') === 'geojson') {
+      sendJSON(res, 200, toFeatureCollection(attachments));
+      return;
+    }
+    sendJSON(res, 200, { room: name, attachments });
+  } else if (attachmentPath) {
+    const name = roomName || CONFIG.DEFAULT_ROOM;
+    if (!authorizeHttp(req, url, name)) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    const [, id, thumbnail] = attachmentPath;
+    const file = await storage.room(name).readAttachment(thumbnail ? thumbnailId(id) : id);
+    if (!file) {
+      sendJSON(res, 404, { error: thumbnail ? `No thumbnail for attachment ${id}` : `Attachment not found: ${id}` });
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': file.meta.type,
+      'Content-Length': file.data.length,
+      'Content-Disposition': `inline; filename="${file.meta.name}"`,
+      // Ids are never reused, so a file never changes
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.end(file.data);
+  } else if (url.pathname === '/rooms') {
+    if (!authorizeHttp(req, url, '*')) {
+      sendJSON(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    sendJSON(res, 200, { rooms: await listRooms() });
+  } else if (url.pathname === '/token' && req.method === 'POST') {
+    await handleTokenRequest(req, res);
   } else {
     res.writeHead(404);
     res.end();
   }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function readBody(req, limit) {
+  return (await readRawBody(req, limit)).toString('utf8');
+}
+
+async function readRawBody(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      const err = new Error('Request body too large');
+      err.status = 413;
+      throw err;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function readJSONBody(req, limit = 16 * 1024) {
+  return JSON.parse((await readBody(req, limit)) || '{}');
+}
+
+/**
+ * POST /drawings/import — add the drawings in a GeoJSON, KML or GPX file to a
+ * room. Each becomes a new drawing (with a new id) broadcast to the room, as if
+ * drawn by the importing user. Features that can't be drawings are skipped and
+ * listed in the response.
+ */
+async function handleDrawingImport(req, res, url, roomName) {
+  const userId = httpUserId(req, url);
+  if (isReservedUserId(userId)) {
+    sendJSON(res, 400, { error: `${userId} is reserved for an AI persona` });
+    return;
+  }
+
+  let text;
+  try {
+    text = await readBody(req, CONFIG.IMPORT_MAX_BYTES);
+  } catch (err) {
+    sendJSON(res, err.status || 400, { error: err.message });
+    return;
+  }
+
+  const format = url.searchParams.get('format') || detectFormat(text);
+  if (!Object.hasOwn(FORMATS, format || '')) {
+    sendJSON(res, 400, { error: format ? `Unknown format: ${format}` : 'Send a GeoJSON, KML or GPX file (or name it with ?format=)' });
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseDrawings(text, format);
+  } catch (err) {
+    sendJSON(res, 400, { error: `Could not read ${format}: ${err.message}` });
+    return;
+  }
+  if (parsed.drawings.length > MAX_IMPORT_DRAWINGS) {
+    sendJSON(res, 413, { error: `Files may hold up to ${MAX_IMPORT_DRAWINGS} drawings, not ${parsed.drawings.length}` });
+    return;
+  }
+
+  const room = getRoom(roomName);
+  await room.ready;
+  const skipped = [...parsed.skipped];
+  const imported = [];
+  for (const { index, drawing } of parsed.drawings) {
+    try {
+      validateMessage({ type: 'drawing', drawing });
+    } catch (err) {
+      skipped.push({ index, reason: err.message });
+      continue;
+    }
+    imported.push(await createDrawing(room, drawing, userId));
+  }
+
+  console.log(`[Import] ${userId} imported ${imported.length} drawing(s) into ${room.name} from ${format}` +
+    (skipped.length ? `, ${skipped.length} skipped` : ''));
+  sendJSON(res, 200, {
+    room: room.name,
+    format,
+    imported: imported.length,
+    drawings: imported.map(d => ({ id: d.id, name: d.name, type: d.type })),
+    skipped: skipped.sort((a, b) => a.index - b.index)
+  });
+}
+
+/**
+ * POST /attachments — store a photo or document for a room. The body is the
+ * file itself (its type is told from its content) and ?name= its file name.
+ * Photos get a thumbnail, their EXIF location and time and, with
+ * ATTACHMENT_DESCRIBE, a description written in the background. Clients then
+ * share the file in the chat with an `attachment` message.
+ */
+async function handleAttachmentUpload(req, res, url, roomName) {
+  const userId = httpUserId(req, url, 'upload');
+  if (isReservedUserId(userId)) {
+    sendJSON(res, 400, { error: `${userId} is reserved for an AI persona` });
+    return;
+  }
+
+  let data;
+  try {
+    data = await readRawBody(req, CONFIG.ATTACHMENT_MAX_BYTES);
+  } catch (err) {
+    sendJSON(res, err.status || 400, { error: err.message });
+    return;
+  }
+  if (data.length === 0) {
+    sendJSON(res, 400, { error: 'Send the file as the request body' });
+    return;
+  }
+  const type = sniffType(data);
+  if (!type || !CONFIG.ATTACHMENT_TYPES.includes(type)) {
+    sendJSON(res, 415, { error: `Attachments may be ${CONFIG.ATTACHMENT_TYPES.join(', ')}` });
+    return;
+  }
+
+  const id = generateId();
+  const exif = readExif(data);
+  let thumbnail = null;
+  try {
+    thumbnail = await createThumbnail(data, type, exif);
+  } catch (err) {
+    console.warn(`[Attachments] No thumbnail for ${id}:`, err.message);
+  }
+  const meta = createAttachment({ id, name: url.searchParams.get('name'), type, size: data.length, by: userId, exif, thumbnail });
+
+  const room = getRoom(roomName);
+  await room.ready;
+  if (thumbnail) {
+    await room.store.writeAttachment(thumbnailId(id), thumbnail, {
+      id: thumbnailId(id),
+      thumbnailOf: id,
+      name: `${meta.name.replace(/\.[^.]*$/, '')}-thumbnail.jpg`,
+      type: 'image/jpeg',
+      size: thumbnail.length
+    });
+  }
+  await room.store.writeAttachment(id, data, meta);
+
+  console.log(`[Attachments] ${userId} uploaded ${meta.name} (${type}, ${data.length} bytes) to ${room.name}` +
+    (meta.location ? ' with a location' : ''));
+  sendJSON(res, 201, { room: room.name, attachment: meta });
+
+  if (describePersona && isImage(type)) describeUpload(room, meta, data);
+}
+
+// Every attachment in a room (thumbnails aside), oldest first
+async function listAttachments(name) {
+  const store = storage.room(name);
+  const metas = await Promise.all((await store.listAttachments()).map(id => store.readAttachmentMeta(id)));
+  return metas.filter(meta => meta && !meta.thumbnailOf).sort((a, b) => a.uploadedAt - b.uploadedAt);
+}
+
+/**
+ * Have ATTACHMENT_DESCRIBE's persona describe an uploaded photo, in the
+ * background. The description is saved with the attachment and on the
+ * messages already sharing it, and announced with attachment_update.
+ * Gateways that can't see images answer with an error, which is only logged.
+ */
+function describeUpload(room, meta, data) {
+  const describer = { ...describePersona, sessionUser: `${describePersona.sessionUser}-describe` };
+  callGateway(describer, descriptionPrompt(meta, data), { signal: new AbortController().signal })
+    .then(async ({ content }) => {
+      const description = content.trim();
+      if (!description) return;
+      const updated = { ...meta, description };
+      await room.store.writeAttachment(meta.id, data, updated);
+
+      // Alongside edits and reactions, so neither overwrites the other
+      const run = room.messageChanges.then(async () => {
+        for (const msg of refreshAttachment(room, updated)) {
+          if (CONFIG.LOG_CHAT) await room.store.updateMessage(msg);
+        }
+      });
+      room.messageChanges = run.catch(() => {});
+      await run;
+
+      console.log(`[Attachments] ${describer.id} described ${meta.id} in ${room.name}`);
+      broadcast(room, { type: 'attachment_update', attachment: updated, timestamp: Date.now() });
+    })
+    .catch(err => console.error(`[Attachments] Describing ${meta.id} failed in ${room.name}:`, err.message));
+}
+
+/**
+ * POST /token — exchange a room secret for a signed token.
+ * Only human tokens are minted here; AI tokens come from `node auth.js mint`.
+ */
+async function handleTokenRequest(req, res) {
+  let body;
+  try {
+    body = await readJSONBody(req);
+  } catch (err) {
+    sendJSON(res, 400, { error: err.message });
+    return;
+  }
+
+  const { userId, secret } = body;
+  const room = body.room || CONFIG.DEFAULT_ROOM;
+
+  if (!CONFIG.AUTH_SECRET) {
+    sendJSON(res, 501, { error: 'Token minting is not configured (AUTH_SECRET unset)' });
+  } else if (!isValidRoomName(room) || typeof userId !== 'string' || !userId) {
+    sendJSON(res, 400, { error: 'A valid room and userId are required' });
+  } else if (!isRoomSecret(room, secret)) {
+    sendJSON(res, 401, { error: 'Invalid room secret' });
+  } else if (isReservedUserId(userId)) {
+    sendJSON(res, 403, { error: `${userId} is reserved for AI participants` });
+  } else {
+    const token = signToken({ sub: userId, type: 'human', room }, CONFIG.AUTH_SECRET, CONFIG.TOKEN_TTL);
+    console.log(`[Auth] Minted token for ${userId} in ${room}`);
+    sendJSON(res, 200, { token, userId, room, expiresAt: Date.now() + CONFIG.TOKEN_TTL * 1000 });
+  }
+}
+
+// WebSocket server. Messages over MAX_MESSAGE_BYTES are answered with
+// payload_too_large; ws drops the connection (1009) for anything far larger.
+const wss = new WebSocket.Server({
+  noServer: true,
+  maxPayload: Math.max(CONFIG.MAX_MESSAGE_BYTES * 4, 1024 * 1024),
+  perMessageDeflate: CONFIG.WS_COMPRESSION !== 'off'
 });
 
-// WebSocket server
-const wss = new WebSocket.Server({ server });
+// Compression costs memory per connection, so by default only clients that
+// ask for it (?compress=1) get it: for the rest the extension offer (which
+// browsers always send) is dropped before ws negotiates
+server.on('upgrade', (req, socket, head) => {
+  // A room named in the URL must be a valid one; the connection is refused otherwise
+  const handshake = parseHandshake(req.url);
+  if (!handshake || (handshake.room && !isValidRoomName(handshake.room))) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  if (CONFIG.WS_COMPRESSION === 'opt-in' && !handshake.compress) {
+    delete req.headers['sec-websocket-extensions'];
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+});
 
 wss.on('connection', (ws, req) => {
   const clientId = generateId();
-  console.log(`[Connection] New client: ${clientId} from ${req.socket.remoteAddress}`);
+  // Clients may pick a room via the URL path (ws://host:3738/site-a) or ?room=,
+  // and may present their credential as ?token= instead of in the auth message
+  const handshake = parseHandshake(req.url);
+  console.log(`[Connection] New client: ${clientId} from ${req.socket.remoteAddress}` +
+    (handshake.room ? ` (room: ${handshake.room})` : ''));
+
+  // Cleared on every heartbeat ping and set again by the pong (see checkHeartbeats)
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+    const client = clients.get(clientId);
+    if (client) client.lastSeen = Date.now();
+  });
 
   ws.on('message', async (data) => {
+    if (data.length > CONFIG.MAX_MESSAGE_BYTES) {
+      sendError(ws, 'payload_too_large', `Messages are limited to ${CONFIG.MAX_MESSAGE_BYTES} bytes`);
+      return;
+    }
+
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      sendError(ws, 'invalid_json', 'Message is not valid JSON');
+      return;
+    }
+
+    if (!allowMessage(clientId, ws, msg)) return;
+    markActive(clientId, msg);
+
     try {
-      const msg = JSON.parse(data.toString());
-      await handleMessage(clientId, ws, msg);
+      await handleMessage(clientId, ws, msg, handshake);
     } catch (err) {
       console.error('[Error] Message handling failed:', err);
-      sendTo(ws, { type: 'error', error: err.message });
+      sendError(ws, 'internal_error', err.message, msg);
     }
   });
 
   ws.on('close', () => {
+    connectionLimiter.forget(clientId);
     const client = clients.get(clientId);
-    if (client) {
-      console.log(`[Disconnect] ${client.userId} (${clientId})`);
-      clients.delete(clientId);
-      broadcastPresence();
+    if (!client) return;
+    if (client.resumeToken) {
+      // Hold the user's place so a quick reconnect resumes without a leave and join
+      console.log(`[Disconnect] ${client.userId} (${clientId}) from ${client.room.name}, resumable for ${CONFIG.RESUME_GRACE_MS / 1000}s`);
+      client.resumeTimer = setTimeout(() => leaveRoom(clientId, client), CONFIG.RESUME_GRACE_MS);
+    } else {
+      console.log(`[Disconnect] ${client.userId} (${clientId}) from ${client.room.name}`);
+      leaveRoom(clientId, client);
     }
   });
 
@@ -96,344 +775,2384 @@ wss.on('connection', (ws, req) => {
   });
 });
 
-// Message handler
-async function handleMessage(clientId, ws, msg) {
+// Per-connection and per-user message rate limits (pings are exempt)
+function allowMessage(clientId, ws, msg) {
+  if (msg && msg.type === 'ping') return true;
+  const client = clients.get(clientId);
+  const retryAfter = connectionLimiter.take(clientId) || (client ? userLimiter.take(client.userId) : 0);
+  if (retryAfter) {
+    sendError(ws, 'rate_limited', `Too many messages; slow down for ${Math.ceil(retryAfter / 1000)}s`, msg, { retryAfter });
+    return false;
+  }
+  return true;
+}
+
+// Any message shows the connection is alive; anything but a ping is activity
+// and brings an idle or away user back online
+function markActive(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+  const now = Date.now();
+  client.lastSeen = now;
+  if (msg && msg.type === 'ping') return;
+  client.lastActive = now;
+  if (client.status !== 'online') {
+    client.status = 'online';
+    broadcastPresence(client.room);
+  }
+}
+
+// Message handler. Every message is checked against its schema (protocol.js)
+// before it reaches a handler.
+async function handleMessage(clientId, ws, msg, handshake) {
+  try {
+    validateMessage(msg);
+  } catch (err) {
+    sendError(ws, err.code, err.message, msg, err.field && { field: err.field });
+    return;
+  }
+
+  // Everything except auth and ping requires an authenticated connection
+  if (msg.type !== 'auth' && msg.type !== 'ping' && !clients.has(clientId)) {
+    sendError(ws, 'not_authenticated', 'Not authenticated', msg);
+    return;
+  }
+
   switch (msg.type) {
     case 'auth':
-      await handleAuth(clientId, ws, msg);
+      await handleAuth(clientId, ws, msg, handshake);
       break;
     case 'chat':
       await handleChat(clientId, msg);
       break;
+    case 'attachment':
+      await handleAttachment(clientId, msg);
+      break;
+    case 'chat_edit':
+      await handleChatEdit(clientId, msg);
+      break;
+    case 'chat_delete':
+      await handleChatDelete(clientId, msg);
+      break;
+    case 'reaction':
+      await handleReaction(clientId, msg);
+      break;
+    case 'thread_request':
+      await handleThreadRequest(clientId, msg);
+      break;
     case 'invoke':
       await handleInvoke(clientId, msg);
       break;
+    case 'invoke_cancel':
+      handleInvokeCancel(clientId, msg);
+      break;
     case 'move':
       await handleMove(clientId, msg);
       break;
+    case 'status':
+      handleStatus(clientId, msg);
+      break;
+    case 'track_recording':
+      handleTrackRecording(clientId, msg);
+      break;
+    case 'track_replay':
+      await handleTrackReplay(clientId, msg);
+      break;
+    case 'track_replay_control':
+      handleTrackReplayControl(clientId, msg);
+      break;
     case 'state_update':
       await handleStateUpdate(clientId, msg);
       break;
+    case 'state_diff':
+      handleStateDiff(clientId, msg);
+      break;
+    case 'history_request':
+      await handleHistoryRequest(clientId, msg);
+      break;
+    case 'dm':
+      await handleDirectMessage(clientId, msg);
+      break;
+    case 'dm_history':
+      await handleDirectHistory(clientId, msg);
+      break;
+    case 'search':
+      await handleSearch(clientId, msg);
+      break;
     case 'drawing':
       await handleDrawing(clientId, msg);
       break;
+    case 'drawing_update':
+      await handleDrawingUpdate(clientId, msg);
+      break;
+    case 'drawing_delete':
+      await handleDrawingDelete(clientId, msg);
+      break;
+    case 'annotation_create':
+      await handleAnnotationCreate(clientId, msg);
+      break;
+    case 'annotation_reply':
+      await handleAnnotationReply(clientId, msg);
+      break;
+    case 'annotation_resolve':
+      await handleAnnotationResolve(clientId, msg);
+      break;
     case 'ping':
       sendTo(ws, { type: 'pong', timestamp: Date.now() });
       break;
-    default:
-      console.warn('[Unknown message type]', msg.type);
   }
 }
 
-// Auth: Register client
-async function handleAuth(clientId, ws, msg) {
-  const { userId, userType = 'human', metadata = {} } = msg;
+// Auth: Verify credentials, register client and join a room
+async function handleAuth(clientId, ws, msg, handshake) {
+  const { metadata = {} } = msg;
+  const roomName = msg.room || handshake.room || CONFIG.DEFAULT_ROOM;
 
-  clients.set(clientId, {
+  if (!isValidRoomName(roomName)) {
+    sendError(ws, 'invalid_room', `Invalid room name: ${roomName}`, msg);
+    return;
+  }
+
+  // A resume token stands in for credentials: it was issued to this identity
+  if (msg.resume && resumeSession(clientId, ws, msg, roomName)) return;
+
+  let identity;
+  try {
+    identity = authenticate(msg, roomName, handshake.token);
+  } catch (err) {
+    console.warn(`[Auth] Rejected ${msg.userId || '(anonymous)'} for ${roomName}: ${err.message}`);
+    sendError(ws, 'auth_failed', `Authentication failed: ${err.message}`, msg);
+    ws.close(1008, 'Unauthorized');
+    return;
+  }
+  const { userId, userType } = identity;
+
+  // Re-authenticating moves the connection out of its previous room
+  const existing = clients.get(clientId);
+  if (existing) leaveRoom(clientId, existing);
+
+  const room = getRoom(roomName);
+
+  // Register before awaiting anything so messages sent right behind auth are accepted
+  const client = {
     ws,
+    room,
     userId,
     userType,
     metadata,
     location: null,
+    locationUpdatedAt: null,
+    // Automatic: online → idle → away (see updateActivity)
     status: 'online',
+    // Set by the user with a status message
+    statusText: null,
+    dnd: false,
     joinedAt: Date.now(),
-    lastSeen: Date.now()
-  });
+    lastSeen: Date.now(),
+    lastActive: Date.now(),
+    // Identifies this member in presence deltas and moves; kept across resumes
+    presenceId: generateId(),
+    // Move throttling (see handleMove)
+    moveTimer: null,
+    moveSentAt: 0,
+    // Ids of the geofences this connection is inside (see checkClientFences)
+    fences: new Set(),
+    // Whether moves are recorded as a track (TRACKS), and track replays
+    // running for this client: Map<id, replay>
+    recording: CONFIG.TRACKS !== 'off' && (msg.track ?? CONFIG.TRACKS === 'opt-out'),
+    replays: new Map(),
+    // Presented on reconnect to resume this session (see resumeSession)
+    resumeToken: CONFIG.RESUME_GRACE_MS > 0 ? crypto.randomBytes(18).toString('base64url') : null,
+    resumeTimer: null
+  };
+  clients.set(clientId, client);
+  room.clients.set(clientId, client);
+  if (client.resumeToken) sessions.set(client.resumeToken, clientId);
+  await room.ready;
 
-  console.log(`[Auth] ${userId} joined (${userType})`);
+  console.log(`[Auth] ${userId} joined ${room.name} (${userType})`);
 
-  const state = await loadState();
-  sendTo(ws, { type: 'state', data: state });
-  sendTo(ws, { type: 'history', messages: chatHistory.slice(-20) });
+  sendTo(ws, {
+    type: 'auth_ok',
+    userId,
+    userType,
+    room: room.name,
+    resumeToken: client.resumeToken,
+    seq: room.events.seq,
+    resumed: false
+  });
+  sendRoomSnapshot(ws, room);
 
-  broadcast({
+  broadcast(room, {
     type: 'join',
     userId,
     userType,
     timestamp: Date.now()
   }, clientId);
 
-  broadcastPresence();
+  // Everyone else hears that we joined; we start from a full list
+  broadcastPresence(room, clientId);
+  sendTo(ws, { type: 'presence', users: presenceList(room) });
 }
 
-// Chat: Human-to-human message
-async function handleChat(clientId, msg) {
-  const client = clients.get(clientId);
-  if (!client) return;
+/**
+ * Reattach a reconnecting client to its session. The new connection takes
+ * over the old client (whose socket may not even have noticed it is dead yet),
+ * so the rest of the room sees no leave or join. Everything broadcast since
+ * `lastSeq` is replayed; if that is no longer buffered the client gets a full
+ * snapshot instead. Returns false if there is no session to resume, in which
+ * case the client authenticates afresh.
+ */
+function resumeSession(clientId, ws, msg, roomName) {
+  const previousId = sessions.get(msg.resume);
+  const client = previousId && clients.get(previousId);
+  if (!client || client.room.name !== roomName) return false;
+
+  const existing = clients.get(clientId);
+  if (existing && existing !== client) leaveRoom(clientId, existing);
+
+  const { room } = client;
+  const previousWs = client.ws;
+  clearTimeout(client.resumeTimer);
+  client.resumeTimer = null;
+  clients.delete(previousId);
+  room.clients.delete(previousId);
+
+  client.ws = ws;
+  client.lastSeen = Date.now();
+  client.lastActive = Date.now();
+  clients.set(clientId, client);
+  room.clients.set(clientId, client);
+  sessions.set(client.resumeToken, clientId);
+  // Its close handler finds no client under the old id, so this doesn't leave the room
+  if (previousWs !== ws) previousWs.terminate();
+
+  const missed = msg.lastSeq !== undefined ? room.events.since(msg.lastSeq, client) : null;
+  console.log(`[Auth] ${client.userId} resumed in ${room.name}` +
+    (missed ? ` (${missed.length} missed events)` : ' (full resync)'));
+
+  sendTo(ws, {
+    type: 'auth_ok',
+    userId: client.userId,
+    userType: client.userType,
+    room: room.name,
+    resumeToken: client.resumeToken,
+    seq: room.events.seq,
+    resumed: true,
+    replayed: missed ? missed.length : null
+  });
+  if (missed) missed.forEach(event => sendTo(ws, event));
+  else sendRoomSnapshot(ws, room);
+
+  // Presence is not replayed: start again from a full list
+  client.status = 'online';
+  broadcastPresence(room, clientId);
+  sendTo(ws, { type: 'presence', users: presenceList(room) });
+  return true;
+}
 
-  const chatMsg = {
-    type: 'chat',
-    id: generateId(),
-    from: client.userId,
-    text: msg.text,
-    timestamp: Date.now()
-  };
+// What a client needs to start from scratch: state, recent chat and memory
+function sendRoomSnapshot(ws, room) {
+  sendTo(ws, {
+    type: 'state',
+    room: room.name,
+    revision: room.state.revision,
+    data: { ...room.state.data, drawings: liveDrawings(room), annotations: Array.from(room.annotations.values()) }
+  });
+  sendTo(ws, {
+    type: 'history',
+    room: room.name,
+    messages: room.chatHistory.slice(-HISTORY_ON_JOIN),
+    hasMore: room.chatHistory.length > HISTORY_ON_JOIN
+  });
+  sendTo(ws, memoryMessage(room));
+}
 
-  chatHistory.push(chatMsg);
-  if (chatHistory.length > MAX_HISTORY) chatHistory.shift();
+/**
+ * Resolve the identity a connection is bound to, according to AUTH_MODE.
+ * Signed tokens always win over self-asserted userId/userType.
+ * Throws if the credentials don't allow joining the room.
+ */
+function authenticate(msg, roomName, urlToken) {
+  const credential = msg.token || urlToken;
 
-  if (CONFIG.LOG_CHAT) await logChat(chatMsg);
+  if (looksLikeToken(credential) && CONFIG.AUTH_SECRET) {
+    const claims = verifyToken(credential, CONFIG.AUTH_SECRET);
+    if (claims.room !== '*' && claims.room !== roomName) {
+      throw new Error(`Token is not valid for room ${roomName}`);
+    }
+    const userType = claims.type === 'ai' ? 'ai' : 'human';
+    if (userType !== 'ai' && isReservedUserId(claims.sub)) {
+      throw new Error(`${claims.sub} is reserved for AI participants`);
+    }
+    return { userId: claims.sub, userType };
+  }
 
-  // Broadcast to all (including sender for confirmation)
-  broadcast(chatMsg);
+  if (typeof msg.userId !== 'string' || !msg.userId) {
+    throw new Error('userId is required');
+  }
 
-  // Check if the AI is mentioned — if so, treat as an invocation
-  if (isMentioned(msg.text)) {
-    console.log(`[Mention] ${client.userId} mentioned ${CONFIG.AI_USER_ID}`);
-    await processAIRequest(client.userId, msg.text, chatMsg.id);
+  // Neither a self-asserted name nor a shared secret proves identity — never grant AI privileges with them
+  if (CONFIG.AUTH_MODE === 'open' || (CONFIG.AUTH_MODE === 'secret' && isRoomSecret(roomName, credential))) {
+    if (msg.userType === 'ai' || isReservedUserId(msg.userId)) {
+      throw new Error('AI participants must present a signed token');
+    }
+    return { userId: msg.userId, userType: 'human' };
   }
+
+  throw new Error(credential ? 'Invalid credentials' : 'Credentials required');
 }
 
-// Invoke: Direct request to AI
-async function handleInvoke(clientId, msg) {
-  const client = clients.get(clientId);
-  if (!client) return;
+function isRoomSecret(roomName, value) {
+  const secret = CONFIG.ROOM_SECRETS.get(roomName) || CONFIG.ROOM_SECRET;
+  return Boolean(secret && value) && safeEqual(value, secret);
+}
 
-  console.log(`[Invoke] ${client.userId}: ${msg.command}`);
-  await processAIRequest(client.userId, msg.command, msg.id);
+function isReservedUserId(userId) {
+  return findPersona(personas, userId) !== null;
 }
 
-/**
- * Process an AI request by sending it to OpenClaw Gateway's
- * chat completions endpoint with recent conversation context.
- */
-async function processAIRequest(fromUser, text, replyToId) {
-  // Broadcast typing indicator
-  broadcast({
-    type: 'typing',
-    userId: CONFIG.AI_USER_ID,
-    timestamp: Date.now()
-  });
+// HTTP endpoints that expose room data need a token (or room secret) unless AUTH_MODE is open.
+// roomName '*' means the request spans all rooms, so only an all-rooms token will do.
+function authorizeHttp(req, url, roomName) {
+  if (CONFIG.AUTH_MODE === 'open') return true;
 
-  try {
-    // Build context from recent chat history
-    const contextMessages = buildContext(text, fromUser);
-    const response = await callOpenClaw(contextMessages);
+  const credential = httpCredential(req, url);
+  if (!credential) return false;
 
-    const responseMsg = {
-      type: 'ai_response',
-      id: generateId(),
-      from: CONFIG.AI_USER_ID,
-      text: response,
-      inReplyTo: replyToId || null,
-      timestamp: Date.now()
-    };
+  if (looksLikeToken(credential) && CONFIG.AUTH_SECRET) {
+    try {
+      const claims = verifyToken(credential, CONFIG.AUTH_SECRET);
+      return claims.room === '*' || claims.room === roomName;
+    } catch {
+      return false;
+    }
+  }
 
-    chatHistory.push(responseMsg);
-    if (chatHistory.length > MAX_HISTORY) chatHistory.shift();
+  return CONFIG.AUTH_MODE === 'secret' && roomName !== '*' && isRoomSecret(roomName, credential);
+}
 
-    broadcast(responseMsg);
+function httpCredential(req, url) {
+  const header = req.headers['authorization'] || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+}
 
-    if (CONFIG.LOG_CHAT) await logChat(responseMsg);
-  } catch (err) {
-    console.error('[AI Error]', err);
-    broadcast({
-      type: 'error',
-      text: `Failed to get AI response: ${err.message}`,
-      timestamp: Date.now()
-    });
+// Who an (authorized) HTTP request acts for: the token's user, or else ?user=
+function httpUserId(req, url, fallback = 'import') {
+  const credential = httpCredential(req, url);
+  if (credential && looksLikeToken(credential) && CONFIG.AUTH_SECRET) {
+    try {
+      return verifyToken(credential, CONFIG.AUTH_SECRET).sub;
+    } catch {
+      // Not a token of ours; authorizeHttp has already decided
+    }
   }
+  return url.searchParams.get('user') || fallback;
 }
 
-/**
- * Build OpenAI-compatible messages array from recent chat history.
- */
-function buildContext(currentText, fromUser) {
+// Remove a client from its room and let the remaining members know
+function leaveRoom(clientId, client) {
+  clearTimeout(client.resumeTimer);
+  clearTimeout(client.moveTimer);
+  client.replays.forEach(replay => replay.stop());
+  if (client.resumeToken) sessions.delete(client.resumeToken);
+  clients.delete(clientId);
+  client.room.clients.delete(clientId);
+  client.room.lastUsed = Date.now();
+  const stillHere = Array.from(client.room.clients.values()).some(c => c.userId === client.userId);
+  if (!stillHere) forgetUser(client.room.near, client.userId);
+  broadcastPresence(client.room);
+}
+
+// Chat: Human-to-human message, or a reply in a message's thread (inReplyTo)
+async function handleChat(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  await postChat(client, msg);
+}
+
+// Attachment: share an uploaded file (see POST /attachments) as a chat
+// message carrying its metadata, with the caption as its text
+async function handleAttachment(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  await client.room.ready;
+  const attachment = await client.room.store.readAttachmentMeta(msg.attachmentId);
+  if (!attachment || attachment.thumbnailOf) {
+    sendError(client.ws, 'not_found', `Attachment not found: ${msg.attachmentId}`, msg);
+    return;
+  }
+  await postChat(client, { ...msg, text: msg.text || '' }, { attachment });
+}
+
+/**
+ * Post `msg` to the room's chat as `client`: log and broadcast it, then act
+ * on any memory command and mentions in its text. `fields` are added to the
+ * chat message (an attachment).
+ */
+async function postChat(client, msg, fields = {}) {
+  const { room } = client;
+  let parent = null;
+  if (msg.inReplyTo) {
+    parent = await findMessage(room, msg.inReplyTo);
+    if (!parent) {
+      sendError(client.ws, 'not_found', `Message not found: ${msg.inReplyTo}`, msg);
+      return;
+    }
+  }
+
+  const chatMsg = {
+    type: 'chat',
+    id: generateId(),
+    from: client.userId,
+    text: msg.text,
+    ...fields,
+    ...(parent && { inReplyTo: parent.id, threadId: threadOf(parent) }),
+    timestamp: Date.now()
+  };
+
+  addToHistory(room, chatMsg);
+
+  if (CONFIG.LOG_CHAT) await logChat(room, chatMsg);
+
+  // Broadcast to the room (including sender for confirmation)
+  broadcast(room, chatMsg);
+  summarizeIfDue(room);
+
+  // "remember: ..." / "forget: ..." pin and unpin facts for the AI
+  const command = parseMemoryCommand(msg.text);
+  if (command) handleMemoryCommand(client, command, msg);
+
+  // Every persona mentioned is invoked, within the sender's AI request allowance
+  if (mentionedPersonas(personas, msg.text).length && !allowAIRequest(client, msg)) return;
+  await routeMentions(room, client.userId, client.userType, msg.text, chatMsg.id, { threadId: chatMsg.threadId });
+}
+
+// Chat edit / delete: only by the author (see chat-messages.js). A deleted
+// message stays as a tombstone, so its thread still hangs together.
+async function handleChatEdit(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  await changeMessage(client, msg, (current) => {
+    checkAuthor(current, client.userId);
+    return editMessage(current, msg.text);
+  }, { type: 'chat_edit' });
+}
+
+async function handleChatDelete(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  await changeMessage(client, msg, (current) => {
+    checkAuthor(current, client.userId);
+    return deleteMessage(current);
+  }, { type: 'chat_delete' });
+}
+
+// Reaction: add or remove the client's emoji on any chat message or AI reply
+async function handleReaction(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const action = msg.action || 'add';
+  await changeMessage(client, msg, (current) => setReaction(current, msg.emoji, client.userId, action === 'add'), {
+    type: 'reaction',
+    emoji: msg.emoji,
+    userId: client.userId,
+    action
+  });
+}
+
+/**
+ * Apply `change` to message `msg.messageId` (recent or logged), save the new
+ * version and broadcast `event` with it. Changes to a room's messages are
+ * made one at a time, so two reactions at once don't lose each other.
+ */
+async function changeMessage(client, msg, change, event) {
+  const { room } = client;
+  const run = room.messageChanges.then(async () => {
+    const current = await findMessage(room, msg.messageId);
+    if (!current) return null;
+    const message = change(current);
+    if (message !== current) await saveMessage(room, message);
+    return { message, changed: message !== current };
+  });
+  room.messageChanges = run.catch(() => {});
+
+  let result;
+  try {
+    result = await run;
+  } catch (err) {
+    sendError(client.ws, err.code || 'internal_error', err.message, msg);
+    return;
+  }
+  if (!result) {
+    sendError(client.ws, 'not_found', `Message not found: ${msg.messageId}`, msg);
+    return;
+  }
+
+  const { message, changed } = result;
+  const reply = { ...event, messageId: message.id, message, requestId: requestIdOf(msg), timestamp: Date.now() };
+  // Nothing changed (e.g. the same reaction twice): only the sender hears back
+  if (changed) broadcast(room, reply);
+  else sendTo(client.ws, reply);
+}
+
+// Thread request: a page of a message's thread (the message itself included), oldest first
+async function handleThreadRequest(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const before = readCursor(client, msg);
+  if (before === undefined) return;
+
+  const page = await client.room.store.readThread({
+    threadId: msg.threadId,
+    before,
+    limit: clampHistoryLimit(msg.limit)
+  });
+
+  sendTo(client.ws, {
+    type: 'thread_page',
+    room: client.room.name,
+    threadId: msg.threadId,
+    before,
+    requestId: requestIdOf(msg),
+    ...page
+  });
+}
+
+function handleMemoryCommand(client, { action, text }, msg) {
+  const { room } = client;
+  try {
+    if (action === 'pin') {
+      if (!room.memory.pin(text, client.userId)) return;
+      console.log(`[Memory] ${client.userId} pinned a fact in ${room.name}`);
+    } else {
+      const removed = room.memory.unpin(text);
+      if (removed.length === 0) {
+        sendError(client.ws, 'not_found', `No pinned fact matches "${text}"`, msg);
+        return;
+      }
+      console.log(`[Memory] ${client.userId} unpinned ${removed.length} fact(s) in ${room.name}`);
+    }
+  } catch (err) {
+    sendError(client.ws, err.code || 'internal_error', err.message, msg);
+    return;
+  }
+  broadcast(room, memoryMessage(room));
+}
+
+function memoryMessage(room) {
+  return { type: 'memory', room: room.name, ...room.memory.snapshot() };
+}
+
+/**
+ * Fold messages that have scrolled out of the AI's recent context into the
+ * room's rolling summary, once SUMMARY_BATCH of them have built up.
+ * Runs in the background; a failure just means trying again next time.
+ */
+function summarizeIfDue(room) {
+  if (CONFIG.SUMMARY_BATCH <= 0 || room.memory.summarizing) return;
+  const pending = room.memory.pending(room.chatHistory, CONFIG.CONTEXT_MESSAGES);
+  if (pending.length < CONFIG.SUMMARY_BATCH) return;
+
+  const persona = findPersona(personas, CONFIG.SUMMARY_PERSONA) || personas[0];
+  const summarizer = { ...persona, sessionUser: `${persona.sessionUser}-summary` };
+  const complete = async (messages) => (await callGateway(summarizer, messages, { signal: new AbortController().signal })).content;
+
+  room.memory.summarize(pending, complete, CONFIG.SUMMARY_MAX_WORDS)
+    .then(updated => {
+      if (!updated) return;
+      console.log(`[Memory] Summarised ${pending.length} messages in ${room.name}`);
+      broadcast(room, memoryMessage(room));
+    })
+    .catch(err => console.error(`[Memory] Summary failed in ${room.name}:`, err.message));
+}
+
+// Invoke: Direct request to an AI persona (the first configured one by default).
+// A private invoke is a DM to the persona, answered to the requester only.
+async function handleInvoke(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const persona = msg.persona ? findPersona(personas, msg.persona) : personas[0];
+  if (!persona) {
+    sendError(client.ws, 'unknown_persona', `Unknown persona: ${msg.persona}`, msg);
+    return;
+  }
+  if (!allowAIRequest(client, msg) || !allowAITurn(client.room, client.userType)) return;
+
+  const { room } = client;
+  const requestId = msg.id || generateId();
+  if (!msg.private) {
+    console.log(`[Invoke] ${client.userId} → ${persona.id} in ${room.name}: ${msg.command}`);
+    await requestAI(room, persona, client.userId, msg.command, requestId);
+    return;
+  }
+
+  console.log(`[Invoke] ${client.userId} → ${persona.id} in ${room.name} (private)`);
+  const dm = directMessage(client.userId, [persona.id], msg.command);
+  if (CONFIG.LOG_CHAT) await logDirectMessage(room, dm);
+  broadcastTo(room, [client.userId], { ...dm, requestId });
+  await requestAI(room, persona, client.userId, msg.command, requestId, { privateTo: participantsOf(dm) });
+}
+
+// Invoke cancel: drop a queued AI request or abort a running one. Clients may
+// cancel their own requests, and any request an AI started (AI-to-AI chains).
+function handleInvokeCancel(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const persona = msg.persona ? findPersona(personas, msg.persona) : null;
+  if (msg.persona && !persona) {
+    sendError(client.ws, 'unknown_persona', `Unknown persona: ${msg.persona}`, msg);
+    return;
+  }
+
+  const cancel = { id: msg.id, persona: persona && persona.id, userId: client.userId };
+  if (cancelAIRequests(client.room.name, cancel)) return;
+
+  // The request may be running on another instance, which can't answer here
+  if (bus.distributed) {
+    bus.signal(client.room.name, { type: 'invoke_cancel', ...cancel });
+    return;
+  }
+  sendError(client.ws, 'not_found', `No queued or running request ${msg.id}`, msg);
+}
+
+// Cancel this instance's matching requests; returns whether there were any
+function cancelAIRequests(roomName, { id, persona, userId }) {
+  const cancelled = (persona ? [findPersona(personas, persona)] : personas).flatMap(p => queueFor(p).cancel(job =>
+    job.id === id &&
+    job.room === roomName &&
+    (job.fromUser === userId || findPersona(personas, job.fromUser) !== null)
+  ));
+  if (cancelled.length === 0) return false;
+  console.log(`[Invoke] ${userId} cancelled ${id} (${cancelled.map(j => j.persona).join(', ')}) in ${roomName}`);
+  return true;
+}
+
+// Spend one of the user's AI requests for this minute (RATE_AI_REQUESTS)
+function allowAIRequest(client, msg) {
+  const retryAfter = aiLimiter.take(client.userId);
+  if (retryAfter) {
+    sendError(client.ws, 'rate_limited', `Too many AI requests; try again in ${Math.ceil(retryAfter / 1000)}s`, msg, { retryAfter });
+    return false;
+  }
+  return true;
+}
+
+function queueFor(persona) {
+  let queue = aiQueues.get(persona.id);
+  if (!queue) {
+    queue = createRequestQueue({ concurrency: persona.concurrency });
+    aiQueues.set(persona.id, queue);
+  }
+  return queue;
+}
+
+/**
+ * Queue a request on the persona's queue and report its progress to the room
+ * as ai_status events (queued → running → done | failed | cancelled, with
+ * retrying in between), all tied to the originating message id.
+ * Mentions in the reply are routed once the request has left the queue, so
+ * AI-to-AI chains never wait on a queue slot they hold themselves.
+ * With `annotationId` the question came from that annotation's thread, and is
+ * answered there instead of in the chat; with `threadId` it came from a reply
+ * thread, and is answered in the thread. With `privateTo` (the userIds of a
+ * private thread, the persona's included) it is private: the statuses and
+ * the reply go only to them (see processAIRequest).
+ */
+async function requestAI(room, persona, fromUser, text, requestId, { annotationId = null, threadId = null, privateTo = null } = {}) {
+  // A request is handled where it arrives, but a client may resend an invoke
+  // after reconnecting (possibly to another instance); only the first is answered
+  if (!(await bus.claim(`ai:${room.name}:${persona.id}:${fromUser}:${requestId}`, AI_CLAIM_TTL_MS))) return;
+
+  const status = (value, extra = {}) => tell(room, {
+    type: 'ai_status',
+    id: requestId,
+    persona: persona.id,
+    status: value,
+    ...(annotationId && { annotationId }),
+    ...(privateTo && { private: true }),
+    ...extra,
+    timestamp: Date.now()
+  }, privateTo);
+
+  const { position, done } = queueFor(persona).push({
+    id: requestId,
+    room: room.name,
+    fromUser,
+    persona: persona.id,
+    onStart: () => status('running'),
+    run: (signal) => processAIRequest(room, persona, fromUser, text, requestId, {
+      signal,
+      annotationId,
+      threadId,
+      privateTo,
+      onRetry: (err, attempt, delay) => status('retrying', { attempt, retryIn: Math.round(delay), error: err.message })
+    })
+  });
+  status('queued', { position });
+
+  let responseMsg;
+  try {
+    responseMsg = await done;
+  } catch (err) {
+    if (err.code === 'cancelled') {
+      status('cancelled');
+      return;
+    }
+    console.error(`[AI Error] ${persona.id} in ${room.name}:`, err.message);
+    status('failed', { error: err.message });
+    tell(room, {
+      type: 'error',
+      code: 'ai_failed',
+      error: `Failed to get AI response from ${persona.id}: ${err.message}`,
+      requestId,
+      timestamp: Date.now()
+    }, privateTo);
+    return;
+  }
+  status('done', { responseId: responseMsg.id });
+
+  // The reply may in turn address other personas (in public)
+  if (privateTo) return;
+  await routeMentions(room, persona.id, 'ai', responseMsg.text, responseMsg.id, { annotationId, threadId });
+}
+
+/**
+ * One gateway call with the per-call timeout (AI_TIMEOUT_MS) and retries for
+ * transient errors. `canRetry()` is asked before each retry.
+ */
+function callGateway(persona, messages, { onDelta = null, tools = null, signal, canRetry, onRetry } = {}) {
+  return withRetry(async () => {
+    const timeout = withTimeout(signal, CONFIG.AI_TIMEOUT_MS);
+    try {
+      return await callOpenClaw(persona, messages, onDelta, tools, timeout.signal);
+    } catch (err) {
+      // Report why the call was aborted (timeout or cancel), not the fetch AbortError
+      throw timeout.signal.aborted ? timeout.signal.reason : err;
+    } finally {
+      timeout.clear();
+    }
+  }, { retries: CONFIG.AI_RETRIES, baseDelay: CONFIG.AI_RETRY_DELAY_MS, signal, canRetry, onRetry });
+}
+
+/**
+ * Invoke every persona addressed in a message (other than its sender).
+ * Replies run concurrently, each streamed under its own message id, in the
+ * chat, in a reply thread (`threadId`) or (with `annotationId`) in that
+ * annotation's thread.
+ */
+async function routeMentions(room, fromUser, fromType, text, messageId, { annotationId = null, threadId = null } = {}) {
+  const addressed = mentionedPersonas(personas, text)
+    .filter(p => p.id.toLowerCase() !== String(fromUser).toLowerCase());
+
+  if (fromType !== 'ai') room.aiChain = 0;
+  if (addressed.length === 0 || !allowAITurn(room, fromType)) return;
+
+  console.log(`[Mention] ${fromUser} mentioned ${addressed.map(p => p.id).join(', ')} in ${room.name}`);
+  await Promise.all(addressed.map(p => requestAI(room, p, fromUser, text, messageId, { annotationId, threadId })));
+}
+
+/**
+ * Loop guard for AI-to-AI conversation: AIs (personas or connected AI clients)
+ * may address each other, but only AI_MAX_CHAIN times before a human speaks again.
+ */
+function allowAITurn(room, fromType) {
+  if (fromType !== 'ai') {
+    room.aiChain = 0;
+    return true;
+  }
+  if (room.aiChain >= CONFIG.AI_MAX_CHAIN) {
+    console.log(`[Mention] AI-to-AI chain limit (${CONFIG.AI_MAX_CHAIN}) reached in ${room.name}; waiting for a human`);
+    return false;
+  }
+  room.aiChain += 1;
+  return true;
+}
+
+/**
+ * Process an AI request by sending it to the persona's OpenClaw Gateway
+ * chat completions endpoint with recent conversation context.
+ *
+ * With AI_STREAM enabled the reply is streamed into the room as
+ * ai_response_start → ai_response_delta* → ai_response_end, all sharing
+ * one message id. Only the final text is stored in history and the chat log.
+ *
+ * If the persona has tools enabled, the model may call room tools (see
+ * room-tools.js); their results are fed back and the model is called again,
+ * up to AI_MAX_TOOL_ROUNDS times, until it answers without tool calls.
+ *
+ * Asked in an annotation thread (`annotationId`), the streamed events carry
+ * the annotationId and the final text becomes a reply in the thread
+ * (annotation_reply) rather than a chat message. Asked in a reply thread
+ * (`threadId`), the AI sees that thread in place of the recent chat, and its
+ * reply joins the thread.
+ *
+ * A private request (`privateTo`) is answered only to the userIds of its
+ * thread: typing, the streamed events and the reply (marked `private`, with
+ * `to`) go to them alone, the AI sees that thread in place of the room's
+ * chat, and the reply is logged with the direct messages.
+ *
+ * Runs as a job on the persona's queue: `signal` aborts it when cancelled.
+ * Resolves with the stored ai_response, or rejects.
+ */
+async function processAIRequest(room, persona, fromUser, text, replyToId, { signal, onRetry, annotationId = null, threadId = null, privateTo = null } = {}) {
+  const responseId = generateId();
+  let started = false;
+
+  // Broadcast typing indicator
+  tell(room, {
+    type: 'typing',
+    userId: persona.id,
+    timestamp: Date.now()
+  }, privateTo);
+
+  try {
+    // Build context from recent chat history (or the private thread)
+    const privateThread = privateTo && {
+      participants: privateTo,
+      messages: (await room.store.readDirectMessages({ participants: privateTo, limit: CONFIG.CONTEXT_MESSAGES })).messages
+    };
+    const thread = threadId && { messages: await readThread(room, threadId, CONFIG.CONTEXT_MESSAGES) };
+    const contextMessages = buildContext(room, persona, text, fromUser, {
+      annotation: annotationId && room.annotations.get(annotationId),
+      thread,
+      privateThread
+    });
+
+    let replyText = '';
+    let roundText = '';
+    let onDelta = null;
+    if (CONFIG.AI_STREAM) {
+      onDelta = (delta) => {
+        // Text from a later round starts a new paragraph
+        if (!roundText && replyText) delta = `\n\n${delta}`;
+        roundText += delta;
+        if (!started) {
+          started = true;
+          tell(room, {
+            type: 'ai_response_start',
+            id: responseId,
+            from: persona.id,
+            inReplyTo: replyToId || null,
+            ...(annotationId && { annotationId }),
+            ...(threadId && { threadId }),
+            ...(privateTo && { private: true }),
+            timestamp: Date.now()
+          }, privateTo);
+        }
+        tell(room, { type: 'ai_response_delta', id: responseId, delta }, privateTo);
+      };
+    }
+
+    const actions = [];
+    for (let round = 0; ; round++) {
+      const tools = persona.tools && round < CONFIG.AI_MAX_TOOL_ROUNDS ? ROOM_TOOLS : null;
+      roundText = '';
+      const reply = await callGateway(persona, contextMessages, {
+        onDelta,
+        tools,
+        signal,
+        // Text already streamed to the room can't be taken back
+        canRetry: () => roundText === '',
+        onRetry
+      });
+      if (reply.content) replyText += replyText ? `\n\n${reply.content}` : reply.content;
+      if (!tools || reply.toolCalls.length === 0) break;
+
+      contextMessages.push({ role: 'assistant', content: reply.content || null, tool_calls: reply.toolCalls });
+      for (const call of reply.toolCalls) {
+        if (signal.aborted) throw signal.reason;
+        const result = await runTool(call, {
+          room,
+          members: () => presenceList(room),
+          actor: persona.id,
+          dispatch: (msg) => actAs(room, persona, msg),
+          newId: generateId
+        });
+        console.log(`[Tool] ${persona.id} in ${room.name}: ${call.function.name} → ${result.ok ? 'ok' : result.error}`);
+        actions.push({ tool: call.function.name, ok: result.ok });
+        contextMessages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+      }
+    }
+
+    const responseMsg = {
+      type: 'ai_response',
+      id: responseId,
+      from: persona.id,
+      text: replyText || (actions.length ? `Done: ${actions.map(a => a.tool).join(', ')}` : 'No response'),
+      inReplyTo: replyToId || null,
+      ...(actions.length && { actions }),
+      ...(annotationId && { annotationId }),
+      ...(threadId && { threadId }),
+      ...(privateTo && { to: privateTo.filter(id => id !== persona.id), private: true }),
+      timestamp: Date.now()
+    };
+
+    if (privateTo) {
+      tell(room, CONFIG.AI_STREAM ? { ...responseMsg, type: 'ai_response_end' } : responseMsg, privateTo);
+      if (CONFIG.LOG_CHAT) await logDirectMessage(room, responseMsg);
+      return responseMsg;
+    }
+
+    if (annotationId) {
+      if (CONFIG.AI_STREAM) broadcast(room, { ...responseMsg, type: 'ai_response_end' });
+      await addAnnotationReply(room, annotationId, { id: responseId, text: responseMsg.text, by: persona.id });
+      return responseMsg;
+    }
+
+    addToHistory(room, responseMsg);
+    summarizeIfDue(room);
+
+    if (CONFIG.AI_STREAM) {
+      broadcast(room, { ...responseMsg, type: 'ai_response_end' });
+    } else {
+      broadcast(room, responseMsg);
+    }
+
+    if (CONFIG.LOG_CHAT) await logChat(room, responseMsg);
+    return responseMsg;
+  } catch (err) {
+    // Let clients discard a partially streamed reply
+    if (started) {
+      tell(room, {
+        type: 'ai_response_end',
+        id: responseId,
+        from: persona.id,
+        error: err.message,
+        ...(annotationId && { annotationId }),
+        ...(privateTo && { private: true }),
+        timestamp: Date.now()
+      }, privateTo);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Run a protocol message through the normal handlers on behalf of an AI
+ * persona, so AI actions are validated, persisted and broadcast like a
+ * human's. The persona gets a connection-less client entry for the duration;
+ * resolves with whatever the handlers sent back to it (errors, search results).
+ */
+async function actAs(room, persona, msg) {
+  const replies = [];
+  const clientId = `ai-${persona.id}-${generateId()}`;
+  const ws = { readyState: WebSocket.OPEN, send: (payload) => replies.push(JSON.parse(payload)) };
+  const now = Date.now();
+  clients.set(clientId, {
+    ws,
+    room,
+    userId: persona.id,
+    userType: 'ai',
+    metadata: {},
+    location: null,
+    locationUpdatedAt: null,
+    status: 'online',
+    statusText: null,
+    dnd: false,
+    joinedAt: now,
+    lastSeen: now,
+    lastActive: now
+  });
+
+  try {
+    await handleMessage(clientId, ws, msg, {});
+  } catch (err) {
+    sendError(ws, 'internal_error', err.message, msg);
+  } finally {
+    clients.delete(clientId);
+  }
+  return replies;
+}
+
+/**
+ * Build OpenAI-compatible messages array from recent chat history, plus the
+ * annotation thread the AI was asked in, if any. A reply thread ({ messages })
+ * or a private request's thread ({ participants, messages }) takes the place
+ * of the room's chat.
+ */
+function buildContext(room, persona, currentText, fromUser, { annotation = null, thread = null, privateThread = null } = {}) {
   const messages = [];
+  const otherAIs = personas.filter(p => p !== persona).map(p => p.id);
+
+  // System message: set the AI's identity and context
+  const identity = persona.systemPrompt ||
+    `You are ${persona.id}, an AI participant in a collaborative Field Room. ` +
+    `Multiple humans and AIs share this space in real-time. ` +
+    `You can see recent conversation context. Respond naturally as a helpful, knowledgeable participant. ` +
+    `Keep responses concise unless detail is needed. ` +
+    `You have access to tools and workspace files — use them when helpful. ` +
+    `You share a workspace with your main session, so memory files and project files are available.`;
+  messages.push({
+    role: 'system',
+    content: identity +
+      (otherAIs.length ? ` Other AI participants: ${otherAIs.join(', ')} (mention one by name to ask them).` : '') +
+      ` The person addressing you is "${fromUser}".` +
+      (privateThread
+        ? ` This is a private conversation between ${privateThread.participants.join(', ')}; nobody else in the room sees it.`
+        : '')
+  });
+
+  // Where everyone is, what's drawn nearby and key shared state
+  const summary = buildRoomSummary(room, fromUser);
+  if (summary) {
+    messages.push({ role: 'system', content: `Current room context:\n${summary}` });
+  }
+
+  // Long-term memory: pinned facts and the summary of what came before the
+  // recent messages (the public ones, so not for a private thread)
+  const memory = memoryContext(room, { withSummary: !privateThread });
+  if (memory) {
+    messages.push({ role: 'system', content: memory });
+  }
+
+  // Add recent chat as context; other AIs' messages appear as named participants
+  const conversation = privateThread || thread;
+  const recent = conversation ? conversation.messages : room.chatHistory.slice(-CONFIG.CONTEXT_MESSAGES);
+  if (thread) {
+    messages.push({ role: 'system', content: 'You are being asked in a reply thread; these are its messages, and your reply is posted in it.' });
+  }
+  // The last of them, as it would be written for the current message
+  let lastSaid = null;
+  for (const msg of recent) {
+    // Deleted messages stay in the log as empty tombstones
+    if (!msg.text && !msg.attachment) continue;
+    if (msg.from === persona.id) {
+      messages.push({ role: 'assistant', content: msg.text });
+      lastSaid = null;
+    } else {
+      lastSaid = `${msg.from}: ${msg.text}`;
+      // Shared files come with what is known about them
+      const content = msg.attachment
+        ? `${msg.from}: ${[msg.text, describeAttachment(msg.attachment)].filter(Boolean).join('\n')}`
+        : lastSaid;
+      messages.push({ role: 'user', content });
+    }
+  }
+
+  // Asked in an annotation thread: the thread is the conversation that matters
+  if (annotation) {
+    const drawing = annotation.drawingId && room.drawings.get(annotation.drawingId);
+    messages.push({
+      role: 'system',
+      content: `You are being asked in a comment thread pinned to the map; your reply is posted in the thread.\n` +
+        describeThread(annotation, drawing)
+    });
+    lastSaid = null;
+  }
+
+  // Add the current message (may already be in history, but ensure it's last)
+  const currentContent = `${fromUser}: ${currentText}`;
+  if (lastSaid !== currentContent) {
+    messages.push({ role: 'user', content: currentContent });
+  }
+
+  return messages;
+}
+
+function memoryContext(room, { withSummary = true } = {}) {
+  const { pinned, summary } = room.memory;
+  const parts = [];
+  if (pinned.length) {
+    parts.push(`Pinned facts for this room (always keep these in mind):\n${pinned.map(p => `- ${p.text}`).join('\n')}`);
+  }
+  if (summary && withSummary) {
+    parts.push(`Summary of the earlier conversation:\n${summary}`);
+  }
+  return parts.join('\n\n');
+}
+
+function buildRoomSummary(room, speaker) {
+  if (CONFIG.CONTEXT_SECTIONS.length === 0) return '';
+  return summarizeRoom({
+    name: room.name,
+    members: presenceList(room),
+    drawings: liveDrawings(room),
+    state: room.state.data
+  }, speaker, {
+    sections: CONFIG.CONTEXT_SECTIONS,
+    budget: CONFIG.CONTEXT_BUDGET,
+    nearbyMeters: CONFIG.CONTEXT_NEARBY_METERS,
+    maxDrawings: CONFIG.CONTEXT_MAX_DRAWINGS,
+    stateKeys: CONFIG.CONTEXT_STATE_KEYS
+  });
+}
+
+/**
+ * Call a persona's OpenClaw Gateway chat completions API.
+ * If `onDelta` is given the request is streamed (SSE) and `onDelta` is called
+ * with each content fragment as it arrives. `tools` (OpenAI function tools)
+ * are offered to the model when given; `signal` aborts the request.
+ * Resolves with `{ content, toolCalls }` either way.
+ */
+async function callOpenClaw(persona, messages, onDelta = null, tools = null, signal = null) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (persona.token) {
+    headers['Authorization'] = `Bearer ${persona.token}`;
+  }
+
+  const response = await fetch(`${persona.api}/v1/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: persona.model,
+      user: persona.sessionUser,
+      messages,
+      ...(tools && { tools }),
+      stream: Boolean(onDelta)
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    const err = new Error(`OpenClaw API error ${response.status}: ${body}`);
+    err.status = response.status;
+    err.retryAfter = parseInt(response.headers.get('retry-after'), 10) || null;
+    throw err;
+  }
+
+  // Gateways that ignore `stream` answer with plain JSON — deliver it as a single delta
+  const isStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+  if (onDelta && isStream) {
+    return readCompletionStream(response.body, onDelta);
+  }
+
+  const result = await response.json();
+  const message = result.choices?.[0]?.message || {};
+  const content = message.content || '';
+  if (onDelta && content) onDelta(content);
+  return { content, toolCalls: message.tool_calls || [] };
+}
+
+/**
+ * Read an OpenAI-style SSE stream ("data: {...}" lines, terminated by
+ * "data: [DONE]"), passing each content delta to `onDelta`. Tool call
+ * fragments are reassembled by index. Resolves with `{ content, toolCalls }`.
+ */
+async function readCompletionStream(body, onDelta) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  const toolCalls = [];
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return false;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return true;
+    try {
+      const delta = JSON.parse(data).choices?.[0]?.delta || {};
+      if (delta.content) {
+        text += delta.content;
+        onDelta(delta.content);
+      }
+      for (const part of delta.tool_calls || []) {
+        const call = toolCalls[part.index ?? 0] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+        if (part.id) call.id = part.id;
+        if (part.function?.name) call.function.name += part.function.name;
+        if (part.function?.arguments) call.function.arguments += part.function.arguments;
+      }
+    } catch {
+      console.warn('[AI Stream] Ignoring malformed chunk:', data.slice(0, 100));
+    }
+    return false;
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (handleLine(line.trim())) return { content: text, toolCalls: toolCalls.filter(Boolean) };
+    }
+  }
+  handleLine(buffer.trim());
+  return { content: text, toolCalls: toolCalls.filter(Boolean) };
+}
+
+// Move: Update user location. The location is current at once (presence,
+// AI context), but the room hears at most one move per user per
+// MOVE_THROTTLE_MS: moves inside the window are coalesced into one, sent when
+// it ends, with the latest location.
+async function handleMove(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  client.location = msg.location;
+  client.locationUpdatedAt = Date.now();
+  // Crossings are checked on every move, throttled or not
+  checkClientFences(client);
+  checkClientProximity(client);
+  if (client.recording) await recordTrackPoint(client);
+
+  if (client.moveTimer) return;
+  const wait = client.moveSentAt + CONFIG.MOVE_THROTTLE_MS - Date.now();
+  if (wait > 0) client.moveTimer = setTimeout(() => sendMove(client), wait);
+  else sendMove(client);
+}
+
+function sendMove(client) {
+  client.moveTimer = null;
+  client.moveSentAt = Date.now();
+  const { room } = client;
+  // The client's id changes when it resumes, so look it up now
+  const clientId = Array.from(room.clients.keys()).find(id => room.clients.get(id) === client);
+  if (!clientId) return;
+
+  broadcast(room, {
+    type: 'move',
+    userId: client.userId,
+    presenceId: client.presenceId,
+    location: client.location,
+    timestamp: client.locationUpdatedAt
+  }, clientId);
+
+  // Other instances keep our members' locations for their snapshots (deltas
+  // leave locations to the move, so this only sends anything without them)
+  broadcastPresence(room);
+}
+
+// Geofences: tell the room when this connection enters or leaves one (see geofence.js)
+function checkClientFences(client) {
+  if (CONFIG.GEOFENCE_TYPES.length === 0 || !client.location) return;
+  const { room } = client;
+  const fences = liveDrawings(room).filter(d => isFence(d, CONFIG.GEOFENCE_TYPES));
+  let crossings;
+  try {
+    crossings = checkFences(client.fences, client.location, fences, { margin: CONFIG.GEOFENCE_MARGIN_METERS });
+  } catch (err) {
+    // A broken fence must not stop the move itself from going out
+    console.error(`[Geofence] Check failed for ${client.userId} in ${room.name}:`, err.message);
+    return;
+  }
+  const { entered, exited } = crossings;
+
+  // A deleted fence is still in room.drawings, as a tombstone
+  exited.forEach(id => broadcast(room, geofenceEvent('geofence_exit', client, room.drawings.get(id) || { id })));
+  entered.forEach(fence => {
+    broadcast(room, geofenceEvent('geofence_enter', client, fence));
+    announceFence(client, fence);
+  });
+}
+
+function geofenceEvent(type, client, fence) {
+  return {
+    type,
+    userId: client.userId,
+    presenceId: client.presenceId,
+    drawingId: fence.id,
+    name: fence.name || null,
+    drawingType: fence.type || null,
+    location: client.location,
+    timestamp: Date.now()
+  };
+}
+
+// Fences were drawn, moved or deleted: recheck everyone here
+function refreshFences(room) {
+  room.clients.forEach(checkClientFences);
+}
+
+// GEOFENCE_AI: the persona reads out a fence's description to whoever entered
+// it (not to AI clients, nor anyone on do not disturb)
+function announceFence(client, fence) {
+  const { room } = client;
+  if (!fencePersona || !fence.description || client.userType !== 'human' || client.dnd) return;
+
+  const key = `${client.userId}:${fence.id}`;
+  const now = Date.now();
+  if (now - (room.fenceNotices.get(key) || 0) < CONFIG.GEOFENCE_AI_COOLDOWN_MS) return;
+  room.fenceNotices.set(key, now);
+
+  const label = fence.name ? `"${fence.name}"` : `a ${fence.type}`;
+  const text = `[${client.userId} has just entered ${label}. Notes for it: ${fence.description}]\n` +
+    `Tell ${client.userId} briefly what they should know from these notes.`;
+  console.log(`[Geofence] ${fencePersona.id} → ${client.userId} entering ${fence.id} in ${room.name}`);
+  requestAI(room, fencePersona, client.userId, text, generateId())
+    .catch(err => console.error(`[Geofence] Notice failed in ${room.name}:`, err.message));
+}
+
+// Proximity: tell the room when this user comes within PROXIMITY_METERS of
+// someone, or moves apart again. Other instances hear the events and keep
+// their copy of the room's near pairs in step (see mirrorEvent).
+function checkClientProximity(client) {
+  if (!(CONFIG.PROXIMITY_METERS > 0) || !client.location) return;
+  const { room } = client;
+
+  // Each user's latest location, from any of their connections
+  const latest = new Map();
+  for (const p of presenceList(room)) {
+    if (!p.location || p.userType === 'ai') continue;
+    const seen = latest.get(p.userId);
+    if (!seen || p.locationUpdatedAt > seen.locationUpdatedAt) latest.set(p.userId, p);
+  }
+
+  const { entered, exited } = checkProximity(room.near, client.userId, client.location, Array.from(latest.values()), {
+    meters: CONFIG.PROXIMITY_METERS,
+    margin: CONFIG.GEOFENCE_MARGIN_METERS
+  });
+  const event = (type, { userId, distance }) => broadcast(room, {
+    type,
+    userIds: [client.userId, userId],
+    distance: Math.round(distance),
+    within: CONFIG.PROXIMITY_METERS,
+    timestamp: Date.now()
+  });
+  entered.forEach(other => event('proximity_enter', other));
+  exited.forEach(other => event('proximity_exit', other));
+}
+
+// Status: user-set availability ("on site", do not disturb), shown next to the
+// automatic online/idle/away. Applies to all of the user's connections in the room.
+function handleStatus(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  for (const c of client.room.clients.values()) {
+    if (c.userId !== client.userId) continue;
+    if (msg.text !== undefined) c.statusText = msg.text ? msg.text.trim() : null;
+    if (msg.dnd !== undefined) c.dnd = msg.dnd;
+  }
+  broadcastPresence(client.room);
+}
+
+// Track recording: turn recording of the user's moves on or off, on all of
+// their connections in the room. Others see it in presence.
+function handleTrackRecording(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  if (CONFIG.TRACKS === 'off') {
+    sendError(client.ws, 'disabled', 'Track recording is turned off on this server', msg);
+    return;
+  }
+  for (const c of client.room.clients.values()) {
+    if (c.userId === client.userId) c.recording = msg.enabled;
+  }
+  console.log(`[Tracks] ${client.userId} ${msg.enabled ? 'started' : 'stopped'} recording in ${client.room.name}`);
+  broadcastPresence(client.room);
+}
+
+async function recordTrackPoint(client) {
+  const point = toTrackPoint({
+    userId: client.userId,
+    session: client.presenceId,
+    location: client.location,
+    timestamp: client.locationUpdatedAt
+  });
+  if (!point) return;
+  try {
+    await client.room.store.appendTrackPoint(point);
+  } catch (err) {
+    console.error(`[Tracks] Failed to record ${client.userId} in ${client.room.name}:`, err.message);
+  }
+}
+
+// Track replay: stream recorded points back to this client as track_point
+// messages, at `speed` times real time (see tracks.js)
+async function handleTrackReplay(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const id = msg.id !== undefined ? String(msg.id) : generateId();
+  client.replays.get(id)?.stop();
+  if (client.replays.size >= MAX_REPLAYS) {
+    sendError(client.ws, 'limit_exceeded', `At most ${MAX_REPLAYS} replays at a time`, msg);
+    return;
+  }
+
+  const from = parseTime(msg.from);
+  const to = parseTime(msg.to, true);
+  if ([from, to].some(time => time !== null && !isValidTime(time))) {
+    sendError(client.ws, 'invalid_message', 'from and to must be valid times', msg, { field: isValidTime(from ?? 0) ? 'to' : 'from' });
+    return;
+  }
+  const { points, hasMore } = await client.room.store.readTrack({
+    userId: msg.userId,
+    session: msg.session,
+    from,
+    to,
+    limit: MAX_REPLAY_POINTS
+  });
+  if (points.length === 0) {
+    sendError(client.ws, 'not_found', 'No recorded track points match', msg);
+    return;
+  }
+
+  const speed = msg.speed ?? DEFAULT_REPLAY_SPEED;
+  sendTo(client.ws, {
+    type: 'track_replay_start',
+    id,
+    points: points.length,
+    truncated: hasMore,
+    from: points[0].timestamp,
+    to: points[points.length - 1].timestamp,
+    speed,
+    requestId: requestIdOf(msg)
+  });
+  // client.ws is looked up on every send, so a replay survives a resume
+  client.replays.set(id, createReplay({
+    points,
+    speed,
+    send: ({ userId, session, timestamp, ...location }, index) => sendTo(client.ws, {
+      type: 'track_point',
+      replayId: id,
+      index,
+      userId,
+      session,
+      location,
+      timestamp
+    }),
+    onEnd: (reason, sent) => {
+      client.replays.delete(id);
+      sendTo(client.ws, { type: 'track_replay_end', id, reason, sent });
+    }
+  }));
+}
+
+function handleTrackReplayControl(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const replay = client.replays.get(String(msg.id));
+  if (!replay) {
+    sendError(client.ws, 'not_found', `No running replay ${msg.id}`, msg);
+    return;
+  }
+  if (msg.stop) {
+    replay.stop();
+    return;
+  }
+  if (msg.speed !== undefined) replay.setSpeed(msg.speed);
+  if (msg.paused === true) replay.pause();
+  if (msg.paused === false) replay.resume();
+}
+
+// History request: page backwards through the room's chat logs
+async function handleHistoryRequest(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const before = readCursor(client, msg);
+  if (before === undefined) return;
+
+  const page = await client.room.store.readHistory({
+    before,
+    limit: clampHistoryLimit(msg.limit)
+  });
+
+  sendTo(client.ws, {
+    type: 'history_page',
+    room: client.room.name,
+    before,
+    requestId: requestIdOf(msg),
+    ...page
+  });
+}
+
+// DM: a message only its recipients (and the sender) see, logged apart from
+// the chat (see direct-messages.js). Personas among the recipients answer it
+// privately to everyone in the thread.
+async function handleDirectMessage(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  // Personas go by their own id, so the thread matches the one they reply in
+  const to = [].concat(msg.to)
+    .map(id => (findPersona(personas, id) || { id }).id)
+    .filter(id => id !== client.userId);
+  if (to.length === 0) {
+    sendError(client.ws, 'invalid_message', 'to must name someone other than the sender', msg, { field: 'to' });
+    return;
+  }
+
+  const { room } = client;
+  const dm = directMessage(client.userId, to, msg.text);
+  if (CONFIG.LOG_CHAT) await logDirectMessage(room, dm);
+  broadcastTo(room, participantsOf(dm), { ...dm, requestId: requestIdOf(msg) });
+
+  const addressed = personas.filter(p => to.includes(p.id));
+  if (addressed.length === 0 || !allowAIRequest(client, msg) || !allowAITurn(room, client.userType)) return;
+  await Promise.all(addressed.map(p => requestAI(room, p, client.userId, msg.text, dm.id, { privateTo: participantsOf(dm) })));
+}
+
+function directMessage(from, to, text) {
+  return {
+    type: 'dm',
+    id: generateId(),
+    from,
+    to: Array.from(new Set(to)),
+    text,
+    timestamp: Date.now()
+  };
+}
+
+// DM history: a page of the thread between the client and `with`, oldest first
+async function handleDirectHistory(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const before = readCursor(client, msg);
+  if (before === undefined) return;
+
+  const participants = participantsOf({ from: client.userId, to: [].concat(msg.with) });
+  const page = await client.room.store.readDirectMessages({
+    participants,
+    before,
+    limit: clampHistoryLimit(msg.limit)
+  });
+
+  sendTo(client.ws, {
+    type: 'dm_page',
+    room: client.room.name,
+    participants,
+    before,
+    requestId: requestIdOf(msg),
+    ...page
+  });
+}
+
+// Search: full-text search over the room's chat logs (see search-index.js)
+async function handleSearch(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const params = searchParams(msg);
+  const { total, results } = await client.room.store.search(params);
+
+  sendTo(client.ws, {
+    type: 'search_results',
+    room: client.room.name,
+    requestId: requestIdOf(msg),
+    query: params.query,
+    total,
+    results
+  });
+}
+
+// Normalise search filters from a WebSocket message or HTTP query
+function searchParams({ query, from, since, until, messageType, limit, offset }) {
+  const n = parseInt(limit, 10);
+  return {
+    query: query || '',
+    from: from || null,
+    since: since ?? null,
+    until: until ?? null,
+    messageType: ['chat', 'ai_response'].includes(messageType) ? messageType : null,
+    limit: Number.isFinite(n) && n > 0 ? Math.min(n, MAX_SEARCH_RESULTS) : 20,
+    offset: Math.max(0, parseInt(offset, 10) || 0)
+  };
+}
+
+// A request's `before` cursor (see parseCursor), or undefined once the client
+// has been told it isn't one
+function readCursor(client, msg) {
+  try {
+    return parseCursor(msg.before);
+  } catch (err) {
+    sendError(client.ws, 'invalid_message', err.message, msg, { field: 'before' });
+    return undefined;
+  }
+}
+
+function clampHistoryLimit(limit) {
+  const n = parseInt(limit, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_HISTORY_PAGE) : 50;
+}
+
+// State update: apply path ops as one new revision (see state-store.js).
+// The legacy `update` object is converted to `set` ops on its leaf paths.
+async function handleStateUpdate(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const { room } = client;
+  const ops = msg.ops || opsFromUpdate(msg.update);
 
-  // System message: set the AI's identity and context
-  messages.push({
-    role: 'system',
-    content: `You are ${CONFIG.AI_USER_ID}, an AI participant in a collaborative Field Room. ` +
-      `Multiple humans and AIs share this space in real-time. ` +
-      `You can see recent conversation context. Respond naturally as a helpful, knowledgeable participant. ` +
-      `Keep responses concise unless detail is needed. ` +
-      `You have access to tools and workspace files — use them when helpful. ` +
-      `You share a workspace with your main session, so memory files and project files are available. ` +
-      `The person addressing you is "${fromUser}".`
+  let result;
+  try {
+    await room.ready;
+    result = room.state.apply(ops, {
+      baseRevision: msg.baseRevision,
+      strict: msg.strict === true,
+      by: client.userId
+    });
+  } catch (err) {
+    if (!err.code) throw err;
+    if (err.code === 'conflict') console.log(`[Conflict] ${client.userId} on ${room.name} state: ${err.message}`);
+    sendError(client.ws, err.code, err.message, msg, { revision: room.state.revision, conflicts: err.conflicts });
+    return;
+  }
+
+  // Sent to the author too, so they learn the new revision
+  broadcast(room, {
+    type: 'state_update',
+    revision: result.revision,
+    ops: result.ops,
+    ...(msg.update && !msg.ops && { update: msg.update }),
+    from: client.userId,
+    requestId: requestIdOf(msg),
+    timestamp: Date.now()
   });
+}
 
-  // Add recent chat as context
-  const recent = chatHistory.slice(-CONFIG.CONTEXT_MESSAGES);
-  for (const msg of recent) {
-    if (msg.from === CONFIG.AI_USER_ID) {
-      messages.push({ role: 'assistant', content: msg.text });
-    } else {
-      messages.push({ role: 'user', content: `${msg.from}: ${msg.text}` });
-    }
-  }
+// State diff: everything that changed since a revision the client already has
+function handleStateDiff(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
 
-  // Add the current message (may already be in history, but ensure it's last)
-  const lastMsg = messages[messages.length - 1];
-  const currentContent = `${fromUser}: ${currentText}`;
-  if (!lastMsg || lastMsg.content !== currentContent) {
-    messages.push({ role: 'user', content: currentContent });
+  const since = Number.isInteger(msg.since) ? msg.since : 0;
+  sendTo(client.ws, { type: 'state_diff', ...client.room.state.diffSince(since), timestamp: Date.now() });
+}
+
+// Drawing: create a new drawing
+// Drawings are revisioned: every change bumps `revision`, and updates must say which
+// revision they were based on so concurrent edits are rejected instead of clobbered.
+async function handleDrawing(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const { room } = client;
+  // Clients are let in before their room has loaded; edits wait for it
+  await room.ready;
+  const existing = msg.drawing.id && room.drawings.get(msg.drawing.id);
+
+  // Re-sending a live drawing is an update and goes through the same revision checks
+  if (existing && !existing.deleted) {
+    await handleDrawingUpdate(clientId, { ...msg, type: 'drawing_update' });
+    return;
   }
 
-  return messages;
+  await createDrawing(room, msg.drawing, client.userId);
 }
 
-/**
- * Call OpenClaw Gateway's chat completions API.
- */
-async function callOpenClaw(messages) {
-  const headers = { 'Content-Type': 'application/json' };
-  if (CONFIG.OPENCLAW_TOKEN) {
-    headers['Authorization'] = `Bearer ${CONFIG.OPENCLAW_TOKEN}`;
+// Add a drawing (or bring a deleted one back with the same id) and tell the room
+async function createDrawing(room, fields, userId) {
+  const existing = fields.id && room.drawings.get(fields.id);
+  const now = Date.now();
+  const drawing = {
+    ...fields,
+    id: fields.id || generateId(),
+    createdBy: userId,
+    createdAt: fields.createdAt || now,
+    updatedAt: now,
+    updatedBy: userId,
+    revision: existing ? existing.revision + 1 : 1,
+    deleted: false
+  };
+  delete drawing.deletedAt;
+  delete drawing.deletedBy;
+
+  room.drawings.set(drawing.id, drawing);
+  await saveDrawing(room, drawing);
+
+  // Sent to the author too, so they learn the server-assigned id and revision
+  broadcast(room, {
+    type: 'drawing',
+    drawing,
+    timestamp: now
+  });
+  refreshFences(room);
+  return drawing;
+}
+
+// Drawing update: apply changed fields on top of the current revision
+async function handleDrawingUpdate(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const { room } = client;
+  await room.ready;
+  const changes = msg.drawing || {};
+  const current = changes.id && room.drawings.get(changes.id);
+
+  if (!current || current.deleted) {
+    sendError(client.ws, 'not_found', `Drawing not found: ${changes.id}`, msg);
+    return;
   }
 
-  const response = await fetch(`${CONFIG.OPENCLAW_API}/v1/chat/completions`, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify({
-      model: 'openclaw:main',
-      user: CONFIG.AI_SESSION_USER,
-      messages
-    })
+  const conflict = checkDrawingRevision(current, msg.baseRevision ?? changes.revision, changes.updatedAt);
+  if (conflict) {
+    sendDrawingConflict(client, msg, current, conflict);
+    return;
+  }
+
+  const now = Date.now();
+  const drawing = {
+    ...current,
+    ...changes,
+    // Identity and history fields are server-owned
+    id: current.id,
+    createdBy: current.createdBy,
+    createdAt: current.createdAt,
+    updatedAt: now,
+    updatedBy: client.userId,
+    revision: current.revision + 1,
+    deleted: false
+  };
+
+  room.drawings.set(drawing.id, drawing);
+  await saveDrawing(room, drawing);
+
+  broadcast(room, {
+    type: 'drawing_update',
+    drawing,
+    timestamp: now
   });
+  refreshFences(room);
+}
 
-  if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`OpenClaw API error ${response.status}: ${body}`);
+// Drawing delete: soft delete, leaving a tombstone so other clients (and late
+// joiners syncing with ?since=) learn the drawing is gone
+async function handleDrawingDelete(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
+
+  const { room } = client;
+  await room.ready;
+  const current = msg.id && room.drawings.get(msg.id);
+
+  if (!current || current.deleted) {
+    sendError(client.ws, 'not_found', `Drawing not found: ${msg.id}`, msg);
+    return;
   }
 
-  const result = await response.json();
-  const choice = result.choices?.[0];
-  return choice?.message?.content || 'No response';
+  // Deletes only conflict when the client says which revision it saw
+  if (msg.baseRevision !== undefined) {
+    const conflict = checkDrawingRevision(current, msg.baseRevision);
+    if (conflict) {
+      sendDrawingConflict(client, msg, current, conflict);
+      return;
+    }
+  }
+
+  const now = Date.now();
+  const tombstone = {
+    ...current,
+    updatedAt: now,
+    updatedBy: client.userId,
+    revision: current.revision + 1,
+    deleted: true,
+    deletedAt: now,
+    deletedBy: client.userId
+  };
+
+  room.drawings.set(tombstone.id, tombstone);
+  await saveDrawing(room, tombstone);
+
+  broadcast(room, {
+    type: 'drawing_delete',
+    id: tombstone.id,
+    drawing: tombstone,
+    timestamp: now
+  });
+  refreshFences(room);
 }
 
 /**
- * Check if the AI is mentioned in a message.
+ * Returns a reason string if an edit based on `baseRevision` (or, for clients
+ * that don't track revisions, `baseUpdatedAt`) would overwrite newer changes.
  */
-function isMentioned(text) {
-  const patterns = [
-    new RegExp(`@${CONFIG.AI_USER_ID}\\b`, 'i'),
-    new RegExp(`\\b${CONFIG.AI_USER_ID}\\b`, 'i'),
-  ];
-  return patterns.some(p => p.test(text));
+function checkDrawingRevision(current, baseRevision, baseUpdatedAt) {
+  if (baseRevision !== undefined && baseRevision !== null) {
+    return baseRevision === current.revision
+      ? null
+      : `Drawing ${current.id} is at revision ${current.revision}, not ${baseRevision}`;
+  }
+  if (baseUpdatedAt !== undefined && baseUpdatedAt !== null) {
+    return baseUpdatedAt >= current.updatedAt
+      ? null
+      : `Drawing ${current.id} was modified by ${current.updatedBy} since your copy`;
+  }
+  return `baseRevision is required to update drawing ${current.id}`;
 }
 
-// Move: Update user location
-async function handleMove(clientId, msg) {
+function sendDrawingConflict(client, msg, current, reason) {
+  console.log(`[Conflict] ${client.userId} on drawing ${current.id}: ${reason}`);
+  sendError(client.ws, 'conflict', reason, msg, { drawing: current });
+}
+
+function liveDrawings(room) {
+  return Array.from(room.drawings.values()).filter(d => !d.deleted);
+}
+
+// A room's drawings, from memory if it is active and from storage otherwise
+async function currentDrawings(name) {
+  const room = rooms.get(name);
+  return room ? liveDrawings(room) : (await storage.room(name).readDrawings()).filter(d => !d.deleted);
+}
+
+// Annotation: pin a comment to a point or a drawing, opening a thread (see
+// annotations.js). Personas mentioned in it answer in the thread.
+async function handleAnnotationCreate(clientId, msg) {
   const client = clients.get(clientId);
   if (!client) return;
 
-  client.location = msg.location;
-  client.lastSeen = Date.now();
+  const { room } = client;
+  await room.ready;
+  if (msg.location && msg.location.lon === undefined && msg.location.lng === undefined) {
+    sendError(client.ws, 'invalid_message', 'location.lon or location.lng is required', msg, { field: 'location.lon' });
+    return;
+  }
+  const drawing = msg.drawingId && room.drawings.get(msg.drawingId);
+  if (msg.drawingId && (!drawing || drawing.deleted)) {
+    sendError(client.ws, 'not_found', `Drawing not found: ${msg.drawingId}`, msg);
+    return;
+  }
+  const existing = msg.annotationId && room.annotations.get(msg.annotationId);
+  if (existing) {
+    sendError(client.ws, 'conflict', `Annotation ${msg.annotationId} already exists`, msg, { annotation: existing });
+    return;
+  }
 
-  broadcast({
-    type: 'move',
-    userId: client.userId,
+  const annotation = createAnnotation({
+    id: msg.annotationId || generateId(),
+    text: msg.text,
     location: msg.location,
-    timestamp: Date.now()
-  }, clientId);
+    drawingId: msg.drawingId,
+    by: client.userId
+  });
+  room.annotations.set(annotation.id, annotation);
+  await saveAnnotation(room, annotation);
+
+  // Sent to the author too, so they learn the server-assigned id
+  broadcast(room, {
+    type: 'annotation',
+    annotation,
+    requestId: requestIdOf(msg),
+    timestamp: annotation.createdAt
+  });
 
-  broadcastPresence();
+  if (mentionedPersonas(personas, msg.text).length && !allowAIRequest(client, msg)) return;
+  await routeMentions(room, client.userId, client.userType, msg.text, annotation.id, { annotationId: annotation.id });
 }
 
-// State update
-async function handleStateUpdate(clientId, msg) {
-  const state = await loadState();
-  Object.assign(state, msg.update);
-  await saveState(state);
+// Annotation reply: add to an annotation's thread
+async function handleAnnotationReply(clientId, msg) {
+  const client = clients.get(clientId);
+  if (!client) return;
 
-  broadcast({
-    type: 'state_update',
-    update: msg.update,
-    timestamp: Date.now()
-  }, clientId);
+  const { room } = client;
+  await room.ready;
+  if (!room.annotations.has(msg.annotationId)) {
+    sendError(client.ws, 'not_found', `Annotation not found: ${msg.annotationId}`, msg);
+    return;
+  }
+
+  let reply;
+  try {
+    reply = await addAnnotationReply(room, msg.annotationId, { id: generateId(), text: msg.text, by: client.userId }, msg);
+  } catch (err) {
+    if (!err.code) throw err;
+    sendError(client.ws, err.code, err.message, msg);
+    return;
+  }
+
+  if (mentionedPersonas(personas, msg.text).length && !allowAIRequest(client, msg)) return;
+  await routeMentions(room, client.userId, client.userType, msg.text, reply.id, { annotationId: msg.annotationId });
 }
 
-// Drawing
-async function handleDrawing(clientId, msg) {
+// Add a reply to an annotation's thread and tell the room
+async function addAnnotationReply(room, annotationId, fields, msg = null) {
+  const { annotation, reply } = addReply(room.annotations.get(annotationId), fields);
+  room.annotations.set(annotation.id, annotation);
+  await saveAnnotation(room, annotation);
+
+  broadcast(room, {
+    type: 'annotation_reply',
+    annotationId,
+    reply,
+    annotation,
+    requestId: requestIdOf(msg),
+    timestamp: reply.timestamp
+  });
+  return reply;
+}
+
+// Annotation resolve: mark an annotation resolved, or reopen it (resolved: false)
+async function handleAnnotationResolve(clientId, msg) {
   const client = clients.get(clientId);
   if (!client) return;
 
-  const drawing = {
-    ...msg.drawing,
-    id: msg.drawing.id || generateId(),
-    createdBy: client.userId,
-    createdAt: msg.drawing.createdAt || Date.now(),
-    updatedAt: Date.now()
+  const { room } = client;
+  await room.ready;
+  const current = room.annotations.get(msg.annotationId);
+  if (!current) {
+    sendError(client.ws, 'not_found', `Annotation not found: ${msg.annotationId}`, msg);
+    return;
+  }
+
+  const annotation = setResolved(current, msg.resolved !== false, client.userId);
+  const event = {
+    type: 'annotation_resolve',
+    annotationId: annotation.id,
+    status: annotation.status,
+    annotation,
+    requestId: requestIdOf(msg),
+    timestamp: annotation.updatedAt
   };
+  // Already in that state: nothing changes, but the sender still gets an answer
+  if (annotation === current) {
+    sendTo(client.ws, event);
+    return;
+  }
 
-  await saveDrawing(drawing);
+  room.annotations.set(annotation.id, annotation);
+  await saveAnnotation(room, annotation);
+  broadcast(room, event);
+}
 
-  broadcast({
-    type: 'drawing',
-    drawing,
-    timestamp: Date.now()
-  }, clientId);
+// A room's annotations, from memory if it is active and from storage otherwise
+async function currentAnnotations(name) {
+  const room = rooms.get(name);
+  return room ? Array.from(room.annotations.values()) : storage.room(name).readAnnotations();
 }
 
-// Broadcast presence (includes the AI as a virtual participant)
-function broadcastPresence() {
-  const presence = Array.from(clients.values()).map(c => ({
-    userId: c.userId,
-    userType: c.userType,
-    location: c.location,
-    status: c.status,
-    lastSeen: c.lastSeen
-  }));
+// Everyone present in a room, on any instance, including every AI persona as a
+// virtual participant
+function presenceList(room) {
+  const presence = [...localPresence(room), ...bus.remotePresence(room.name)];
 
-  // Always include the AI as present
-  const aiAlreadyConnected = presence.some(p => p.userId === CONFIG.AI_USER_ID);
-  if (!aiAlreadyConnected) {
+  // Always include the personas as present
+  for (const persona of personas) {
+    if (presence.some(p => p.userId === persona.id)) continue;
     presence.push({
-      userId: CONFIG.AI_USER_ID,
+      presenceId: `ai:${persona.id}`,
+      userId: persona.id,
       userType: 'ai',
       location: null,
+      locationUpdatedAt: null,
       status: 'online',
-      lastSeen: Date.now()
+      statusText: null,
+      dnd: false,
+      recording: false,
+      lastSeen: Date.now(),
+      lastActive: Date.now()
     });
   }
 
-  broadcast({ type: 'presence', users: presence });
+  return presence;
+}
+
+// Members connected to this instance
+function localPresence(room) {
+  return Array.from(room.clients.values()).map(c => ({
+    presenceId: c.presenceId,
+    userId: c.userId,
+    userType: c.userType,
+    location: c.location,
+    locationUpdatedAt: c.locationUpdatedAt,
+    status: c.status,
+    statusText: c.statusText,
+    dnd: c.dnd,
+    recording: c.recording,
+    lastSeen: c.lastSeen,
+    lastActive: c.lastActive
+  }));
+}
+
+// Our members changed: tell the other instances, and the room (optionally
+// excluding one client, which is sent a full list instead)
+function broadcastPresence(room, excludeClientId = null) {
+  bus.announcePresence(room.name, localPresence(room));
+  sendPresenceChanges(room, excludeClientId);
+}
+
+// Tell the room how presence changed since it was last told
+function sendPresenceChanges(room, excludeClientId = null) {
+  if (!CONFIG.PRESENCE_DELTAS) {
+    deliver(room, { type: 'presence', users: presenceList(room) }, excludeClientId);
+    return;
+  }
+  const delta = presenceDelta(room);
+  if (delta) deliver(room, delta, excludeClientId);
+}
+
+/**
+ * Compare the room's presence with what its members were last sent
+ * (room.presence) and move that on. Returns a presence_delta, or null if
+ * nothing they are told about changed.
+ */
+function presenceDelta(room) {
+  const current = new Map(presenceList(room).map(p => [p.presenceId, p]));
+  const joined = [];
+  const changed = [];
+  for (const [presenceId, entry] of current) {
+    const previous = room.presence.get(presenceId);
+    if (!previous) {
+      joined.push(entry);
+      continue;
+    }
+    const fields = {};
+    for (const field of PRESENCE_DELTA_FIELDS) {
+      if (entry[field] !== previous[field]) fields[field] = entry[field];
+    }
+    if (Object.keys(fields).length) changed.push({ presenceId, ...fields });
+  }
+  const left = Array.from(room.presence.keys()).filter(presenceId => !current.has(presenceId));
+  room.presence = current;
+
+  if (!joined.length && !left.length && !changed.length) return null;
+  return { type: 'presence_delta', joined, left, changed };
+}
+
+// Every so often each room gets the full list, correcting any drift (and
+// refreshing locations and timestamps, which deltas leave out)
+function sendPresenceSnapshots() {
+  for (const room of rooms.values()) {
+    if (!room.clients.size) continue;
+    const users = presenceList(room);
+    room.presence = new Map(users.map(p => [p.presenceId, p]));
+    deliver(room, { type: 'presence', users });
+  }
+}
+
+function activityStatus(client, now) {
+  const inactive = now - client.lastActive;
+  if (CONFIG.AWAY_AFTER_MS > 0 && inactive >= CONFIG.AWAY_AFTER_MS) return 'away';
+  if (CONFIG.IDLE_AFTER_MS > 0 && inactive >= CONFIG.IDLE_AFTER_MS) return 'idle';
+  return 'online';
+}
+
+// Move quiet users to idle / away, telling each room whose presence changed
+function updateActivity() {
+  const now = Date.now();
+  for (const room of rooms.values()) {
+    let changed = false;
+    for (const client of room.clients.values()) {
+      const status = activityStatus(client, now);
+      if (status !== client.status) {
+        client.status = status;
+        changed = true;
+      }
+    }
+    if (changed) broadcastPresence(room);
+  }
+}
+
+// Ping every connection. One that hasn't answered the previous ping is dead
+// (a half-open socket never fires 'close' by itself) and is terminated, which
+// fires 'close' and takes it out of its room.
+function checkHeartbeats() {
+  for (const ws of wss.clients) {
+    if (!ws.isAlive) {
+      console.log('[Heartbeat] Dropping unresponsive connection');
+      ws.terminate();
+      continue;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  }
+}
+
+// Broadcast to all members of a room, on every instance (optionally excluding
+// one client)
+function broadcast(room, message, excludeClientId = null) {
+  room.lastUsed = Date.now();
+  deliver(room, message, excludeClientId);
+  bus.publish(room.name, message);
+}
+
+// Broadcast to the room, or only to `userIds` when given (private AI requests)
+function tell(room, message, userIds = null) {
+  if (userIds) broadcastTo(room, userIds, message);
+  else broadcast(room, message);
+}
+
+// Send to the connections of some users in a room only, on every instance
+// (direct messages, private AI replies)
+function broadcastTo(room, userIds, message) {
+  const audience = new Set(userIds);
+  deliver(room, message, null, audience);
+  bus.publish(room.name, message, Array.from(audience));
 }
 
-// Broadcast to all clients (optionally excluding one)
-function broadcast(message, excludeClientId = null) {
-  const payload = JSON.stringify(message);
-  clients.forEach((client, id) => {
-    if (id !== excludeClientId && client.ws.readyState === WebSocket.OPEN) {
+// Send to this instance's members of a room (or those of them in `audience`,
+// a Set of userIds). Every event gets the room's next sequence number (per
+// instance) and is kept for replay on resume.
+function deliver(room, message, excludeClientId = null, audience = null) {
+  const event = room.events.append(message, excludeClientId && room.clients.get(excludeClientId), audience);
+  const payload = JSON.stringify(event);
+  room.clients.forEach((client, id) => {
+    if (id !== excludeClientId && (!audience || audience.has(client.userId)) && client.ws.readyState === WebSocket.OPEN) {
       client.ws.send(payload);
     }
   });
 }
 
+// An event broadcast by another instance
+function handleRemoteEvent(roomName, message, audience = null) {
+  // Rooms nobody here has joined are read from the shared workspace on first join
+  const room = rooms.get(roomName);
+  if (!room) return;
+  // Private events change nothing everyone shares
+  if (audience) {
+    deliver(room, message, null, new Set(audience));
+    return;
+  }
+  mirrorEvent(room, message);
+  deliver(room, message);
+}
+
+// Keep this instance's copy of a room in step with changes another instance
+// made (and already persisted)
+function mirrorEvent(room, message) {
+  switch (message.type) {
+    case 'chat':
+    case 'ai_response':
+      addToHistory(room, message);
+      break;
+    case 'chat_edit':
+    case 'chat_delete':
+    case 'reaction':
+      replaceInHistory(room, message.message);
+      break;
+    case 'attachment_update':
+      refreshAttachment(room, message.attachment);
+      break;
+    case 'ai_response_end':
+      // Thread answers arrive as annotation_reply
+      if (!message.error && !message.annotationId) addToHistory(room, { ...message, type: 'ai_response' });
+      break;
+    case 'annotation':
+    case 'annotation_reply':
+    case 'annotation_resolve': {
+      const current = room.annotations.get(message.annotation.id);
+      if (!current || current.revision < message.annotation.revision) {
+        room.annotations.set(message.annotation.id, message.annotation);
+      }
+      break;
+    }
+    case 'drawing':
+    case 'drawing_update':
+    case 'drawing_delete': {
+      const current = room.drawings.get(message.drawing.id);
+      if (!current || current.revision < message.drawing.revision) {
+        room.drawings.set(message.drawing.id, message.drawing);
+        refreshFences(room);
+      }
+      break;
+    }
+    case 'proximity_enter':
+      room.near.add(pairKey(...message.userIds));
+      break;
+    case 'proximity_exit':
+      room.near.delete(pairKey(...message.userIds));
+      break;
+    case 'state_update':
+      if (!room.state.mirror(message)) {
+        room.state.load().catch(err => console.error(`[State] Reload failed in ${room.name}:`, err.message));
+      }
+      break;
+    case 'memory':
+      room.memory.restore(message);
+      break;
+  }
+}
+
+function handleRemoteSignal(roomName, message) {
+  if (message.type === 'invoke_cancel') cancelAIRequests(roomName, message);
+}
+
+function addToHistory(room, message) {
+  room.chatHistory.push(message);
+  if (room.chatHistory.length > MAX_HISTORY) room.chatHistory.shift();
+}
+
+// Swap in a new version of a message, if it is still in recent history
+function replaceInHistory(room, message) {
+  const i = room.chatHistory.findLastIndex(m => m.id === message.id);
+  if (i !== -1) room.chatHistory[i] = message;
+}
+
+// Bring recent messages sharing an attachment up to date with its metadata;
+// returns their new versions
+function refreshAttachment(room, attachment) {
+  const updated = [];
+  room.chatHistory.forEach((msg, i) => {
+    if (msg.attachment && msg.attachment.id === attachment.id) {
+      room.chatHistory[i] = { ...msg, attachment };
+      updated.push(room.chatHistory[i]);
+    }
+  });
+  return updated;
+}
+
+// A chat message by id: from recent history, or from the log
+async function findMessage(room, id) {
+  const recent = room.chatHistory.findLast(m => m.id === id);
+  if (recent) return recent;
+  await room.ready;
+  return room.store.readMessage(id);
+}
+
+// The latest messages of a reply thread (the log is only read when chat is logged)
+async function readThread(room, threadId, limit) {
+  if (!CONFIG.LOG_CHAT) return room.chatHistory.filter(m => belongsToThread(m, threadId)).slice(-limit);
+  await room.ready;
+  return (await room.store.readThread({ threadId, limit })).messages;
+}
+
 function sendTo(ws, message) {
   if (ws.readyState === WebSocket.OPEN) {
     ws.send(JSON.stringify(message));
   }
 }
 
-// File operations
-async function ensureWorkspace() {
-  await fs.mkdir(CONFIG.WORKSPACE_PATH, { recursive: true });
-  await fs.mkdir(path.join(CONFIG.WORKSPACE_PATH, 'drawings'), { recursive: true });
-  await fs.mkdir(path.join(CONFIG.WORKSPACE_PATH, 'chat-logs'), { recursive: true });
+// Errors carry a stable code (see protocol.js) and echo the offending message's request id
+function sendError(ws, code, error, msg = null, extra = {}) {
+  sendTo(ws, {
+    type: 'error',
+    code,
+    error,
+    requestId: requestIdOf(msg),
+    ...extra,
+    timestamp: Date.now()
+  });
+}
+
+// Rooms
+function isValidRoomName(name) {
+  return typeof name === 'string' && ROOM_NAME_PATTERN.test(name);
 }
 
-async function loadState() {
+// null for a URL that can't be read (a malformed %-escape in the path, say)
+function parseHandshake(url) {
   try {
-    const data = await fs.readFile(path.join(CONFIG.WORKSPACE_PATH, 'state.json'), 'utf8');
-    return JSON.parse(data);
-  } catch { return { drawings: [], annotations: [], users: [] }; }
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const room = searchParams.get('room') || decodeURIComponent(pathname.replace(/^\/+|\/+$/g, ''));
+    return {
+      room: room || null,
+      token: searchParams.get('token'),
+      compress: ['1', 'true'].includes(searchParams.get('compress'))
+    };
+  } catch {
+    return null;
+  }
+}
+
+function getRoom(name) {
+  let room = rooms.get(name);
+  if (!room) {
+    const store = storage.room(name);
+    room = {
+      name,
+      store,
+      clients: new Map(),
+      chatHistory: [],
+      drawings: new Map(),
+      annotations: new Map(),
+      // Edits, deletions and reactions, one at a time (see changeMessage)
+      messageChanges: Promise.resolve(),
+      state: createStateStore(store),
+      memory: createRoomMemory(store),
+      // Sequence numbers and replay buffer for broadcasts (see event-log.js)
+      events: createEventLog({ limit: CONFIG.REPLAY_BUFFER }),
+      // Presence as last sent to the room: Map<presenceId, entry> (see presenceDelta)
+      presence: new Map(),
+      // AI-to-AI hops since a human last spoke (see allowAITurn)
+      aiChain: 0,
+      // Pairs of users within PROXIMITY_METERS (see checkClientProximity)
+      near: new Set(),
+      // When each user was last told about each fence: Map<'user:fence', time>
+      fenceNotices: new Map()
+    };
+    // Storage is prepared and the room loaded once; writers await this
+    // before persisting anything
+    room.ready = initRoom(room);
+    rooms.set(name, room);
+  }
+  room.lastUsed = Date.now();
+  return room;
+}
+
+// Unload rooms that have been empty for ROOM_IDLE_MS (the default room stays),
+// so rooms named by passing clients don't pile up in memory
+function evictIdleRooms() {
+  const now = Date.now();
+  for (const [name, room] of rooms) {
+    if (name === CONFIG.DEFAULT_ROOM || room.clients.size > 0 || now - room.lastUsed < CONFIG.ROOM_IDLE_MS) continue;
+    rooms.delete(name);
+    storage.release(name);
+    console.log(`[Rooms] Unloaded idle room ${name}`);
+  }
+}
+
+async function listRooms() {
+  const names = new Set([CONFIG.DEFAULT_ROOM, ...rooms.keys()]);
+  (await storage.listRooms()).filter(isValidRoomName).forEach(name => names.add(name));
+
+  return Array.from(names).sort().map(name => {
+    const room = rooms.get(name);
+    return {
+      name,
+      clients: room ? room.clients.size : 0,
+      users: room ? Array.from(room.clients.values()).map(c => c.userId) : []
+    };
+  });
+}
+
+// Persistence
+async function ensureWorkspace() {
+  await storage.init();
+  await getRoom(CONFIG.DEFAULT_ROOM).ready;
+}
+
+async function initRoom(room) {
+  await room.store.init();
+  await room.state.load();
+  await room.memory.load();
+  // Older messages go in front of anything said while we were loading
+  const { messages } = await room.store.readHistory({ limit: MAX_HISTORY });
+  room.chatHistory.unshift(...messages);
+  if (room.chatHistory.length > MAX_HISTORY) room.chatHistory.splice(0, room.chatHistory.length - MAX_HISTORY);
+  for (const drawing of await room.store.readDrawings()) {
+    room.drawings.set(drawing.id, drawing);
+  }
+  for (const annotation of await room.store.readAnnotations()) {
+    room.annotations.set(annotation.id, annotation);
+  }
+  // The add_annotation tool used to append notes to shared state; adopt them once
+  for (const annotation of (room.state.data.annotations || []).map(fromLegacy)) {
+    if (!annotation || room.annotations.has(annotation.id)) continue;
+    room.annotations.set(annotation.id, annotation);
+    await room.store.writeAnnotation(annotation);
+  }
+}
+
+async function saveDrawing(room, drawing) {
+  await room.ready;
+  await room.store.writeDrawing(drawing);
 }
 
-async function saveState(state) {
-  await fs.writeFile(path.join(CONFIG.WORKSPACE_PATH, 'state.json'), JSON.stringify(state, null, 2));
+async function saveAnnotation(room, annotation) {
+  await room.ready;
+  await room.store.writeAnnotation(annotation);
 }
 
-async function saveDrawing(drawing) {
-  const filepath = path.join(CONFIG.WORKSPACE_PATH, 'drawings', `${drawing.id}.geojson`);
-  await fs.writeFile(filepath, JSON.stringify(drawing, null, 2));
+async function logChat(room, msg) {
+  await room.ready;
+  await room.store.appendMessage(msg);
 }
 
-async function logChat(msg) {
-  const today = new Date().toISOString().split('T')[0];
-  const logFile = path.join(CONFIG.WORKSPACE_PATH, 'chat-logs', `${today}.jsonl`);
-  await fs.appendFile(logFile, JSON.stringify(msg) + '\n');
+async function saveMessage(room, msg) {
+  replaceInHistory(room, msg);
+  if (!CONFIG.LOG_CHAT) return;
+  await room.ready;
+  await room.store.updateMessage(msg);
+}
+
+async function logDirectMessage(room, msg) {
+  await room.ready;
+  await room.store.appendDirectMessage(msg);
 }
 
 function generateId() {
@@ -442,13 +3161,77 @@ function generateId() {
 }
 
 // Startup
+function checkAuthConfig() {
+  if (!['open', 'secret', 'token'].includes(CONFIG.AUTH_MODE)) {
+    throw new Error(`Unknown AUTH_MODE: ${CONFIG.AUTH_MODE}`);
+  }
+  if (CONFIG.AUTH_MODE === 'token' && !CONFIG.AUTH_SECRET) {
+    throw new Error('AUTH_MODE=token requires AUTH_SECRET');
+  }
+  if (CONFIG.AUTH_MODE === 'secret' && !CONFIG.ROOM_SECRET && CONFIG.ROOM_SECRETS.size === 0) {
+    throw new Error('AUTH_MODE=secret requires ROOM_SECRET or ROOM_SECRETS');
+  }
+  if (CONFIG.AUTH_MODE === 'open') {
+    console.warn('[Auth] AUTH_MODE=open — user identities are self-asserted. Do not expose this publicly.');
+  }
+}
+
 async function start() {
+  checkAuthConfig();
+  if (!['opt-in', 'on', 'off'].includes(CONFIG.WS_COMPRESSION)) {
+    throw new Error(`Unknown WS_COMPRESSION: ${CONFIG.WS_COMPRESSION}`);
+  }
+  if (!['opt-in', 'opt-out', 'off'].includes(CONFIG.TRACKS)) {
+    throw new Error(`Unknown TRACKS: ${CONFIG.TRACKS}`);
+  }
+  personas = await loadPersonas(CONFIG.PERSONAS_FILE, {
+    id: CONFIG.AI_USER_ID,
+    api: CONFIG.OPENCLAW_API,
+    token: CONFIG.OPENCLAW_TOKEN,
+    model: CONFIG.AI_MODEL,
+    sessionUser: CONFIG.AI_SESSION_USER,
+    tools: CONFIG.AI_TOOLS,
+    concurrency: CONFIG.AI_CONCURRENCY
+  });
+  if (CONFIG.GEOFENCE_AI) {
+    fencePersona = CONFIG.GEOFENCE_AI === 'true' ? personas[0] : findPersona(personas, CONFIG.GEOFENCE_AI);
+    if (!fencePersona) throw new Error(`Unknown GEOFENCE_AI persona: ${CONFIG.GEOFENCE_AI}`);
+  }
+  const unknownTypes = CONFIG.ATTACHMENT_TYPES.filter(type => !Object.hasOwn(ATTACHMENT_TYPES, type));
+  if (unknownTypes.length) {
+    throw new Error(`Unknown ATTACHMENT_TYPES: ${unknownTypes.join(', ')} (${Object.keys(ATTACHMENT_TYPES).join(', ')})`);
+  }
+  if (CONFIG.ATTACHMENT_DESCRIBE) {
+    describePersona = CONFIG.ATTACHMENT_DESCRIBE === 'true' ? personas[0] : findPersona(personas, CONFIG.ATTACHMENT_DESCRIBE);
+    if (!describePersona) throw new Error(`Unknown ATTACHMENT_DESCRIBE persona: ${CONFIG.ATTACHMENT_DESCRIBE}`);
+  }
+  storage = createStorage({
+    type: CONFIG.STORAGE,
+    root: CONFIG.WORKSPACE_PATH,
+    defaultRoom: CONFIG.DEFAULT_ROOM,
+    sqlitePath: CONFIG.SQLITE_PATH
+  });
+  bus = createPubSub(CONFIG.PUBSUB, { url: CONFIG.REDIS_URL, prefix: CONFIG.REDIS_PREFIX, instanceId: CONFIG.INSTANCE_ID });
+  bus.onEvent(handleRemoteEvent);
+  bus.onSignal(handleRemoteSignal);
+  bus.onPresence(roomName => {
+    const room = rooms.get(roomName);
+    if (room) sendPresenceChanges(room);
+  });
   await ensureWorkspace();
+  if (CONFIG.HEARTBEAT_INTERVAL_MS > 0) setInterval(checkHeartbeats, CONFIG.HEARTBEAT_INTERVAL_MS);
+  // Checked at least as often as the shortest step, so short settings are kept to
+  const activityCheckMs = Math.min(ACTIVITY_CHECK_MS, ...[CONFIG.IDLE_AFTER_MS, CONFIG.AWAY_AFTER_MS].filter(ms => ms > 0));
+  setInterval(updateActivity, activityCheckMs);
+  if (CONFIG.ROOM_IDLE_MS > 0) setInterval(evictIdleRooms, Math.min(CONFIG.ROOM_IDLE_MS, ROOM_CHECK_MS));
+  if (CONFIG.PRESENCE_DELTAS && CONFIG.PRESENCE_SNAPSHOT_MS > 0) setInterval(sendPresenceSnapshots, CONFIG.PRESENCE_SNAPSHOT_MS);
   server.listen(CONFIG.SYNC_PORT, '0.0.0.0', () => {
     console.log(`[Sync Service] Listening on port ${CONFIG.SYNC_PORT}`);
     console.log(`[Sync Service] WebSocket: ws://0.0.0.0:${CONFIG.SYNC_PORT}`);
     console.log(`[Sync Service] Health: http://localhost:${CONFIG.SYNC_PORT}/health`);
-    console.log(`[Sync Service] AI: ${CONFIG.AI_USER_ID} via ${CONFIG.OPENCLAW_API}`);
+    console.log(`[Sync Service] Rooms: ws://0.0.0.0:${CONFIG.SYNC_PORT}/{room} (default: ${CONFIG.DEFAULT_ROOM})`);
+    personas.forEach(p => console.log(`[Sync Service] AI: ${p.id} via ${p.api} (${p.model})`));
+    if (bus.distributed) console.log(`[Sync Service] Instance ${CONFIG.INSTANCE_ID} sharing rooms via ${CONFIG.PUBSUB}`);
   });
 }
 
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRequestQueue, withTimeout, withRetry, isTransientError } = require('../ai-queue');
+
+// A job that runs until `finish()` is called or its signal aborts
+function job(id, log) {
+  let finish;
+  return {
+    id,
+    onStart: () => log.push(`start ${id}`),
+    run: (signal) => new Promise((resolve, reject) => {
+      finish = () => resolve(id);
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    }),
+    finish: () => finish()
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('jobs wait their turn, concurrency at a time', async () => {
+  const log = [];
+  const queue = createRequestQueue({ concurrency: 1 });
+  const a = job('a', log);
+  const b = job('b', log);
+  const first = queue.push(a);
+  const second = queue.push(b);
+  assert.deepStrictEqual([first.position, second.position], [0, 1]);
+
+  await tick();
+  assert.deepStrictEqual(log, ['start a']);
+  a.finish();
+  assert.strictEqual(await first.done, 'a');
+  await tick();
+  assert.deepStrictEqual(log, ['start a', 'start b']);
+  b.finish();
+  assert.strictEqual(await second.done, 'b');
+});
+
+test('cancel drops queued jobs and aborts running ones', async () => {
+  const log = [];
+  const queue = createRequestQueue();
+  const running = queue.push(job('a', log));
+  const queued = queue.push(job('b', log));
+  await tick();
+
+  const cancelled = queue.cancel(() => true);
+  assert.deepStrictEqual(cancelled.map(j => j.id).sort(), ['a', 'b']);
+  await assert.rejects(running.done, { code: 'cancelled' });
+  await assert.rejects(queued.done, { code: 'cancelled' });
+  assert.deepStrictEqual(log, ['start a']);
+  assert.deepStrictEqual(queue.cancel(() => true), []);
+});
+
+test('withTimeout aborts with a timeout, or with the parent\'s reason', async () => {
+  const timed = withTimeout(new AbortController().signal, 10);
+  await new Promise(resolve => timed.signal.addEventListener('abort', resolve));
+  assert.strictEqual(timed.signal.reason.code, 'timeout');
+
+  const parent = new AbortController();
+  const child = withTimeout(parent.signal, 0);
+  parent.abort(Object.assign(new Error('stop'), { code: 'cancelled' }));
+  assert.strictEqual(child.signal.reason.code, 'cancelled');
+  child.clear();
+});
+
+test('withRetry retries transient errors only, with backoff', async () => {
+  const retries = [];
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw Object.assign(new Error('busy'), { status: 503 });
+    return 'ok';
+  }, { retries: 2, baseDelay: 1, onRetry: (err, attempt) => retries.push(attempt) });
+  assert.deepStrictEqual([result, calls, retries], ['ok', 3, [1, 2]]);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw Object.assign(new Error('bad request'), { status: 400 });
+  }, { baseDelay: 1 }), /bad request/);
+  assert.strictEqual(calls, 1);
+
+  calls = 0;
+  await assert.rejects(withRetry(async () => {
+    calls++;
+    throw Object.assign(new Error('busy'), { status: 503 });
+  }, { baseDelay: 1, canRetry: () => false }), /busy/);
+  assert.strictEqual(calls, 1);
+});
+
+test('isTransientError tells network and server errors from the rest', () => {
+  assert.strictEqual(isTransientError(Object.assign(new Error(), { status: 429 })), true);
+  assert.strictEqual(isTransientError(Object.assign(new Error(), { status: 502 })), true);
+  assert.strictEqual(isTransientError(Object.assign(new Error(), { status: 401 })), false);
+  assert.strictEqual(isTransientError(new TypeError('fetch failed')), true);
+  assert.strictEqual(isTransientError(Object.assign(new Error(), { code: 'timeout' })), false);
+  assert.strictEqual(isTransientError(Object.assign(new Error(), { code: 'cancelled' })), false);
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAnnotation, addReply, setResolved, fromLegacy, describeThread } = require('../annotations');
+
+test('annotations gather replies and resolve', () => {
+  const pin = createAnnotation({ id: 'a1', text: 'Check drain', location: { lat: 52.5, lng: -1.9 }, by: 'rob', now: 1 });
+  assert.deepStrictEqual([pin.location, pin.status, pin.revision], [{ lat: 52.5, lon: -1.9 }, 'open', 1]);
+  const { annotation, reply } = addReply(pin, { id: 'x', text: 'Done', by: 'ann', now: 2 });
+  assert.deepStrictEqual([annotation.replies, annotation.revision], [[reply], 2]);
+  const resolved = setResolved(annotation, true, 'ann', 3);
+  assert.deepStrictEqual([resolved.status, resolved.resolvedBy, resolved.revision], ['resolved', 'ann', 3]);
+  assert.strictEqual(setResolved(resolved, true, 'rob'), resolved);
+  assert.strictEqual(describeThread(resolved),
+    'Annotation a1 on 52.50000, -1.90000, resolved:\n- rob: Check drain\n- ann: Done');
+  assert.strictEqual(fromLegacy({ id: 7 }), null);
+  assert.strictEqual(fromLegacy({ id: 'old', text: 'Legacy', location: { lat: 'x' } }).location, null);
+});
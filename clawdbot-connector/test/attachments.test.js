@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sniffType, readExif, createAttachment, describeAttachment, toFeatureCollection } = require('../attachments');
+
+// A JPEG holding only an APP1 Exif segment around `tiff` (little-endian TIFF)
+function jpegWithTiff(tiff) {
+  const header = Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0, 0, ...Buffer.from('Exif\0\0')]);
+  header.writeUInt16BE(tiff.length + 8, 4);
+  return Buffer.concat([header, tiff, Buffer.from([0xff, 0xd9])]);
+}
+
+// TIFF with IFD0 pointing at a GPS IFD whose entries are `gpsEntries`
+// ([tag, type, count, value]), followed by `data` at DATA_OFFSET
+const DATA_OFFSET = 96;
+function tiffWithGps(gpsEntries, data = Buffer.alloc(0)) {
+  const tiff = Buffer.alloc(DATA_OFFSET + data.length);
+  tiff.write('II', 0, 'latin1');
+  tiff.writeUInt16LE(42, 2);
+  tiff.writeUInt32LE(8, 4);
+  // IFD0: one entry, the GPS IFD pointer
+  tiff.writeUInt16LE(1, 8);
+  tiff.writeUInt16LE(0x8825, 10);
+  tiff.writeUInt16LE(4, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt32LE(26, 18);
+  tiff.writeUInt32LE(0, 22);
+  // GPS IFD at 26
+  tiff.writeUInt16LE(gpsEntries.length, 26);
+  gpsEntries.forEach(([tag, type, count, value], i) => {
+    const entry = 28 + i * 12;
+    tiff.writeUInt16LE(tag, entry);
+    tiff.writeUInt16LE(type, entry + 2);
+    tiff.writeUInt32LE(count, entry + 4);
+    if (typeof value === 'string') tiff.write(value, entry + 8, 'latin1');
+    else tiff.writeUInt32LE(value, entry + 8);
+  });
+  data.copy(tiff, DATA_OFFSET);
+  return tiff;
+}
+
+// Three RATIONALs (degrees, minutes, seconds)
+function dms(d, m, s) {
+  const data = Buffer.alloc(24);
+  [[d, 1], [m, 1], [s * 100, 100]].forEach(([num, den], i) => {
+    data.writeUInt32LE(num, i * 8);
+    data.writeUInt32LE(den, i * 8 + 4);
+  });
+  return data;
+}
+
+test('sniffType tells files by their first bytes', () => {
+  assert.strictEqual(sniffType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+  assert.strictEqual(sniffType(Buffer.from('%PDF-1.7')), 'application/pdf');
+  assert.strictEqual(sniffType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+  assert.strictEqual(sniffType(Buffer.from('<html>')), null);
+  assert.strictEqual(sniffType(Buffer.alloc(0)), null);
+});
+
+test('readExif reads the GPS position', () => {
+  const tiff = tiffWithGps(
+    [[1, 2, 2, 'N'], [2, 5, 3, DATA_OFFSET], [3, 2, 2, 'W'], [4, 5, 3, DATA_OFFSET + 24]],
+    Buffer.concat([dms(52, 29, 30), dms(1, 53, 45)])
+  );
+  const { location } = readExif(jpegWithTiff(tiff));
+  assert.ok(Math.abs(location.lat - 52.491667) < 1e-5);
+  assert.ok(Math.abs(location.lon + 1.895833) < 1e-5);
+});
+
+test('readExif skips a field with a huge count instead of reading past the end', () => {
+  const started = Date.now();
+  const result = readExif(jpegWithTiff(tiffWithGps([[2, 1, 1e7, DATA_OFFSET]])));
+  assert.deepStrictEqual(result, { location: null, takenAt: null, thumbnail: null });
+  assert.ok(Date.now() - started < 500);
+});
+
+test('readExif skips fields pointing past the end of the segment', () => {
+  const result = readExif(jpegWithTiff(tiffWithGps([[2, 5, 3, 0xfffff0], [4, 5, 3, 40]])));
+  assert.strictEqual(result.location, null);
+});
+
+test('readExif gives nulls for truncated or foreign data', () => {
+  const none = { location: null, takenAt: null, thumbnail: null };
+  assert.deepStrictEqual(readExif(Buffer.from('%PDF-1.7')), none);
+  assert.deepStrictEqual(readExif(Buffer.from([0xff, 0xd8, 0xff, 0xe1, 0, 40, ...Buffer.from('Exif\0\0II')])), none);
+});
+
+test('createAttachment cleans the file name', () => {
+  const exif = { location: { lat: 1, lon: 2 }, takenAt: null };
+  const meta = createAttachment({ id: 'abc', name: '../../etc/"passwd".jpg', type: 'image/jpeg', size: 10, by: 'rob', exif, now: 5 });
+  assert.strictEqual(meta.name, '_passwd_.jpg');
+  assert.strictEqual(createAttachment({ id: 'abc', name: '', type: 'application/pdf', size: 10, by: 'rob', exif }).name, 'abc.pdf');
+  assert.match(describeAttachment(meta), /^\[Photo "_passwd_.jpg", image\/jpeg, 10 B at 1\.00000, 2\.00000\]$/);
+  assert.deepStrictEqual(toFeatureCollection([meta]).features[0].geometry, { type: 'Point', coordinates: [2, 1] });
+});
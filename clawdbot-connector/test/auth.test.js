@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { signToken, verifyToken, looksLikeToken, parseRoomSecrets, safeEqual } = require('../auth');
+
+const SECRET = 'test-secret';
+
+test('signed tokens verify and carry their claims', () => {
+  const token = signToken({ sub: 'rob', room: 'site-a' }, SECRET, 60);
+  assert.ok(looksLikeToken(token));
+  const claims = verifyToken(token, SECRET);
+  assert.deepStrictEqual([claims.sub, claims.type, claims.room, claims.exp - claims.iat], ['rob', 'human', 'site-a', 60]);
+});
+
+test('tampered, foreign, expired and malformed tokens are rejected', () => {
+  const token = signToken({ sub: 'rob' }, SECRET);
+  const [header, , signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'pauline', type: 'ai', room: '*' })).toString('base64url');
+  assert.throws(() => verifyToken(`${header}.${forged}.${signature}`, SECRET), /Invalid token signature/);
+  assert.throws(() => verifyToken(token, 'other-secret'), /Invalid token signature/);
+  assert.throws(() => verifyToken(signToken({ sub: 'rob' }, SECRET, -10), SECRET), /Token expired/);
+  assert.throws(() => verifyToken('not-a-token', SECRET), /Malformed token/);
+  assert.throws(() => verifyToken(token, ''), /AUTH_SECRET is not configured/);
+  assert.throws(() => signToken({}, SECRET), /subject/);
+});
+
+test('parseRoomSecrets reads room=secret pairs', () => {
+  const secrets = parseRoomSecrets(' site-a=abc, site-b = d=ef ,broken,=x');
+  assert.deepStrictEqual(Array.from(secrets), [['site-a', 'abc'], ['site-b', 'd=ef']]);
+  assert.strictEqual(parseRoomSecrets(undefined).size, 0);
+});
+
+test('safeEqual compares without throwing on different lengths', () => {
+  assert.strictEqual(safeEqual('abc', 'abc'), true);
+  assert.strictEqual(safeEqual('abc', 'abcd'), false);
+  assert.strictEqual(safeEqual(undefined, 'x'), false);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isValidTime, parseCursor, updateRecord, readHistoryPage } = require('../chat-history');
+
+function logDir(days) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-room-logs-'));
+  for (const [day, records] of Object.entries(days)) {
+    fs.writeFileSync(path.join(dir, `${day}.jsonl`), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+  return dir;
+}
+
+test('isValidTime accepts what a Date can hold', () => {
+  assert.strictEqual(isValidTime(0), true);
+  assert.strictEqual(isValidTime(-8.64e15), true);
+  assert.strictEqual(isValidTime(8.64e15 + 1), false);
+  assert.strictEqual(isValidTime(NaN), false);
+  assert.strictEqual(isValidTime('5'), false);
+});
+
+test('parseCursor tells times and dates from message ids', () => {
+  assert.strictEqual(parseCursor(undefined), null);
+  assert.strictEqual(parseCursor(''), null);
+  assert.strictEqual(parseCursor(1738222800000), 1738222800000);
+  assert.strictEqual(parseCursor('1738222800000'), 1738222800000);
+  assert.strictEqual(parseCursor('2025-01-30T07:40:00Z'), 1738222800000);
+  assert.strictEqual(parseCursor('2025-01-30'), Date.UTC(2025, 0, 30));
+  assert.strictEqual(parseCursor('k3j2h1g0f9e8'), 'k3j2h1g0f9e8');
+  assert.throws(() => parseCursor('99999999999999999'), RangeError);
+  assert.throws(() => parseCursor('2025-13-45'), RangeError);
+  assert.throws(() => parseCursor('2025-02-29'), RangeError);
+});
+
+test('readHistoryPage pages back by id or time and skips torn lines', async () => {
+  const dir = logDir({
+    '2026-01-01': [{ type: 'chat', id: 'a', text: 'old', timestamp: Date.UTC(2026, 0, 1, 9) }],
+    '2026-01-02': [
+      { type: 'chat', id: 'b', text: 'mid', timestamp: Date.UTC(2026, 0, 2, 9) },
+      { type: 'chat', id: 'c', text: 'new', timestamp: Date.UTC(2026, 0, 2, 10) }
+    ]
+  });
+  try {
+    fs.appendFileSync(path.join(dir, '2026-01-02.jsonl'), '{"type":"chat","id":"torn');
+    const latest = await readHistoryPage(dir, { limit: 2 });
+    assert.deepStrictEqual([latest.messages.map(m => m.text), latest.hasMore], [['mid', 'new'], true]);
+
+    const older = await readHistoryPage(dir, { before: 'b' });
+    assert.deepStrictEqual([older.messages.map(m => m.id), older.hasMore], [['a'], false]);
+    assert.deepStrictEqual((await readHistoryPage(dir, { before: Date.UTC(2026, 0, 2, 10) })).messages.map(m => m.id), ['a', 'b']);
+    await assert.rejects(readHistoryPage(dir, { before: 8.64e15 + 1 }), RangeError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('readHistoryPage skips torn lines and stops at sinceDay', async () => {
+  const dir = logDir({
+    '2026-01-01': [{ type: 'chat', id: 'a', text: 'old', timestamp: 1 }],
+    '2026-01-02': [{ type: 'chat', id: 'b', text: 'mid', timestamp: 2 }],
+    '2026-01-03': [updateRecord({ type: 'chat', id: 'b', text: 'mid, edited', timestamp: 2 }, 3)]
+  });
+  try {
+    fs.appendFileSync(path.join(dir, '2026-01-03.jsonl'), '{"type":"chat","id":"torn');
+    const all = await readHistoryPage(dir, {});
+    assert.deepStrictEqual(all.messages.map(m => m.text), ['old', 'mid, edited']);
+
+    const recent = await readHistoryPage(dir, { sinceDay: '2026-01-02' });
+    assert.deepStrictEqual(recent.messages.map(m => m.id), ['b']);
+    assert.strictEqual(recent.hasMore, false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('readHistoryPage answers a missing directory with nothing', async () => {
+  assert.deepStrictEqual(await readHistoryPage(path.join(os.tmpdir(), 'no-such-field-room')), { messages: [], hasMore: false });
+});
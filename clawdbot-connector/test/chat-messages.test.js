@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_REACTIONS, checkAuthor, editMessage, deleteMessage, setReaction, threadOf, belongsToThread } = require('../chat-messages');
+
+const msg = { type: 'chat', id: 'm1', from: 'rob', text: 'hello', timestamp: 1 };
+
+test('only the author may change their own chat message', () => {
+  assert.doesNotThrow(() => checkAuthor(msg, 'rob'));
+  assert.throws(() => checkAuthor(msg, 'ann'), { code: 'forbidden' });
+  assert.throws(() => checkAuthor({ ...msg, type: 'ai_response' }, 'rob'), { code: 'forbidden' });
+  assert.throws(() => checkAuthor(deleteMessage(msg), 'rob'), { code: 'not_found' });
+});
+
+test('edits and deletes return new messages', () => {
+  assert.strictEqual(editMessage(msg, 'hello'), msg);
+  assert.deepStrictEqual(editMessage(msg, 'hi', 5), { ...msg, text: 'hi', editedAt: 5 });
+  const deleted = deleteMessage({ ...msg, reactions: { '👍': ['ann'] }, attachment: { id: 'a' } }, 7);
+  assert.deepStrictEqual(deleted, { type: 'chat', id: 'm1', from: 'rob', text: '', timestamp: 1, deleted: true, deletedAt: 7 });
+});
+
+test('reactions toggle per user and are capped per message', () => {
+  const liked = setReaction(msg, '👍', 'ann', true);
+  assert.deepStrictEqual(liked.reactions, { '👍': ['ann'] });
+  assert.strictEqual(setReaction(liked, '👍', 'ann', true), liked);
+  assert.strictEqual(setReaction(liked, '👍', 'ann', false).reactions, undefined);
+
+  let full = msg;
+  for (let i = 0; i < MAX_REACTIONS; i++) full = setReaction(full, `e${i}`, 'ann', true);
+  assert.throws(() => setReaction(full, 'one-more', 'ann', true), { code: 'limit_exceeded' });
+  assert.doesNotThrow(() => setReaction(full, 'e0', 'rob', true));
+});
+
+test('reactions named like object properties are ordinary emoji', () => {
+  for (const emoji of ['constructor', '__proto__', 'toString']) {
+    const reacted = setReaction(msg, emoji, 'ann', true);
+    assert.deepStrictEqual(Object.entries(reacted.reactions), [[emoji, ['ann']]]);
+    assert.strictEqual(setReaction(reacted, emoji, 'ann', false).reactions, undefined);
+  }
+  assert.strictEqual({}.ann, undefined);
+});
+
+test('threads are one level deep', () => {
+  const reply = { id: 'r1', inReplyTo: 'm1', threadId: threadOf(msg) };
+  assert.strictEqual(threadOf(reply), 'm1');
+  assert.ok(belongsToThread(msg, 'm1') && belongsToThread(reply, 'm1'));
+  assert.ok(!belongsToThread({ id: 'x' }, 'm1'));
+});
@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { participantsOf, threadKey, inThread } = require('../direct-messages');
+
+test('direct message threads do not depend on who sent', () => {
+  assert.deepStrictEqual(participantsOf({ from: 'sarah', to: ['rob', 'sarah'] }), ['rob', 'sarah']);
+  const key = threadKey(['sarah', 'rob']);
+  assert.ok(inThread({ from: 'rob', to: ['sarah'] }, key));
+  assert.ok(!inThread({ from: 'rob', to: ['sarah', 'ann'] }, key));
+});
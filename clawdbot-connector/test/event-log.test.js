@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEventLog } = require('../event-log');
+
+const reader = { userId: 'reader' };
+
+test('events are numbered and replayed after a seq, except ephemeral ones', () => {
+  const log = createEventLog();
+  const chat = log.append({ type: 'chat', text: 'one' });
+  log.append({ type: 'typing', userId: 'rob' });
+  log.append({ type: 'chat', text: 'two' });
+  assert.strictEqual(chat.seq, 1);
+  assert.strictEqual(log.seq, 3);
+
+  assert.deepStrictEqual(log.since(0, reader).map(e => [e.seq, e.text]), [[1, 'one'], [3, 'two']]);
+  assert.deepStrictEqual(log.since(1, reader).map(e => e.seq), [3]);
+  assert.deepStrictEqual(log.since(3, reader), []);
+  assert.strictEqual(log.since(4, reader), null);
+  assert.strictEqual(log.since(undefined, reader), null);
+});
+
+test('a client is not sent back its own events, nor others\' private ones', () => {
+  const log = createEventLog();
+  const rob = { userId: 'rob' };
+  const sam = { userId: 'sam' };
+  log.append({ type: 'move', userId: 'rob' }, rob);
+  log.append({ type: 'dm', text: 'hi' }, null, new Set(['rob', 'pauline']));
+
+  assert.deepStrictEqual(log.since(0, rob).map(e => e.type), ['dm']);
+  assert.deepStrictEqual(log.since(0, sam).map(e => e.type), ['move']);
+});
+
+test('once events have left the buffer a full resync is needed', () => {
+  const log = createEventLog({ limit: 2 });
+  for (let i = 0; i < 4; i++) log.append({ type: 'chat', text: String(i) });
+  assert.strictEqual(log.since(1, reader), null);
+  assert.deepStrictEqual(log.since(2, reader).map(e => e.seq), [3, 4]);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toFeatureCollection, exportDrawings, detectFormat, parseDrawings } = require('../geo-formats');
+
+const zone = {
+  id: 'd1',
+  name: 'Camp <A>',
+  type: 'zone',
+  style: { color: '#3b82f6' },
+  revision: 2,
+  geojson: { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }, properties: { team: 'red' } }
+};
+const marker = { id: 'd2', name: 'Well', type: 'marker', geojson: { type: 'Point', coordinates: [-1.5, 52.25, 120] } };
+
+test('toFeatureCollection carries drawing fields as properties', () => {
+  const { features } = toFeatureCollection([zone, marker]);
+  assert.strictEqual(features.length, 2);
+  assert.deepStrictEqual(features[0].properties, { team: 'red', name: 'Camp <A>', type: 'zone', style: { color: '#3b82f6' }, id: 'd1', revision: 2 });
+  assert.strictEqual(features[1].geometry.type, 'Point');
+});
+
+test('export skips drawings with broken stored shapes', () => {
+  const broken = [
+    { id: 'b1', geojson: { type: 'LineString', coordinates: [1, 2] } },
+    { id: 'b2', geojson: { type: 'Point', coordinates: null } },
+    { id: 'b3', geojson: { type: 'GeometryCollection' } },
+    { id: 'b4', geojson: { type: 'Point', coordinates: ['1" onload="x', 2] } },
+    { id: 'b5', geojson: { type: 'Polygon', coordinates: [[{}]] } }
+  ];
+  for (const format of ['geojson', 'kml', 'gpx']) {
+    const text = exportDrawings([...broken, marker], format);
+    assert.ok(!/b[1-5]/.test(text), format);
+    assert.ok(text.includes('Well'), format);
+  }
+});
+
+test('exportDrawings writes KML and GPX that read back', () => {
+  for (const format of ['kml', 'gpx']) {
+    const text = exportDrawings([zone, marker], format, { name: 'Room & co' });
+    assert.strictEqual(detectFormat(text), format);
+    const { drawings, skipped } = parseDrawings(text, format);
+    assert.deepStrictEqual(skipped, []);
+    const names = drawings.map(d => d.drawing.name).sort();
+    assert.deepStrictEqual(names, ['Camp <A>', 'Well']);
+    const well = drawings.find(d => d.drawing.name === 'Well').drawing;
+    assert.deepStrictEqual(well.geojson.geometry, { type: 'Point', coordinates: [-1.5, 52.25, 120] });
+  }
+});
+
+test('GPX export writes numbers into coordinates', () => {
+  const text = exportDrawings([marker], 'gpx');
+  assert.match(text, /<wpt lat="52.25" lon="-1.5"><ele>120<\/ele>/);
+});
+
+test('parseDrawings skips features it cannot use', () => {
+  const text = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [200, 0] }, properties: {} },
+      { type: 'Feature', geometry: { type: 'Circle', coordinates: [0, 0] }, properties: {} },
+      { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: { name: 'Path', id: 'x', colour: 'red' } }
+    ]
+  });
+  const { drawings, skipped } = parseDrawings(text, 'geojson');
+  assert.deepStrictEqual(skipped.map(s => s.index), [0, 1]);
+  assert.strictEqual(drawings[0].drawing.name, 'Path');
+  assert.strictEqual(drawings[0].drawing.type, 'route');
+  assert.deepStrictEqual(drawings[0].drawing.geojson.properties, { colour: 'red' });
+});
+
+test('parseDrawings rejects unreadable files', () => {
+  assert.throws(() => parseDrawings('{nope', 'geojson'), /Not valid JSON/);
+  assert.throws(() => parseDrawings('<gpx><wpt', 'kml'), /XML|KML/);
+  assert.strictEqual(detectFormat('hello'), null);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isFence, checkFences, checkProximity } = require('../geofence');
+const { polygonsOf, insidePolygon } = require('../room-context');
+
+const square = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+const fence = (id, coordinates) => ({ id, type: 'zone', geojson: { type: 'Feature', geometry: { type: 'Polygon', coordinates }, properties: {} } });
+
+test('insidePolygon respects holes', () => {
+  const hole = [[0.4, 0.4], [0.6, 0.4], [0.6, 0.6], [0.4, 0.4]];
+  const { geojson } = fence('a', [square, hole]);
+  assert.strictEqual(insidePolygon({ lat: 0.2, lng: 0.2 }, geojson), true);
+  assert.strictEqual(insidePolygon({ lat: 0.45, lng: 0.55 }, geojson), false);
+  assert.strictEqual(insidePolygon({ lat: 2, lng: 2 }, geojson), false);
+});
+
+test('polygonsOf drops broken rings and polygons', () => {
+  assert.deepStrictEqual(polygonsOf(fence('a', [square, [[0, 0], 'x'], null]).geojson), [[square]]);
+  assert.deepStrictEqual(polygonsOf(fence('a', [[[0, 0], [1, 1]]]).geojson), []);
+  assert.deepStrictEqual(polygonsOf(fence('a', 'nope').geojson), []);
+  assert.deepStrictEqual(polygonsOf({ type: 'MultiPolygon', coordinates: [[square], 7, [[null, [1, 1], [2, 2]]]] }), [[square]]);
+  assert.strictEqual(isFence(fence('a', [[[0, 0]]]), ['zone']), false);
+});
+
+test('checkFences reports entering and leaving, with a margin', () => {
+  const inside = new Set();
+  const fences = [fence('a', [square])];
+  assert.deepStrictEqual(checkFences(inside, { lat: 0.5, lon: 0.5 }, fences).entered.map(f => f.id), ['a']);
+  assert.deepStrictEqual(checkFences(inside, { lat: 0.5, lon: 1.000001 }, fences, { margin: 5 }).exited, []);
+  assert.deepStrictEqual(checkFences(inside, { lat: 0.5, lon: 1.1 }, fences, { margin: 5 }).exited, ['a']);
+  inside.add('gone');
+  assert.deepStrictEqual(checkFences(inside, { lat: 5, lon: 5 }, fences).exited, ['gone']);
+});
+
+test('checkFences ignores malformed fences', () => {
+  const inside = new Set();
+  const fences = [
+    { id: 'bad1', geojson: { type: 'Polygon', coordinates: [[null, [1, 1], [2, 2]]] } },
+    { id: 'bad2', geojson: { type: 'Polygon', coordinates: [5] } },
+    { id: 'bad3', geojson: { type: 'MultiPolygon', coordinates: null } },
+    fence('good', [square])
+  ];
+  const { entered } = checkFences(inside, { lat: 0.5, lng: 0.5 }, fences);
+  assert.deepStrictEqual(entered.map(f => f.id), ['good']);
+  assert.doesNotThrow(() => checkFences(inside, { lat: 9, lng: 9 }, fences, { margin: 10 }));
+});
+
+test('checkProximity pairs users within range', () => {
+  const near = new Set();
+  const others = [{ userId: 'b', location: { lat: 0, lon: 0.0001 } }, { userId: 'c', location: { lat: 1, lon: 1 } }];
+  const first = checkProximity(near, 'a', { lat: 0, lon: 0 }, others, { meters: 50 });
+  assert.deepStrictEqual(first.entered.map(o => o.userId), ['b']);
+  const second = checkProximity(near, 'a', { lat: 0, lon: 0.01 }, others, { meters: 50 });
+  assert.deepStrictEqual(second.exited.map(o => o.userId), ['b']);
+});
@@ -0,0 +1,187 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { signToken } = require('../auth');
+const { startService } = require('./service');
+
+const SECRET = 'http-test-secret';
+const token = signToken({ sub: 'rob', room: 'site-a' }, SECRET);
+let service;
+let base;
+let workspace;
+
+before(async () => {
+  service = await startService({ AUTH_MODE: 'token', AUTH_SECRET: SECRET, ROOM_IDLE_MS: '200', RESUME_GRACE_MS: '0' });
+  ({ base, workspace } = service);
+});
+
+after(() => service && service.stop());
+
+function get(route, { auth = true } = {}) {
+  return fetch(`${base}${route}`, { headers: auth ? { Authorization: `Bearer ${token}` } : {} });
+}
+
+function post(route, body) {
+  return fetch(`${base}${route}`, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body });
+}
+
+// Connect to `room`, authenticate and send `messages`; resolves with every
+// message received until `until(msg)` matches one
+function session(room, messages, until) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${base.replace('http', 'ws')}/${room}`);
+    const received = [];
+    const timer = setTimeout(() => {
+      ws.terminate();
+      reject(new Error(`Timed out: ${JSON.stringify(received.map(m => m.type))}`));
+    }, 5000);
+    ws.on('open', () => ws.send(JSON.stringify({ type: 'auth', token })));
+    ws.on('message', data => {
+      const msg = JSON.parse(data);
+      received.push(msg);
+      if (msg.type === 'auth_ok') messages.forEach(m => ws.send(JSON.stringify(m)));
+      if (until(msg)) {
+        clearTimeout(timer);
+        ws.close();
+        resolve(received);
+      }
+    });
+    ws.on('error', reject);
+  });
+}
+
+// The HTTP status a WebSocket connection to `route` is refused with
+function refusedWith(route) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${base.replace('http', 'ws')}${route}`);
+    ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+    ws.on('open', () => reject(new Error('Upgraded')));
+    ws.on('error', () => {});
+  });
+}
+
+test('GET /health answers without a token', async () => {
+  const res = await get('/health', { auth: false });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).status, 'ok');
+});
+
+test('room routes need a token for that room', async () => {
+  assert.strictEqual((await get('/state?room=site-a', { auth: false })).status, 401);
+  assert.strictEqual((await get('/state?room=site-b')).status, 401);
+  assert.strictEqual((await get('/state?room=site-a')).status, 200);
+  assert.strictEqual((await get('/rooms')).status, 401);
+  assert.strictEqual((await get('/health?room=site-a')).status, 200);
+  assert.strictEqual((await get('/health?room=../etc')).status, 400);
+  assert.strictEqual((await get('/nowhere')).status, 404);
+});
+
+test('chat sent over the WebSocket comes back from /history and /search', async () => {
+  const received = await session('site-a', [{ type: 'chat', text: 'Drainage survey booked for Tuesday' }],
+    msg => msg.type === 'chat' || msg.type === 'error');
+  assert.strictEqual(received.at(-1).type, 'chat');
+
+  const history = await (await get('/history?room=site-a')).json();
+  assert.deepStrictEqual(history.messages.map(m => [m.from, m.text]), [['rob', 'Drainage survey booked for Tuesday']]);
+  const older = await (await get(`/history?room=site-a&before=${history.messages[0].id}`)).json();
+  assert.deepStrictEqual(older.messages, []);
+
+  const search = await (await get('/search?room=site-a&q=drain*')).json();
+  assert.strictEqual(search.total, 1);
+});
+
+test('history pages back from an ISO date as well as a timestamp', async () => {
+  const { messages } = await (await get('/history?room=site-a')).json();
+  const sentAt = messages[0].timestamp;
+  const beforeDate = await (await get(`/history?room=site-a&before=${new Date(sentAt + 1).toISOString()}`)).json();
+  assert.deepStrictEqual(beforeDate.messages.map(m => m.id), [messages[0].id]);
+  const beforeTime = await (await get(`/history?room=site-a&before=${sentAt}`)).json();
+  assert.deepStrictEqual(beforeTime.messages, []);
+});
+
+test('bad history and track times get a 400', async () => {
+  assert.strictEqual((await get('/history?room=site-a&before=99999999999999999')).status, 400);
+  assert.strictEqual((await get('/history?room=site-a&before=2026-02-30')).status, 400);
+  assert.strictEqual((await get('/tracks?room=site-a&from=99999999999999999')).status, 400);
+  assert.strictEqual((await get('/tracks?room=site-a&format=kml')).status, 400);
+  assert.strictEqual((await get('/tracks?room=site-a&from=2026-01-30')).status, 200);
+});
+
+test('drawings import from GeoJSON and export as KML and GPX', async () => {
+  const file = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [-1.9, 52.48] }, properties: { name: 'Gate' } },
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[0, 0], ['x', 0], [1, 1], [0, 0]]] }, properties: { name: 'Broken' } }
+    ]
+  });
+  const imported = await (await post('/drawings/import?room=site-a', file)).json();
+  assert.strictEqual(imported.imported, 1);
+  assert.deepStrictEqual(imported.skipped.map(s => s.index), [1]);
+
+  const { drawings } = await (await get('/drawings?room=site-a')).json();
+  assert.deepStrictEqual(drawings.map(d => [d.name, d.type, d.createdBy]), [['Gate', 'marker', 'rob']]);
+
+  const kml = await get('/drawings/export?room=site-a&format=kml');
+  assert.strictEqual(kml.headers.get('content-type'), 'application/vnd.google-earth.kml+xml');
+  assert.match(await kml.text(), /<name>Gate<\/name>.*<coordinates>-1.9,52.48<\/coordinates>/s);
+  assert.match(await (await get('/drawings/export?room=site-a&format=gpx')).text(), /<wpt lat="52.48" lon="-1.9">/);
+  assert.strictEqual((await get('/drawings/export?room=site-a&format=shp')).status, 400);
+  assert.strictEqual((await post('/drawings/import?room=site-a', 'not a map')).status, 400);
+});
+
+test('drawings with broken geometry are refused over the WebSocket', async () => {
+  const received = await session('site-a', [{ type: 'drawing', drawing: { geojson: { type: 'LineString', coordinates: [1, 2] } } }],
+    msg => msg.type === 'error' || msg.type === 'drawing');
+  assert.deepStrictEqual([received.at(-1).code, received.at(-1).field], ['invalid_message', 'drawing.geojson']);
+});
+
+test('attachments upload, list and download', async () => {
+  assert.strictEqual((await post('/attachments?room=site-a', Buffer.from('<html>'))).status, 415);
+
+  const pdf = Buffer.from('%PDF-1.7\n% test\n');
+  const uploaded = await post('/attachments?room=site-a&name=plan.pdf', pdf);
+  assert.strictEqual(uploaded.status, 201);
+  const { attachment } = await uploaded.json();
+  assert.deepStrictEqual([attachment.name, attachment.type, attachment.size], ['plan.pdf', 'application/pdf', pdf.length]);
+
+  const { attachments } = await (await get('/attachments?room=site-a')).json();
+  assert.deepStrictEqual(attachments.map(a => a.id), [attachment.id]);
+  const file = await get(`/attachments/${attachment.id}?room=site-a`);
+  assert.deepStrictEqual(Buffer.from(await file.arrayBuffer()), pdf);
+  assert.strictEqual((await get('/attachments/nope?room=site-a')).status, 404);
+});
+
+test('a failing route answers 500 and the service keeps running', async () => {
+  // Metadata that can't be read: a directory where the file should be
+  fs.mkdirSync(path.join(workspace, 'rooms', 'site-a', 'attachments', 'broken.json'), { recursive: true });
+  const res = await get('/attachments/broken?room=site-a');
+  assert.strictEqual(res.status, 500);
+  assert.deepStrictEqual(await res.json(), { error: 'Internal server error' });
+  assert.strictEqual((await get('/health')).status, 200);
+});
+
+test('a WebSocket URL that can\'t be decoded or names a bad room is refused with 400', async () => {
+  assert.strictEqual(await refusedWith('/%E0%A4%A'), 400);
+  assert.strictEqual(await refusedWith('/?room=../etc'), 400);
+  assert.strictEqual((await get('/health')).status, 200);
+});
+
+test('a room is unloaded once it has been empty for ROOM_IDLE_MS', async () => {
+  const loaded = async () => (await (await get('/health')).json()).rooms;
+  const already = await loaded();
+  const ws = new WebSocket(`${base.replace('http', 'ws')}/passing`);
+  await new Promise(resolve => ws.on('open', resolve));
+  ws.send(JSON.stringify({ type: 'auth', token: signToken({ sub: 'rob', room: 'passing' }, SECRET) }));
+  await new Promise(resolve => ws.once('message', resolve));
+  assert.strictEqual(await loaded(), already + 1);
+  ws.close();
+
+  const deadline = Date.now() + 3000;
+  while (await loaded() > already) {
+    assert.ok(Date.now() < deadline, 'room still loaded');
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPersonas, mentionedPersonas, findPersona } = require('../personas');
+
+const defaults = {
+  id: 'pauline',
+  api: 'http://127.0.0.1:18789',
+  token: 'default-token',
+  model: 'openclaw:main',
+  sessionUser: 'field-room',
+  tools: true,
+  concurrency: 1
+};
+
+async function fromFile(contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-room-personas-'));
+  const file = path.join(dir, 'personas.json');
+  fs.writeFileSync(file, JSON.stringify(contents));
+  try {
+    return await loadPersonas(file, defaults);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('without a file there is one persona with the defaults', async () => {
+  const [persona] = await loadPersonas('', defaults);
+  assert.deepStrictEqual([persona.id, persona.api, persona.token, persona.model], ['pauline', defaults.api, 'default-token', 'openclaw:main']);
+});
+
+test('personas from a file fall back to the defaults, but not for tokens of other gateways', async () => {
+  const [pauline, oracle] = await fromFile([
+    { id: 'pauline' },
+    { id: 'oracle', api: 'http://10.0.0.2:18789', model: 'openclaw:oracle', tools: false, systemPrompt: 'You are oracle' }
+  ]);
+  assert.strictEqual(pauline.token, 'default-token');
+  assert.deepStrictEqual([oracle.api, oracle.token, oracle.model, oracle.tools], ['http://10.0.0.2:18789', '', 'openclaw:oracle', false]);
+  assert.strictEqual(oracle.systemPrompt, 'You are oracle');
+});
+
+test('bad persona files are refused', async () => {
+  await assert.rejects(fromFile([]), /non-empty array/);
+  await assert.rejects(fromFile([{ id: 'has space' }]), /Invalid persona id/);
+  await assert.rejects(fromFile({ personas: [{ id: 'oracle' }, { id: 'Oracle' }] }), /Duplicate persona id/);
+});
+
+test('mentions match whole names in any case, in config order', async () => {
+  const personas = await fromFile([{ id: 'pauline' }, { id: 'oracle' }]);
+  assert.deepStrictEqual(mentionedPersonas(personas, '@Oracle and pauline, thoughts?').map(p => p.id), ['pauline', 'oracle']);
+  assert.deepStrictEqual(mentionedPersonas(personas, 'oracles and paulines'), []);
+  assert.strictEqual(findPersona(personas, 'ORACLE').id, 'oracle');
+  assert.strictEqual(findPersona(personas, 'nobody'), null);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateMessage, geometryError } = require('../protocol');
+
+function fieldOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return `${err.code} ${err.field}`;
+  }
+  return null;
+}
+
+test('validateMessage checks fields against the schema', () => {
+  assert.strictEqual(fieldOf(() => validateMessage({ type: 'chat', text: 'hi' })), null);
+  assert.strictEqual(fieldOf(() => validateMessage({ type: 'chat', text: '  ' })), 'invalid_message text');
+  assert.strictEqual(fieldOf(() => validateMessage({ type: 'nope' })), 'unknown_type type');
+  assert.strictEqual(fieldOf(() => validateMessage({ type: 'move', location: { lat: 1 } })), 'invalid_message location.lon');
+  assert.strictEqual(fieldOf(() => validateMessage({ type: 'drawing_delete', id: '../x' })), 'invalid_message id');
+  assert.strictEqual(fieldOf(() => validateMessage({ type: 'history_request', before: 99999999999999999 })), 'invalid_message before');
+});
+
+test('geometryError accepts well-formed geometries', () => {
+  const shapes = [
+    { type: 'Point', coordinates: [1, 2, 3] },
+    { type: 'LineString', coordinates: [[0, 0], [1, 1]] },
+    { type: 'MultiPolygon', coordinates: [[[[0, 0], [1, 0], [1, 1], [0, 0]]]] },
+    { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [0, 0] }] }
+  ];
+  for (const shape of shapes) assert.strictEqual(geometryError(shape), null, shape.type);
+});
+
+test('geometryError names what is wrong', () => {
+  assert.strictEqual(geometryError(null), 'No geometry');
+  assert.strictEqual(geometryError({ type: 'Circle', coordinates: [0, 0] }), 'Unsupported geometry type: Circle');
+  assert.strictEqual(geometryError({ type: 'LineString', coordinates: [1, 2] }), 'Invalid LineString coordinates');
+  assert.strictEqual(geometryError({ type: 'Point', coordinates: ['1', 2] }), 'Invalid Point coordinates');
+  assert.strictEqual(geometryError({ type: 'Polygon', coordinates: [[[0, 0], [1, null]]] }), 'Invalid Polygon coordinates');
+  assert.strictEqual(geometryError({ type: 'Polygon', coordinates: [] }), 'Invalid Polygon coordinates');
+  assert.strictEqual(geometryError({ type: 'GeometryCollection' }), 'Empty geometry collection');
+  const nested = { type: 'GeometryCollection', geometries: [{ type: 'GeometryCollection', geometries: [] }] };
+  assert.strictEqual(geometryError(nested), 'Unsupported geometry type: GeometryCollection');
+});
+
+test('drawings and drawing updates need valid GeoJSON', () => {
+  const feature = (geometry) => ({ type: 'Feature', geometry, properties: {} });
+  const drawing = (geojson) => validateMessage({ type: 'drawing', drawing: { geojson } });
+  assert.doesNotThrow(() => drawing(feature({ type: 'Point', coordinates: [0, 0] })));
+  assert.doesNotThrow(() => drawing({ type: 'Point', coordinates: [0, 0] }));
+  assert.strictEqual(fieldOf(() => drawing(feature(null))), 'invalid_message drawing.geojson');
+  assert.strictEqual(fieldOf(() => drawing({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [[{}]] } })), 'invalid_message drawing.geojson');
+  const update = { type: 'drawing_update', baseRevision: 1, drawing: { id: 'a', geojson: { type: 'LineString', coordinates: 'x' } } };
+  assert.throws(() => validateMessage(update), /drawing\.geojson is not valid GeoJSON: Invalid LineString coordinates/);
+});
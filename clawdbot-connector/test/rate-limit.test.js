@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../rate-limit');
+
+test('a bucket allows bursts up to its limit, then says how long to wait', () => {
+  const limiter = createRateLimiter({ limit: 3, windowMs: 3000 });
+  assert.deepStrictEqual([limiter.take('a'), limiter.take('a'), limiter.take('a')], [0, 0, 0]);
+  const wait = limiter.take('a');
+  assert.ok(wait > 0 && wait <= 1000, String(wait));
+  assert.strictEqual(limiter.take('b'), 0);
+  limiter.forget('a');
+  assert.strictEqual(limiter.take('a'), 0);
+});
+
+test('a limit of 0 allows everything', () => {
+  const limiter = createRateLimiter({ limit: 0, windowMs: 1000 });
+  for (let i = 0; i < 100; i++) assert.strictEqual(limiter.take('a'), 0);
+});
@@ -0,0 +1,191 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { signToken } = require('../auth');
+const { startService, connect, type } = require('./service');
+
+// A stand-in for the persona's gateway, answering by what it was last asked:
+// "stream" streams "Hel" + "lo", "flaky" fails once with a 503 first, and
+// "slow" never answers
+const SECRET = 'realtime-test-secret';
+const failedOnce = new Set();
+let gateway;
+let service;
+
+function answerCompletion(req, res) {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const asked = JSON.parse(body).messages.at(-1).content;
+    if (asked.includes('slow')) return;
+    if (asked.includes('flaky') && !failedOnce.has(asked)) {
+      failedOnce.add(asked);
+      res.writeHead(503).end('busy');
+      return;
+    }
+    if (asked.includes('stream')) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const content of ['Hel', 'lo']) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+      res.end('data: [DONE]\n\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'Back again' } }] }));
+  });
+}
+
+before(async () => {
+  gateway = http.createServer(answerCompletion);
+  await new Promise(resolve => gateway.listen(0, '127.0.0.1', resolve));
+  service = await startService({
+    AUTH_MODE: 'token',
+    AUTH_SECRET: SECRET,
+    OPENCLAW_API: `http://127.0.0.1:${gateway.address().port}`,
+    AI_TOOLS: 'false',
+    AI_TIMEOUT_MS: '1000',
+    AI_RETRY_DELAY_MS: '10',
+    HEARTBEAT_INTERVAL_MS: '200',
+    IDLE_AFTER_MS: '300',
+    AWAY_AFTER_MS: '600',
+    RESUME_GRACE_MS: '1000'
+  });
+});
+
+after(async () => {
+  if (service) await service.stop();
+  gateway.closeAllConnections();
+  await new Promise(resolve => gateway.close(resolve));
+});
+
+// A connected, authenticated client of `room`
+async function join(room, userId, options) {
+  const client = connect(service.base, room, { type: 'auth', token: signToken({ sub: userId, room }, SECRET) }, options);
+  client.hello = await client.next(type('auth_ok'));
+  return client;
+}
+
+// The ai_status values a request goes through, up to a final one
+async function statuses(client, id) {
+  const seen = [];
+  while (!['done', 'failed', 'cancelled'].includes(seen.at(-1))) {
+    seen.push((await client.next(type('ai_status', { id }))).status);
+  }
+  return seen;
+}
+
+test('a streamed reply arrives as start, deltas and end under one id', async () => {
+  const rob = await join('stream', 'rob');
+  rob.send({ type: 'invoke', id: 'q1', command: 'stream it please' });
+
+  assert.deepStrictEqual(await statuses(rob, 'q1'), ['queued', 'running', 'done']);
+  const start = await rob.next(type('ai_response_start'));
+  assert.deepStrictEqual([start.from, start.inReplyTo], ['pauline', 'q1']);
+  const deltas = [await rob.next(type('ai_response_delta')), await rob.next(type('ai_response_delta'))];
+  assert.deepStrictEqual(deltas.map(d => [d.id, d.delta]), [[start.id, 'Hel'], [start.id, 'lo']]);
+  const end = await rob.next(type('ai_response_end'));
+  assert.deepStrictEqual([end.id, end.text], [start.id, 'Hello']);
+  await rob.close();
+});
+
+test('a failing gateway call is retried, a hanging one times out', async () => {
+  const rob = await join('retry', 'rob');
+  rob.send({ type: 'invoke', id: 'q1', command: 'flaky one' });
+  assert.deepStrictEqual(await statuses(rob, 'q1'), ['queued', 'running', 'retrying', 'done']);
+  assert.strictEqual((await rob.next(type('ai_response_end'))).text, 'Back again');
+
+  rob.send({ type: 'invoke', id: 'q2', command: 'slow one' });
+  assert.deepStrictEqual(await statuses(rob, 'q2'), ['queued', 'running', 'failed']);
+  const error = await rob.next(type('error', { code: 'ai_failed' }));
+  assert.match(error.error, /timed out/);
+  await rob.close();
+});
+
+test('a running request can be cancelled, and an unknown one can\'t', async () => {
+  const rob = await join('cancel', 'rob');
+  rob.send({ type: 'invoke', id: 'q1', command: 'slow again' });
+  await rob.next(type('ai_status', { id: 'q1', status: 'running' }));
+  rob.send({ type: 'invoke_cancel', id: 'q1' });
+  await rob.next(type('ai_status', { id: 'q1', status: 'cancelled' }));
+
+  rob.send({ type: 'invoke_cancel', id: 'q1' });
+  assert.strictEqual((await rob.next(type('error'))).code, 'not_found');
+  await rob.close();
+});
+
+test('drawing updates must be based on the current revision', async () => {
+  const rob = await join('drawings', 'rob');
+  const geojson = { type: 'Feature', geometry: { type: 'Point', coordinates: [-1.9, 52.48] }, properties: {} };
+  rob.send({ type: 'drawing', drawing: { id: 'd1', name: 'Gate', type: 'marker', geojson } });
+  assert.strictEqual((await rob.next(type('drawing'))).drawing.revision, 1);
+
+  rob.send({ type: 'drawing_update', baseRevision: 1, drawing: { id: 'd1', name: 'Main gate' } });
+  assert.strictEqual((await rob.next(type('drawing_update'))).drawing.revision, 2);
+
+  rob.send({ type: 'drawing_update', baseRevision: 1, drawing: { id: 'd1', name: 'Side gate' } });
+  const conflict = await rob.next(type('error'));
+  assert.deepStrictEqual([conflict.code, conflict.drawing.revision, conflict.drawing.name], ['conflict', 2, 'Main gate']);
+  await rob.close();
+});
+
+test('presence changes arrive as deltas', async () => {
+  const rob = await join('presence', 'rob');
+  const sam = await join('presence', 'sam');
+  const joined = await rob.next(msg => msg.type === 'presence_delta' && msg.joined.some(p => p.userId === 'sam'));
+  const { presenceId } = joined.joined.find(p => p.userId === 'sam');
+
+  sam.send({ type: 'status', text: 'On site', dnd: true });
+  const changed = await rob.next(msg => msg.type === 'presence_delta' && msg.changed.some(c => c.presenceId === presenceId && c.statusText));
+  assert.deepStrictEqual(changed.changed.find(c => c.presenceId === presenceId), { presenceId, statusText: 'On site', dnd: true });
+  await Promise.all([rob.close(), sam.close()]);
+});
+
+test('quiet users go idle then away, and dead connections are dropped', async () => {
+  const rob = await join('heartbeat', 'rob');
+  // Never answers a ping
+  const sam = await join('heartbeat', 'sam', { autoPong: false });
+  const joined = await rob.next(msg => msg.type === 'presence_delta' && msg.joined.some(p => p.userId === 'sam'));
+  const { presenceId } = joined.joined.find(p => p.userId === 'sam');
+
+  const samStatus = msg => msg.type === 'presence_delta' && msg.changed.some(c => c.presenceId === presenceId && c.status);
+  assert.strictEqual((await rob.next(samStatus)).changed.find(c => c.presenceId === presenceId).status, 'idle');
+  assert.strictEqual((await rob.next(samStatus)).changed.find(c => c.presenceId === presenceId).status, 'away');
+
+  await sam.closed;
+  // ...and leaves once the resume grace is over
+  await rob.next(msg => msg.type === 'presence_delta' && msg.left.includes(presenceId));
+  await rob.close();
+});
+
+test('a resumed session is sent only the events it missed', async () => {
+  const rob = await join('resume', 'rob');
+  const sam = await join('resume', 'sam');
+  const { resumeToken } = rob.hello;
+  const lastSeq = (await rob.next(type('join', { userId: 'sam' }))).seq;
+  await rob.close();
+
+  sam.send({ type: 'chat', text: 'Missed this' });
+  await sam.next(type('chat'));
+  const back = connect(service.base, 'resume', {
+    type: 'auth', token: signToken({ sub: 'rob', room: 'resume' }, SECRET), resume: resumeToken, lastSeq
+  });
+  const hello = await back.next(type('auth_ok'));
+  assert.deepStrictEqual([hello.resumed, hello.replayed], [true, 1]);
+  assert.strictEqual((await back.next(type('chat'))).text, 'Missed this');
+  await Promise.all([back.close(), sam.close()]);
+});
+
+test('open mode never lets a connection claim to be an AI', async () => {
+  const open = await startService({ AUTH_MODE: 'open' });
+  try {
+    for (const auth of [{ userId: 'pauline' }, { userId: 'bot', userType: 'ai' }]) {
+      const client = connect(open.base, 'site-a', { type: 'auth', ...auth });
+      assert.match((await client.next(type('error'))).error, /signed token/);
+      await client.closed;
+    }
+    const rob = connect(open.base, 'site-a', { type: 'auth', userId: 'rob' });
+    assert.deepStrictEqual(await rob.next(type('auth_ok')).then(m => [m.userId, m.userType]), ['rob', 'human']);
+    await rob.close();
+  } finally {
+    await open.stop();
+  }
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { createRedisConnection } = require('../redis');
+const { createPubSub } = require('../pubsub');
+
+// A RESP server answering each command, in order, with `reply(args)`: a raw
+// RESP string, [string, delayMs], or null to hang
+async function fakeRedis(reply) {
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    let replies = Promise.resolve();
+    socket.on('data', chunk => {
+      // One command per chunk is enough for these tests
+      const args = chunk.toString().split('\r\n').filter((_, i) => i > 0 && i % 2 === 0);
+      const out = reply(args);
+      const [text, delay] = Array.isArray(out) ? out : [out, 0];
+      replies = replies.then(() => new Promise(resolve => {
+        if (text === null) return;
+        setTimeout(() => {
+          socket.write(text);
+          resolve();
+        }, delay);
+      }));
+    });
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    drop: () => sockets.forEach(s => s.destroy()),
+    close: () => new Promise(resolve => {
+      sockets.forEach(s => s.destroy());
+      server.close(resolve);
+    })
+  };
+}
+
+// A port nothing listens on
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return `redis://127.0.0.1:${port}`;
+}
+
+test('commands get their replies, errors included', async () => {
+  const redis = await fakeRedis(([cmd]) => (cmd === 'PING' ? '+PONG\r\n' : '-ERR unknown\r\n'));
+  const conn = createRedisConnection(redis.url);
+  try {
+    assert.strictEqual(await conn.command('PING'), 'PONG');
+    await assert.rejects(conn.command('NOPE'), /ERR unknown/);
+  } finally {
+    conn.close();
+    await redis.close();
+  }
+});
+
+test('a slow command times out, and later replies stay in order', async () => {
+  let calls = 0;
+  const redis = await fakeRedis(() => (++calls === 1 ? ['$4\r\nslow\r\n', 400] : '+PONG\r\n'));
+  const conn = createRedisConnection(redis.url, { commandTimeout: 250 });
+  try {
+    await assert.rejects(conn.command('GET', 'slow'), /timed out/);
+    assert.strictEqual(await conn.command('PING'), 'PONG');
+  } finally {
+    conn.close();
+    await redis.close();
+  }
+});
+
+test('commands fail at once while the connection is down', async () => {
+  const conn = createRedisConnection(await closedPort(), { commandTimeout: 60000 });
+  try {
+    const started = Date.now();
+    await assert.rejects(conn.command('PING'), /connection lost/);
+    await assert.rejects(conn.command('PING'), /connection lost/);
+    assert.ok(Date.now() - started < 5000);
+  } finally {
+    conn.close();
+  }
+});
+
+test('a lost connection fails what was waiting and what comes next', async () => {
+  const redis = await fakeRedis(([cmd]) => (cmd === 'PING' ? '+PONG\r\n' : null));
+  const conn = createRedisConnection(redis.url, { commandTimeout: 60000 });
+  try {
+    assert.strictEqual(await conn.command('PING'), 'PONG');
+    const waiting = conn.command('GET', 'x');
+    redis.drop();
+    await assert.rejects(waiting, /connection lost/);
+    await assert.rejects(conn.command('PING'), /connection lost/);
+  } finally {
+    conn.close();
+    await redis.close();
+  }
+});
+
+test('claims fall back to answering locally when Redis is down', async () => {
+  const bus = createPubSub('redis', { url: await closedPort(), instanceId: 'a' });
+  try {
+    assert.strictEqual(await bus.claim('ai:room:req', 1000), true);
+  } finally {
+    bus.close();
+  }
+});
+
+test('the local adapter grants each claim once', async () => {
+  const bus = createPubSub('local', { instanceId: 'a' });
+  assert.strictEqual(await bus.claim('k', 1000), true);
+  assert.strictEqual(await bus.claim('k', 1000), false);
+  bus.close();
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizeRoom, distance, toPoint, formatDistance } = require('../room-context');
+
+const now = Date.UTC(2026, 0, 30, 9, 0);
+const square = (lon, lat, size) => ({
+  type: 'Polygon',
+  coordinates: [[[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]]]
+});
+const room = {
+  name: 'site-a',
+  members: [
+    { userId: 'rob', userType: 'human', location: { lat: 52.4800, lon: -1.9000 }, locationUpdatedAt: now - 120000 },
+    { userId: 'ann', userType: 'human', location: { lat: 52.4810, lng: -1.9000 }, locationUpdatedAt: now },
+    { userId: 'pauline', userType: 'ai' }
+  ],
+  drawings: [
+    { id: 'd1', name: 'Yard', type: 'zone', geojson: square(-1.9005, 52.4795, 0.001) },
+    { id: 'd2', name: 'Far gate', type: 'marker', geojson: { type: 'Point', coordinates: [-1.8, 52.5] } },
+    { id: 'd3', name: 'Old', type: 'marker', deleted: true, geojson: { type: 'Point', coordinates: [-1.9, 52.48] } }
+  ],
+  state: { site: { name: 'Digbeth' }, drawings: [] }
+};
+
+test('locations read as lat/lon or lat/lng', () => {
+  assert.deepStrictEqual(toPoint({ lat: 1, lon: 2 }), { lat: 1, lon: 2, lng: 2 });
+  assert.strictEqual(toPoint({ lat: 1 }), null);
+  assert.strictEqual(Math.round(distance({ lat: 0, lng: 0 }, { lat: 0, lng: 1 })), 111195);
+  assert.deepStrictEqual([formatDistance(950), formatDistance(1500)], ['950 m', '1.5 km']);
+});
+
+test('the summary places people and nearby drawings around the speaker', () => {
+  const summary = summarizeRoom(room, 'rob', { nearbyMeters: 500, now });
+  assert.strictEqual(summary, [
+    'Room "site-a" at 2026-01-30 09:00 UTC.',
+    'People in the room:',
+    '- rob (human, speaking to you): 52.48000, -1.90000, 2 min ago',
+    '- ann (human): 52.48100, -1.90000, just now, 111 m from rob',
+    '- pauline (ai)',
+    'Drawings within 500 m of rob (1 of 2):',
+    '- "Yard" (zone, Polygon, id d1) — rob is inside it',
+    'Shared state:',
+    '- site.name: Digbeth'
+  ].join('\n'));
+});
+
+test('the summary keeps to its budget and sections', () => {
+  const summary = summarizeRoom(room, 'nobody', { sections: ['drawings'], budget: 90, now });
+  assert.strictEqual(summary, [
+    'Room "site-a" at 2026-01-30 09:00 UTC.',
+    'Drawings (2, most recently changed first):',
+    '- … and 2 more'
+  ].join('\n'));
+  assert.strictEqual(summarizeRoom({ name: 'empty' }, 'rob', { now }), '');
+});
+
+test('drawings with a great many vertices are measured without running out of stack', () => {
+  const coordinates = Array.from({ length: 300000 }, (_, i) => [-1.9 + i * 1e-7, 52.49]);
+  const big = { id: 'big', name: 'Survey line', type: 'route', geojson: { type: 'LineString', coordinates } };
+  const summary = summarizeRoom({ ...room, drawings: [big] }, 'rob', { sections: ['drawings'], now });
+  assert.match(summary, /"Survey line" \(route, LineString, id big\) — 1\.1 km away/);
+});
+
+test('the summary says who is idle, away or not to be disturbed', () => {
+  const sam = { userId: 'sam', userType: 'human', status: 'away', lastActive: now - 300000, statusText: 'On break', dnd: true };
+  const summary = summarizeRoom({ name: 'site-a', members: [sam] }, 'rob', { sections: ['presence'], now });
+  assert.match(summary, /- sam \(human, away, last active 5 min ago, "On break", do not disturb\): location unknown/);
+});
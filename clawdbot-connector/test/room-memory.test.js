@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRoomMemory, parseMemoryCommand } = require('../room-memory');
+
+// Room storage keeping the memory in memory
+function memoryStorage(saved = null) {
+  return {
+    readMemory: async () => saved,
+    async writeMemory(snapshot) {
+      saved = snapshot;
+    },
+    get saved() {
+      return saved;
+    }
+  };
+}
+
+async function loadedMemory(storage = memoryStorage()) {
+  const memory = createRoomMemory(storage);
+  await memory.load();
+  return memory;
+}
+
+test('memory commands are recognised after an optional mention', () => {
+  assert.deepStrictEqual(parseMemoryCommand('remember: client is Birmingham CC'), { action: 'pin', text: 'client is Birmingham CC' });
+  assert.deepStrictEqual(parseMemoryCommand('@pauline, Forget : gate code'), { action: 'unpin', text: 'gate code' });
+  assert.strictEqual(parseMemoryCommand('I must remember this'), null);
+});
+
+test('facts are pinned once and saved', async () => {
+  const storage = memoryStorage();
+  const memory = await loadedMemory(storage);
+  const fact = memory.pin(' client is Birmingham CC ', 'rob');
+  assert.deepStrictEqual([fact.text, fact.by], ['client is Birmingham CC', 'rob']);
+  assert.strictEqual(memory.pin('Client is Birmingham CC', 'ann'), null);
+  assert.throws(() => memory.pin('  ', 'rob'), { code: 'invalid_message' });
+  await memory.save();
+
+  const reloaded = await loadedMemory(storage);
+  assert.deepStrictEqual(reloaded.pinned.map(p => p.text), ['client is Birmingham CC']);
+});
+
+test('forget removes only the fact with that text or id', async () => {
+  const memory = await loadedMemory();
+  const client = memory.pin('client is Birmingham CC', 'rob');
+  memory.pin('gate code is 4521', 'rob');
+  memory.pin('a skip arrives Tuesday', 'ann');
+
+  assert.deepStrictEqual(memory.unpin('a'), []);
+  assert.deepStrictEqual(memory.unpin('Birmingham'), []);
+  assert.deepStrictEqual(memory.unpin('GATE CODE IS 4521').map(p => p.text), ['gate code is 4521']);
+  assert.deepStrictEqual(memory.unpin(client.id), [client]);
+  assert.deepStrictEqual(memory.pinned.map(p => p.text), ['a skip arrives Tuesday']);
+});
+
+test('older messages are folded into the summary', async () => {
+  const memory = await loadedMemory();
+  const history = [1, 2, 3, 4].map(t => ({ from: 'rob', text: `note ${t}`, timestamp: t }));
+  const pending = memory.pending(history, 2);
+  assert.deepStrictEqual(pending.map(m => m.text), ['note 1', 'note 2']);
+
+  let prompt;
+  assert.strictEqual(await memory.summarize(pending, async (messages) => {
+    prompt = messages;
+    return ' Two notes so far. ';
+  }), true);
+  assert.match(prompt[1].content, /\(none yet\)[\s\S]*rob: note 2/);
+  assert.deepStrictEqual([memory.summary, memory.summarizedThrough], ['Two notes so far.', 2]);
+  assert.deepStrictEqual(memory.pending(history, 2), []);
+});
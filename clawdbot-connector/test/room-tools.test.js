@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROOM_TOOLS, runTool } = require('../room-tools');
+const { validateMessage } = require('../protocol');
+
+const call = (name, args) => ({ function: { name, arguments: JSON.stringify(args) } });
+const square = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] };
+
+// A room holding `drawings`, whose dispatch validates like the real handlers
+// and applies drawing messages with the usual revision check
+function fakeRoom(drawings = []) {
+  const room = { drawings: new Map(drawings.map(d => [d.id, d])), clients: new Map() };
+  const sent = [];
+  const dispatch = async (msg) => {
+    sent.push(msg);
+    try {
+      validateMessage(msg);
+    } catch (err) {
+      return [{ type: 'error', code: err.code, error: err.message }];
+    }
+    const { id } = msg.drawing;
+    const current = room.drawings.get(id);
+    if (msg.type === 'drawing') {
+      room.drawings.set(id, { ...msg.drawing, revision: 1 });
+    } else if (current.revision !== msg.baseRevision) {
+      return [{ type: 'error', code: 'conflict', error: `Drawing ${id} is at revision ${current.revision}, not ${msg.baseRevision}`, drawing: current }];
+    } else {
+      room.drawings.set(id, { ...current, ...msg.drawing, revision: current.revision + 1 });
+    }
+    return [];
+  };
+  let next = 0;
+  return { room, sent, context: { room, members: () => [], actor: 'pauline', dispatch, newId: () => `n${next++}` } };
+}
+
+test('every tool is offered with a name and parameters', () => {
+  const names = ROOM_TOOLS.map(t => t.function.name);
+  assert.ok(names.includes('get_drawings'));
+  assert.deepStrictEqual(ROOM_TOOLS.find(t => t.function.name === 'update_drawing').function.parameters.required, ['id', 'revision']);
+});
+
+test('create_drawing and get_drawings report revisions', async () => {
+  const { context } = fakeRoom([{ id: 'old', name: 'Old', type: 'zone', revision: 3, deleted: true }]);
+  const created = await runTool(call('create_drawing', { name: 'Site', type: 'boundary', geometry: square }), context);
+  assert.deepStrictEqual(created, { ok: true, drawing: { id: 'n0', name: 'Site', type: 'boundary', revision: 1 } });
+
+  const listed = await runTool(call('get_drawings', {}), context);
+  assert.deepStrictEqual(listed.drawings.map(d => [d.id, d.revision]), [['n0', 1]]);
+  const one = await runTool(call('get_drawings', { id: 'n0' }), context);
+  assert.deepStrictEqual(one.drawing.geometry, square);
+  assert.strictEqual((await runTool(call('get_drawings', { id: 'old' }), context)).code, 'not_found');
+});
+
+test('update_drawing needs a revision and reports conflicts', async () => {
+  const { context, sent } = fakeRoom([{ id: 'd1', name: 'Site', type: 'boundary', revision: 4 }]);
+  const missing = await runTool(call('update_drawing', { id: 'd1', name: 'New' }), context);
+  assert.strictEqual(missing.ok, false);
+  assert.strictEqual(sent.length, 0);
+
+  const stale = await runTool(call('update_drawing', { id: 'd1', revision: 3, name: 'New' }), context);
+  assert.deepStrictEqual(stale, {
+    ok: false,
+    error: 'Drawing d1 is at revision 4, not 3',
+    code: 'conflict',
+    drawing: { id: 'd1', name: 'Site', type: 'boundary', revision: 4 }
+  });
+
+  const fresh = await runTool(call('update_drawing', { id: 'd1', revision: 4, name: 'New' }), context);
+  assert.deepStrictEqual(fresh.drawing, { id: 'd1', name: 'New', type: 'boundary', revision: 5 });
+});
+
+test('tool calls with bad geometry come back as errors', async () => {
+  const { context, room } = fakeRoom();
+  const bad = await runTool(call('create_drawing', { name: 'X', type: 'zone', geometry: 'square' }), context);
+  assert.deepStrictEqual([bad.ok, bad.code], [false, 'invalid_message']);
+  const broken = await runTool(call('create_drawing', { name: 'X', type: 'zone', geometry: { type: 'Polygon', coordinates: [[1, 2]] } }), context);
+  assert.match(broken.error, /Invalid Polygon coordinates/);
+  assert.strictEqual(room.drawings.size, 0);
+  assert.deepStrictEqual(await runTool({ function: { name: 'create_drawing', arguments: '{' } }, context), { ok: false, error: 'Tool arguments are not valid JSON' });
+});
+
+test('get_user_locations lists members on every instance', async () => {
+  const { context } = fakeRoom([]);
+  context.members = () => [
+    { presenceId: 'p1', userId: 'rob', userType: 'human', location: { lat: 52.48, lng: -1.9 }, status: 'online', dnd: false },
+    { presenceId: 'p2', userId: 'sam', userType: 'human', location: null, status: 'away', dnd: true }
+  ];
+  const { users } = await runTool(call('get_user_locations', {}), context);
+  assert.deepStrictEqual(users.map(u => [u.userId, u.location, u.status]), [
+    ['rob', { lat: 52.48, lng: -1.9 }, 'online'],
+    ['sam', null, 'away']
+  ]);
+});
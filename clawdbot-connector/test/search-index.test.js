@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSearchIndex, releaseSearchIndex, tokenize, parseQuery, parseTime } = require('../search-index');
+const { updateRecord } = require('../chat-history');
+
+test('tokenize splits on anything but letters and digits', () => {
+  assert.deepStrictEqual(tokenize('Flood-risk at Zone B2, café!'), ['flood', 'risk', 'at', 'zone', 'b2', 'café']);
+  assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('parseQuery reads terms, prefixes and phrases', () => {
+  assert.deepStrictEqual(parseQuery('survey drain* "north gate"'), {
+    terms: ['survey', 'north', 'gate'],
+    prefixes: ['drain'],
+    phrases: ['north gate']
+  });
+  assert.deepStrictEqual(parseQuery(''), { terms: [], prefixes: [], phrases: [] });
+});
+
+test('parseTime reads timestamps and dates, a bare end date covering its day', () => {
+  const day = Date.UTC(2026, 0, 30);
+  assert.strictEqual(parseTime('1738222800000'), 1738222800000);
+  assert.strictEqual(parseTime(5), 5);
+  assert.strictEqual(parseTime('2026-01-30'), day);
+  assert.strictEqual(parseTime('2026-01-30', true), day + 24 * 60 * 60 * 1000 - 1);
+  assert.strictEqual(parseTime('soon'), null);
+  assert.strictEqual(parseTime(''), null);
+});
+
+// A room directory with chat logs for `days` ({ 'YYYY-MM-DD': records })
+function roomWithLogs(days) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'field-room-search-'));
+  fs.mkdirSync(path.join(dir, 'chat-logs'));
+  for (const [day, records] of Object.entries(days)) appendLog(dir, day, records);
+  return dir;
+}
+
+function appendLog(dir, day, records) {
+  fs.appendFileSync(path.join(dir, 'chat-logs', `${day}.jsonl`), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+}
+
+const chat = (id, text, timestamp) => ({ type: 'chat', id, from: 'rob', text, timestamp });
+
+test('the index is saved per day and only days that grew are written again', async () => {
+  const dir = roomWithLogs({
+    '2026-01-01': [chat('a', 'Drainage survey booked', 1)],
+    '2026-01-02': [chat('b', 'Gate code changed', 2)]
+  });
+  try {
+    const index = getSearchIndex(dir);
+    assert.strictEqual((await index.search({ query: 'drainage' })).total, 1);
+    await index.flush();
+    const segment = (day) => path.join(dir, 'search-index', `${day}.json`);
+    const firstDay = fs.statSync(segment('2026-01-01')).mtimeMs;
+
+    appendLog(dir, '2026-01-02', [chat('c', 'Drainage pipe found', 3), updateRecord(chat('a', 'Survey moved', 1), 4)]);
+    assert.strictEqual(await index.dayOf('c'), '2026-01-02');
+    await index.flush();
+    assert.strictEqual(fs.statSync(segment('2026-01-01')).mtimeMs, firstDay);
+
+    // A fresh index picks up where the segments end, edits included
+    releaseSearchIndex(dir);
+    const reloaded = getSearchIndex(dir);
+    assert.deepStrictEqual((await reloaded.search({ query: 'drainage' })).results.map(r => r.id), ['c']);
+    assert.deepStrictEqual((await reloaded.search({ query: 'survey' })).results.map(r => r.text), ['Survey moved']);
+    assert.strictEqual(await reloaded.dayOf('nope'), null);
+  } finally {
+    releaseSearchIndex(dir);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a log that shrank is indexed again from scratch', async () => {
+  const dir = roomWithLogs({ '2026-01-01': [chat('a', 'First note', 1), chat('b', 'Second note', 2)] });
+  try {
+    const index = getSearchIndex(dir);
+    assert.strictEqual((await index.search({ query: 'note' })).total, 2);
+    fs.writeFileSync(path.join(dir, 'chat-logs', '2026-01-01.jsonl'), JSON.stringify(chat('c', 'Only note', 3)) + '\n');
+    assert.deepStrictEqual((await index.search({ query: 'note' })).results.map(r => r.id), ['c']);
+    await index.flush();
+
+    releaseSearchIndex(dir);
+    assert.deepStrictEqual((await getSearchIndex(dir).search({ query: 'note' })).results.map(r => r.id), ['c']);
+  } finally {
+    releaseSearchIndex(dir);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
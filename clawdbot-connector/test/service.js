@@ -0,0 +1,105 @@
+// Helpers for tests that run the sync service as its own process
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Start the service on a free port with a fresh workspace and `env` on top of
+ * the test's own. Resolves once it listens with { base, workspace, stop() }.
+ */
+async function startService(env = {}) {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'field-room-service-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'sync-service.js')], {
+    env: { ...process.env, SYNC_PORT: String(port), WORKSPACE_PATH: workspace, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Listening on port')) resolve();
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => reject(new Error(`Service exited (${code}): ${output}`)));
+  });
+
+  return {
+    base: `http://127.0.0.1:${port}`,
+    workspace,
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Open a connection to `room` and send `auth` once it is open. The client's
+ * `next(match)` resolves with the first message received (and not taken by
+ * an earlier call) that `match` accepts; `options` go to the ws client.
+ */
+function connect(base, room, auth, options = {}) {
+  const ws = new WebSocket(`${base.replace('http', 'ws')}/${room}`, options);
+  const inbox = [];
+  const waiting = [];
+
+  ws.on('open', () => ws.send(JSON.stringify(auth)));
+  ws.on('message', data => {
+    const msg = JSON.parse(data);
+    const waiter = waiting.find(w => w.match(msg));
+    if (!waiter) {
+      inbox.push(msg);
+      return;
+    }
+    waiting.splice(waiting.indexOf(waiter), 1);
+    clearTimeout(waiter.timer);
+    waiter.resolve(msg);
+  });
+
+  return {
+    ws,
+    send: (msg) => ws.send(JSON.stringify(msg)),
+    next(match, ms = 5000) {
+      const index = inbox.findIndex(match);
+      if (index >= 0) return Promise.resolve(inbox.splice(index, 1)[0]);
+      return new Promise((resolve, reject) => {
+        const waiter = { match, resolve };
+        waiter.timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reject(new Error(`Timed out; received ${JSON.stringify(inbox.map(m => m.type))}`));
+        }, ms);
+        waiting.push(waiter);
+      });
+    },
+    closed: new Promise(resolve => ws.once('close', resolve)),
+    close() {
+      ws.close();
+      return this.closed;
+    }
+  };
+}
+
+// A message matcher: the type, and optionally fields it must have
+const type = (name, fields = {}) => msg => msg.type === name && Object.entries(fields).every(([k, v]) => msg[k] === v);
+
+module.exports = {
+  startService,
+  connect,
+  type,
+};
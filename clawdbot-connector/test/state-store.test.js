@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createStateStore, opsFromUpdate, parsePath } = require('../state-store');
+
+// Room storage keeping the state in memory
+function memoryStorage() {
+  const saved = { snapshot: null, ops: [] };
+  return {
+    saved,
+    readState: async () => saved.snapshot,
+    readStateOps: async (limit) => saved.ops.slice(-limit),
+    async writeState(snapshot, records) {
+      saved.snapshot = snapshot;
+      saved.ops.push(...records);
+    }
+  };
+}
+
+async function loadedStore(storage = memoryStorage()) {
+  const store = createStateStore(storage);
+  await store.load();
+  return store;
+}
+
+test('ops set, append and delete by path, one revision per batch', async () => {
+  const store = await loadedStore();
+  const { revision } = store.apply([
+    { op: 'set', path: 'site.name', value: 'Digbeth' },
+    { op: 'append', path: 'checklist', value: 'Photos' },
+    { op: 'append', path: ['checklist'], value: 'Levels' }
+  ], { by: 'rob' });
+  assert.strictEqual(revision, 1);
+  assert.deepStrictEqual(store.data.site, { name: 'Digbeth' });
+  assert.deepStrictEqual(store.data.checklist, ['Photos', 'Levels']);
+
+  store.apply([{ op: 'delete', path: 'site.name' }]);
+  assert.deepStrictEqual([store.revision, store.data.site], [2, {}]);
+});
+
+test('stale updates conflict only on overlapping paths', async () => {
+  const store = await loadedStore();
+  store.apply([{ op: 'set', path: 'site.name', value: 'A' }]);
+  store.apply([{ op: 'set', path: 'site.name', value: 'B' }]);
+
+  assert.doesNotThrow(() => store.apply([{ op: 'set', path: 'team', value: 'red' }], { baseRevision: 1 }));
+  assert.throws(() => store.apply([{ op: 'set', path: 'site', value: {} }], { baseRevision: 1 }),
+    err => err.code === 'conflict' && err.conflicts.includes('site.name'));
+  assert.throws(() => store.apply([{ op: 'set', path: 'other', value: 1 }], { baseRevision: 1, strict: true }), { code: 'conflict' });
+  assert.throws(() => store.apply([{ op: 'set', path: 'x', value: 1 }], { baseRevision: 99 }), { code: 'conflict' });
+});
+
+test('bad paths and ops are refused without changing anything', async () => {
+  const store = await loadedStore();
+  assert.throws(() => parsePath('a..b'), { code: 'invalid_path' });
+  assert.throws(() => parsePath(['__proto__', 'polluted']), { code: 'invalid_path' });
+  assert.throws(() => store.apply([{ op: 'set', path: 'a', value: 1 }, { op: 'explode', path: 'b' }]), { code: 'invalid_ops' });
+  assert.strictEqual(store.revision, 0);
+  assert.strictEqual({}.polluted, undefined);
+});
+
+test('opsFromUpdate merges nested objects by leaf', () => {
+  assert.deepStrictEqual(opsFromUpdate({ site: { name: 'A', tags: [] }, empty: {} }), [
+    { op: 'set', path: ['site', 'name'], value: 'A' },
+    { op: 'set', path: ['site', 'tags'], value: [] },
+    { op: 'set', path: ['empty'], value: {} }
+  ]);
+});
+
+test('state survives a reload and diffs come from the retained ops', async () => {
+  const storage = memoryStorage();
+  const store = await loadedStore(storage);
+  store.apply([{ op: 'set', path: 'a', value: 1 }]);
+  store.apply([{ op: 'set', path: 'b', value: 2 }]);
+  await store.flush();
+
+  const reloaded = await loadedStore(storage);
+  assert.deepStrictEqual([reloaded.revision, reloaded.data.a, reloaded.data.b], [2, 1, 2]);
+  const diff = reloaded.diffSince(1);
+  assert.deepStrictEqual([diff.full, diff.ops.map(o => o.path.join('.'))], [false, ['b']]);
+  assert.deepStrictEqual(reloaded.diffSince(2).ops, []);
+});
+
+test('deleting from an array needs the index of an existing element', async () => {
+  const store = await loadedStore();
+  store.apply([{ op: 'set', path: 'checklist', value: ['Photos', 'Levels', 'Samples'] }]);
+
+  for (const index of ['first', '-1', '3', '1.5']) {
+    assert.throws(() => store.apply([{ op: 'delete', path: ['checklist', index] }]), { code: 'invalid_path' }, index);
+  }
+  assert.deepStrictEqual([store.revision, store.data.checklist], [1, ['Photos', 'Levels', 'Samples']]);
+
+  store.apply([{ op: 'delete', path: 'checklist.1' }]);
+  assert.deepStrictEqual([store.revision, store.data.checklist], [2, ['Photos', 'Samples']]);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../storage-file');
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2026, 0, 30, 12);
+
+async function withRoom(fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'field-room-'));
+  try {
+    const storage = createFileStorage({ root, defaultRoom: 'default' });
+    await storage.init();
+    const room = storage.room('site-a');
+    await room.init();
+    await fn(room);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+const chat = (id, timestamp, text = id) => ({ type: 'chat', id, from: 'rob', text, timestamp });
+
+test('readHistory pages backwards across days, by time or id', () => withRoom(async (room) => {
+  for (let i = 0; i < 5; i++) await room.appendMessage(chat(`m${i}`, start + i * DAY));
+
+  const latest = await room.readHistory({ limit: 2 });
+  assert.deepStrictEqual(latest.messages.map(m => m.id), ['m3', 'm4']);
+  assert.strictEqual(latest.hasMore, true);
+
+  const older = await room.readHistory({ before: 'm3', limit: 2 });
+  assert.deepStrictEqual(older.messages.map(m => m.id), ['m1', 'm2']);
+
+  const byTime = await room.readHistory({ before: start + DAY, limit: 10 });
+  assert.deepStrictEqual(byTime.messages.map(m => m.id), ['m0']);
+  assert.strictEqual(byTime.hasMore, false);
+}));
+
+test('readHistory shows the latest version of an edited message', () => withRoom(async (room) => {
+  await room.appendMessage(chat('m0', start, 'first'));
+  await room.updateMessage({ ...chat('m0', start, 'edited'), editedAt: start + 1 });
+  const { messages } = await room.readHistory({});
+  assert.deepStrictEqual(messages.map(m => m.text), ['edited']);
+  assert.strictEqual((await room.readMessage('m0')).text, 'edited');
+  assert.strictEqual(await room.readMessage('nope'), null);
+}));
+
+test('readMessage and readThread find messages from the day they were logged on', () => withRoom(async (room) => {
+  await room.appendMessage(chat('m0', start));
+  await room.appendMessage({ ...chat('r1', start + DAY), inReplyTo: 'm0', threadId: 'm0' });
+  await room.appendMessage({ ...chat('p0', start + 2 * DAY, ''), attachment: { id: 'a1' } });
+  await room.updateMessage({ ...chat('m0', start, 'edited later'), editedAt: start + 3 * DAY });
+
+  assert.strictEqual((await room.readMessage('m0')).text, 'edited later');
+  assert.strictEqual((await room.readMessage('p0')).attachment.id, 'a1');
+  assert.strictEqual(await room.readMessage('unknown'), null);
+  // Messages without text are found by id but not by search
+  assert.deepStrictEqual((await room.search({})).results.map(r => r.id).sort(), ['m0', 'r1']);
+  assert.deepStrictEqual((await room.search({ query: 'edited' })).results.map(r => r.id), ['m0']);
+
+  const thread = await room.readThread({ threadId: 'm0', limit: 10 });
+  assert.deepStrictEqual(thread.messages.map(m => m.id), ['m0', 'r1']);
+  assert.deepStrictEqual(await room.readThread({ threadId: 'unknown', limit: 10 }), { messages: [], hasMore: false });
+}));
+
+test('readHistory and readTrack refuse times no Date can hold', () => withRoom(async (room) => {
+  await assert.rejects(room.readHistory({ before: 99999999999999999 }), RangeError);
+  await assert.rejects(room.readHistory({ before: NaN }), RangeError);
+  await assert.rejects(room.readTrack({ from: 99999999999999999 }), RangeError);
+  await room.appendTrackPoint({ userId: 'rob', session: 's1', lat: 1, lon: 2, timestamp: start });
+  await assert.rejects(room.readTrack({ to: -Infinity }), RangeError);
+}));
+
+test('readTrack filters by user, session and time', () => withRoom(async (room) => {
+  const point = (userId, session, timestamp) => ({ userId, session, lat: 1, lon: 2, timestamp });
+  await room.appendTrackPoint(point('rob', 's1', start));
+  await room.appendTrackPoint(point('ann', 's2', start + 1000));
+  await room.appendTrackPoint(point('rob', 's1', start + DAY));
+
+  assert.strictEqual((await room.readTrack({ userId: 'rob' })).points.length, 2);
+  assert.strictEqual((await room.readTrack({ session: 's2' })).points.length, 1);
+  assert.strictEqual((await room.readTrack({ from: start + 1, to: start + DAY - 1 })).points[0].userId, 'ann');
+  const limited = await room.readTrack({ limit: 2 });
+  assert.deepStrictEqual([limited.points.length, limited.hasMore], [2, true]);
+}));
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStorage } = require('../storage-file');
+const { migrateStorage } = require('../storage');
+
+// better-sqlite3 is an optional dependency
+let createSqliteStorage = null;
+try {
+  require.resolve('better-sqlite3');
+  ({ createSqliteStorage } = require('../storage-sqlite'));
+} catch {}
+const skip = !createSqliteStorage && 'better-sqlite3 is not installed';
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2026, 0, 30, 12);
+
+async function withDatabase(fn) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'field-room-sqlite-'));
+  const storage = createSqliteStorage({ file: path.join(root, 'field-room.db'), defaultRoom: 'default' });
+  try {
+    await storage.init();
+    await fn(storage, root);
+  } finally {
+    storage.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+async function withRoom(fn) {
+  await withDatabase(async (storage) => {
+    const room = storage.room('site-a');
+    await room.init();
+    await fn(room, storage);
+  });
+}
+
+const chat = (id, timestamp, text = id) => ({ type: 'chat', id, from: 'rob', text, timestamp });
+
+test('state, drawings and annotations are written over and read back', { skip }, () => withRoom(async (room) => {
+  assert.strictEqual(await room.readState(), null);
+  await room.writeState({ revision: 1, data: { a: 1 } }, [{ revision: 1, ops: [{ op: 'set', path: ['a'], value: 1 }] }]);
+  await room.writeState({ revision: 2, data: { a: 1, b: 2 } }, [{ revision: 2, ops: [{ op: 'set', path: ['b'], value: 2 }] }]);
+  assert.deepStrictEqual((await room.readState()).data, { a: 1, b: 2 });
+  assert.deepStrictEqual((await room.readStateOps(10)).map(r => r.revision), [1, 2]);
+
+  await room.writeDrawing({ id: 'd1', name: 'Site', revision: 1 });
+  await room.writeDrawing({ id: 'd1', name: 'Site boundary', revision: 2 });
+  assert.deepStrictEqual(await room.readDrawings(), [{ id: 'd1', name: 'Site boundary', revision: 2 }]);
+
+  await room.writeAnnotation({ id: 'n1', text: 'Gate', replies: [] });
+  assert.deepStrictEqual((await room.readAnnotations()).map(a => a.id), ['n1']);
+}));
+
+test('readHistory pages backwards by time or id and shows edits', { skip }, () => withRoom(async (room) => {
+  for (let i = 0; i < 5; i++) await room.appendMessage(chat(`m${i}`, start + i * DAY));
+  await room.updateMessage({ ...chat('m4', start + 4 * DAY, 'edited'), editedAt: start + 5 * DAY });
+
+  const latest = await room.readHistory({ limit: 2 });
+  assert.deepStrictEqual([latest.messages.map(m => m.text), latest.hasMore], [['m3', 'edited'], true]);
+  assert.deepStrictEqual((await room.readHistory({ before: 'm3', limit: 2 })).messages.map(m => m.id), ['m1', 'm2']);
+  const byTime = await room.readHistory({ before: start + DAY, limit: 10 });
+  assert.deepStrictEqual([byTime.messages.map(m => m.id), byTime.hasMore], [['m0'], false]);
+  assert.strictEqual((await room.readMessage('m4')).text, 'edited');
+  assert.strictEqual(await room.readMessage('nope'), null);
+}));
+
+test('threads and search come from the messages table', { skip }, () => withRoom(async (room) => {
+  await room.appendMessage(chat('m0', start, 'Drainage survey on Tuesday'));
+  await room.appendMessage({ ...chat('r1', start + 1000, 'Which drain?'), inReplyTo: 'm0', threadId: 'm0' });
+  await room.appendMessage(chat('m2', start + 2000, 'Lunch'));
+
+  const thread = await room.readThread({ threadId: 'm0', limit: 10 });
+  assert.deepStrictEqual(thread.messages.map(m => m.id), ['m0', 'r1']);
+  const found = await room.search({ query: 'drain*' });
+  assert.deepStrictEqual(found.results.map(r => r.id).sort(), ['m0', 'r1']);
+  assert.strictEqual((await room.search({ query: '"survey on tuesday"' })).total, 1);
+}));
+
+test('direct messages are kept per thread, apart from the chat', { skip }, () => withRoom(async (room) => {
+  const dm = (id, from, to, timestamp) => ({ type: 'dm', id, from, to, text: id, timestamp });
+  await room.appendDirectMessage(dm('d1', 'rob', ['sam'], start));
+  await room.appendDirectMessage(dm('d2', 'sam', ['rob'], start + 1));
+  await room.appendDirectMessage(dm('d3', 'rob', ['pauline'], start + 2));
+
+  const thread = await room.readDirectMessages({ participants: ['sam', 'rob'] });
+  assert.deepStrictEqual(thread.messages.map(m => m.id), ['d1', 'd2']);
+  assert.deepStrictEqual((await room.readDirectMessages({ participants: ['rob', 'sam'], before: 'd2' })).messages.map(m => m.id), ['d1']);
+  // ...and never in the room's chat
+  assert.deepStrictEqual((await room.readHistory({})).messages, []);
+}));
+
+test('memory, attachments and track points round-trip', { skip }, () => withRoom(async (room) => {
+  await room.writeMemory({ summary: 'Met on site', pinned: [{ id: 'f1', text: 'Client is Birmingham CC' }] });
+  assert.strictEqual((await room.readMemory()).pinned[0].text, 'Client is Birmingham CC');
+
+  await room.writeAttachment('a1', Buffer.from('%PDF'), { id: 'a1', name: 'plan.pdf' });
+  assert.deepStrictEqual(await room.listAttachments(), ['a1']);
+  assert.deepStrictEqual((await room.readAttachment('a1')).data, Buffer.from('%PDF'));
+  assert.strictEqual((await room.readAttachmentMeta('a1')).name, 'plan.pdf');
+  assert.strictEqual(await room.readAttachment('nope'), null);
+
+  const point = (userId, session, timestamp) => ({ userId, session, lat: 1, lon: 2, timestamp });
+  await room.appendTrackPoint(point('rob', 's1', start));
+  await room.appendTrackPoint(point('ann', 's2', start + 1000));
+  await room.appendTrackPoint(point('rob', 's1', start + DAY));
+  assert.strictEqual((await room.readTrack({ userId: 'rob' })).points.length, 2);
+  assert.strictEqual((await room.readTrack({ from: start + 1, to: start + DAY - 1 })).points[0].userId, 'ann');
+  const limited = await room.readTrack({ limit: 2 });
+  assert.deepStrictEqual([limited.points.length, limited.hasMore], [2, true]);
+}));
+
+test('a file workspace migrates into the database, once', { skip }, () => withDatabase(async (target, root) => {
+  const source = createFileStorage({ root: path.join(root, 'workspace'), defaultRoom: 'default' });
+  await source.init();
+  const from = source.room('site-a');
+  await from.init();
+  await from.appendMessage(chat('m0', start));
+  await from.writeDrawing({ id: 'd1', name: 'Site', revision: 1 });
+
+  const log = () => {};
+  const summary = await migrateStorage(source, target, { log });
+  assert.deepStrictEqual([summary.rooms, summary.messages, summary.drawings], [2, 1, 1]);
+  assert.deepStrictEqual(await target.listRooms(), ['default', 'site-a']);
+  assert.deepStrictEqual((await target.room('site-a').readHistory({})).messages.map(m => m.id), ['m0']);
+
+  const again = await migrateStorage(source, target, { log });
+  assert.deepStrictEqual([again.rooms, again.skipped], [0, 2]);
+}));
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toTrackPoint, groupTracks, exportTracks, createReplay } = require('../tracks');
+const { parseDrawings } = require('../geo-formats');
+
+const t0 = Date.UTC(2026, 0, 30, 9);
+const points = [
+  { userId: 'rob', session: 's1', lat: 52.1, lon: -1.9, altitude: 120, timestamp: t0 },
+  { userId: 'ann', session: 's2', lat: 52.2, lon: -1.8, timestamp: t0 + 1000 },
+  { userId: 'rob', session: 's1', lat: 52.3, lon: -1.7, timestamp: t0 + 2000 },
+  { userId: 'rob', session: 's3', lat: 52.4, lon: -1.6, timestamp: t0 + 3000 }
+];
+
+test('toTrackPoint keeps usable coordinates only', () => {
+  assert.deepStrictEqual(toTrackPoint({ userId: 'rob', session: 's', location: { lat: 1, lng: 2, accuracy: 5 }, timestamp: 9 }),
+    { userId: 'rob', session: 's', lat: 1, lon: 2, timestamp: 9, accuracy: 5 });
+  assert.strictEqual(toTrackPoint({ userId: 'rob', session: 's', location: { lat: 1 }, timestamp: 9 }), null);
+});
+
+test('groupTracks splits points by user and session', () => {
+  assert.deepStrictEqual(groupTracks(points).map(t => [t.userId, t.session, t.points.length]),
+    [['rob', 's1', 2], ['ann', 's2', 1], ['rob', 's3', 1]]);
+});
+
+test('exportTracks writes GeoJSON lines with times', () => {
+  const { features } = JSON.parse(exportTracks(points, 'geojson'));
+  assert.strictEqual(features.length, 3);
+  assert.deepStrictEqual(features[0].geometry.coordinates, [[-1.9, 52.1, 120], [-1.7, 52.3]]);
+  assert.deepStrictEqual(features[0].properties.coordinateProperties.times, [new Date(t0).toISOString(), new Date(t0 + 2000).toISOString()]);
+});
+
+test('exportTracks writes GPX with a track per user that reads back', () => {
+  const gpx = exportTracks(points, 'gpx', { name: 'Site <A>' });
+  assert.match(gpx, /<metadata><name>Site &lt;A&gt;<\/name><\/metadata>/);
+  assert.strictEqual((gpx.match(/<trk>/g) || []).length, 2);
+  const { drawings } = parseDrawings(gpx, 'gpx');
+  assert.deepStrictEqual(drawings.map(d => d.drawing.geojson.geometry.type), ['MultiLineString', 'LineString']);
+  assert.throws(() => exportTracks(points, 'kml'), /Unknown format/);
+});
+
+test('createReplay sends every point in order, then ends', async () => {
+  const sent = [];
+  const reason = await new Promise(resolve => {
+    createReplay({ points, speed: 1000, send: (p, i) => sent.push(i), onEnd: resolve });
+  });
+  assert.strictEqual(reason, 'done');
+  assert.deepStrictEqual(sent, [0, 1, 2, 3]);
+});
+
+test('a stopped replay ends once, with what it sent', async () => {
+  let ends = 0;
+  const replay = createReplay({ points, speed: 0.001, send: () => {}, onEnd: (reason, sent) => { ends++; assert.deepStrictEqual([reason, sent], ['stopped', 1]); } });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  replay.pause();
+  assert.strictEqual(replay.paused, true);
+  replay.stop();
+  replay.stop();
+  assert.strictEqual(ends, 1);
+});
@@ -0,0 +1,170 @@
+/**
+ * Field Room Tracks
+ *
+ * With recording on, every move a user makes is kept as a track point:
+ * { userId, session, lat, lon, altitude?, accuracy?, timestamp }. `session`
+ * is the presenceId of the connection that moved (kept across resumes), so a
+ * user's track splits into one segment per visit.
+ *
+ * Tracks export as GPX (a <trk> per user, a <trkseg> per session, with
+ * times) or GeoJSON (a LineString per user and session, with the times in
+ * `coordinateProperties`), and play back as track_point messages at any
+ * speed (createReplay).
+ */
+
+const { escapeXML } = require('./geo-formats');
+
+// Replays don't sit through long pauses: gaps are cut to this, in real time
+const MAX_REPLAY_GAP_MS = 2000;
+
+/**
+ * A track point for a move, or null if the location has no usable coordinates.
+ */
+function toTrackPoint({ userId, session, location, timestamp }) {
+  const lon = location.lon ?? location.lng;
+  if (!Number.isFinite(location.lat) || !Number.isFinite(lon)) return null;
+  const point = { userId, session, lat: location.lat, lon, timestamp };
+  if (Number.isFinite(location.altitude)) point.altitude = location.altitude;
+  if (Number.isFinite(location.accuracy)) point.accuracy = location.accuracy;
+  return point;
+}
+
+/**
+ * Split points (oldest first) into one track per user and session:
+ * [{ userId, session, points }], in order of their first point.
+ */
+function groupTracks(points) {
+  const tracks = new Map();
+  for (const point of points) {
+    const key = `${point.userId}\n${point.session}`;
+    if (!tracks.has(key)) tracks.set(key, { userId: point.userId, session: point.session, points: [] });
+    tracks.get(key).points.push(point);
+  }
+  return Array.from(tracks.values());
+}
+
+function position({ lon, lat, altitude }) {
+  return altitude !== undefined ? [lon, lat, altitude] : [lon, lat];
+}
+
+function toGeoJSON(tracks) {
+  return {
+    type: 'FeatureCollection',
+    features: tracks.map(({ userId, session, points }) => ({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: points.map(position) },
+      properties: {
+        userId,
+        session,
+        start: points[0].timestamp,
+        end: points[points.length - 1].timestamp,
+        points: points.length,
+        // As read by most GeoJSON tools (togeojson, Leaflet plugins)
+        coordinateProperties: { times: points.map(p => new Date(p.timestamp).toISOString()) }
+      }
+    }))
+  };
+}
+
+function gpxTrackPoint({ lat, lon, altitude, timestamp }) {
+  return `<trkpt lat="${lat}" lon="${lon}">` +
+    (altitude !== undefined ? `<ele>${altitude}</ele>` : '') +
+    `<time>${new Date(timestamp).toISOString()}</time></trkpt>`;
+}
+
+function toGPX(tracks, name) {
+  const users = new Map();
+  for (const track of tracks) {
+    if (!users.has(track.userId)) users.set(track.userId, []);
+    users.get(track.userId).push(track);
+  }
+  const trks = Array.from(users, ([userId, sessions]) => `  <trk><name>${escapeXML(userId)}</name>` +
+    sessions.map(s => `<trkseg>${s.points.map(gpxTrackPoint).join('')}</trkseg>`).join('') + '</trk>');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Field Room" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXML(name)}</name></metadata>`,
+    ...trks,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Serialise track points (oldest first) as `format`: 'geojson' or 'gpx'.
+ * `name` names the document (the room).
+ */
+function exportTracks(points, format, { name = 'Field Room' } = {}) {
+  const tracks = groupTracks(points);
+  if (format === 'geojson') return JSON.stringify(toGeoJSON(tracks), null, 2);
+  if (format === 'gpx') return toGPX(tracks, name);
+  throw new Error(`Unknown format: ${format}`);
+}
+
+/**
+ * Play points (oldest first) back through `send(point, index)`, keeping
+ * their timing at `speed` times real time (gaps capped at MAX_REPLAY_GAP_MS).
+ * `onEnd(reason, sent)` is called once, with 'done' or 'stopped'.
+ *
+ * Returns { setSpeed(speed), pause(), resume(), stop(), paused, speed }.
+ */
+function createReplay({ points, speed = 1, send, onEnd }) {
+  let index = 0;
+  let timer = null;
+  let paused = false;
+  let ended = false;
+
+  function end(reason) {
+    if (ended) return;
+    ended = true;
+    clearTimeout(timer);
+    onEnd(reason, index);
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    if (paused || ended) return;
+    if (index >= points.length) {
+      end('done');
+      return;
+    }
+    const gap = index === 0 ? 0 : points[index].timestamp - points[index - 1].timestamp;
+    timer = setTimeout(() => {
+      send(points[index], index);
+      index++;
+      schedule();
+    }, Math.min(gap / speed, MAX_REPLAY_GAP_MS));
+  }
+
+  schedule();
+
+  return {
+    get paused() {
+      return paused;
+    },
+    get speed() {
+      return speed;
+    },
+    setSpeed(value) {
+      speed = value;
+      schedule();
+    },
+    pause() {
+      paused = true;
+      clearTimeout(timer);
+    },
+    resume() {
+      paused = false;
+      schedule();
+    },
+    stop: () => end('stopped')
+  };
+}
+
+module.exports = {
+  toTrackPoint,
+  groupTracks,
+  exportTracks,
+  createReplay,
+};
@@ -5,18 +5,51 @@
 
 const SYNC_URL = window.FIELD_ROOM_SYNC_URL || 'ws://localhost:3738';
 const AI_USER = window.FIELD_ROOM_AI_USER || 'pauline';
+const ROOM = window.FIELD_ROOM_ROOM || null;
+// Ask the service for permessage-deflate (see WS_COMPRESSION)
+const COMPRESS = window.FIELD_ROOM_COMPRESS || false;
+// Record our location track (see TRACKS on the service)
+const TRACK = window.FIELD_ROOM_TRACK || false;
 
 let ws = null;
 let currentUserId = null;
+let currentRoom = ROOM;
+let roomToken = window.FIELD_ROOM_TOKEN || null;
+let stateRevision = 0;
+let oldestMessageId = null;
 let reconnectTimer = null;
+let reconnectAttempts = 0;
+
+// Session resumption: after a dropped connection the server replays what we
+// missed since the last sequence number we saw
+let resumeToken = null;
+let lastSeq = 0;
+
+// Current drawings in the room: Map<drawingId, drawing>
+const drawings = new Map();
+
+// Annotations with their threads: Map<annotationId, annotation>
+const annotations = new Map();
+
+// Who is in the room: Map<presenceId, user>, from full presence lists and
+// the presence_delta and move events in between
+const members = new Map();
+
+// AI replies being streamed in: Map<messageId, textElement>
+const streamingMessages = new Map();
+
+// The message the next chat replies to (set with its Reply button)
+let replyingTo = null;
 
 // DOM elements
 const authOverlay = document.getElementById('auth-overlay');
 const usernameInput = document.getElementById('username');
+const tokenInput = document.getElementById('token');
 const joinBtn = document.getElementById('join-btn');
 const statusEl = document.getElementById('status');
 const messagesEl = document.getElementById('messages');
 const inputEl = document.getElementById('input');
+const attachInput = document.getElementById('attach');
 const presenceListEl = document.getElementById('presence-list');
 
 // Auth
@@ -24,6 +57,7 @@ joinBtn.addEventListener('click', () => {
   const username = usernameInput.value.trim();
   if (username) {
     currentUserId = username;
+    roomToken = tokenInput.value.trim() || roomToken;
     authOverlay.classList.add('hidden');
     connect();
   }
@@ -40,32 +74,81 @@ inputEl.addEventListener('keypress', (e) => {
     if (text) {
       sendMessage(text);
       inputEl.value = '';
+      setReplyingTo(null);
     }
   }
 });
 
+inputEl.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') setReplyingTo(null);
+});
+
+// Attach a photo or PDF: upload it, then share it with what's typed as its caption
+attachInput.addEventListener('change', async () => {
+  const file = attachInput.files[0];
+  attachInput.value = '';
+  if (!file) return;
+
+  addSystemMessage(`Uploading ${file.name}...`);
+  try {
+    const res = await fetch(httpUrl('/attachments', { name: file.name, user: currentUserId }), { method: 'POST', body: file });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || res.statusText);
+    const text = inputEl.value.trim();
+    send({ type: 'attachment', attachmentId: body.attachment.id, ...(text && { text }), ...(replyingTo && { inReplyTo: replyingTo }) });
+    inputEl.value = '';
+    setReplyingTo(null);
+  } catch (err) {
+    addSystemMessage(`Upload failed: ${err.message}`, true);
+  }
+});
+
 function connect() {
   updateStatus('Connecting...');
-  ws = new WebSocket(SYNC_URL);
+  const url = new URL(SYNC_URL);
+  if (COMPRESS) url.searchParams.set('compress', '1');
+  ws = new WebSocket(url);
 
   ws.onopen = () => {
     updateStatus('Connected', true);
     inputEl.disabled = false;
-    send({ type: 'auth', userId: currentUserId, userType: 'human' });
+    attachInput.disabled = false;
+    send({
+      type: 'auth',
+      userId: currentUserId,
+      userType: 'human',
+      room: ROOM,
+      token: roomToken,
+      track: TRACK,
+      ...(resumeToken && { resume: resumeToken, lastSeq })
+    });
   };
 
   ws.onmessage = (event) => {
     try {
-      handleMessage(JSON.parse(event.data));
+      const msg = JSON.parse(event.data);
+      if (msg.seq && msg.type !== 'auth_ok') lastSeq = Math.max(lastSeq, msg.seq);
+      handleMessage(msg);
     } catch (err) {
       console.error('Message parse error:', err);
     }
   };
 
-  ws.onclose = () => {
-    updateStatus('Disconnected', false);
+  ws.onclose = (event) => {
     inputEl.disabled = true;
-    reconnectTimer = setTimeout(connect, 3000);
+    attachInput.disabled = true;
+    // 1008 = rejected credentials: ask again instead of retrying
+    if (event.code === 1008) {
+      updateStatus('Authentication failed', false);
+      authOverlay.classList.remove('hidden');
+      return;
+    }
+    // Back off 1s, 2s, 4s ... up to 30s, with jitter so a site full of
+    // phones doesn't reconnect in lockstep after an outage
+    const delay = Math.min(30000, 1000 * 2 ** reconnectAttempts) * (0.5 + Math.random() / 2);
+    reconnectAttempts++;
+    updateStatus(`Disconnected — reconnecting in ${Math.round(delay / 1000)}s`, false);
+    reconnectTimer = setTimeout(connect, delay);
   };
 
   ws.onerror = (err) => console.error('WebSocket error:', err);
@@ -73,33 +156,162 @@ function connect() {
 
 function handleMessage(msg) {
   switch (msg.type) {
+    case 'auth_ok':
+      // With a signed token the server decides who we are
+      currentUserId = msg.userId;
+      currentRoom = msg.room;
+      resumeToken = msg.resumeToken;
+      reconnectAttempts = 0;
+      // Without a replay the server sends a fresh snapshot: start over from it
+      if (!msg.resumed || msg.replayed === null) {
+        lastSeq = msg.seq;
+        messagesEl.innerHTML = '';
+        streamingMessages.clear();
+      }
+      updateStatus(`Connected as ${msg.userId} (${msg.room})`, true);
+      break;
     case 'state':
       console.log('State received:', msg.data);
+      stateRevision = msg.revision || 0;
+      drawings.clear();
+      (msg.data.drawings || []).forEach(d => drawings.set(d.id, d));
+      if (drawings.size) addSystemMessage(`${drawings.size} drawing(s) in this room`);
+      annotations.clear();
+      (msg.data.annotations || []).forEach(a => annotations.set(a.id, a));
+      {
+        const open = Array.from(annotations.values()).filter(a => a.status === 'open').length;
+        if (open) addSystemMessage(`${open} open annotation(s)`);
+      }
       break;
     case 'history':
       msg.messages.forEach(m => renderMessage(m));
+      if (msg.messages.length) oldestMessageId = msg.messages[0].id;
+      updateLoadEarlier(msg.hasMore);
+      break;
+    case 'history_page':
+      // Older messages: insert above what's already shown, keeping scroll position
+      {
+        const previousHeight = messagesEl.scrollHeight;
+        msg.messages.slice().reverse().forEach(m => renderMessage(m, { prepend: true }));
+        messagesEl.scrollTop += messagesEl.scrollHeight - previousHeight;
+        if (msg.messages.length) oldestMessageId = msg.messages[0].id;
+        updateLoadEarlier(msg.hasMore);
+      }
       break;
     case 'chat':
       renderMessage(msg);
       break;
+    case 'dm':
+      renderMessage(msg);
+      break;
     case 'ai_response':
       renderMessage(msg);
       break;
+    case 'chat_edit':
+    case 'chat_delete':
+    case 'reaction':
+      // Each carries the whole message in its new version
+      updateRenderedMessage(msg.message);
+      break;
+    case 'thread_page':
+      renderThread(msg);
+      break;
+    case 'attachment_update':
+      // A photo's description arrived: update it wherever it is shown
+      messagesEl.querySelectorAll(`.message-attachment[data-id="${CSS.escape(msg.attachment.id)}"]`)
+        .forEach(el => el.replaceWith(buildAttachment(msg.attachment)));
+      break;
+    case 'ai_response_start':
+      // Answers in an annotation thread arrive whole as annotation_reply
+      if (!msg.annotationId) startStreamingMessage(msg);
+      break;
+    case 'ai_response_delta':
+      appendStreamingDelta(msg);
+      break;
+    case 'ai_response_end':
+      if (!msg.annotationId) finishStreamingMessage(msg);
+      break;
     case 'presence':
-      updatePresence(msg.users);
+      members.clear();
+      msg.users.forEach(u => members.set(u.presenceId, u));
+      updatePresence();
+      break;
+    case 'presence_delta':
+      msg.joined.forEach(u => members.set(u.presenceId, u));
+      msg.left.forEach(presenceId => members.delete(presenceId));
+      msg.changed.forEach(({ presenceId, ...fields }) => {
+        if (members.has(presenceId)) Object.assign(members.get(presenceId), fields);
+      });
+      updatePresence();
       break;
     case 'join':
       addSystemMessage(`${msg.userId} joined`);
       break;
     case 'move':
+      if (members.has(msg.presenceId)) {
+        Object.assign(members.get(msg.presenceId), { location: msg.location, locationUpdatedAt: msg.timestamp });
+        updatePresence();
+      }
       addSystemMessage(`${msg.userId} moved to ${msg.location?.name || 'unknown location'}`);
       break;
     case 'drawing':
+      drawings.set(msg.drawing.id, msg.drawing);
       addSystemMessage(`${msg.drawing.createdBy} added a drawing`);
       break;
+    case 'drawing_update':
+      drawings.set(msg.drawing.id, msg.drawing);
+      addSystemMessage(`${msg.drawing.updatedBy} updated ${msg.drawing.name || 'a drawing'}`);
+      break;
+    case 'drawing_delete':
+      drawings.delete(msg.id);
+      addSystemMessage(`${msg.drawing.deletedBy} deleted ${msg.drawing.name || 'a drawing'}`);
+      break;
+    case 'annotation':
+      annotations.set(msg.annotation.id, msg.annotation);
+      addSystemMessage(`${msg.annotation.createdBy} pinned a comment: ${msg.annotation.text}`);
+      break;
+    case 'annotation_reply':
+      annotations.set(msg.annotationId, msg.annotation);
+      addSystemMessage(`${msg.reply.from} replied on a pinned comment: ${msg.reply.text}`);
+      break;
+    case 'annotation_resolve':
+      annotations.set(msg.annotationId, msg.annotation);
+      addSystemMessage(`${msg.annotation.updatedBy} ${msg.status === 'resolved' ? 'resolved' : 'reopened'} a pinned comment`);
+      break;
+    case 'geofence_enter':
+      addSystemMessage(`${msg.userId} entered ${msg.name || `a ${msg.drawingType}`}`);
+      break;
+    case 'geofence_exit':
+      addSystemMessage(`${msg.userId} left ${msg.name || `a ${msg.drawingType}`}`);
+      break;
+    case 'proximity_enter':
+      addSystemMessage(`${msg.userIds.join(' and ')} are within ${msg.within} m of each other`);
+      break;
+    case 'proximity_exit':
+      addSystemMessage(`${msg.userIds.join(' and ')} are more than ${msg.within} m apart`);
+      break;
+    case 'state_update':
+      // A gap means we missed an update — ask for what changed
+      if (msg.revision > stateRevision + 1) send({ type: 'state_diff', since: stateRevision });
+      stateRevision = Math.max(stateRevision, msg.revision);
+      break;
+    case 'state_diff':
+      console.log('State diff:', msg);
+      stateRevision = Math.max(stateRevision, msg.revision);
+      break;
     case 'typing':
       showTyping(msg.userId);
       break;
+    case 'track_replay_start':
+      addSystemMessage(`Replaying ${msg.points} track points from ${formatTime(msg.from)} at ${msg.speed}×`);
+      break;
+    case 'track_point':
+      // A map view would move the replayed marker here
+      console.log('Track point:', msg.userId, msg.location, new Date(msg.timestamp));
+      break;
+    case 'track_replay_end':
+      addSystemMessage(`Replay ${msg.reason === 'done' ? 'finished' : 'stopped'}`);
+      break;
     case 'error':
       addSystemMessage(`Error: ${msg.error || msg.text}`, true);
       break;
@@ -114,17 +326,53 @@ function sendMessage(text) {
     return;
   }
 
-  // Check if invoking AI
-  if (text.startsWith('@' + AI_USER) || text.startsWith('/' + AI_USER)) {
+  // "/dm sarah ..." sends a direct message
+  const dm = text.match(/^\/dm\s+(\S+)\s+([\s\S]+)$/);
+  if (dm) {
+    send({ type: 'dm', to: dm[1], text: dm[2] });
+    return;
+  }
+
+  // Check if invoking AI (a mention inside a thread is answered in the thread)
+  if (!replyingTo && (text.startsWith('@' + AI_USER) || text.startsWith('/' + AI_USER))) {
     send({ type: 'invoke', command: text, id: generateId() });
   } else {
-    send({ type: 'chat', text });
+    send({ type: 'chat', text, ...(replyingTo && { inReplyTo: replyingTo }) });
+  }
+}
+
+function setReplyingTo(messageId) {
+  replyingTo = messageId;
+  inputEl.placeholder = messageId
+    ? 'Reply in thread (Esc to cancel)...'
+    : `Type a message or @${AI_USER} to invoke AI...`;
+  if (messageId) inputEl.focus();
+}
+
+function renderMessage(msg, { prepend = false } = {}) {
+  const div = buildMessage(msg);
+
+  if (prepend) {
+    const button = document.getElementById('load-earlier');
+    messagesEl.insertBefore(div, button ? button.nextSibling : messagesEl.firstChild);
+    return div;
   }
+
+  messagesEl.appendChild(div);
+  messagesEl.scrollTop = messagesEl.scrollHeight;
+  return div;
+}
+
+// Re-render a message that was edited, deleted or reacted to, wherever it is shown
+function updateRenderedMessage(msg) {
+  messagesEl.querySelectorAll(`.message[data-id="${CSS.escape(msg.id)}"]`)
+    .forEach(div => div.replaceWith(buildMessage(msg)));
 }
 
-function renderMessage(msg) {
+function buildMessage(msg) {
   const div = document.createElement('div');
   div.className = 'message';
+  if (msg.id) div.dataset.id = msg.id;
 
   if (msg.type === 'ai_response' || msg.from === AI_USER) {
     div.classList.add('ai');
@@ -134,25 +382,179 @@ function renderMessage(msg) {
     div.classList.add('human');
   }
 
+  // Direct messages and private AI replies: only the people in `to` see them
+  const isPrivate = msg.type === 'dm' || msg.private;
+  if (isPrivate) div.classList.add('private');
+
   const fromEl = document.createElement('div');
   fromEl.className = 'message-from';
-  fromEl.textContent = msg.from;
+  fromEl.textContent = isPrivate && msg.to ? `${msg.from} → ${msg.to.join(', ')}` : msg.from;
   div.appendChild(fromEl);
 
+  // A reply in a thread: link to the whole thread
+  if (msg.threadId) {
+    const threadEl = document.createElement('div');
+    threadEl.className = 'message-thread';
+    threadEl.textContent = '↪ in a thread — show';
+    threadEl.addEventListener('click', () => {
+      send({ type: 'thread_request', threadId: msg.threadId, id: generateId() });
+    });
+    div.appendChild(threadEl);
+  }
+
   const textEl = document.createElement('div');
   textEl.className = 'message-text';
-  textEl.textContent = msg.text;
+  if (msg.deleted) {
+    div.classList.add('deleted');
+    textEl.textContent = 'Message deleted';
+  } else {
+    textEl.textContent = msg.text;
+  }
   div.appendChild(textEl);
+  if (msg.attachment) div.appendChild(buildAttachment(msg.attachment));
 
   const timeEl = document.createElement('div');
   timeEl.className = 'message-time';
-  timeEl.textContent = formatTime(msg.timestamp);
+  timeEl.textContent = formatTime(msg.timestamp) + (msg.editedAt ? ' (edited)' : '');
   div.appendChild(timeEl);
 
-  messagesEl.appendChild(div);
+  // Reactions, replies and the author's edit / delete (chat and AI replies only)
+  if ((msg.type === 'chat' || msg.type === 'ai_response') && !msg.deleted) {
+    div.appendChild(buildMessageActions(msg));
+  }
+  return div;
+}
+
+function buildMessageActions(msg) {
+  const actionsEl = document.createElement('div');
+  actionsEl.className = 'message-actions';
+  const button = (label, onClick, active = false) => {
+    const el = document.createElement('button');
+    el.textContent = label;
+    if (active) el.classList.add('active');
+    el.addEventListener('click', onClick);
+    actionsEl.appendChild(el);
+  };
+  const react = (emoji, on) => send({ type: 'reaction', messageId: msg.id, emoji, action: on ? 'add' : 'remove' });
+
+  for (const [emoji, users] of Object.entries(msg.reactions || {})) {
+    const mine = users.includes(currentUserId);
+    button(`${emoji} ${users.length}`, () => react(emoji, !mine), mine);
+  }
+  if (!msg.reactions || !msg.reactions['👍']) button('👍', () => react('👍', true));
+  button('Reply', () => setReplyingTo(msg.id));
+
+  if (msg.type === 'chat' && msg.from === currentUserId) {
+    button('Edit', () => {
+      const text = prompt('Edit message', msg.text);
+      if (text && text.trim() && text !== msg.text) send({ type: 'chat_edit', messageId: msg.id, text });
+    });
+    button('Delete', () => {
+      if (confirm('Delete this message?')) send({ type: 'chat_delete', messageId: msg.id });
+    });
+  }
+  return actionsEl;
+}
+
+// A shared file: its thumbnail (or name) linking to the file, where a photo
+// was taken and what it shows. A map view would place located photos from
+// GET /attachments?format=geojson.
+function buildAttachment(attachment) {
+  const el = document.createElement('div');
+  el.className = 'message-attachment';
+  el.dataset.id = attachment.id;
+
+  const link = document.createElement('a');
+  link.href = httpUrl(`/attachments/${attachment.id}`);
+  link.target = '_blank';
+  link.rel = 'noopener';
+  if (attachment.thumbnail) {
+    const img = document.createElement('img');
+    img.src = httpUrl(`/attachments/${attachment.id}/thumbnail`);
+    img.alt = attachment.description || attachment.name;
+    link.appendChild(img);
+  } else {
+    link.textContent = `📄 ${attachment.name}`;
+  }
+  el.appendChild(link);
+
+  const details = [
+    attachment.location && `📍 ${attachment.location.lat.toFixed(5)}, ${attachment.location.lon.toFixed(5)}`,
+    attachment.description
+  ].filter(Boolean);
+  if (details.length) {
+    const detailsEl = document.createElement('div');
+    detailsEl.className = 'message-attachment-details';
+    detailsEl.textContent = details.join(' — ');
+    el.appendChild(detailsEl);
+  }
+  return el;
+}
+
+// A thread, shown as a block at the end of the chat
+function renderThread(msg) {
+  const threadEl = document.createElement('div');
+  threadEl.className = 'thread-view';
+  const header = document.createElement('div');
+  header.className = 'message-from';
+  header.textContent = `Thread (${msg.messages.length}${msg.hasMore ? '+' : ''} messages)`;
+  threadEl.appendChild(header);
+  msg.messages.forEach(m => threadEl.appendChild(buildMessage(m)));
+  messagesEl.appendChild(threadEl);
   messagesEl.scrollTop = messagesEl.scrollHeight;
 }
 
+// "Load earlier messages" button at the top of the chat, shown while the server has more
+function updateLoadEarlier(hasMore) {
+  let button = document.getElementById('load-earlier');
+  if (!hasMore) {
+    if (button) button.remove();
+    return;
+  }
+  if (!button) {
+    button = document.createElement('button');
+    button.id = 'load-earlier';
+    button.textContent = 'Load earlier messages';
+    button.addEventListener('click', () => {
+      send({ type: 'history_request', before: oldestMessageId, limit: 50, id: generateId() });
+    });
+    messagesEl.insertBefore(button, messagesEl.firstChild);
+  }
+}
+
+// Streamed AI replies: render an empty bubble on start, append each delta,
+// then replace it with the final reply on end
+function startStreamingMessage(msg) {
+  hideTyping();
+  const div = renderMessage({ ...msg, text: '' });
+  div.classList.add('streaming');
+  streamingMessages.set(msg.id, div);
+}
+
+function appendStreamingDelta(msg) {
+  const div = streamingMessages.get(msg.id);
+  if (!div) return;
+  div.querySelector('.message-text').textContent += msg.delta;
+  messagesEl.scrollTop = messagesEl.scrollHeight;
+}
+
+function finishStreamingMessage(msg) {
+  const div = streamingMessages.get(msg.id);
+  streamingMessages.delete(msg.id);
+  hideTyping();
+
+  if (msg.error) {
+    if (div) div.remove();
+    return;
+  }
+  if (!div) {
+    // Missed the start (e.g. joined mid-stream) — render the whole reply
+    renderMessage({ ...msg, type: 'ai_response' });
+    return;
+  }
+  div.replaceWith(buildMessage({ ...msg, type: 'ai_response' }));
+}
+
 function addSystemMessage(text, isError = false) {
   const div = document.createElement('div');
   div.className = 'message system';
@@ -179,15 +581,18 @@ function showTyping(userId) {
   messagesEl.scrollTop = messagesEl.scrollHeight;
 
   clearTimeout(typingTimeout);
-  typingTimeout = setTimeout(() => {
-    const el = document.getElementById('typing-indicator');
-    if (el) el.remove();
-  }, 30000);
+  typingTimeout = setTimeout(hideTyping, 30000);
+}
+
+function hideTyping() {
+  clearTimeout(typingTimeout);
+  const el = document.getElementById('typing-indicator');
+  if (el) el.remove();
 }
 
-function updatePresence(users) {
+function updatePresence() {
   presenceListEl.innerHTML = '';
-  users.forEach(user => {
+  members.forEach(user => {
     const div = document.createElement('div');
     div.className = 'user';
 
@@ -201,6 +606,14 @@ function updatePresence(users) {
     name.textContent = user.userId;
     div.appendChild(name);
 
+    if (user.recording) {
+      const recording = document.createElement('span');
+      recording.className = 'user-location';
+      recording.textContent = ' ● rec';
+      recording.title = 'Recording their track';
+      div.appendChild(recording);
+    }
+
     if (user.location?.name) {
       const location = document.createElement('span');
       location.className = 'user-location';
@@ -225,6 +638,16 @@ function send(message) {
   }
 }
 
+// The service's HTTP endpoints, on the same host as the WebSocket; images
+// can't send headers, so the token goes in the query
+function httpUrl(path, params = {}) {
+  const url = new URL(path, SYNC_URL.replace(/^ws/, 'http'));
+  if (currentRoom) url.searchParams.set('room', currentRoom);
+  if (roomToken) url.searchParams.set('token', roomToken);
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+}
+
 function formatTime(timestamp) {
   return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }